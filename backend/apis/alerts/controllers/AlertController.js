@@ -0,0 +1,134 @@
+//FILE_PATH: backend/apis/alerts/controllers/AlertController.js
+
+/**
+ * 🚦 Recebe as requisições de /api/alerts e delega ao AlertService.
+ */
+
+import AlertService, { ERRO_REGRA_ALERTA } from '#alerts_services/AlertService.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+/**
+ * 🔔 AlertController
+ *
+ * CRUD das regras de alerta, avaliação sob demanda e histórico de alertas.
+ */
+export default class AlertController {
+
+  // == Regras ==
+
+  static listRules = async (req, res, next) => {
+    try {
+      res.json(await AlertService.listarRegras());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getRule = async (req, res, next) => {
+    try {
+      const regra = await AlertService.buscarRegra(Number(req.params.id));
+      if (!regra) return AlertController.#regraNaoEncontrada(req, res);
+
+      res.json(regra);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static createRule = async (req, res, next) => {
+    try {
+      debugLog('POST /alerts/rules', {
+        body: req.body,
+        origem: 'AlertController.createRule'
+      });
+
+      res.status(201).json(await AlertService.criarRegra(req.body));
+    } catch (error) {
+      AlertController.#tratarErro(error, res, next);
+    }
+  };
+
+  static updateRule = async (req, res, next) => {
+    try {
+      debugLog('PUT /alerts/rules/:id', {
+        id: req.params.id,
+        body: req.body,
+        origem: 'AlertController.updateRule'
+      });
+
+      const regra = await AlertService.atualizarRegra(Number(req.params.id), req.body);
+      if (!regra) return AlertController.#regraNaoEncontrada(req, res);
+
+      res.json(regra);
+    } catch (error) {
+      AlertController.#tratarErro(error, res, next);
+    }
+  };
+
+  static deleteRule = async (req, res, next) => {
+    try {
+      const removida = await AlertService.removerRegra(Number(req.params.id));
+      if (!removida) return AlertController.#regraNaoEncontrada(req, res);
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * 🧪 testRule
+   *
+   * Envia um alerta de teste aos canais da regra e retorna o resultado de cada entrega.
+   */
+  static testRule = async (req, res, next) => {
+    try {
+      const alerta = await AlertService.testarRegra(Number(req.params.id));
+      if (!alerta) return AlertController.#regraNaoEncontrada(req, res);
+
+      res.json(alerta);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // == Alertas ==
+
+  static listAlerts = async (req, res, next) => {
+    try {
+      res.json(await AlertService.listarAlertas(req.query));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * 🧮 evaluate
+   *
+   * Avalia as regras ativas imediatamente (as avaliações automáticas ocorrem após cada ingestão da FIRMS).
+   */
+  static evaluate = async (req, res, next) => {
+    try {
+      res.json(await AlertService.avaliar());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // == Privados ==
+
+  static #regraNaoEncontrada(req, res) {
+    return res.status(404).json({
+      error: 'Regra não encontrada',
+      id: req.params.id
+    });
+  }
+
+  static #tratarErro(error, res, next) {
+    if (error?.message?.startsWith(ERRO_REGRA_ALERTA)) {
+      return res.status(400).json({ error: error.message });
+    }
+    return next(error);
+  }
+}
@@ -0,0 +1,153 @@
+// backend/apis/alerts/routes/alerts.routes.js
+import { debugLog } from "#backend_utils/debugLog.js";
+
+import { Router } from 'express';
+
+import AlertController from '#alerts_controllers/AlertController.js';
+import { exigirPapel } from '#shared_middleware/auth.js';
+import { PAPEIS } from '#auth_services/AuthService.js';
+
+const ROUTE_PREFIX = '/api/alerts';
+
+/**
+ * Alert Routes
+ * ------------
+ * Regras de alerta sobre os focos de calor e histórico dos alertas disparados.
+ * Prefixo de rota: /api/alerts
+ *
+ * Endpoints:
+ *   GET    /                - Histórico de alertas (query: regraId, limit)
+ *   POST   /evaluate        - Avalia as regras ativas agora
+ *   GET    /rules           - Lista as regras
+ *   POST   /rules           - Cria uma regra
+ *   GET    /rules/:id       - Detalha uma regra
+ *   PUT    /rules/:id       - Atualiza uma regra (parcial)
+ *   DELETE /rules/:id       - Remove a regra e seu histórico
+ *   POST   /rules/:id/test  - Envia um alerta de teste aos canais da regra
+ *
+ * Exige autenticação; as regras (que guardam a configuração dos canais, como headers de webhook)
+ * só são lidas ou alteradas por analistas ou comandantes, que também disparam alertas.
+ *
+ * Corpo de uma regra:
+ *   {
+ *     "nome": "Sinop > 10 focos/24h",
+ *     "tipo": "municipio" | "crbm" | "intensidade",
+ *     "alvo": "Sinop" | "CR BM III" | "alta",
+ *     "limiar": 10,
+ *     "janelaHoras": 24,
+ *     "cooldownMin": 360,
+ *     "canais": [{ "tipo": "webhook", "url": "https://..." }, { "tipo": "smtp", "para": "sala@bm.mt.gov.br" }],
+ *     "ativa": true
+ *   }
+ */
+
+const router = Router();
+
+// Papéis que podem ler e gerenciar regras e disparar alertas (admin sempre pode)
+const gestorDeAlertas = exigirPapel(PAPEIS.ANALISTA, PAPEIS.COMANDANTE);
+
+/**
+ * 📜 GET /alerts
+ *
+ * Histórico de alertas, do mais recente ao mais antigo.
+ *
+ * Query params:
+ *   - regraId (number): Apenas os alertas de uma regra
+ *   - limit (number): Máximo de alertas (padrão 100, máx. 1000)
+ */
+router.get('/', AlertController.listAlerts);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/`,
+  controller: 'listAlerts'
+});
+
+/**
+ * 🧮 POST /alerts/evaluate
+ *
+ * Avalia as regras ativas agora (a avaliação automática ocorre após cada ingestão da FIRMS).
+ */
+router.post('/evaluate', gestorDeAlertas, AlertController.evaluate);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/evaluate`,
+  controller: 'evaluate'
+});
+
+/**
+ * 📋 GET /alerts/rules
+ *
+ * Lista as regras cadastradas.
+ */
+router.get('/rules', gestorDeAlertas, AlertController.listRules);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/rules`,
+  controller: 'listRules'
+});
+
+/**
+ * ➕ POST /alerts/rules
+ *
+ * Cria uma regra (corpo descrito acima). Campos inválidos retornam 400.
+ */
+router.post('/rules', gestorDeAlertas, AlertController.createRule);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/rules`,
+  controller: 'createRule'
+});
+
+/**
+ * 🔎 GET /alerts/rules/:id
+ *
+ * Detalha uma regra.
+ */
+router.get('/rules/:id', gestorDeAlertas, AlertController.getRule);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/rules/:id`,
+  controller: 'getRule'
+});
+
+/**
+ * ✏️ PUT /alerts/rules/:id
+ *
+ * Atualiza uma regra; campos ausentes mantêm o valor atual.
+ */
+router.put('/rules/:id', gestorDeAlertas, AlertController.updateRule);
+debugLog('Registrando endpoint', {
+  method: 'PUT',
+  endpoint: `${ROUTE_PREFIX}/rules/:id`,
+  controller: 'updateRule'
+});
+
+/**
+ * 🗑️ DELETE /alerts/rules/:id
+ *
+ * Remove a regra e o histórico de alertas dela.
+ */
+router.delete('/rules/:id', gestorDeAlertas, AlertController.deleteRule);
+debugLog('Registrando endpoint', {
+  method: 'DELETE',
+  endpoint: `${ROUTE_PREFIX}/rules/:id`,
+  controller: 'deleteRule'
+});
+
+/**
+ * 🧪 POST /alerts/rules/:id/test
+ *
+ * Envia aos canais da regra um alerta de teste com a contagem atual
+ * (não é gravado nem respeita o cooldown) e retorna o resultado de cada entrega.
+ */
+router.post('/rules/:id/test', gestorDeAlertas, AlertController.testRule);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/rules/:id/test`,
+  controller: 'testRule'
+});
+
+/**
+ * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
+ */
+export default router;
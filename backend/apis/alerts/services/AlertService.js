@@ -0,0 +1,392 @@
+// FILE_PATH: backend/apis/alerts/services/AlertService.js
+
+/**
+ * 🔔 Regras de alerta sobre os focos de calor.
+ *
+ * Cada regra conta os focos do arquivo histórico (`FireArchiveService`) nas últimas `janelaHoras`
+ * para um município, um comando regional (CRBM) ou uma faixa de intensidade de FRP.
+ * Quando a contagem atinge o `limiar`, o alerta é gravado no `AlertStore` e enviado aos canais da regra.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import FireArchiveService from '#firms_services/FireArchiveService.js';
+import { classifyFrpIntensity } from '#firms_services/stats/frp.js';
+
+import { FireModel } from '#firms_models';
+
+import { marcarDuplicatas } from '#firms_utils/fireDeduplication.js';
+
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+
+import AlertStore from '#shared_cache_alerts/AlertStore.js';
+
+import { entregarAlerta, validarCanal } from '#alerts_services/channels/index.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * 🚫 ERRO_REGRA_ALERTA
+ *
+ * Prefixo das mensagens de validação de regras (tratadas como 400 pelo AlertController).
+ */
+export const ERRO_REGRA_ALERTA = 'Regra de alerta inválida';
+
+/**
+ * 🎯 TIPOS_REGRA
+ *
+ * - municipio: focos no município `alvo` (ex: 'Sinop')
+ * - crbm: focos no comando regional `alvo` (ex: 'CR BM III')
+ * - intensidade: focos em todo o MT na faixa de FRP `alvo` (baixa | moderada | alta, ver stats/frp.js)
+ */
+export const TIPOS_REGRA = {
+  MUNICIPIO: 'municipio',
+  CRBM: 'crbm',
+  INTENSIDADE: 'intensidade'
+};
+
+const FAIXAS_INTENSIDADE = ['baixa', 'moderada', 'alta'];
+
+/**
+ * ⚙️ ALERT_CONFIG
+ *
+ * - JANELA_HORAS: janela de contagem padrão das regras (24 h)
+ * - COOLDOWN_MIN: intervalo mínimo entre dois alertas da mesma regra
+ *   (env `ALERT_COOLDOWN_MIN`, padrão 360 min)
+ */
+export const ALERT_CONFIG = {
+  JANELA_HORAS: 24,
+  COOLDOWN_MIN: Number(process.env.ALERT_COOLDOWN_MIN) || 360
+};
+
+const HORA_MS = 60 * 60 * 1000;
+
+/**
+ * 🔔 AlertService
+ *
+ * CRUD das regras, avaliação e histórico de alertas.
+ */
+export default class AlertService {
+
+  // == Regras ==
+
+  static async listarRegras() {
+    return AlertStore.listarRegras();
+  }
+
+  static async buscarRegra(id) {
+    return AlertStore.getRegra(id);
+  }
+
+  /**
+   * ➕ criarRegra
+   *
+   * @param {Object} dados - Corpo da requisição
+   * @param {string} dados.nome - Nome da regra
+   * @param {'municipio'|'crbm'|'intensidade'} dados.tipo - Tipo da regra
+   * @param {string} dados.alvo - Município, comando regional ou faixa de intensidade
+   * @param {number} dados.limiar - Quantidade de focos que dispara o alerta
+   * @param {number} [dados.janelaHoras=24] - Janela de contagem
+   * @param {number} [dados.cooldownMin=ALERT_CONFIG.COOLDOWN_MIN] - Intervalo mínimo entre alertas
+   * @param {Array<Object>} [dados.canais=[]] - Canais de entrega (`{ tipo: 'webhook', url }`, `{ tipo: 'smtp', para }`)
+   * @param {boolean} [dados.ativa=true]
+   * @returns {Promise<Object>} Regra criada
+   * @throws {Error} Se algum campo for inválido
+   */
+  static async criarRegra(dados = {}) {
+    return AlertStore.criarRegra(this.validarRegra(dados));
+  }
+
+  /**
+   * ✏️ atualizarRegra
+   *
+   * Aceita atualização parcial: campos ausentes mantêm o valor atual.
+   *
+   * @param {number} id - Id da regra
+   * @param {Object} dados - Campos a alterar
+   * @returns {Promise<Object|null>} Regra atualizada ou null se não existir
+   */
+  static async atualizarRegra(id, dados = {}) {
+    const atual = await AlertStore.getRegra(id);
+    if (!atual) return null;
+
+    return AlertStore.atualizarRegra(id, this.validarRegra({ ...atual, ...dados }));
+  }
+
+  static async removerRegra(id) {
+    return AlertStore.removerRegra(id);
+  }
+
+  /**
+   * ✅ validarRegra
+   *
+   * @param {Object} dados - Regra recebida
+   * @returns {Object} Regra normalizada, com os valores padrão
+   * @throws {Error} `${ERRO_REGRA_ALERTA}: ...` no primeiro campo inválido
+   */
+  static validarRegra(dados) {
+    const erro = motivo => new Error(`${ERRO_REGRA_ALERTA}: ${motivo}`);
+
+    const nome = String(dados.nome ?? '').trim();
+    if (!nome) throw erro('nome é obrigatório');
+
+    if (!Object.values(TIPOS_REGRA).includes(dados.tipo)) {
+      throw erro(`tipo=${dados.tipo} (aceitos: ${Object.values(TIPOS_REGRA).join(', ')})`);
+    }
+
+    const alvo = String(dados.alvo ?? '').trim();
+    if (!alvo) throw erro('alvo é obrigatório');
+    if (dados.tipo === TIPOS_REGRA.INTENSIDADE && !FAIXAS_INTENSIDADE.includes(alvo.toLowerCase())) {
+      throw erro(`alvo=${alvo} (aceitos: ${FAIXAS_INTENSIDADE.join(', ')})`);
+    }
+    if (dados.tipo === TIPOS_REGRA.MUNICIPIO && !GeoMunicipalityMatcher.findFeatures({ municipio: alvo }).length) {
+      throw erro(`município não encontrado: ${alvo}`);
+    }
+    if (dados.tipo === TIPOS_REGRA.CRBM && !GeoMunicipalityMatcher.findFeatures({ comandoRegional: alvo }).length) {
+      throw erro(`comando regional não encontrado: ${alvo}`);
+    }
+
+    const limiar = inteiroPositivo(dados.limiar, 'limiar', erro);
+    const janelaHoras = inteiroPositivo(dados.janelaHoras ?? ALERT_CONFIG.JANELA_HORAS, 'janelaHoras', erro);
+    const cooldownMin = Number(dados.cooldownMin ?? ALERT_CONFIG.COOLDOWN_MIN);
+    if (!Number.isInteger(cooldownMin) || cooldownMin < 0) throw erro('cooldownMin deve ser um inteiro >= 0');
+
+    const canais = dados.canais ?? [];
+    if (!Array.isArray(canais)) throw erro('canais deve ser uma lista');
+    canais.forEach((canal, indice) => {
+      const motivo = validarCanal(canal);
+      if (motivo) throw erro(`canais[${indice}]: ${motivo}`);
+    });
+
+    return {
+      nome,
+      tipo: dados.tipo,
+      alvo: dados.tipo === TIPOS_REGRA.INTENSIDADE ? alvo.toLowerCase() : alvo,
+      limiar,
+      janelaHoras,
+      cooldownMin,
+      canais,
+      ativa: dados.ativa !== false && dados.ativa !== 'false'
+    };
+  }
+
+  // == Alertas ==
+
+  /**
+   * 📜 listarAlertas
+   *
+   * @param {Object} query - Query string (`regraId`, `limit`)
+   * @returns {Promise<Array<Object>>} Alertas do mais recente para o mais antigo
+   */
+  static async listarAlertas(query = {}) {
+    return AlertStore.listarAlertas({
+      regraId: query.regraId ? Number(query.regraId) : undefined,
+      limit: Math.min(parseInt(query.limit, 10) || 100, 1000)
+    });
+  }
+
+  /**
+   * 🧮 avaliar
+   *
+   * Avalia todas as regras ativas. Chamado após cada ingestão da FIRMS e por POST /api/alerts/evaluate.
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.agora=new Date()] - Fim da janela de contagem
+   * @returns {Promise<{ avaliadas: number, disparados: Array<Object>, emCooldown: Array<number> }>}
+   */
+  static async avaliar({ agora = new Date() } = {}) {
+    const regras = await AlertStore.listarRegras({ apenasAtivas: true });
+    if (!regras.length) return { avaliadas: 0, disparados: [], emCooldown: [] };
+
+    const fires = await this.#carregarFocos(regras, agora);
+    const disparados = [];
+    const emCooldown = [];
+
+    for (const regra of regras) {
+      const contagem = this.#contarFocos(regra, fires, agora);
+      if (contagem.valor < regra.limiar) continue;
+
+      if (await this.#emCooldown(regra, agora)) {
+        emCooldown.push(regra.id);
+        continue;
+      }
+
+      disparados.push(await this.#disparar(regra, contagem, agora));
+    }
+
+    debugLog('Regras de alerta avaliadas', {
+      avaliadas: regras.length,
+      focos: fires.length,
+      disparados: disparados.length,
+      emCooldown: emCooldown.length,
+      origem: 'AlertService.avaliar'
+    });
+
+    return { avaliadas: regras.length, disparados, emCooldown };
+  }
+
+  /**
+   * 🧪 testarRegra
+   *
+   * Envia aos canais da regra um alerta de teste com a contagem atual, sem gravá-lo nem respeitar cooldown.
+   *
+   * @param {number} id - Id da regra
+   * @param {Object} [options]
+   * @param {Date} [options.agora=new Date()] - Fim da janela de contagem
+   * @returns {Promise<Object|null>} Alerta de teste com `entregas`, ou null se a regra não existir
+   */
+  static async testarRegra(id, { agora = new Date() } = {}) {
+    const regra = await AlertStore.getRegra(id);
+    if (!regra) return null;
+
+    const fires = await this.#carregarFocos([regra], agora);
+    const alerta = this.#montarAlerta(regra, this.#contarFocos(regra, fires, agora), agora);
+    alerta.teste = true;
+
+    return { ...alerta, entregas: await entregarAlerta(regra.canais, alerta) };
+  }
+
+  // == Privados ==
+
+  /**
+   * 📥 #carregarFocos
+   *
+   * Focos do arquivo cobrindo a maior janela entre as regras, marcados quanto a duplicatas
+   * entre sensores (apenas as detecções principais são contadas).
+   *
+   * @private
+   */
+  static async #carregarFocos(regras, agora) {
+    const maiorJanela = Math.max(...regras.map(regra => regra.janelaHoras));
+    const fires = await FireArchiveService.listarArquivados({
+      inicio: dayjs.utc(agora).subtract(maiorJanela, 'hour').format('YYYY-MM-DD'),
+      fim: dayjs.utc(agora).format('YYYY-MM-DD')
+    });
+    return marcarDuplicatas(fires);
+  }
+
+  /**
+   * 🔢 #contarFocos
+   *
+   * @private
+   * @returns {{ valor: number, inicio: Date, focos: Array<Object> }}
+   */
+  static #contarFocos(regra, fires, agora) {
+    const inicio = new Date(agora.getTime() - regra.janelaHoras * HORA_MS);
+    const atende = PREDICADOS_REGRA[regra.tipo](regra.alvo);
+
+    const focos = fires.filter(fire => {
+      if (fire.duplicata) return false;
+      const timestamp = FireModel.getTimestamp(fire);
+      return timestamp && timestamp > inicio && timestamp <= agora && atende(fire);
+    });
+
+    return { valor: focos.length, inicio, focos };
+  }
+
+  /**
+   * ⏳ #emCooldown
+   *
+   * @private
+   */
+  static async #emCooldown(regra, agora) {
+    const ultimo = await AlertStore.getUltimoAlerta(regra.id);
+    return Boolean(ultimo) && agora - new Date(ultimo.disparadoEm) < regra.cooldownMin * 60 * 1000;
+  }
+
+  /**
+   * 🚨 #disparar
+   *
+   * Grava o alerta, entrega aos canais e registra o resultado das entregas.
+   *
+   * @private
+   */
+  static async #disparar(regra, contagem, agora) {
+    const montado = this.#montarAlerta(regra, contagem, agora);
+    const alerta = { ...await AlertStore.registrarAlerta(montado), regra: montado.regra };
+    const entregas = await entregarAlerta(regra.canais, alerta);
+    await AlertStore.atualizarEntregas(alerta.id, entregas);
+
+    debugLog('Alerta disparado', {
+      regraId: regra.id,
+      regra: regra.nome,
+      valor: alerta.valor,
+      limiar: alerta.limiar,
+      entregas: entregas.map(({ tipo, sucesso }) => `${tipo}:${sucesso ? 'ok' : 'falha'}`),
+      origem: 'AlertService.#disparar'
+    });
+
+    return { ...alerta, entregas };
+  }
+
+  /**
+   * 🧾 #montarAlerta
+   *
+   * O alerta leva só o resumo da regra (`CAMPOS_REGRA_NO_ALERTA`): os canais têm headers, tokens e
+   * destinatários e não podem sair nos payloads enviados aos próprios canais.
+   *
+   * @private
+   */
+  static #montarAlerta(regra, { valor, inicio, focos }, agora) {
+    const porMunicipio = new Map();
+    for (const fire of focos) {
+      const municipio = fire.localizacao?.municipio ?? 'N/A';
+      porMunicipio.set(municipio, (porMunicipio.get(municipio) ?? 0) + 1);
+    }
+
+    return {
+      regraId: regra.id,
+      regra: Object.fromEntries(CAMPOS_REGRA_NO_ALERTA.map(campo => [campo, regra[campo]])),
+      disparadoEm: agora.toISOString(),
+      valor,
+      limiar: regra.limiar,
+      detalhes: {
+        janela: { inicio: inicio.toISOString(), fim: agora.toISOString() },
+        frpMaximo: focos.reduce((max, fire) => Math.max(max, FireModel.extractRadiativePowerValue(fire)), 0),
+        municipios: [...porMunicipio.entries()]
+          .map(([municipio, total]) => ({ municipio, focos: total }))
+          .sort((a, b) => b.focos - a.focos)
+          .slice(0, 10)
+      }
+    };
+  }
+}
+
+/**
+ * 🧾 CAMPOS_REGRA_NO_ALERTA
+ *
+ * Campos da regra copiados para o alerta (payload dos canais e respostas da API); `canais` nunca entra.
+ */
+const CAMPOS_REGRA_NO_ALERTA = ['id', 'nome', 'tipo', 'alvo', 'limiar', 'janelaHoras'];
+
+/**
+ * 🧪 PREDICADOS_REGRA
+ *
+ * Fábricas de predicado por tipo de regra: (alvo) => (foco) => boolean.
+ */
+const PREDICADOS_REGRA = {
+  [TIPOS_REGRA.MUNICIPIO]: alvo => fire => normalizarNome(fire.localizacao?.municipio) === normalizarNome(alvo),
+  [TIPOS_REGRA.CRBM]: alvo => fire => normalizarNome(fire.localizacao?.comandoRegional) === normalizarNome(alvo),
+  [TIPOS_REGRA.INTENSIDADE]: alvo => fire => classifyFrpIntensity(FireModel.extractRadiativePowerValue(fire)) === alvo
+};
+
+/**
+ * Mesma normalização do GeoMunicipalityMatcher: maiúsculas, sem acentos e com espaços simples.
+ */
+function normalizarNome(nome) {
+  return String(nome ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+function inteiroPositivo(valor, campo, erro) {
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < 1) throw erro(`${campo} deve ser um inteiro positivo`);
+  return numero;
+}
@@ -0,0 +1,77 @@
+// apis/alerts/services/channels/index.js
+
+// IMPORTE ASSIM: #alerts_services/channels/index.js
+
+import webhookChannel from '#alerts_services/channels/webhookChannel.js';
+import smtpChannel from '#alerts_services/channels/smtpChannel.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+/**
+ * 📡 CANAIS
+ *
+ * Canais de entrega disponíveis, por tipo. Cada canal expõe
+ * `{ tipo, validar(canal) => string|null, enviar(canal, alerta) => Promise<string> }`.
+ */
+const CANAIS = new Map([
+  [webhookChannel.tipo, webhookChannel],
+  [smtpChannel.tipo, smtpChannel]
+]);
+
+/**
+ * ➕ registrarCanal
+ *
+ * Disponibiliza um novo tipo de canal para as regras (ex: Telegram, SMS).
+ *
+ * @param {{ tipo: string, validar: Function, enviar: Function }} canal
+ */
+export function registrarCanal(canal) {
+  CANAIS.set(canal.tipo, canal);
+}
+
+/**
+ * 📋 tiposDeCanal
+ *
+ * @returns {Array<string>} Tipos de canal registrados
+ */
+export function tiposDeCanal() {
+  return [...CANAIS.keys()];
+}
+
+/**
+ * ✅ validarCanal
+ *
+ * @param {Object} canal - Configuração do canal na regra (`{ tipo, ... }`)
+ * @returns {string|null} Motivo da invalidade ou null se válido
+ */
+export function validarCanal(canal) {
+  const implementacao = CANAIS.get(canal?.tipo);
+  if (!implementacao) return `tipo de canal desconhecido: ${canal?.tipo} (aceitos: ${tiposDeCanal().join(', ')})`;
+  return implementacao.validar(canal);
+}
+
+/**
+ * 📤 entregarAlerta
+ *
+ * Envia o alerta a todos os canais da regra. Falhas de um canal não impedem os demais.
+ *
+ * @param {Array<Object>} canais - Canais configurados na regra
+ * @param {Object} alerta - Alerta disparado (com `regra`)
+ * @returns {Promise<Array<{ tipo: string, sucesso: boolean, destino?: string, erro?: string }>>}
+ */
+export async function entregarAlerta(canais, alerta) {
+  return Promise.all(canais.map(async canal => {
+    try {
+      const destino = await CANAIS.get(canal.tipo).enviar(canal, alerta);
+      return { tipo: canal.tipo, sucesso: true, destino };
+    } catch (error) {
+      debugLog('Falha na entrega de alerta', {
+        canal: canal.tipo,
+        regraId: alerta.regra?.id,
+        mensagem: error.message,
+        origem: 'entregarAlerta'
+      });
+      return { tipo: canal.tipo, sucesso: false, erro: error.message };
+    }
+  }));
+}
@@ -0,0 +1,42 @@
+// apis/alerts/services/channels/mensagem.js
+
+// IMPORTE ASSIM: #alerts_services/channels/mensagem.js
+
+/**
+ * 🏷️ ROTULOS_TIPO
+ *
+ * Descrição do alvo de cada tipo de regra usada nas mensagens.
+ */
+const ROTULOS_TIPO = {
+  municipio: 'no município',
+  crbm: 'no comando regional',
+  intensidade: 'de intensidade'
+};
+
+/**
+ * ✉️ montarMensagem
+ *
+ * Texto comum a todos os canais (assunto do e-mail, resumo do webhook).
+ *
+ * @param {Object} alerta - Alerta com a regra que o disparou (`alerta.regra`)
+ * @returns {{ assunto: string, texto: string }}
+ * @example
+ * montarMensagem(alerta).assunto // => '[Monitora MT] 12 focos no município SINOP (limiar 10)'
+ */
+export function montarMensagem(alerta) {
+  const { regra, detalhes = {} } = alerta;
+  const prefixo = alerta.teste ? '[Monitora MT][TESTE]' : '[Monitora MT]';
+  const assunto = `${prefixo} ${alerta.valor} focos ${ROTULOS_TIPO[regra.tipo] ?? ''} ${regra.alvo} (limiar ${alerta.limiar})`;
+
+  const linhas = [
+    `Regra: ${regra.nome}`,
+    `Focos nas últimas ${regra.janelaHoras} h: ${alerta.valor} (limiar ${alerta.limiar})`,
+    `Disparado em: ${alerta.disparadoEm}`
+  ];
+  if (detalhes.frpMaximo != null) linhas.push(`FRP máximo: ${detalhes.frpMaximo} MW`);
+  if (detalhes.municipios?.length) {
+    linhas.push('Municípios:', ...detalhes.municipios.map(({ municipio, focos }) => `  - ${municipio}: ${focos}`));
+  }
+
+  return { assunto: assunto.replace(/\s+/g, ' '), texto: linhas.join('\n') };
+}
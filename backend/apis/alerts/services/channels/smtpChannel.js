@@ -0,0 +1,88 @@
+// apis/alerts/services/channels/smtpChannel.js
+
+// IMPORTE ASSIM: #alerts_services/channels/smtpChannel.js
+
+import dotenv from 'dotenv';
+import nodemailer from 'nodemailer';
+
+import { montarMensagem } from '#alerts_services/channels/mensagem.js';
+
+// Credenciais SMTP ficam no .env
+dotenv.config();
+
+/**
+ * ⚙️ SMTP_CONFIG
+ *
+ * Servidor usado por todos os canais SMTP (env `SMTP_HOST`, `SMTP_PORT`, `SMTP_SECURE`,
+ * `SMTP_USER`, `SMTP_PASS`, `SMTP_FROM`). Sem `SMTP_HOST` as entregas por e-mail falham.
+ */
+export const SMTP_CONFIG = {
+  HOST: process.env.SMTP_HOST,
+  PORT: Number(process.env.SMTP_PORT) || 587,
+  SECURE: process.env.SMTP_SECURE === 'true',
+  USER: process.env.SMTP_USER,
+  PASS: process.env.SMTP_PASS,
+  FROM: process.env.SMTP_FROM || 'monitora-mt@localhost'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+$/;
+
+let transporte = null;
+
+/**
+ * 📧 smtpChannel
+ *
+ * Envia o alerta por e-mail para os endereços em `para`.
+ * Configuração: `{ tipo: 'smtp', para: 'a@x.com' | ['a@x.com', 'b@y.com'] }`
+ */
+const smtpChannel = {
+  tipo: 'smtp',
+
+  /**
+   * @param {Object} canal - Configuração do canal na regra
+   * @returns {string|null} Motivo da invalidade ou null se válido
+   */
+  validar(canal) {
+    const destinatarios = [canal.para].flat().filter(Boolean);
+    if (!destinatarios.length) return 'para é obrigatório';
+    const invalido = destinatarios.find(email => !EMAIL_REGEX.test(String(email)));
+    return invalido ? `e-mail inválido: ${invalido}` : null;
+  },
+
+  /**
+   * @param {Object} canal - Configuração do canal na regra
+   * @param {Object} alerta - Alerta disparado (com `regra`)
+   * @returns {Promise<string>} Destinatários da entrega
+   */
+  async enviar(canal, alerta) {
+    const para = [canal.para].flat().join(', ');
+    const { assunto, texto } = montarMensagem(alerta);
+
+    await obterTransporte().sendMail({
+      from: SMTP_CONFIG.FROM,
+      to: para,
+      subject: assunto,
+      text: texto
+    });
+    return para;
+  }
+};
+
+/**
+ * 🚚 obterTransporte
+ *
+ * Cria o transporte do nodemailer na primeira entrega.
+ */
+function obterTransporte() {
+  if (!SMTP_CONFIG.HOST) throw new Error('SMTP_HOST não configurado');
+
+  transporte ??= nodemailer.createTransport({
+    host: SMTP_CONFIG.HOST,
+    port: SMTP_CONFIG.PORT,
+    secure: SMTP_CONFIG.SECURE,
+    ...(SMTP_CONFIG.USER ? { auth: { user: SMTP_CONFIG.USER, pass: SMTP_CONFIG.PASS } } : {})
+  });
+  return transporte;
+}
+
+export default smtpChannel;
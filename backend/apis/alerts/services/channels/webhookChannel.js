@@ -0,0 +1,60 @@
+// apis/alerts/services/channels/webhookChannel.js
+
+// IMPORTE ASSIM: #alerts_services/channels/webhookChannel.js
+
+import axios from 'axios';
+
+import { montarMensagem } from '#alerts_services/channels/mensagem.js';
+
+/**
+ * ⚙️ WEBHOOK_CONFIG
+ *
+ * - TIMEOUT_MS: tempo máximo de resposta do destino (env `ALERT_WEBHOOK_TIMEOUT_MS`, padrão 10 s)
+ */
+export const WEBHOOK_CONFIG = {
+  TIMEOUT_MS: Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000
+};
+
+/**
+ * 🌐 webhookChannel
+ *
+ * Envia o alerta como JSON (POST) para a `url` configurada no canal.
+ * Configuração: `{ tipo: 'webhook', url: 'https://...', headers?: { ... } }`
+ */
+const webhookChannel = {
+  tipo: 'webhook',
+
+  /**
+   * @param {Object} canal - Configuração do canal na regra
+   * @returns {string|null} Motivo da invalidade ou null se válido
+   */
+  validar(canal) {
+    try {
+      const { protocol } = new URL(canal.url);
+      if (!['http:', 'https:'].includes(protocol)) return 'url deve usar http ou https';
+    } catch {
+      return 'url inválida';
+    }
+    if (canal.headers != null && typeof canal.headers !== 'object') return 'headers deve ser um objeto';
+    return null;
+  },
+
+  /**
+   * @param {Object} canal - Configuração do canal na regra
+   * @param {Object} alerta - Alerta disparado (com o resumo da regra, sem `canais`)
+   * @returns {Promise<string>} Destino da entrega
+   */
+  async enviar(canal, alerta) {
+    await axios.post(canal.url, {
+      evento: alerta.teste ? 'alerta.teste' : 'alerta.disparado',
+      ...montarMensagem(alerta),
+      alerta
+    }, {
+      headers: canal.headers ?? {},
+      timeout: WEBHOOK_CONFIG.TIMEOUT_MS
+    });
+    return canal.url;
+  }
+};
+
+export default webhookChannel;
@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import net from 'net';
+
+/**
+ * Servidores locais que fazem o papel do destino do webhook e do servidor SMTP.
+ */
+const webhooksRecebidos = [];
+const servidorWebhook = http.createServer((req, res) => {
+    let corpo = '';
+    req.on('data', parte => { corpo += parte; });
+    req.on('end', () => {
+        webhooksRecebidos.push(JSON.parse(corpo));
+        res.writeHead(req.url === '/falha' ? 500 : 200).end();
+    });
+});
+
+const emailsRecebidos = [];
+const servidorSmtp = net.createServer(socket => {
+    let dados = false;
+    let mensagem = '';
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', parte => {
+        if (dados) {
+            mensagem += parte.toString();
+            if (mensagem.endsWith('\r\n.\r\n')) {
+                emailsRecebidos.push(mensagem);
+                dados = false;
+                socket.write('250 OK\r\n');
+            }
+            return;
+        }
+        for (const linha of parte.toString().split('\r\n').filter(Boolean)) {
+            const comando = linha.slice(0, 4).toUpperCase();
+            if (comando === 'DATA') {
+                dados = true;
+                mensagem = '';
+                socket.write('354 continue\r\n');
+            } else if (comando === 'QUIT') {
+                socket.end('221 bye\r\n');
+            } else {
+                socket.write('250 OK\r\n');
+            }
+        }
+    });
+});
+
+const escutar = servidor => new Promise(resolve => servidor.listen(0, '127.0.0.1', () => resolve(servidor.address().port)));
+const portaWebhook = await escutar(servidorWebhook);
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_PORT = String(await escutar(servidorSmtp));
+
+const { default: AlertStore } = await import('#shared_cache_alerts/AlertStore.js');
+const { default: FireArchiveService } = await import('#firms_services/FireArchiveService.js');
+const { default: GeoMunicipalityMatcher } = await import('#geo_utils/GeoMunicipalityMatcher.js');
+const { default: AlertService, ERRO_REGRA_ALERTA } = await import('#alerts_services/AlertService.js');
+
+AlertStore.dbPath = ':memory:';
+
+const agora = new Date('2025-08-02T18:00:00Z');
+const urlWebhook = caminho => `http://127.0.0.1:${portaWebhook}${caminho}`;
+
+let sequencia = 0;
+const foco = (dataAquisicao, horaAquisicao, municipio, potenciaRadiativa, extra = {}) => ({
+    dataAquisicao,
+    horaAquisicao,
+    latitude: -12.5,
+    longitude: -55.5 + 0.1 * sequencia++,
+    potenciaRadiativa,
+    nomeSatelite: 'NOAA-20',
+    instrumentoSensor: 'VIIRS',
+    localizacao: { municipio, comandoRegional: municipio === 'SINOP' ? 'CR BM III' : 'CR BM I' },
+    ...extra
+});
+
+const focos = [
+    foco('2025-08-02', '16:00', 'SINOP', 10),
+    foco('2025-08-02', '16:05', 'SINOP', 80),
+    foco('2025-08-02', '04:00', 'SINOP', 5),
+    // Fora da janela de 24 h
+    foco('2025-07-31', '16:00', 'SINOP', 90),
+    foco('2025-08-02', '15:00', 'CUIABÁ', 120)
+];
+
+describe('AlertService', () => {
+    beforeEach(async () => {
+        await AlertStore.limparTodos();
+        webhooksRecebidos.length = 0;
+        emailsRecebidos.length = 0;
+        jest.spyOn(FireArchiveService, 'listarArquivados').mockResolvedValue(focos);
+        jest.spyOn(GeoMunicipalityMatcher, 'findFeatures')
+            .mockImplementation(({ municipio, comandoRegional }) =>
+                ['sinop', 'cuiabá', 'cr bm iii'].includes((municipio ?? comandoRegional).toLowerCase()) ? [{}] : []);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => servidorWebhook.close(resolve));
+        await new Promise(resolve => servidorSmtp.close(resolve));
+    });
+
+    test('valida as regras e aplica os valores padrão', async () => {
+        const regra = await AlertService.criarRegra({ nome: 'Sinop', tipo: 'municipio', alvo: 'Sinop', limiar: '3' });
+        expect(regra).toMatchObject({ limiar: 3, janelaHoras: 24, cooldownMin: 360, canais: [], ativa: true });
+
+        const invalidas = [
+            { tipo: 'municipio', alvo: 'Sinop', limiar: 1 },
+            { nome: 'x', tipo: 'estado', alvo: 'MT', limiar: 1 },
+            { nome: 'x', tipo: 'municipio', alvo: 'Atlântida', limiar: 1 },
+            { nome: 'x', tipo: 'intensidade', alvo: 'extrema', limiar: 1 },
+            { nome: 'x', tipo: 'crbm', alvo: 'CR BM III', limiar: 0 },
+            { nome: 'x', tipo: 'crbm', alvo: 'CR BM III', limiar: 1, canais: [{ tipo: 'telegram' }] },
+            { nome: 'x', tipo: 'crbm', alvo: 'CR BM III', limiar: 1, canais: [{ tipo: 'webhook', url: 'ftp://x' }] },
+            { nome: 'x', tipo: 'crbm', alvo: 'CR BM III', limiar: 1, canais: [{ tipo: 'smtp', para: 'sem-arroba' }] }
+        ];
+        for (const dados of invalidas) {
+            await expect(AlertService.criarRegra(dados)).rejects.toThrow(ERRO_REGRA_ALERTA);
+        }
+
+        const atualizada = await AlertService.atualizarRegra(regra.id, { limiar: 5, ativa: false });
+        expect(atualizada).toMatchObject({ nome: 'Sinop', limiar: 5, ativa: false });
+        expect(await AlertService.atualizarRegra(999, { limiar: 5 })).toBeNull();
+    });
+
+    test('dispara regras por município, CRBM e intensidade dentro da janela', async () => {
+        await AlertService.criarRegra({ nome: 'Sinop', tipo: 'municipio', alvo: 'sinop', limiar: 3 });
+        await AlertService.criarRegra({ nome: 'CR III', tipo: 'crbm', alvo: 'cr bm iii', limiar: 4 });
+        await AlertService.criarRegra({ nome: 'Alta', tipo: 'intensidade', alvo: 'Alta', limiar: 2 });
+        await AlertService.criarRegra({ nome: 'Cuiabá', tipo: 'municipio', alvo: 'Cuiabá', limiar: 1, ativa: false });
+
+        const { avaliadas, disparados } = await AlertService.avaliar({ agora });
+
+        expect(avaliadas).toBe(3);
+        expect(disparados.map(alerta => [alerta.regra.nome, alerta.valor])).toEqual([['Sinop', 3], ['Alta', 2]]);
+        expect(disparados[0].detalhes).toMatchObject({ frpMaximo: 80, municipios: [{ municipio: 'SINOP', focos: 3 }] });
+        expect(FireArchiveService.listarArquivados).toHaveBeenCalledWith({ inicio: '2025-08-01', fim: '2025-08-02' });
+
+        const historico = await AlertService.listarAlertas();
+        expect(historico).toHaveLength(2);
+    });
+
+    test('não conta duplicatas entre sensores', async () => {
+        const principal = foco('2025-08-02', '16:00', 'SINOP', 10, { longitude: -55.5 });
+        FireArchiveService.listarArquivados.mockResolvedValue([
+            principal,
+            { ...principal, nomeSatelite: 'Aqua', instrumentoSensor: 'MODIS', horaAquisicao: '16:20' }
+        ]);
+        await AlertService.criarRegra({ nome: 'Sinop', tipo: 'municipio', alvo: 'Sinop', limiar: 2 });
+
+        expect((await AlertService.avaliar({ agora })).disparados).toHaveLength(0);
+    });
+
+    test('respeita o cooldown da regra', async () => {
+        const regra = await AlertService.criarRegra({ nome: 'Sinop', tipo: 'municipio', alvo: 'Sinop', limiar: 1, cooldownMin: 60 });
+
+        expect((await AlertService.avaliar({ agora })).disparados).toHaveLength(1);
+
+        const repetida = await AlertService.avaliar({ agora: new Date(agora.getTime() + 30 * 60 * 1000) });
+        expect(repetida).toMatchObject({ disparados: [], emCooldown: [regra.id] });
+
+        const aposCooldown = await AlertService.avaliar({ agora: new Date(agora.getTime() + 61 * 60 * 1000) });
+        expect(aposCooldown.disparados).toHaveLength(1);
+    });
+
+    test('entrega por webhook e SMTP e registra falhas sem interromper os demais canais', async () => {
+        await AlertService.criarRegra({
+            nome: 'Sinop',
+            tipo: 'municipio',
+            alvo: 'Sinop',
+            limiar: 1,
+            canais: [
+                { tipo: 'webhook', url: urlWebhook('/ok') },
+                { tipo: 'webhook', url: urlWebhook('/falha') },
+                { tipo: 'smtp', para: ['sala@bm.mt.gov.br'] }
+            ]
+        });
+
+        const { disparados: [alerta] } = await AlertService.avaliar({ agora });
+
+        expect(alerta.entregas).toEqual([
+            { tipo: 'webhook', sucesso: true, destino: urlWebhook('/ok') },
+            expect.objectContaining({ tipo: 'webhook', sucesso: false }),
+            { tipo: 'smtp', sucesso: true, destino: 'sala@bm.mt.gov.br' }
+        ]);
+        expect(webhooksRecebidos[0]).toMatchObject({ evento: 'alerta.disparado', alerta: { valor: 3, regra: { nome: 'Sinop' } } });
+        // Headers e destinatários dos canais não saem no payload
+        expect(webhooksRecebidos[0].alerta.regra).toEqual({
+            id: alerta.regraId, nome: 'Sinop', tipo: 'municipio', alvo: 'Sinop', limiar: 1, janelaHoras: 24
+        });
+        expect(JSON.stringify(webhooksRecebidos)).not.toContain('sala@bm.mt.gov.br');
+        expect(emailsRecebidos).toHaveLength(1);
+        expect(emailsRecebidos[0]).toContain('To: sala@bm.mt.gov.br');
+        expect(emailsRecebidos[0]).toContain('- SINOP: 3');
+
+        const [gravado] = await AlertService.listarAlertas();
+        expect(gravado.entregas).toEqual(alerta.entregas);
+    });
+
+    test('testarRegra envia um alerta de teste sem gravar histórico', async () => {
+        const regra = await AlertService.criarRegra({
+            nome: 'Alta', tipo: 'intensidade', alvo: 'alta', limiar: 50,
+            canais: [{ tipo: 'webhook', url: urlWebhook('/ok') }]
+        });
+
+        const teste = await AlertService.testarRegra(regra.id, { agora });
+
+        expect(teste).toMatchObject({ teste: true, valor: 2, entregas: [{ sucesso: true }] });
+        expect(webhooksRecebidos[0].evento).toBe('alerta.teste');
+        expect(webhooksRecebidos[0].alerta.regra).not.toHaveProperty('canais');
+        expect(teste.regra).not.toHaveProperty('canais');
+        expect(await AlertService.listarAlertas()).toHaveLength(0);
+        expect(await AlertService.testarRegra(999)).toBeNull();
+    });
+});
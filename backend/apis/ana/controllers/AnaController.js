@@ -1,11 +1,24 @@
 // FILE: backend/apis/ana/controllers/AnaController.js
 
-import { fetchAllStationsInBatches } from '#ana_services/hidrowebFetchBatch.js';
+import AnaArchiveService from '#ana_services/AnaArchiveService.js';
+import StationService, { ERRO_FILTRO_ESTACAO } from '#ana_services/StationService.js';
+import StationSeriesService, { ERRO_SERIE } from '#ana_services/StationSeriesService.js';
+import StationAlertService, { ERRO_LIMIAR } from '#ana_services/StationAlertService.js';
+import RainfallService, { ERRO_CHUVA } from '#ana_services/RainfallService.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+const FORMATOS = ['json', 'geojson'];
 
 export class AnaController {
+  /**
+   * 🌊 getAllStationData
+   *
+   * Leituras das últimas 24 h de todas as estações, lidas do arquivo local (sincronizado em segundo plano).
+   */
   static async getAllStationData(req, res, next) {
     try {
-      const resultados = await fetchAllStationsInBatches();
+      const resultados = await AnaArchiveService.leiturasRecentes();
 
       // Envia o retorno direto, sem embrulhar com status: 'OK'
       res.json(resultados);
@@ -13,4 +26,243 @@ export class AnaController {
       next(error);
     }
   }
+
+  /**
+   * 📋 listStations
+   *
+   * Inventário de estações com os filtros da query (bacia, rio, municipio, operadora, tipo, uf).
+   * `format=geojson` responde uma FeatureCollection de pontos.
+   */
+  static async listStations(req, res, next) {
+    try {
+      const formato = AnaController.#formato(req.query, res);
+      if (!formato) return;
+
+      debugLog('GET /ana/stations', {
+        query: req.query,
+        origem: 'AnaController.listStations'
+      });
+
+      const estacoes = await StationService.listar(req.query);
+
+      if (formato === 'geojson') {
+        return AnaController.#enviarGeoJSON(res, StationService.paraGeoJSON(estacoes));
+      }
+
+      res.json({
+        metadados: {
+          total: estacoes.length,
+          filtros: AnaController.#filtrosAplicados(req.query)
+        },
+        dados: estacoes
+      });
+    } catch (error) {
+      if (error.message?.startsWith(ERRO_FILTRO_ESTACAO)) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * 🔑 getStation
+   *
+   * Metadados de uma estação pelo código (`format=geojson` responde uma Feature).
+   */
+  static async getStation(req, res, next) {
+    try {
+      const formato = AnaController.#formato(req.query, res);
+      if (!formato) return;
+
+      const estacao = await StationService.buscarPorCodigo(req.params.code);
+      if (!estacao) {
+        return res.status(404).json({ error: 'Estação não encontrada', codigo: req.params.code });
+      }
+
+      if (formato === 'geojson') {
+        const [feature] = StationService.paraGeoJSON([estacao]).features;
+        if (!feature) return res.status(404).json({ error: 'Estação sem coordenadas', codigo: req.params.code });
+        return AnaController.#enviarGeoJSON(res, feature);
+      }
+
+      res.json(estacao);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 📈 getStationSeries
+   *
+   * Série temporal de nível, vazão ou chuva da estação (query: from, to, var).
+   */
+  static async getStationSeries(req, res, next) {
+    try {
+      debugLog('GET /ana/stations/:code/series', {
+        codigo: req.params.code,
+        query: req.query,
+        origem: 'AnaController.getStationSeries'
+      });
+
+      const serie = await StationSeriesService.buscarSerie(req.params.code, {
+        from: req.query.from,
+        to: req.query.to,
+        variavel: req.query.var
+      });
+      if (!serie) {
+        return res.status(404).json({ error: 'Estação não encontrada', codigo: req.params.code });
+      }
+
+      res.json(serie);
+    } catch (error) {
+      if (error.message?.startsWith(ERRO_SERIE)) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+
+  // == Alertas hidrológicos ==
+
+  /**
+   * 🚨 getAlerts
+   *
+   * Estações com limiares agrupadas pela situação atual (transbordamento, alerta, atenção, seca, normal, sem dados).
+   */
+  static async getAlerts(req, res, next) {
+    try {
+      res.json(await StationAlertService.avaliar());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listThresholds(req, res, next) {
+    try {
+      res.json(await StationAlertService.listarLimiares());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getThreshold(req, res, next) {
+    try {
+      const limiar = await StationAlertService.buscarLimiar(req.params.code);
+      if (!limiar) {
+        return res.status(404).json({ error: 'Estação sem limiares', codigo: req.params.code });
+      }
+
+      res.json(limiar);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 💾 putThreshold
+   *
+   * Cria ou substitui os limiares da estação.
+   */
+  static async putThreshold(req, res, next) {
+    try {
+      debugLog('PUT /ana/thresholds/:code', {
+        codigo: req.params.code,
+        body: req.body,
+        origem: 'AnaController.putThreshold'
+      });
+
+      const limiar = await StationAlertService.salvarLimiar(req.params.code, req.body);
+      if (!limiar) {
+        return res.status(404).json({ error: 'Estação não encontrada', codigo: req.params.code });
+      }
+
+      res.json(limiar);
+    } catch (error) {
+      if (error.message?.startsWith(ERRO_LIMIAR)) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+
+  static async deleteThreshold(req, res, next) {
+    try {
+      const removido = await StationAlertService.removerLimiar(req.params.code);
+      if (!removido) {
+        return res.status(404).json({ error: 'Estação sem limiares', codigo: req.params.code });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // == Chuva acumulada ==
+
+  /**
+   * 🌧️ getRainfallAccumulated
+   *
+   * Chuva acumulada em 24 h, 72 h, 7 dias e 30 dias por estação e por município.
+   */
+  static async getRainfallAccumulated(req, res, next) {
+    try {
+      res.json(await RainfallService.acumulados());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 🗺️ getRainfallGrid
+   *
+   * Grade interpolada (IDW) do acumulado de uma janela, em GeoJSON (query: janela, resolucao).
+   */
+  static async getRainfallGrid(req, res, next) {
+    try {
+      debugLog('GET /ana/rainfall/grid', {
+        query: req.query,
+        origem: 'AnaController.getRainfallGrid'
+      });
+
+      const grade = await RainfallService.grade({
+        janela: req.query.janela,
+        resolucao: req.query.resolucao
+      });
+
+      AnaController.#enviarGeoJSON(res, grade);
+    } catch (error) {
+      if (error.message?.startsWith(ERRO_CHUVA)) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+
+  // == Privados ==
+
+  /**
+   * Formato pedido em `format` (json | geojson); responde 400 e retorna null se for outro.
+   * @private
+   */
+  static #formato(query, res) {
+    const formato = String(query?.format ?? 'json').trim().toLowerCase() || 'json';
+    if (FORMATOS.includes(formato)) return formato;
+
+    res.status(400).json({ error: `Formato inválido: "${formato}"`, formatosAceitos: FORMATOS });
+    return null;
+  }
+
+  static #enviarGeoJSON(res, geojson) {
+    res.set('Content-Type', 'application/geo+json; charset=utf-8');
+    res.send(JSON.stringify(geojson));
+  }
+
+  static #filtrosAplicados(query) {
+    return Object.fromEntries(
+      ['bacia', 'rio', 'municipio', 'operadora', 'tipo', 'uf']
+        .filter(nome => String(query[nome] ?? '').trim())
+        .map(nome => [nome, query[nome]])
+    );
+  }
 }
@@ -1,10 +1,212 @@
 // backend/apis/ana/routes/ana.routes.js
 
+import { debugLog } from "#backend_utils/debugLog.js";
+
 import { Router } from 'express';
 import { AnaController } from '#ana_controllers/AnaController.js';
+import { exigirPapel } from '#shared_middleware/auth.js';
+import { PAPEIS } from '#auth_services/AuthService.js';
+
+const ROUTE_PREFIX = '/api/ana';
+
+/**
+ * ANA Routes
+ * ----------
+ * Estações telemétricas da ANA (inventário e leituras do HidroWeb, servidas do arquivo local `AnaCache`).
+ * Prefixo de rota: /api/ana
+ *
+ * Endpoints:
+ *   GET    /stations          - Inventário de estações, com filtros (JSON ou GeoJSON)
+ *   GET    /stations/data     - Leituras das últimas 24 h de todas as estações
+ *   GET    /stations/:code    - Metadados de uma estação
+ *   GET    /stations/:code/series - Série temporal de nível, vazão ou chuva
+ *   GET    /alerts            - Estações com limiares agrupadas pela situação atual
+ *   GET    /thresholds        - Limiares cadastrados
+ *   GET    /thresholds/:code  - Limiares de uma estação
+ *   PUT    /thresholds/:code  - Cria ou substitui os limiares de uma estação
+ *   DELETE /thresholds/:code  - Remove os limiares de uma estação
+ *   GET    /rainfall/accumulated - Chuva acumulada por estação e por município
+ *   GET    /rainfall/grid     - Chuva acumulada interpolada em grade (GeoJSON)
+ *
+ * Exige autenticação; rotas que alteram limiares exigem papel analista ou comandante.
+ *
+ * Corpo dos limiares (ao menos um; cotas em ordem crescente):
+ *   {
+ *     "cotaAtencao": 450,          // cm
+ *     "cotaAlerta": 520,           // cm
+ *     "cotaTransbordamento": 600,  // cm
+ *     "vazaoMinima": 35            // m³/s — abaixo dela a estação fica em seca
+ *   }
+ */
 
 const router = Router();
 
+// Papéis que podem alterar limiares (admin sempre pode)
+const gestorDeLimiares = exigirPapel(PAPEIS.ANALISTA, PAPEIS.COMANDANTE);
+
+/**
+ * 📋 GET /ana/stations
+ *
+ * Filtros (opcionais, sem distinção de caixa ou acento):
+ * - bacia: parte do nome da bacia (ex: "amazonas", "paraná")
+ * - rio: parte do nome do rio (ex: "teles pires")
+ * - municipio: nome do município (ex: "Cáceres")
+ * - operadora: sigla da operadora (ex: "SEMA-MT")
+ * - tipo: fluviometrica | pluviometrica | hidrologica
+ * - uf: UF da estação (ex: "MT")
+ * - format: json (padrão, { metadados, dados }) | geojson (FeatureCollection de pontos)
+ */
+router.get('/stations', AnaController.listStations);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/stations`,
+  controller: 'listStations'
+});
+
+/**
+ * 🌊 GET /ana/stations/data
+ *
+ * Leituras das últimas 24 h de todas as estações do inventário, lidas do arquivo local
+ * (sincronizado com o HidroWeb pela tarefa "ana" — status em /api/system/jobs).
+ * Registrada antes de /stations/:code para que "data" não seja lido como código.
+ */
 router.get('/stations/data', AnaController.getAllStationData);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/stations/data`,
+  controller: 'getAllStationData'
+});
+
+/**
+ * 🔑 GET /ana/stations/:code
+ *
+ * Metadados da estação (código ANA, ex: 15043000). `format=geojson` responde uma Feature.
+ */
+router.get('/stations/:code', AnaController.getStation);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/stations/:code`,
+  controller: 'getStation'
+});
+
+/**
+ * 📈 GET /ana/stations/:code/series
+ *
+ * Query:
+ * - from / to: período (YYYY-MM-DD; padrão: últimos 7 dias; máximo 366 dias)
+ *   `from` até ANA_SERIE_DIAS_RETROATIVOS dias atrás (padrão 366); períodos mais antigos retornam 400
+ * - var: nivel (cm, padrão) | vazao (m³/s) | chuva (mm)
+ *
+ * Resposta: { estacao, variavel, unidade, periodo, total, serie: [{ dataHora, valor }] }, em ordem cronológica.
+ */
+router.get('/stations/:code/series', AnaController.getStationSeries);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/stations/:code/series`,
+  controller: 'getStationSeries'
+});
+
+/**
+ * 🚨 GET /ana/alerts
+ *
+ * Avalia a cota e a vazão mais recentes (últimas 24 h, ANA_ALERTA_HORAS_VALIDADE) de cada estação com limiares.
+ *
+ * Resposta: { avaliadoEm, horasValidade, totais: { transbordamento, alerta, atencao, seca, normal, semDados },
+ *   estacoes: { <estado>: [{ codigo, nome, rio, municipio, latitude, longitude, cota, vazao, limiares }] } }
+ */
+router.get('/alerts', AnaController.getAlerts);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/alerts`,
+  controller: 'getAlerts'
+});
+
+/**
+ * 📏 GET /ana/thresholds
+ *
+ * Lista os limiares cadastrados.
+ */
+router.get('/thresholds', AnaController.listThresholds);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/thresholds`,
+  controller: 'listThresholds'
+});
+
+/**
+ * 🔎 GET /ana/thresholds/:code
+ *
+ * Limiares de uma estação (404 se não houver).
+ */
+router.get('/thresholds/:code', AnaController.getThreshold);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/thresholds/:code`,
+  controller: 'getThreshold'
+});
+
+/**
+ * 💾 PUT /ana/thresholds/:code
+ *
+ * Cria ou substitui os limiares (corpo descrito acima); campos ausentes deixam de ser avaliados.
+ * Valores inválidos retornam 400; estação fora do inventário, 404.
+ */
+router.put('/thresholds/:code', gestorDeLimiares, AnaController.putThreshold);
+debugLog('Registrando endpoint', {
+  method: 'PUT',
+  endpoint: `${ROUTE_PREFIX}/thresholds/:code`,
+  controller: 'putThreshold'
+});
+
+/**
+ * 🗑️ DELETE /ana/thresholds/:code
+ *
+ * Remove os limiares da estação.
+ */
+router.delete('/thresholds/:code', gestorDeLimiares, AnaController.deleteThreshold);
+debugLog('Registrando endpoint', {
+  method: 'DELETE',
+  endpoint: `${ROUTE_PREFIX}/thresholds/:code`,
+  controller: 'deleteThreshold'
+});
+
+/**
+ * 🌧️ GET /ana/rainfall/accumulated
+ *
+ * Soma das leituras de chuva do arquivo local em janelas móveis que terminam agora: 24h, 72h, 7d e 30d.
+ * O município de cada estação vem da malha da região; o acumulado do município é a média das suas estações.
+ *
+ * Resposta: { metadados: { referencia, unidade, janelas, totalEstacoes, totalMunicipios },
+ *   estacoes: [{ codigo, nome, municipio, comandoRegional, latitude, longitude, acumulados: { 24h, 72h, 7d, 30d } }],
+ *   municipios: [{ municipio, comandoRegional, estacoes, acumulados }] } — valores em mm, null sem leituras
+ */
+router.get('/rainfall/accumulated', AnaController.getRainfallAccumulated);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/rainfall/accumulated`,
+  controller: 'getRainfallAccumulated'
+});
+
+/**
+ * 🗺️ GET /ana/rainfall/grid
+ *
+ * Acumulado interpolado por IDW sobre as estações, em células quadradas recortadas pela área de interesse.
+ *
+ * Query:
+ * - janela: 24h (padrão) | 72h | 7d | 30d
+ * - resolucao: lado da célula em graus (0.05 a 1; padrão 0.1, ANA_CHUVA_RESOLUCAO)
+ *
+ * Resposta: FeatureCollection de polígonos com properties { chuvaMm, estacoes } e `metadados`.
+ * Células sem estação a até ANA_CHUVA_RAIO_KM (padrão 100 km) ficam de fora.
+ */
+router.get('/rainfall/grid', AnaController.getRainfallGrid);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/rainfall/grid`,
+  controller: 'getRainfallGrid'
+});
 
+/**
+ * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
+ */
 export default router;
@@ -0,0 +1,321 @@
+// FILE_PATH: backend/apis/ana/services/AnaArchiveService.js
+
+/**
+ * 🗄️ Arquivo local das leituras telemétricas da ANA.
+ *
+ * A sincronização agendada (ver `AnaSyncJob`) baixa de cada estação do inventário apenas as leituras
+ * posteriores à última já arquivada no `AnaCache`; os endpoints da ANA leem desse arquivo em vez de
+ * consultar o HidroWeb a cada requisição. Períodos anteriores ao que o arquivo cobre são baixados sob demanda.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import { authenticateHidroweb, getCachedToken } from '#ana_services/hidrowebAuth.js';
+import { fetchStationData } from '#ana_services/hidrowebStationData.js';
+import { loadStationInventory } from '#ana_services/AnaFetcher.js';
+
+/**
+ * 🌊 AnaCache
+ *
+ * Persistência SQLite das leituras (uma por estação e `Data_Hora_Medicao`) e do controle de sincronização.
+ */
+import AnaCache from '#shared_cache_ana/AnaCache.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * ⚙️ ANA_SYNC_CONFIG
+ *
+ * - INTERVALO_MS: intervalo entre sincronizações (ANA_SYNC_INTERVAL_MIN, padrão 15 min)
+ * - DIAS_INICIAIS: dias baixados na primeira sincronização de uma estação (ANA_SYNC_DIAS_INICIAIS, padrão 30,
+ *   o suficiente para o acumulado mensal de chuva)
+ * - ESTACOES_POR_LOTE: consultas simultâneas ao HidroWeb
+ * - HORAS_RECENTES: janela das leituras de GET /api/ana/stations/data
+ * - HORAS_DESATUALIZADA: estação cuja leitura mais recente é mais antiga que isso é contada como desatualizada
+ * - FUSO_LEITURAS: fuso de `Data_Hora_Medicao` (horário de Brasília, sem horário de verão)
+ */
+export const ANA_SYNC_CONFIG = {
+  // eslint-disable-next-line no-undef
+  INTERVALO_MS: (Number(process.env.ANA_SYNC_INTERVAL_MIN) || 15) * 60 * 1000,
+  // eslint-disable-next-line no-undef
+  DIAS_INICIAIS: Number(process.env.ANA_SYNC_DIAS_INICIAIS) || 30,
+  ESTACOES_POR_LOTE: 5,
+  HORAS_RECENTES: 24,
+  HORAS_DESATUALIZADA: 5,
+  FUSO_LEITURAS: '-03:00'
+};
+
+/**
+ * 📏 INTERVALOS_BUSCA
+ *
+ * Valores de `Range Intervalo de busca` do HidroWeb usados nas consultas, do menor para o maior.
+ * Cada consulta cobre `dias` dias terminando na data de busca; períodos maiores que o último são paginados.
+ */
+const INTERVALOS_BUSCA = [
+  { nome: 'HORA_24', dias: 1 },
+  { nome: 'DIAS_2', dias: 2 },
+  { nome: 'DIAS_7', dias: 7 },
+  { nome: 'DIAS_14', dias: 14 },
+  { nome: 'DIAS_21', dias: 21 },
+  { nome: 'DIAS_30', dias: 30 }
+];
+
+const FORMATO_DATA_HORA = 'YYYY-MM-DD HH:mm:ss';
+
+/**
+ * 🗄️ AnaArchiveService
+ *
+ * Sincronização incremental do arquivo e leitura das leituras arquivadas.
+ * Todos os métodos são estáticos, no mesmo padrão dos demais serviços da API.
+ */
+export default class AnaArchiveService {
+  static #sincronizacaoEmAndamento = null;
+  static #coberturasEmAndamento = new Map();
+
+  // == Funções Públicas ==
+
+  /**
+   * 🔄 sincronizar
+   *
+   * Baixa, para cada estação do inventário, as leituras desde a última arquivada (ou dos últimos
+   * `DIAS_INICIAIS` dias, se a estação ainda não tem leituras). Falhas de uma estação ficam registradas
+   * no controle de sincronização e não interrompem as demais. Chamadas concorrentes reaproveitam a
+   * sincronização em andamento.
+   *
+   * @returns {Promise<{ estacoes: number, comNovasLeituras: number, novas: number, atualizadas: number, falhas: number, duracaoMs: number }>}
+   */
+  static sincronizar() {
+    if (this.#sincronizacaoEmAndamento) return this.#sincronizacaoEmAndamento;
+
+    this.#sincronizacaoEmAndamento = this.#executarSincronizacao()
+      .finally(() => { this.#sincronizacaoEmAndamento = null; });
+
+    return this.#sincronizacaoEmAndamento;
+  }
+
+  /**
+   * 📥 garantirCobertura
+   *
+   * Garante que o arquivo tem as leituras da estação de `inicio` a `fim`: baixa do HidroWeb, antes de responder,
+   * só o trecho do período anterior ao que o arquivo já cobre. A cobertura registrada é um trecho contínuo
+   * até hoje e só recua quando o download emenda nela; períodos soltos mais antigos são baixados a cada pedido.
+   * Pedidos simultâneos da mesma estação esperam o download em andamento e reavaliam o que falta.
+   *
+   * @param {string} codigo - Código da estação
+   * @param {string} inicio - Primeiro dia necessário (YYYY-MM-DD)
+   * @param {string} [fim=hoje] - Último dia necessário (YYYY-MM-DD)
+   * @returns {Promise<{ baixadas: number }>} Quantidade de leituras recebidas do HidroWeb (0 se já estava coberto)
+   */
+  static async garantirCobertura(codigo, inicio, fim = this.hoje()) {
+    const emAndamento = this.#coberturasEmAndamento.get(codigo);
+    if (emAndamento) {
+      await emAndamento.catch(() => {});
+      return this.garantirCobertura(codigo, inicio, fim);
+    }
+
+    const download = this.#ampliarCobertura(codigo, inicio, fim)
+      .finally(() => { this.#coberturasEmAndamento.delete(codigo); });
+    this.#coberturasEmAndamento.set(codigo, download);
+    return download;
+  }
+
+  /**
+   * 🕒 leiturasRecentes
+   *
+   * Leituras arquivadas das últimas `HORAS_RECENTES` horas de todas as estações, com o resumo por estação.
+   *
+   * @param {Date} [agora=new Date()]
+   * @returns {Promise<{ meta: Object, dados: Array<Object> }>} `meta`: totalEstacoesConsultadas, comDados,
+   *   semDados, desatualizadas, ultimaSincronizacao e timestamp; `dados`: leituras no formato do HidroWeb
+   */
+  static async leiturasRecentes(agora = new Date()) {
+    const local = dayjs.utc(agora).utcOffset(ANA_SYNC_CONFIG.FUSO_LEITURAS);
+    const desde = local.subtract(ANA_SYNC_CONFIG.HORAS_RECENTES, 'hour').format(FORMATO_DATA_HORA);
+    const limiteAtualizada = local.subtract(ANA_SYNC_CONFIG.HORAS_DESATUALIZADA, 'hour').format(FORMATO_DATA_HORA);
+
+    const [inventario, dados, resumo] = await Promise.all([
+      loadStationInventory(),
+      AnaCache.leiturasDesde(desde),
+      AnaCache.resumo()
+    ]);
+
+    // Leituras vêm da mais recente para a mais antiga dentro de cada estação
+    const maisRecente = new Map();
+    for (const leitura of dados) {
+      if (!maisRecente.has(leitura.codigoestacao)) maisRecente.set(leitura.codigoestacao, leitura.Data_Hora_Medicao);
+    }
+    const desatualizadas = [...maisRecente.values()].filter(dataHora => dataHora < limiteAtualizada).length;
+
+    return {
+      meta: {
+        totalEstacoesConsultadas: inventario.length,
+        comDados: maisRecente.size,
+        semDados: inventario.length - maisRecente.size,
+        desatualizadas,
+        ultimaSincronizacao: resumo.ultimaSincronizacao,
+        timestamp: agora.toISOString()
+      },
+      dados
+    };
+  }
+
+  /**
+   * 📊 status
+   *
+   * @returns {Promise<Object>} Resumo do arquivo (ver `AnaCache.resumo`) e se há sincronização em andamento
+   */
+  static async status() {
+    return {
+      ...await AnaCache.resumo(),
+      sincronizando: Boolean(this.#sincronizacaoEmAndamento)
+    };
+  }
+
+  /**
+   * 📅 hoje
+   *
+   * @param {Date} [agora=new Date()]
+   * @returns {string} Data atual no horário de Brasília (YYYY-MM-DD)
+   */
+  static hoje(agora = new Date()) {
+    return dayjs.utc(agora).utcOffset(ANA_SYNC_CONFIG.FUSO_LEITURAS).format('YYYY-MM-DD');
+  }
+
+  // == Privados ==
+
+  static async #ampliarCobertura(codigo, inicio, fim) {
+    const { coberturaInicio } = await AnaCache.sincronizacao(codigo) ?? {};
+    if (coberturaInicio && coberturaInicio <= inicio) return { baixadas: 0 };
+
+    const antesDaCobertura = coberturaInicio
+      ? dayjs.utc(coberturaInicio).subtract(1, 'day').format('YYYY-MM-DD')
+      : this.hoje();
+    const ate = [fim, antesDaCobertura].sort()[0];
+    if (ate < inicio) return { baixadas: 0 };
+
+    const leituras = await this.#baixar(codigo, inicio, ate);
+    await AnaCache.inserirLeituras(leituras);
+
+    const emendou = ate === antesDaCobertura;
+    if (emendou) await AnaCache.registrarSincronizacao(codigo, { coberturaInicio: inicio });
+
+    debugLog('Cobertura do arquivo ANA ampliada', {
+      codigo,
+      inicio,
+      fim: ate,
+      leituras: leituras.length,
+      emendou,
+      origem: 'AnaArchiveService.garantirCobertura'
+    });
+
+    return { baixadas: leituras.length };
+  }
+
+  static async #executarSincronizacao() {
+    const inicio = Date.now();
+    const hoje = this.hoje();
+    const primeiroDia = dayjs.utc(hoje).subtract(ANA_SYNC_CONFIG.DIAS_INICIAIS - 1, 'day').format('YYYY-MM-DD');
+
+    const [inventario, ultimas, sincronizacoes] = await Promise.all([
+      loadStationInventory(),
+      AnaCache.ultimasLeituras(),
+      AnaCache.sincronizacoes()
+    ]);
+    const codigos = inventario.map(estacao => estacao.codigoestacao).filter(Boolean);
+    const resumo = { estacoes: codigos.length, comNovasLeituras: 0, novas: 0, atualizadas: 0, falhas: 0 };
+
+    for (let i = 0; i < codigos.length; i += ANA_SYNC_CONFIG.ESTACOES_POR_LOTE) {
+      const lote = codigos.slice(i, i + ANA_SYNC_CONFIG.ESTACOES_POR_LOTE);
+
+      const resultados = await Promise.allSettled(lote.map(async codigo => {
+        const incremental = this.#inicioIncremental(ultimas.get(codigo), sincronizacoes.get(codigo)) ?? primeiroDia;
+        const desde = incremental < hoje ? incremental : hoje;
+
+        const leituras = await this.#baixar(codigo, desde, hoje);
+        const gravadas = await AnaCache.inserirLeituras(leituras);
+        await AnaCache.registrarSincronizacao(codigo, { coberturaInicio: desde });
+        return gravadas;
+      }));
+
+      for (const [indice, resultado] of resultados.entries()) {
+        if (resultado.status === 'fulfilled') {
+          const { novas, atualizadas } = resultado.value;
+          resumo.novas += novas;
+          resumo.atualizadas += atualizadas;
+          if (novas) resumo.comNovasLeituras++;
+          continue;
+        }
+
+        resumo.falhas++;
+        debugLog('Falha ao sincronizar estação ANA', {
+          codigo: lote[indice],
+          erro: resultado.reason?.message,
+          origem: 'AnaArchiveService.sincronizar'
+        });
+        await AnaCache.registrarSincronizacao(lote[indice], { erro: resultado.reason?.message ?? 'Erro desconhecido' });
+      }
+    }
+
+    const concluido = { ...resumo, duracaoMs: Date.now() - inicio };
+    debugLog('Arquivo ANA sincronizado', { ...concluido, origem: 'AnaArchiveService.sincronizar' });
+    return concluido;
+  }
+
+  /**
+   * Dia a partir do qual a estação é baixada de novo: o da última leitura arquivada ou, para estação que
+   * ainda não transmitiu nada, o da última sincronização bem-sucedida. null se a estação nunca foi sincronizada.
+   * @private
+   */
+  static #inicioIncremental(ultimaLeitura, sincronizacao) {
+    if (ultimaLeitura) return ultimaLeitura.slice(0, 10);
+    if (sincronizacao?.ultimaSincronizacao && !sincronizacao.ultimoErro) {
+      return this.hoje(new Date(sincronizacao.ultimaSincronizacao));
+    }
+    return null;
+  }
+
+  /**
+   * Baixa as leituras de `inicio` a `fim` (inclusivos), do fim para o início, usando em cada consulta
+   * o menor intervalo do HidroWeb que cobre os dias restantes.
+   * @private
+   */
+  static async #baixar(codigo, inicio, fim) {
+    const leituras = [];
+    const limite = dayjs.utc(inicio);
+
+    for (let dataBusca = dayjs.utc(fim); !dataBusca.isBefore(limite);) {
+      const diasRestantes = dataBusca.diff(limite, 'day') + 1;
+      const intervalo = INTERVALOS_BUSCA.find(({ dias }) => dias >= diasRestantes) ?? INTERVALOS_BUSCA.at(-1);
+
+      const resposta = await this.#consultar({
+        station_code: codigo,
+        filtro_data: 'DATA_LEITURA',
+        data_busca: dataBusca.format('YYYY-MM-DD'),
+        intervalo_busca: intervalo.nome
+      });
+      leituras.push(...(resposta?.items ?? []));
+
+      dataBusca = dataBusca.subtract(intervalo.dias, 'day');
+    }
+
+    return leituras;
+  }
+
+  /**
+   * Consulta o HidroWeb com o token em cache; com token expirado autentica de novo uma vez e repete.
+   * @private
+   */
+  static async #consultar(consulta) {
+    const token = getCachedToken() ?? await authenticateHidroweb();
+
+    try {
+      return await fetchStationData(token, consulta);
+    } catch (error) {
+      if (!error.message.includes('(401)')) throw error;
+      return fetchStationData(await authenticateHidroweb(), consulta);
+    }
+  }
+}
@@ -1,10 +1,28 @@
 // FILE: backend/apis/ana/services/AnaFetcher.js
 
 import fs from 'fs/promises';
-import path from 'path';
 
-export async function loadStationInventory() {
-  const filePath = path.resolve('data', 'inventario_estacoes.json');
-  const data = await fs.readFile(filePath, 'utf-8');
-  return JSON.parse(data);
+// Inventário das estações telemétricas da ANA no MT (exportado do HidroWeb)
+const INVENTARIO_URL = new URL('../inventario/inventario_estacoes.json', import.meta.url);
+
+let inventarioCache = null;
+
+/**
+ * 📥 loadStationInventory
+ *
+ * Lê o inventário de estações (`apis/ana/inventario/inventario_estacoes.json`) uma única vez.
+ * Uma falha de leitura não fica em cache: a próxima chamada tenta de novo.
+ *
+ * @returns {Promise<Array<Object>>} Estações no formato do HidroWeb (Estacao_Nome, codigoestacao, Bacia_Nome...)
+ */
+export function loadStationInventory() {
+  if (!inventarioCache) {
+    inventarioCache = fs.readFile(INVENTARIO_URL, 'utf-8')
+      .then(data => JSON.parse(data))
+      .catch(error => {
+        inventarioCache = null;
+        throw error;
+      });
+  }
+  return inventarioCache;
 }
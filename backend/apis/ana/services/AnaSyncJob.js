@@ -0,0 +1,30 @@
+// FILE_PATH: backend/apis/ana/services/AnaSyncJob.js
+
+/**
+ * 🔁 Tarefa agendada de sincronização do arquivo local de leituras da ANA (ver `AnaArchiveService`).
+ */
+
+import AnaArchiveService, { ANA_SYNC_CONFIG } from '#ana_services/AnaArchiveService.js';
+
+/**
+ * 🔁 AnaSyncJob
+ *
+ * Monta a definição da tarefa "ana" para o `JobScheduler`.
+ */
+export default class AnaSyncJob {
+  static NOME = 'ana';
+
+  /**
+   * 🧩 definicao
+   *
+   * @returns {Object} Definição aceita por `JobScheduler.registrar`
+   */
+  static definicao() {
+    return {
+      nome: this.NOME,
+      descricao: 'Baixa do HidroWeb as leituras telemétricas posteriores às já arquivadas de cada estação',
+      intervaloMs: ANA_SYNC_CONFIG.INTERVALO_MS,
+      executar: () => AnaArchiveService.sincronizar()
+    };
+  }
+}
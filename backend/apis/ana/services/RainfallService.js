@@ -0,0 +1,300 @@
+// FILE_PATH: backend/apis/ana/services/RainfallService.js
+
+/**
+ * 🌧️ Chuva acumulada das estações da ANA.
+ *
+ * Soma as leituras de `Chuva_Adotada` do arquivo local (`AnaCache`) em janelas móveis que terminam agora,
+ * por estação e por município, e interpola os acumulados numa grade regular (IDW) recortada pela área de interesse.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import { ANA_SYNC_CONFIG } from '#ana_services/AnaArchiveService.js';
+import StationService from '#ana_services/StationService.js';
+
+import AnaCache from '#shared_cache_ana/AnaCache.js';
+import { REGIAO_CONFIG } from '#shared_config/regiao.js';
+
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+import IndiceEspacial from '#geo_utils/IndiceEspacial.js';
+import { loadGeoJson, computeBbox } from '#firms_utils/geospatial.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * 🚫 ERRO_CHUVA
+ *
+ * Prefixo das mensagens de validação de parâmetros (tratadas como 400 pelo AnaController).
+ */
+export const ERRO_CHUVA = 'Parâmetro de chuva inválido';
+
+/**
+ * 🕒 JANELAS_CHUVA
+ *
+ * Janelas de acumulado em horas, todas terminando no momento da consulta. O acumulado mensal é de 30 dias móveis.
+ */
+export const JANELAS_CHUVA = {
+  '24h': 24,
+  '72h': 72,
+  '7d': 7 * 24,
+  '30d': 30 * 24
+};
+
+/**
+ * ⚙️ CHUVA_CONFIG
+ *
+ * - RESOLUCAO_GRAUS: lado padrão das células da grade (ANA_CHUVA_RESOLUCAO, padrão 0.1°)
+ * - RESOLUCAO_MIN / RESOLUCAO_MAX: limites aceitos em `resolucao`
+ * - POTENCIA_IDW: expoente do inverso da distância
+ * - RAIO_KM: só estações até essa distância do centro da célula entram na interpolação;
+ *   células sem nenhuma ficam de fora da grade (ANA_CHUVA_RAIO_KM, padrão 100 km)
+ */
+export const CHUVA_CONFIG = {
+  // eslint-disable-next-line no-undef
+  RESOLUCAO_GRAUS: Number(process.env.ANA_CHUVA_RESOLUCAO) || 0.1,
+  RESOLUCAO_MIN: 0.05,
+  RESOLUCAO_MAX: 1,
+  POTENCIA_IDW: 2,
+  // eslint-disable-next-line no-undef
+  RAIO_KM: Number(process.env.ANA_CHUVA_RAIO_KM) || 100
+};
+
+const RAIO_TERRA_KM = 6371;
+
+/**
+ * 🌧️ RainfallService
+ */
+export default class RainfallService {
+  static #area = null;
+
+  /**
+   * 📊 acumulados
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.agora=new Date()] - Fim das janelas
+   * @returns {Promise<Object>} { metadados: { referencia, unidade, janelas, totalEstacoes, totalMunicipios },
+   *   estacoes: [{ codigo, nome, municipio, comandoRegional, latitude, longitude, acumulados }],
+   *   municipios: [{ municipio, comandoRegional, estacoes, acumulados }] }
+   *   `acumulados` é { [janela]: mm|null }; no município é a média das estações com leitura na janela
+   */
+  static async acumulados({ agora = new Date() } = {}) {
+    const estacoes = await this.#acumuladosPorEstacao(agora);
+
+    const porMunicipio = new Map();
+    for (const estacao of estacoes) {
+      if (!estacao.municipio) continue;
+      if (!porMunicipio.has(estacao.municipio)) {
+        porMunicipio.set(estacao.municipio, { municipio: estacao.municipio, comandoRegional: estacao.comandoRegional, lista: [] });
+      }
+      porMunicipio.get(estacao.municipio).lista.push(estacao);
+    }
+
+    const municipios = [...porMunicipio.values()]
+      .map(({ municipio, comandoRegional, lista }) => ({
+        municipio,
+        comandoRegional,
+        estacoes: lista.length,
+        acumulados: Object.fromEntries(Object.keys(JANELAS_CHUVA).map(janela => {
+          const valores = lista.map(({ acumulados }) => acumulados[janela]).filter(valor => valor !== null);
+          return [janela, valores.length ? arredondar(valores.reduce((soma, valor) => soma + valor, 0) / valores.length) : null];
+        }))
+      }))
+      .sort((a, b) => a.municipio.localeCompare(b.municipio, 'pt-BR'));
+
+    debugLog('Chuva acumulada calculada', {
+      estacoes: estacoes.length,
+      municipios: municipios.length,
+      origem: 'RainfallService.acumulados'
+    });
+
+    return {
+      metadados: {
+        referencia: agora.toISOString(),
+        unidade: 'mm',
+        janelas: JANELAS_CHUVA,
+        totalEstacoes: estacoes.length,
+        totalMunicipios: municipios.length
+      },
+      estacoes,
+      municipios
+    };
+  }
+
+  /**
+   * 🗺️ grade
+   *
+   * Interpola o acumulado de uma janela numa grade regular por IDW (inverso do quadrado da distância),
+   * usando as estações até `RAIO_KM` do centro de cada célula. Só entram células com centro na área de interesse.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.janela='24h'] - Uma das chaves de JANELAS_CHUVA
+   * @param {number|string} [options.resolucao] - Lado da célula em graus (padrão `RESOLUCAO_GRAUS`)
+   * @param {Date} [options.agora=new Date()]
+   * @returns {Promise<Object>} FeatureCollection de polígonos com `properties: { chuvaMm, estacoes }`
+   *   e `metadados: { referencia, janela, horas, resolucao, unidade, estacoes, celulas }`
+   * @throws {Error} `${ERRO_CHUVA}: ...` se a janela ou a resolução forem inválidas
+   */
+  static async grade({ janela = '24h', resolucao, agora = new Date() } = {}) {
+    const passo = this.validarGrade({ janela, resolucao });
+
+    const pontos = (await this.#acumuladosPorEstacao(agora))
+      .filter(estacao => estacao.acumulados[janela] !== null)
+      .map(({ latitude, longitude, acumulados }) => ({ latitude, longitude, valor: acumulados[janela] }));
+
+    const { indice, bbox: [oeste, sul, leste, norte] } = this.#areaDeInteresse();
+    const features = [];
+
+    if (pontos.length) {
+      const [colunas, linhas] = [Math.ceil((leste - oeste) / passo), Math.ceil((norte - sul) / passo)];
+
+      for (let linha = 0; linha < linhas; linha++) {
+        for (let coluna = 0; coluna < colunas; coluna++) {
+          const [lon, lat] = [oeste + coluna * passo, sul + linha * passo];
+          const centro = [lon + passo / 2, lat + passo / 2];
+          if (!indice.buscar(centro[0], centro[1])) continue;
+
+          const estimativa = interpolar(pontos, centro);
+          if (!estimativa) continue;
+
+          features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [celula(lon, lat, passo)] },
+            properties: { chuvaMm: estimativa.valor, estacoes: estimativa.estacoes }
+          });
+        }
+      }
+    }
+
+    debugLog('Grade de chuva interpolada', {
+      janela,
+      resolucao: passo,
+      estacoes: pontos.length,
+      celulas: features.length,
+      origem: 'RainfallService.grade'
+    });
+
+    return {
+      type: 'FeatureCollection',
+      metadados: {
+        referencia: agora.toISOString(),
+        janela,
+        horas: JANELAS_CHUVA[janela],
+        resolucao: passo,
+        unidade: 'mm',
+        estacoes: pontos.length,
+        celulas: features.length
+      },
+      features
+    };
+  }
+
+  /**
+   * ✅ validarGrade
+   *
+   * @returns {number} Resolução em graus
+   * @throws {Error} `${ERRO_CHUVA}: ...`
+   */
+  static validarGrade({ janela, resolucao }) {
+    if (!Object.hasOwn(JANELAS_CHUVA, janela)) {
+      throw new Error(`${ERRO_CHUVA}: janela deve ser uma de ${Object.keys(JANELAS_CHUVA).join(', ')}`);
+    }
+
+    if (resolucao === undefined || resolucao === null || resolucao === '') return CHUVA_CONFIG.RESOLUCAO_GRAUS;
+
+    const passo = Number(resolucao);
+    if (!Number.isFinite(passo) || passo < CHUVA_CONFIG.RESOLUCAO_MIN || passo > CHUVA_CONFIG.RESOLUCAO_MAX) {
+      throw new Error(`${ERRO_CHUVA}: resolucao deve estar entre ${CHUVA_CONFIG.RESOLUCAO_MIN} e ${CHUVA_CONFIG.RESOLUCAO_MAX} graus`);
+    }
+    return passo;
+  }
+
+  /**
+   * Acumulados de cada estação do inventário com coordenadas e alguma leitura de chuva nas janelas.
+   * O município vem da malha da região; fora dela (ou sem match), do inventário da ANA.
+   * @private
+   */
+  static async #acumuladosPorEstacao(agora) {
+    const fim = dayjs.utc(agora).utcOffset(ANA_SYNC_CONFIG.FUSO_LEITURAS);
+    const inicios = Object.fromEntries(Object.entries(JANELAS_CHUVA).map(([janela, horas]) => [
+      janela,
+      fim.subtract(horas, 'hour').add(1, 'second').format('YYYY-MM-DD HH:mm:ss')
+    ]));
+
+    const somas = await AnaCache.acumularChuva(inicios, fim.format('YYYY-MM-DD HH:mm:ss'));
+
+    const estacoes = (await StationService.listAllStations())
+      .filter(estacao => somas.has(estacao.codigoestacao))
+      .map(estacao => StationService.formatar(estacao))
+      .filter(({ latitude, longitude }) => Number.isFinite(latitude) && Number.isFinite(longitude));
+
+    const localizacoes = GeoMunicipalityMatcher.localizarEmLote(estacoes);
+
+    return estacoes.map((estacao, i) => ({
+      codigo: estacao.codigo,
+      nome: estacao.nome,
+      municipio: localizacoes[i]?.municipio ?? estacao.municipio?.toUpperCase() ?? null,
+      comandoRegional: localizacoes[i]?.comandoRegional ?? null,
+      latitude: estacao.latitude,
+      longitude: estacao.longitude,
+      acumulados: Object.fromEntries(Object.keys(JANELAS_CHUVA).map(janela => {
+        const { soma = null } = somas.get(estacao.codigo)[janela] ?? {};
+        return [janela, soma === null ? null : arredondar(soma)];
+      }))
+    }));
+  }
+
+  /**
+   * Polígono da área de interesse (REGIAO_CONFIG.AOI_GEOJSON) indexado, carregado uma vez.
+   * @private
+   */
+  static #areaDeInteresse() {
+    if (!this.#area) {
+      const geojson = loadGeoJson(REGIAO_CONFIG.AOI_GEOJSON);
+      const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+      this.#area = { indice: new IndiceEspacial(features), bbox: computeBbox(geojson) };
+    }
+    return this.#area;
+  }
+}
+
+// == Helpers ==
+
+function interpolar(pontos, [lon, lat]) {
+  let pesos = 0;
+  let soma = 0;
+  let estacoes = 0;
+
+  for (const ponto of pontos) {
+    const distancia = distanciaKm(lat, lon, ponto.latitude, ponto.longitude);
+    if (distancia > CHUVA_CONFIG.RAIO_KM) continue;
+    // Estação no centro da célula: usa o valor dela
+    if (distancia < 0.01) return { valor: ponto.valor, estacoes: 1 };
+
+    const peso = 1 / distancia ** CHUVA_CONFIG.POTENCIA_IDW;
+    pesos += peso;
+    soma += peso * ponto.valor;
+    estacoes++;
+  }
+
+  return estacoes ? { valor: arredondar(soma / pesos), estacoes } : null;
+}
+
+function distanciaKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * RAIO_TERRA_KM * Math.asin(Math.sqrt(a));
+}
+
+function celula(lon, lat, passo) {
+  const [x1, y1, x2, y2] = [lon, lat, lon + passo, lat + passo].map(valor => Number(valor.toFixed(6)));
+  return [[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]];
+}
+
+function arredondar(valor) {
+  return Math.round(valor * 10) / 10;
+}
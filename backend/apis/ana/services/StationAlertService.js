@@ -0,0 +1,225 @@
+// FILE_PATH: backend/apis/ana/services/StationAlertService.js
+
+/**
+ * 🚨 Limiares de nível e vazão por estação e situação hidrológica atual.
+ *
+ * Cada estação pode ter cotas de atenção, alerta e transbordamento (cm) e uma vazão mínima (m³/s, seca).
+ * A avaliação compara esses limiares com a cota e a vazão mais recentes do arquivo local (`AnaCache`).
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import { ANA_SYNC_CONFIG } from '#ana_services/AnaArchiveService.js';
+import StationService from '#ana_services/StationService.js';
+
+import AnaCache from '#shared_cache_ana/AnaCache.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * 🚫 ERRO_LIMIAR
+ *
+ * Prefixo das mensagens de validação de limiares (tratadas como 400 pelo AnaController).
+ */
+export const ERRO_LIMIAR = 'Limiar de estação inválido';
+
+/**
+ * 🚦 ESTADOS_HIDRO
+ *
+ * Situação da estação, da mais grave para a menos grave. Cada estação fica em um único estado:
+ * o nível (transbordamento > alerta > atenção) prevalece sobre a seca (vazão abaixo da mínima).
+ * `semDados`: nenhuma leitura recente da grandeza com limiar configurado.
+ */
+export const ESTADOS_HIDRO = {
+  TRANSBORDAMENTO: 'transbordamento',
+  ALERTA: 'alerta',
+  ATENCAO: 'atencao',
+  SECA: 'seca',
+  NORMAL: 'normal',
+  SEM_DADOS: 'semDados'
+};
+
+/**
+ * ⚙️ LIMIAR_CONFIG
+ *
+ * - HORAS_VALIDADE: leituras mais antigas que isso não são avaliadas (ANA_ALERTA_HORAS_VALIDADE, padrão 24 h)
+ */
+export const LIMIAR_CONFIG = {
+  // eslint-disable-next-line no-undef
+  HORAS_VALIDADE: Number(process.env.ANA_ALERTA_HORAS_VALIDADE) || 24
+};
+
+// Cotas em ordem crescente de gravidade
+const COTAS = [
+  { campo: 'cotaAtencao', estado: ESTADOS_HIDRO.ATENCAO },
+  { campo: 'cotaAlerta', estado: ESTADOS_HIDRO.ALERTA },
+  { campo: 'cotaTransbordamento', estado: ESTADOS_HIDRO.TRANSBORDAMENTO }
+];
+
+const CAMPOS_LIMIAR = [...COTAS.map(({ campo }) => campo), 'vazaoMinima'];
+
+/**
+ * 🚨 StationAlertService
+ *
+ * Cadastro dos limiares e avaliação das estações.
+ */
+export default class StationAlertService {
+
+  // == Limiares ==
+
+  static async listarLimiares() {
+    return AnaCache.listarLimiares();
+  }
+
+  static async buscarLimiar(codigo) {
+    return AnaCache.getLimiar(String(codigo).trim());
+  }
+
+  /**
+   * 💾 salvarLimiar
+   *
+   * Cria ou substitui os limiares da estação: campos ausentes (ou null) deixam de ser avaliados.
+   *
+   * @param {string} codigo - Código da estação
+   * @param {Object} dados - Corpo da requisição
+   * @param {number} [dados.cotaAtencao] - Cota de atenção (cm)
+   * @param {number} [dados.cotaAlerta] - Cota de alerta (cm)
+   * @param {number} [dados.cotaTransbordamento] - Cota de transbordamento (cm)
+   * @param {number} [dados.vazaoMinima] - Vazão mínima (m³/s); abaixo dela a estação fica em seca
+   * @returns {Promise<Object|null>} Limiar gravado ou null se a estação não existir no inventário
+   * @throws {Error} `${ERRO_LIMIAR}: ...` se algum valor for inválido
+   */
+  static async salvarLimiar(codigo, dados = {}) {
+    const limiar = this.validarLimiar(dados);
+
+    const estacao = await StationService.buscarPorCodigo(codigo);
+    if (!estacao) return null;
+
+    return AnaCache.salvarLimiar(estacao.codigo, limiar);
+  }
+
+  static async removerLimiar(codigo) {
+    return AnaCache.removerLimiar(String(codigo).trim());
+  }
+
+  /**
+   * ✅ validarLimiar
+   *
+   * @param {Object} dados - Limiares recebidos
+   * @returns {{ cotaAtencao: number|null, cotaAlerta: number|null, cotaTransbordamento: number|null, vazaoMinima: number|null }}
+   * @throws {Error} `${ERRO_LIMIAR}: ...` se um valor não for número >= 0, se nenhum for informado
+   *   ou se as cotas não estiverem em ordem crescente (atenção < alerta < transbordamento)
+   */
+  static validarLimiar(dados) {
+    const erro = motivo => new Error(`${ERRO_LIMIAR}: ${motivo}`);
+
+    const limiar = Object.fromEntries(CAMPOS_LIMIAR.map(campo => {
+      const bruto = dados?.[campo];
+      if (bruto === undefined || bruto === null || bruto === '') return [campo, null];
+
+      const valor = Number(bruto);
+      if (!Number.isFinite(valor) || valor < 0) throw erro(`${campo} deve ser um número >= 0`);
+      return [campo, valor];
+    }));
+
+    if (CAMPOS_LIMIAR.every(campo => limiar[campo] === null)) {
+      throw erro(`informe ao menos um limiar (${CAMPOS_LIMIAR.join(', ')})`);
+    }
+
+    const cotas = COTAS.filter(({ campo }) => limiar[campo] !== null);
+    cotas.slice(1).forEach(({ campo }, indice) => {
+      const anterior = cotas[indice].campo;
+      if (limiar[campo] <= limiar[anterior]) throw erro(`${campo} deve ser maior que ${anterior}`);
+    });
+
+    return limiar;
+  }
+
+  // == Avaliação ==
+
+  /**
+   * 🧮 avaliar
+   *
+   * Classifica cada estação com limiares pela cota e vazão mais recentes das últimas `HORAS_VALIDADE` horas.
+   *
+   * @param {Object} [options]
+   * @param {Date} [options.agora=new Date()]
+   * @returns {Promise<Object>} { avaliadoEm, horasValidade, totais: { [estado]: number },
+   *   estacoes: { [estado]: Array<Object> } } com os estados de ESTADOS_HIDRO, do mais grave ao menos grave
+   */
+  static async avaliar({ agora = new Date() } = {}) {
+    const desde = dayjs.utc(agora)
+      .utcOffset(ANA_SYNC_CONFIG.FUSO_LEITURAS)
+      .subtract(LIMIAR_CONFIG.HORAS_VALIDADE, 'hour')
+      .format('YYYY-MM-DD HH:mm:ss');
+
+    const [limiares, valores] = await Promise.all([AnaCache.listarLimiares(), AnaCache.ultimosValores(desde)]);
+    const estacoes = Object.fromEntries(Object.values(ESTADOS_HIDRO).map(estado => [estado, []]));
+
+    for (const limiar of limiares) {
+      const estacao = await StationService.buscarPorCodigo(limiar.codigoEstacao);
+      const { cota = null, vazao = null } = valores.get(limiar.codigoEstacao) ?? {};
+      const estado = this.classificar(limiar, { cota: cota?.valor, vazao: vazao?.valor });
+
+      estacoes[estado].push({
+        codigo: limiar.codigoEstacao,
+        nome: estacao?.nome ?? null,
+        rio: estacao?.rio ?? null,
+        municipio: estacao?.municipio ?? null,
+        latitude: estacao?.latitude ?? null,
+        longitude: estacao?.longitude ?? null,
+        cota: leituraComFuso(cota),
+        vazao: leituraComFuso(vazao),
+        limiares: Object.fromEntries(CAMPOS_LIMIAR.map(campo => [campo, limiar[campo]]))
+      });
+    }
+
+    const totais = Object.fromEntries(Object.entries(estacoes).map(([estado, lista]) => [estado, lista.length]));
+
+    debugLog('Estações ANA avaliadas', {
+      ...totais,
+      origem: 'StationAlertService.avaliar'
+    });
+
+    return {
+      avaliadoEm: agora.toISOString(),
+      horasValidade: LIMIAR_CONFIG.HORAS_VALIDADE,
+      totais,
+      estacoes
+    };
+  }
+
+  /**
+   * 🚦 classificar
+   *
+   * @param {Object} limiar - { cotaAtencao, cotaAlerta, cotaTransbordamento, vazaoMinima }
+   * @param {{ cota?: number|null, vazao?: number|null }} atuais - Valores mais recentes
+   * @returns {string} Um dos ESTADOS_HIDRO
+   */
+  static classificar(limiar, { cota = null, vazao = null }) {
+    const avaliaCota = COTAS.some(({ campo }) => limiar[campo] !== null) && cota !== null;
+    const avaliaVazao = limiar.vazaoMinima !== null && vazao !== null;
+    if (!avaliaCota && !avaliaVazao) return ESTADOS_HIDRO.SEM_DADOS;
+
+    if (avaliaCota) {
+      const atingida = COTAS.findLast(({ campo }) => limiar[campo] !== null && cota >= limiar[campo]);
+      if (atingida) return atingida.estado;
+    }
+
+    if (avaliaVazao && vazao < limiar.vazaoMinima) return ESTADOS_HIDRO.SECA;
+    return ESTADOS_HIDRO.NORMAL;
+  }
+}
+
+// == Helpers ==
+
+function leituraComFuso(leitura) {
+  if (!leitura) return null;
+  return {
+    valor: leitura.valor,
+    dataHora: `${leitura.dataHora.replace(' ', 'T')}${ANA_SYNC_CONFIG.FUSO_LEITURAS}`
+  };
+}
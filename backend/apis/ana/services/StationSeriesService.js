@@ -0,0 +1,179 @@
+// FILE: backend/apis/ana/services/StationSeriesService.js
+
+/**
+ * 📈 Séries temporais de uma estação (nível, vazão ou chuva) a partir da série telemétrica adotada do HidroWeb.
+ *
+ * As leituras vêm do arquivo local (`AnaCache`), mantido pela sincronização agendada; quando o período
+ * pedido começa antes do que o arquivo cobre, o trecho que falta é baixado do HidroWeb antes da resposta
+ * (ver `AnaArchiveService.garantirCobertura`).
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import AnaArchiveService from '#ana_services/AnaArchiveService.js';
+import StationService from '#ana_services/StationService.js';
+
+import AnaCache from '#shared_cache_ana/AnaCache.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+export const ERRO_SERIE = 'Parâmetro de série inválido';
+
+/**
+ * 📏 VARIAVEIS_SERIE
+ *
+ * Variável da query (`var`) → campo da leitura no HidroWeb e unidade.
+ */
+export const VARIAVEIS_SERIE = {
+  nivel: { campo: 'Cota_Adotada', unidade: 'cm' },
+  vazao: { campo: 'Vazao_Adotada', unidade: 'm³/s' },
+  chuva: { campo: 'Chuva_Adotada', unidade: 'mm' }
+};
+
+/**
+ * ⚙️ SERIE_CONFIG
+ *
+ * - DIAS_PADRAO: período quando `from` não é informado
+ * - MAX_DIAS: maior período aceito por requisição
+ * - DIAS_RETROATIVOS: recuo máximo de `from` em relação a hoje (ANA_SERIE_DIAS_RETROATIVOS, padrão 366);
+ *   o que falta no arquivo é baixado durante a requisição, então períodos mais antigos retornam 400
+ * - FUSO_LEITURAS: fuso de `Data_Hora_Medicao` (horário de Brasília)
+ */
+export const SERIE_CONFIG = {
+  DIAS_PADRAO: 7,
+  MAX_DIAS: 366,
+  // eslint-disable-next-line no-undef
+  DIAS_RETROATIVOS: Number(process.env.ANA_SERIE_DIAS_RETROATIVOS) || 366,
+  FUSO_LEITURAS: '-03:00'
+};
+
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 📈 StationSeriesService
+ */
+export default class StationSeriesService {
+
+  // == Funções Públicas ==
+
+  /**
+   * 📈 buscarSerie
+   *
+   * @param {string} codigo - Código da estação (ex: "15043000")
+   * @param {Object} params
+   * @param {string} [params.from] - Data inicial (YYYY-MM-DD, padrão: `DIAS_PADRAO` dias antes de `to`)
+   * @param {string} [params.to] - Data final (YYYY-MM-DD, padrão: hoje)
+   * @param {string} [params.variavel='nivel'] - nivel | vazao | chuva
+   * @returns {Promise<Object|null>} { estacao, variavel, unidade, periodo: { from, to }, total, serie: [{ dataHora, valor }] }
+   *   com `dataHora` em ISO 8601 (com fuso) e a série em ordem cronológica; null se a estação não existir
+   * @throws {Error} `ERRO_SERIE` para variável, datas ou período inválidos
+   */
+  static async buscarSerie(codigo, { from, to, variavel = 'nivel' } = {}) {
+    const { campo, unidade } = this.#variavel(variavel);
+    const periodo = this.#periodo(from, to);
+
+    const estacao = await StationService.buscarPorCodigo(codigo);
+    if (!estacao) return null;
+
+    const leituras = await this.#buscarLeituras(estacao.codigo, periodo);
+    const serie = this.normalizarLeituras(leituras, campo, periodo);
+
+    debugLog('Série da estação montada', {
+      codigo: estacao.codigo,
+      variavel,
+      ...periodo,
+      leituras: leituras.length,
+      pontos: serie.length,
+      origem: 'StationSeriesService.buscarSerie'
+    });
+
+    return {
+      estacao: { codigo: estacao.codigo, nome: estacao.nome, rio: estacao.rio, municipio: estacao.municipio },
+      variavel,
+      unidade,
+      periodo,
+      total: serie.length,
+      serie
+    };
+  }
+
+  /**
+   * 🧹 normalizarLeituras
+   *
+   * Converte as leituras brutas em pontos { dataHora, valor }: descarta valores ausentes ou não numéricos
+   * e leituras fora do período, remove horários repetidos e ordena.
+   *
+   * @param {Array<Object>} leituras - Itens do HidroWeb (Data_Hora_Medicao, Cota_Adotada, Vazao_Adotada, Chuva_Adotada...)
+   * @param {string} campo - Campo do valor (ver VARIAVEIS_SERIE)
+   * @param {{ from: string, to: string }} periodo
+   * @returns {Array<{ dataHora: string, valor: number }>}
+   */
+  static normalizarLeituras(leituras, campo, { from, to }) {
+    const porHorario = new Map();
+
+    for (const leitura of leituras) {
+      const horario = String(leitura?.Data_Hora_Medicao ?? '').slice(0, 19);
+      const dia = horario.slice(0, 10);
+      if (!horario || dia < from || dia > to) continue;
+
+      const bruto = leitura[campo];
+      if (bruto === null || bruto === undefined || bruto === '') continue;
+      const valor = Number(String(bruto).replace(',', '.'));
+      if (!Number.isFinite(valor)) continue;
+
+      porHorario.set(horario, valor);
+    }
+
+    return [...porHorario.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([horario, valor]) => ({
+        dataHora: `${horario.replace(' ', 'T')}${SERIE_CONFIG.FUSO_LEITURAS}`,
+        valor
+      }));
+  }
+
+  // == Privados ==
+
+  static #variavel(variavel) {
+    const config = VARIAVEIS_SERIE[String(variavel).trim().toLowerCase()];
+    if (!config) {
+      throw new Error(`${ERRO_SERIE}: var "${variavel}" (aceitas: ${Object.keys(VARIAVEIS_SERIE).join(', ')})`);
+    }
+    return config;
+  }
+
+  static #periodo(from, to) {
+    [from, to].forEach(data => {
+      if (data !== undefined && (!FORMATO_DATA.test(data) || !dayjs.utc(data).isValid())) {
+        throw new Error(`${ERRO_SERIE}: data "${data}" fora do formato YYYY-MM-DD`);
+      }
+    });
+
+    const fim = to ? dayjs.utc(to) : dayjs.utc().startOf('day');
+    const inicio = from ? dayjs.utc(from) : fim.subtract(SERIE_CONFIG.DIAS_PADRAO - 1, 'day');
+
+    if (inicio.isAfter(fim)) throw new Error(`${ERRO_SERIE}: from posterior a to`);
+    if (fim.diff(inicio, 'day') + 1 > SERIE_CONFIG.MAX_DIAS) {
+      throw new Error(`${ERRO_SERIE}: período maior que ${SERIE_CONFIG.MAX_DIAS} dias`);
+    }
+
+    const limite = dayjs.utc(AnaArchiveService.hoje()).subtract(SERIE_CONFIG.DIAS_RETROATIVOS, 'day');
+    if (inicio.isBefore(limite)) {
+      throw new Error(`${ERRO_SERIE}: from anterior a ${limite.format('YYYY-MM-DD')} (limite de ${SERIE_CONFIG.DIAS_RETROATIVOS} dias atrás)`);
+    }
+
+    return { from: inicio.format('YYYY-MM-DD'), to: fim.format('YYYY-MM-DD') };
+  }
+
+  /**
+   * Completa o arquivo com o trecho do período que ele ainda não cobre e lê as leituras do período.
+   * @private
+   */
+  static async #buscarLeituras(codigo, { from, to }) {
+    await AnaArchiveService.garantirCobertura(codigo, from, to);
+    return AnaCache.listarLeituras(codigo, { inicio: from, fim: to });
+  }
+}
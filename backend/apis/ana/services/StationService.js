@@ -2,6 +2,35 @@
 
 import { loadStationInventory } from './AnaFetcher.js';
 
+export const ERRO_FILTRO_ESTACAO = 'Filtro de estação inválido';
+
+/**
+ * 🏷️ TIPOS_ESTACAO
+ *
+ * Valores aceitos no filtro `tipo` (comparados sem acento e sem caixa com `Tipo_Estacao`).
+ */
+export const TIPOS_ESTACAO = ['fluviometrica', 'pluviometrica', 'hidrologica'];
+
+/**
+ * 🔎 FILTROS
+ *
+ * Filtro da query → campo do inventário. Campos `parcial` aceitam parte do nome
+ * (ex: rio=teles pires → "RIO TELES PIRES (OU SÃO MANUEL)"); os demais exigem o valor completo.
+ */
+const FILTROS = {
+  bacia: { campo: 'Bacia_Nome', parcial: true },
+  rio: { campo: 'Rio_Nome', parcial: true },
+  municipio: { campo: 'Municipio_Nome', parcial: false },
+  operadora: { campo: 'Operadora_Sigla', parcial: false },
+  tipo: { campo: 'Tipo_Estacao', parcial: false },
+  uf: { campo: 'UF_Estacao', parcial: false }
+};
+
+/**
+ * 📡 StationService
+ *
+ * Consulta ao inventário de estações telemétricas da ANA: filtros, busca por código e GeoJSON.
+ */
 export default class StationService {
   static async listAllStations() {
     const stations = await loadStationInventory();
@@ -10,6 +39,136 @@ export default class StationService {
 
   static async listByUf(uf) {
     const stations = await loadStationInventory();
-    return stations.filter(est => est.uf?.toLowerCase() === uf.toLowerCase());
+    return stations.filter(est => est.UF_Estacao?.toLowerCase() === uf.toLowerCase());
+  }
+
+  /**
+   * 📋 listar
+   *
+   * Estações do inventário que atendem a todos os filtros informados, já formatadas (ver `formatar`).
+   * As comparações ignoram caixa e acentos.
+   *
+   * @param {Object} [filtros]
+   * @param {string} [filtros.bacia] - Bacia (`Bacia_Nome`, ex: "amazonas")
+   * @param {string} [filtros.rio] - Rio (`Rio_Nome`, ex: "juruena")
+   * @param {string} [filtros.municipio] - Município (`Municipio_Nome`, ex: "Cáceres")
+   * @param {string} [filtros.operadora] - Sigla da operadora (`Operadora_Sigla`, ex: "SEMA-MT")
+   * @param {string} [filtros.tipo] - fluviometrica | pluviometrica | hidrologica
+   * @param {string} [filtros.uf] - UF da estação (ex: "MT")
+   * @returns {Promise<Array<Object>>}
+   * @throws {Error} Se `tipo` não for um dos TIPOS_ESTACAO
+   */
+  static async listar(filtros = {}) {
+    const ativos = this.#filtrosAtivos(filtros);
+    const estacoes = await loadStationInventory();
+
+    return estacoes
+      .filter(estacao => ativos.every(({ campo, parcial, valor }) => {
+        const atual = normalizar(estacao[campo]);
+        return parcial ? atual.includes(valor) : atual === valor;
+      }))
+      .map(estacao => this.formatar(estacao));
+  }
+
+  /**
+   * 🔑 buscarPorCodigo
+   *
+   * @param {string} codigo - Código da estação (`codigoestacao`, ex: "15043000")
+   * @returns {Promise<Object|null>} Metadados da estação (ver `formatar`) ou null se não existir
+   */
+  static async buscarPorCodigo(codigo) {
+    const estacoes = await loadStationInventory();
+    const estacao = estacoes.find(est => est.codigoestacao === String(codigo).trim());
+    return estacao ? this.formatar(estacao) : null;
+  }
+
+  /**
+   * 🧾 formatar
+   *
+   * Converte o registro do HidroWeb nos metadados expostos pela API (números convertidos, flags "0"/"1" em boolean).
+   *
+   * @param {Object} estacao - Registro do inventário
+   * @returns {Object} { codigo, nome, tipo, latitude, longitude, altitude, areaDrenagemKm2, bacia, subBacia, rio,
+   *   municipio, uf, operadora, responsavel, operando, telemetrica, ultimaAtualizacao }
+   */
+  static formatar(estacao) {
+    return {
+      codigo: estacao.codigoestacao,
+      nome: estacao.Estacao_Nome ?? null,
+      tipo: estacao.Tipo_Estacao ?? null,
+      latitude: numero(estacao.Latitude),
+      longitude: numero(estacao.Longitude),
+      altitude: numero(estacao.Altitude),
+      areaDrenagemKm2: numero(estacao.Area_Drenagem),
+      bacia: estacao.Bacia_Nome ?? null,
+      subBacia: estacao.Sub_Bacia_Nome ?? null,
+      rio: estacao.Rio_Nome ?? null,
+      municipio: estacao.Municipio_Nome ?? null,
+      uf: estacao.UF_Estacao ?? null,
+      operadora: estacao.Operadora_Sigla ?? estacao.sigla ?? null,
+      responsavel: estacao.Responsavel_Sigla ?? null,
+      operando: flag(estacao.Operando),
+      telemetrica: flag(estacao.Tipo_Estacao_Telemetrica),
+      ultimaAtualizacao: estacao.Data_Ultima_Atualizacao?.slice(0, 10) ?? null
+    };
+  }
+
+  /**
+   * 🗺️ paraGeoJSON
+   *
+   * FeatureCollection de pontos com os metadados de cada estação em `properties`.
+   * Estações sem coordenadas válidas ficam de fora.
+   *
+   * @param {Array<Object>} estacoes - Estações formatadas
+   * @returns {Object} FeatureCollection
+   */
+  static paraGeoJSON(estacoes) {
+    return {
+      type: 'FeatureCollection',
+      features: estacoes
+        .filter(({ latitude, longitude }) => Number.isFinite(latitude) && Number.isFinite(longitude))
+        .map(({ latitude, longitude, ...propriedades }) => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [longitude, latitude] },
+          properties: { ...propriedades, latitude, longitude }
+        }))
+    };
   }
+
+  // == Privados ==
+
+  static #filtrosAtivos(filtros) {
+    const ativos = Object.entries(FILTROS)
+      .filter(([nome]) => String(filtros[nome] ?? '').trim())
+      .map(([nome, config]) => ({ nome, ...config, valor: normalizar(filtros[nome]) }));
+
+    const tipo = ativos.find(({ nome }) => nome === 'tipo');
+    if (tipo && !TIPOS_ESTACAO.includes(tipo.valor)) {
+      throw new Error(`${ERRO_FILTRO_ESTACAO}: tipo "${filtros.tipo}" (aceitos: ${TIPOS_ESTACAO.join(', ')})`);
+    }
+
+    return ativos;
+  }
+}
+
+// == Helpers ==
+
+function normalizar(valor) {
+  return String(valor ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function numero(valor) {
+  if (valor === null || valor === undefined || valor === '') return null;
+  const convertido = Number(valor);
+  return Number.isFinite(convertido) ? convertido : null;
+}
+
+function flag(valor) {
+  if (valor === null || valor === undefined) return null;
+  return String(valor) === '1';
 }
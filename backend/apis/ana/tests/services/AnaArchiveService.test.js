@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+
+const mockFetchStationData = jest.fn();
+
+jest.unstable_mockModule('#ana_services/hidrowebStationData.js', () => ({ fetchStationData: mockFetchStationData }));
+jest.unstable_mockModule('#ana_services/hidrowebAuth.js', () => ({
+    authenticateHidroweb: jest.fn(async () => 'token-novo'),
+    getCachedToken: jest.fn(() => 'token-em-cache')
+}));
+jest.unstable_mockModule('#ana_services/AnaFetcher.js', () => ({
+    loadStationInventory: async () => [{ codigoestacao: '100' }, { codigoestacao: '200' }, { codigoestacao: '300' }]
+}));
+
+const { default: AnaCache } = await import('#shared_cache_ana/AnaCache.js');
+AnaCache.dbPath = ':memory:';
+
+const { default: AnaArchiveService } = await import('#ana_services/AnaArchiveService.js');
+
+const leitura = (codigo, dataHora, cota, extras = {}) => ({
+    codigoestacao: codigo,
+    Data_Hora_Medicao: `${dataHora}.0`,
+    Cota_Adotada: cota,
+    Vazao_Adotada: null,
+    Chuva_Adotada: '0,2',
+    ...extras
+});
+
+const consultas = () => mockFetchStationData.mock.calls
+    .map(([, { station_code, data_busca, intervalo_busca }]) => [station_code, data_busca, intervalo_busca]);
+
+describe('AnaArchiveService', () => {
+    beforeEach(async () => {
+        mockFetchStationData.mockReset();
+        jest.restoreAllMocks();
+        await AnaCache.limparTodos();
+    });
+
+    test('AnaCache grava uma leitura por estação e horário e atualiza valores revisados pela ANA', async () => {
+        expect(await AnaCache.inserirLeituras([
+            leitura('100', '2025-03-30 10:00:00', '280,5'),
+            leitura('100', '2025-03-31 10:00:00', '281'),
+            leitura('100', 'sem data', '1')
+        ])).toEqual({ novas: 2, atualizadas: 0 });
+
+        expect(await AnaCache.inserirLeituras([
+            leitura('100', '2025-03-31 10:00:00', '281'),
+            leitura('100', '2025-03-30 10:00:00', '279', { Data_Atualizacao: '2025-04-01 08:00:00.0' })
+        ])).toEqual({ novas: 0, atualizadas: 1 });
+
+        expect(await AnaCache.listarLeituras('100', { inicio: '2025-03-30', fim: '2025-03-30' })).toEqual([
+            expect.objectContaining({
+                codigoestacao: '100',
+                Data_Hora_Medicao: '2025-03-30 10:00:00',
+                Cota_Adotada: 279,
+                Chuva_Adotada: 0.2,
+                Data_Atualizacao: '2025-04-01 08:00:00.0'
+            })
+        ]);
+        expect(await AnaCache.ultimasLeituras()).toEqual(new Map([['100', '2025-03-31 10:00:00']]));
+    });
+
+    test('sincroniza só a partir da última leitura arquivada de cada estação', async () => {
+        const hoje = jest.spyOn(AnaArchiveService, 'hoje').mockReturnValue('2025-03-31');
+        mockFetchStationData.mockImplementation(async (token, { station_code }) => {
+            if (station_code === '300') throw new Error('Erro no servidor (500): indisponível');
+            return { items: station_code === '100' ? [leitura('100', '2025-03-31 09:00:00', '300'), leitura('100', '2025-03-30 09:00:00', '299')] : [] };
+        });
+
+        expect(await AnaArchiveService.sincronizar()).toMatchObject({ estacoes: 3, comNovasLeituras: 1, novas: 2, falhas: 1 });
+        // Primeira sincronização: últimos 30 dias (ANA_SYNC_DIAS_INICIAIS)
+        expect(consultas()).toEqual([
+            ['100', '2025-03-31', 'DIAS_30'],
+            ['200', '2025-03-31', 'DIAS_30'],
+            ['300', '2025-03-31', 'DIAS_30']
+        ]);
+        expect(await AnaCache.sincronizacao('300')).toMatchObject({ coberturaInicio: null, ultimoErro: expect.stringContaining('(500)') });
+
+        hoje.mockReturnValue('2025-04-01');
+        mockFetchStationData.mockClear();
+        mockFetchStationData.mockResolvedValue({ items: [] });
+
+        await AnaArchiveService.sincronizar();
+        // 100: desde o dia da última leitura; 200: já sincronizada sem leituras; 300: falhou, recomeça do zero
+        expect(consultas()).toEqual([
+            ['100', '2025-04-01', 'DIAS_2'],
+            ['200', '2025-04-01', 'HORA_24'],
+            ['300', '2025-04-01', 'DIAS_30']
+        ]);
+        expect(await AnaCache.sincronizacao('100')).toMatchObject({ coberturaInicio: '2025-03-02', ultimoErro: null });
+    });
+
+    test('garantirCobertura baixa só os dias anteriores ao que o arquivo já cobre', async () => {
+        jest.spyOn(AnaArchiveService, 'hoje').mockReturnValue('2025-03-31');
+        mockFetchStationData.mockResolvedValue({ items: [] });
+        await AnaCache.registrarSincronizacao('100', { coberturaInicio: '2025-03-25' });
+
+        expect(await AnaArchiveService.garantirCobertura('100', '2025-03-26')).toEqual({ baixadas: 0 });
+        expect(mockFetchStationData).not.toHaveBeenCalled();
+
+        await AnaArchiveService.garantirCobertura('100', '2025-02-01');
+        expect(consultas()).toEqual([['100', '2025-03-24', 'DIAS_30'], ['100', '2025-02-22', 'DIAS_30']]);
+        expect(await AnaCache.sincronizacao('100')).toMatchObject({ coberturaInicio: '2025-02-01' });
+    });
+
+    test('garantirCobertura baixa só o período pedido e não repete downloads simultâneos da estação', async () => {
+        jest.spyOn(AnaArchiveService, 'hoje').mockReturnValue('2025-03-31');
+        mockFetchStationData.mockResolvedValue({ items: [] });
+        await AnaCache.registrarSincronizacao('100', { coberturaInicio: '2025-03-25' });
+
+        // Período solto antes da cobertura: baixa só [inicio, fim] e não marca o intervalo até a cobertura
+        await AnaArchiveService.garantirCobertura('100', '2025-03-01', '2025-03-10');
+        expect(consultas()).toEqual([['100', '2025-03-10', 'DIAS_14']]);
+        expect(await AnaCache.sincronizacao('100')).toMatchObject({ coberturaInicio: '2025-03-25' });
+
+        mockFetchStationData.mockClear();
+        await Promise.all([
+            AnaArchiveService.garantirCobertura('100', '2025-03-15', '2025-03-31'),
+            AnaArchiveService.garantirCobertura('100', '2025-03-15', '2025-03-31')
+        ]);
+        expect(consultas()).toEqual([['100', '2025-03-24', 'DIAS_14']]);
+        expect(await AnaCache.sincronizacao('100')).toMatchObject({ coberturaInicio: '2025-03-15' });
+    });
+
+    test('leiturasRecentes resume as últimas 24 h do arquivo no horário de Brasília', async () => {
+        await AnaCache.inserirLeituras([
+            leitura('100', '2025-03-31 11:00:00', '300'),
+            leitura('100', '2025-03-31 08:00:00', '298'),
+            leitura('200', '2025-03-31 05:00:00', '120'),
+            leitura('300', '2025-03-30 10:00:00', '50')
+        ]);
+
+        // 15:00 UTC = 12:00 em Brasília
+        const { meta, dados } = await AnaArchiveService.leiturasRecentes(new Date('2025-03-31T15:00:00Z'));
+
+        expect(meta).toMatchObject({ totalEstacoesConsultadas: 3, comDados: 2, semDados: 1, desatualizadas: 1 });
+        expect(dados.map(({ codigoestacao, Data_Hora_Medicao }) => `${codigoestacao} ${Data_Hora_Medicao}`)).toEqual([
+            '100 2025-03-31 11:00:00',
+            '100 2025-03-31 08:00:00',
+            '200 2025-03-31 05:00:00'
+        ]);
+        expect(AnaArchiveService.hoje(new Date('2025-04-01T02:00:00Z'))).toBe('2025-03-31');
+    });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+
+const { default: AnaCache } = await import('#shared_cache_ana/AnaCache.js');
+AnaCache.dbPath = ':memory:';
+
+const { default: GeoMunicipalityMatcher } = await import('#geo_utils/GeoMunicipalityMatcher.js');
+const { default: RainfallService, ERRO_CHUVA } = await import('#ana_services/RainfallService.js');
+
+const leitura = (codigo, dataHora, chuva) => ({
+    codigoestacao: codigo,
+    Data_Hora_Medicao: `${dataHora}.0`,
+    Cota_Adotada: null,
+    Vazao_Adotada: null,
+    Chuva_Adotada: chuva
+});
+
+// 15:00 UTC = 12:00 em Brasília
+const AGORA = new Date('2025-03-31T15:00:00Z');
+
+// Estações do inventário: Jauru e duas em Pontes e Lacerda
+const JAURU = '15043000';
+const PONTES_1 = '15044000';
+const PONTES_2 = '15044100';
+
+describe('RainfallService', () => {
+    beforeAll(async () => {
+        await AnaCache.limparTodos();
+        await AnaCache.inserirLeituras([
+            leitura(JAURU, '2025-03-31 13:00:00', '50'), // depois da referência
+            leitura(JAURU, '2025-03-31 10:00:00', '5'),
+            leitura(JAURU, '2025-03-29 10:00:00', '10,2'),
+            leitura(JAURU, '2025-03-20 10:00:00', '20'),
+            leitura(JAURU, '2025-02-01 10:00:00', '99'), // fora de todas as janelas
+            leitura(PONTES_1, '2025-03-31 11:00:00', '2'),
+            leitura(PONTES_2, '2025-03-31 11:00:00', '4'),
+            leitura(PONTES_2, '2025-03-31 11:15:00', null)
+        ]);
+    });
+
+    beforeEach(() => {
+        jest.spyOn(GeoMunicipalityMatcher, 'localizarEmLote').mockImplementation(pontos => pontos.map(() => null));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('acumula a chuva por janela e faz a média das estações de cada município', async () => {
+        const { metadados, estacoes, municipios } = await RainfallService.acumulados({ agora: AGORA });
+
+        expect(metadados).toMatchObject({ referencia: AGORA.toISOString(), unidade: 'mm', totalEstacoes: 3, totalMunicipios: 2 });
+        expect(estacoes.find(({ codigo }) => codigo === JAURU)).toMatchObject({
+            municipio: 'JAURU',
+            latitude: -15.0594,
+            acumulados: { '24h': 5, '72h': 15.2, '7d': 15.2, '30d': 35.2 }
+        });
+        expect(municipios).toEqual([
+            expect.objectContaining({ municipio: 'JAURU', estacoes: 1 }),
+            {
+                municipio: 'PONTES E LACERDA',
+                comandoRegional: null,
+                estacoes: 2,
+                acumulados: { '24h': 3, '72h': 3, '7d': 3, '30d': 3 }
+            }
+        ]);
+    });
+
+    test('usa o município da malha da região quando a estação é localizada', async () => {
+        GeoMunicipalityMatcher.localizarEmLote.mockImplementation(pontos =>
+            pontos.map(() => ({ municipio: 'VILA BELA DA SANTÍSSIMA TRINDADE', comandoRegional: 'CR BM VI' })));
+
+        const { municipios } = await RainfallService.acumulados({ agora: AGORA });
+
+        expect(municipios).toEqual([expect.objectContaining({
+            municipio: 'VILA BELA DA SANTÍSSIMA TRINDADE',
+            comandoRegional: 'CR BM VI',
+            estacoes: 3,
+            acumulados: expect.objectContaining({ '24h': 3.7 })
+        })]);
+    });
+
+    test('interpola a janela numa grade de polígonos dentro da área de interesse', async () => {
+        const grade = await RainfallService.grade({ janela: '24h', resolucao: '0.5', agora: AGORA });
+
+        expect(grade.type).toBe('FeatureCollection');
+        expect(grade.metadados).toMatchObject({ janela: '24h', horas: 24, resolucao: 0.5, estacoes: 3, celulas: grade.features.length });
+        expect(grade.features.length).toBeGreaterThan(0);
+
+        for (const { geometry, properties } of grade.features) {
+            expect(geometry.type).toBe('Polygon');
+            expect(geometry.coordinates[0]).toHaveLength(5);
+            // IDW fica entre o menor e o maior valor das estações
+            expect(properties.chuvaMm).toBeGreaterThanOrEqual(2);
+            expect(properties.chuvaMm).toBeLessThanOrEqual(5);
+            expect(properties.estacoes).toBeGreaterThanOrEqual(1);
+        }
+    });
+
+    test('valida janela e resolução da grade', async () => {
+        await expect(RainfallService.grade({ janela: '48h' })).rejects.toThrow(ERRO_CHUVA);
+        await expect(RainfallService.grade({ janela: '24h', resolucao: '0.001' })).rejects.toThrow('resolucao');
+        expect(RainfallService.validarGrade({ janela: '30d' })).toBe(0.1);
+    });
+});
@@ -0,0 +1,82 @@
+const { default: AnaCache } = await import('#shared_cache_ana/AnaCache.js');
+AnaCache.dbPath = ':memory:';
+
+const { loadStationInventory } = await import('#ana_services/AnaFetcher.js');
+const { default: StationAlertService, ERRO_LIMIAR, ESTADOS_HIDRO } = await import('#ana_services/StationAlertService.js');
+
+const leitura = (codigo, dataHora, cota, vazao = null) => ({
+    codigoestacao: codigo,
+    Data_Hora_Medicao: `${dataHora}.0`,
+    Cota_Adotada: cota,
+    Vazao_Adotada: vazao,
+    Chuva_Adotada: null
+});
+
+// 15:00 UTC = 12:00 em Brasília
+const AGORA = new Date('2025-03-31T15:00:00Z');
+
+describe('StationAlertService', () => {
+    beforeEach(async () => {
+        await AnaCache.limparTodos();
+        for (const { codigoEstacao } of await AnaCache.listarLimiares()) await AnaCache.removerLimiar(codigoEstacao);
+    });
+
+    test('valida os limiares e exige estação do inventário', async () => {
+        expect(() => StationAlertService.validarLimiar({})).toThrow(ERRO_LIMIAR);
+        expect(() => StationAlertService.validarLimiar({ cotaAlerta: -1 })).toThrow('cotaAlerta');
+        expect(() => StationAlertService.validarLimiar({ cotaAtencao: 500, cotaTransbordamento: 480 }))
+            .toThrow('cotaTransbordamento deve ser maior que cotaAtencao');
+
+        expect(await StationAlertService.salvarLimiar('00000000', { cotaAlerta: 100 })).toBeNull();
+        expect(await StationAlertService.salvarLimiar('15043000', { cotaAtencao: '450', vazaoMinima: 35 })).toMatchObject({
+            codigoEstacao: '15043000',
+            cotaAtencao: 450,
+            cotaAlerta: null,
+            cotaTransbordamento: null,
+            vazaoMinima: 35
+        });
+    });
+
+    test('classifica pelo limiar mais grave atingido, com o nível prevalecendo sobre a seca', () => {
+        const limiar = { cotaAtencao: 450, cotaAlerta: 520, cotaTransbordamento: 600, vazaoMinima: 35 };
+
+        expect(StationAlertService.classificar(limiar, { cota: 610, vazao: 10 })).toBe(ESTADOS_HIDRO.TRANSBORDAMENTO);
+        expect(StationAlertService.classificar(limiar, { cota: 520 })).toBe(ESTADOS_HIDRO.ALERTA);
+        expect(StationAlertService.classificar(limiar, { cota: 451, vazao: 80 })).toBe(ESTADOS_HIDRO.ATENCAO);
+        expect(StationAlertService.classificar(limiar, { cota: 300, vazao: 20 })).toBe(ESTADOS_HIDRO.SECA);
+        expect(StationAlertService.classificar(limiar, { vazao: 50 })).toBe(ESTADOS_HIDRO.NORMAL);
+        expect(StationAlertService.classificar({ ...limiar, vazaoMinima: null }, { vazao: 5 })).toBe(ESTADOS_HIDRO.SEM_DADOS);
+    });
+
+    test('avalia as estações com a leitura mais recente dentro da validade', async () => {
+        const [alerta, seca, semDados] = (await codigosDoInventario()).slice(0, 3);
+        await StationAlertService.salvarLimiar(alerta, { cotaAtencao: 450, cotaAlerta: 520 });
+        await StationAlertService.salvarLimiar(seca, { cotaAlerta: 900, vazaoMinima: 35 });
+        await StationAlertService.salvarLimiar(semDados, { cotaAlerta: 100 });
+
+        await AnaCache.inserirLeituras([
+            leitura(alerta, '2025-03-31 08:00:00', '400'),
+            leitura(alerta, '2025-03-31 11:00:00', '530,5'),
+            leitura(alerta, '2025-03-31 11:15:00', null),
+            leitura(seca, '2025-03-31 10:00:00', '300', '12,4'),
+            // Fora da janela de 24 h
+            leitura(semDados, '2025-03-30 10:00:00', '150')
+        ]);
+
+        const { totais, estacoes } = await StationAlertService.avaliar({ agora: AGORA });
+
+        expect(totais).toEqual({ transbordamento: 0, alerta: 1, atencao: 0, seca: 1, normal: 0, semDados: 1 });
+        expect(estacoes.alerta).toEqual([expect.objectContaining({
+            codigo: alerta,
+            cota: { valor: 530.5, dataHora: '2025-03-31T11:00:00-03:00' },
+            vazao: null,
+            limiares: { cotaAtencao: 450, cotaAlerta: 520, cotaTransbordamento: null, vazaoMinima: null }
+        })]);
+        expect(estacoes.seca[0]).toMatchObject({ codigo: seca, vazao: { valor: 12.4 } });
+        expect(estacoes.semDados[0].nome).toEqual(expect.any(String));
+    });
+});
+
+async function codigosDoInventario() {
+    return (await loadStationInventory()).map(({ codigoestacao }) => codigoestacao);
+}
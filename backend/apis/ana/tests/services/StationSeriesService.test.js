@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+
+const mockFetchStationData = jest.fn();
+const mockAuthenticate = jest.fn(async () => 'token-novo');
+const mockGetCachedToken = jest.fn(() => 'token-em-cache');
+
+jest.unstable_mockModule('#ana_services/hidrowebStationData.js', () => ({ fetchStationData: mockFetchStationData }));
+jest.unstable_mockModule('#ana_services/hidrowebAuth.js', () => ({
+    authenticateHidroweb: mockAuthenticate,
+    getCachedToken: mockGetCachedToken
+}));
+
+const { default: AnaCache } = await import('#shared_cache_ana/AnaCache.js');
+AnaCache.dbPath = ':memory:';
+
+const { default: AnaArchiveService } = await import('#ana_services/AnaArchiveService.js');
+const { default: StationSeriesService, ERRO_SERIE } = await import('#ana_services/StationSeriesService.js');
+
+const leitura = (dataHora, cota, chuva = null) => ({
+    codigoestacao: '15043000',
+    Data_Hora_Medicao: `${dataHora}.0`,
+    Cota_Adotada: cota,
+    Vazao_Adotada: null,
+    Chuva_Adotada: chuva
+});
+
+describe('StationSeriesService', () => {
+    beforeEach(async () => {
+        mockFetchStationData.mockReset();
+        mockAuthenticate.mockClear();
+        await AnaCache.limparTodos();
+        jest.spyOn(AnaArchiveService, 'hoje').mockReturnValue('2025-03-31');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('completa o arquivo com o período que falta e devolve a série limpa e ordenada', async () => {
+        mockFetchStationData.mockImplementation(async (token, { data_busca }) => ({
+            items: data_busca === '2025-03-31'
+                ? [leitura('2025-03-31 10:00:00', '312'), leitura('2025-03-02 08:00:00', '298'), leitura('2025-03-31 09:00:00', null)]
+                : [leitura('2025-02-20 08:00:00', '280,5'), leitura('2025-01-20 08:00:00', '250')]
+        }));
+
+        const resultado = await StationSeriesService.buscarSerie('15043000', { from: '2025-02-15', to: '2025-03-31', variavel: 'nivel' });
+
+        expect(mockFetchStationData.mock.calls.map(([token, { data_busca, intervalo_busca }]) => [token, data_busca, intervalo_busca]))
+            .toEqual([['token-em-cache', '2025-03-31', 'DIAS_30'], ['token-em-cache', '2025-03-01', 'DIAS_21']]);
+        expect(resultado).toMatchObject({
+            estacao: { codigo: '15043000', nome: 'UHE GUAPORÉ MONTANTE 1' },
+            variavel: 'nivel',
+            unidade: 'cm',
+            periodo: { from: '2025-02-15', to: '2025-03-31' },
+            total: 3
+        });
+        expect(resultado.serie).toEqual([
+            { dataHora: '2025-02-20T08:00:00-03:00', valor: 280.5 },
+            { dataHora: '2025-03-02T08:00:00-03:00', valor: 298 },
+            { dataHora: '2025-03-31T10:00:00-03:00', valor: 312 }
+        ]);
+
+        // Período já coberto pelo arquivo: nenhuma consulta nova ao HidroWeb
+        mockFetchStationData.mockClear();
+        const { serie } = await StationSeriesService.buscarSerie('15043000', { from: '2025-03-01', to: '2025-03-31' });
+        expect(mockFetchStationData).not.toHaveBeenCalled();
+        expect(serie.map(({ valor }) => valor)).toEqual([298, 312]);
+    });
+
+    test('autentica de novo quando o token expira', async () => {
+        mockFetchStationData
+            .mockRejectedValueOnce(new Error('Erro de autenticação (401): token expirado'))
+            .mockResolvedValue({ items: [leitura('2025-03-31 10:00:00', '1', '2.4')] });
+
+        const { serie } = await StationSeriesService.buscarSerie('15043000', { from: '2025-03-31', to: '2025-03-31', variavel: 'chuva' });
+
+        expect(mockAuthenticate).toHaveBeenCalledTimes(1);
+        expect(mockFetchStationData).toHaveBeenLastCalledWith('token-novo', expect.objectContaining({ data_busca: '2025-03-31' }));
+        expect(serie).toEqual([{ dataHora: '2025-03-31T10:00:00-03:00', valor: 2.4 }]);
+    });
+
+    test('valida variável e período e devolve null para estação inexistente', async () => {
+        await expect(StationSeriesService.buscarSerie('15043000', { variavel: 'temperatura' })).rejects.toThrow(ERRO_SERIE);
+        await expect(StationSeriesService.buscarSerie('15043000', { from: '2025-04-01', to: '2025-03-01' })).rejects.toThrow(ERRO_SERIE);
+        await expect(StationSeriesService.buscarSerie('15043000', { from: '01/03/2025' })).rejects.toThrow(ERRO_SERIE);
+        await expect(StationSeriesService.buscarSerie('15043000', { from: '2023-01-01', to: '2025-01-01' })).rejects.toThrow('366 dias');
+        // Mais de DIAS_RETROATIVOS atrás fica para a sincronização, não para a requisição
+        await expect(StationSeriesService.buscarSerie('15043000', { from: '2024-03-01', to: '2024-03-31' })).rejects.toThrow('anterior a 2024-03-30');
+
+        expect(await StationSeriesService.buscarSerie('00000000', {})).toBeNull();
+        expect(mockFetchStationData).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,54 @@
+const { default: StationService, ERRO_FILTRO_ESTACAO } = await import('#ana_services/StationService.js');
+
+describe('StationService', () => {
+    test('lê o inventário de apis/ana/inventario e busca a estação pelo código', async () => {
+        expect((await StationService.listAllStations()).length).toBeGreaterThan(300);
+
+        expect(await StationService.buscarPorCodigo('15043000')).toMatchObject({
+            codigo: '15043000',
+            nome: 'UHE GUAPORÉ MONTANTE 1',
+            tipo: 'Fluviometrica',
+            latitude: -15.0594,
+            longitude: -58.9106,
+            bacia: 'RIO AMAZONAS',
+            rio: 'RIO GUAPORÉ',
+            municipio: 'JAURU',
+            uf: 'MT',
+            operando: true,
+            telemetrica: true
+        });
+        expect(await StationService.buscarPorCodigo('00000000')).toBeNull();
+    });
+
+    test('filtra por bacia e rio (parte do nome), município, operadora e tipo, sem caixa nem acento', async () => {
+        const juruena = await StationService.listar({ bacia: 'amazonas', rio: 'juruena' });
+        expect(juruena.length).toBeGreaterThan(0);
+        juruena.forEach(estacao => {
+            expect(estacao.bacia).toBe('RIO AMAZONAS');
+            expect(estacao.rio).toContain('JURUENA');
+        });
+
+        const pluviometricas = await StationService.listar({ tipo: 'Pluviométrica', municipio: 'agua boa' });
+        expect(pluviometricas.map(({ codigo, operadora }) => ({ codigo, operadora })))
+            .toContainEqual({ codigo: '510020101A', operadora: 'CEMADEN' });
+
+        const sema = await StationService.listar({ operadora: 'sema-mt' });
+        expect(sema.every(({ operadora }) => operadora === 'SEMA-MT')).toBe(true);
+
+        await expect(StationService.listar({ tipo: 'piezometrica' })).rejects.toThrow(ERRO_FILTRO_ESTACAO);
+    });
+
+    test('paraGeoJSON gera pontos [longitude, latitude] e descarta estações sem coordenadas', () => {
+        const geojson = StationService.paraGeoJSON([
+            { codigo: '1', nome: 'A', latitude: -15.06, longitude: -58.91 },
+            { codigo: '2', nome: 'B', latitude: null, longitude: -58.91 }
+        ]);
+
+        expect(geojson.type).toBe('FeatureCollection');
+        expect(geojson.features).toEqual([{
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-58.91, -15.06] },
+            properties: { codigo: '1', nome: 'A', latitude: -15.06, longitude: -58.91 }
+        }]);
+    });
+});
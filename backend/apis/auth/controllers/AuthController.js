@@ -0,0 +1,198 @@
+//FILE_PATH: backend/apis/auth/controllers/AuthController.js
+
+/**
+ * 🚦 Recebe as requisições de /api/auth e delega ao AuthService.
+ */
+
+import AuthService, { ERRO_AUTENTICACAO, ERRO_USUARIO } from '#auth_services/AuthService.js';
+import ApiKeyService, { ERRO_CHAVE_API } from '#auth_services/ApiKeyService.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+/**
+ * 🔐 AuthController
+ *
+ * Login, renovação e revogação de tokens, perfil do usuário autenticado, gestão de usuários e de chaves de API.
+ */
+export default class AuthController {
+
+  // == Sessão ==
+
+  static login = async (req, res, next) => {
+    try {
+      const { email, senha } = req.body ?? {};
+      res.json(await AuthService.login(email, senha));
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  static refresh = async (req, res, next) => {
+    try {
+      res.json(await AuthService.renovar(req.body?.refreshToken));
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  static logout = async (req, res, next) => {
+    try {
+      await AuthService.logout(req.body?.refreshToken);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * 🪪 me
+   *
+   * Dados do usuário dono do access token (ou da chave de API usada).
+   */
+  static me = async (req, res, next) => {
+    try {
+      if (req.chaveApi) return res.json(req.usuario);
+
+      const usuario = req.usuario ? await AuthService.buscarUsuario(req.usuario.id) : null;
+      if (!usuario) return res.status(401).json({ error: `${ERRO_AUTENTICACAO}: usuário não encontrado` });
+
+      res.json(usuario);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // == Usuários ==
+
+  static listUsers = async (req, res, next) => {
+    try {
+      res.json(await AuthService.listarUsuarios());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getUser = async (req, res, next) => {
+    try {
+      const usuario = await AuthService.buscarUsuario(Number(req.params.id));
+      if (!usuario) return AuthController.#usuarioNaoEncontrado(req, res);
+
+      res.json(usuario);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static createUser = async (req, res, next) => {
+    try {
+      debugLog('POST /auth/users', {
+        email: req.body?.email,
+        papel: req.body?.papel,
+        origem: 'AuthController.createUser'
+      });
+
+      res.status(201).json(await AuthService.criarUsuario(req.body));
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  static updateUser = async (req, res, next) => {
+    try {
+      debugLog('PUT /auth/users/:id', {
+        id: req.params.id,
+        campos: Object.keys(req.body ?? {}),
+        origem: 'AuthController.updateUser'
+      });
+
+      const usuario = await AuthService.atualizarUsuario(Number(req.params.id), req.body);
+      if (!usuario) return AuthController.#usuarioNaoEncontrado(req, res);
+
+      res.json(usuario);
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  // == Chaves de API ==
+
+  static listKeys = async (req, res, next) => {
+    try {
+      res.json(await ApiKeyService.listar());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getKey = async (req, res, next) => {
+    try {
+      const chave = await ApiKeyService.buscar(Number(req.params.id));
+      if (!chave) return AuthController.#chaveNaoEncontrada(req, res);
+
+      res.json(chave);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static createKey = async (req, res, next) => {
+    try {
+      debugLog('POST /auth/keys', {
+        body: req.body,
+        origem: 'AuthController.createKey'
+      });
+
+      res.status(201).json(await ApiKeyService.emitir(req.body));
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  static updateKey = async (req, res, next) => {
+    try {
+      const chave = await ApiKeyService.atualizar(Number(req.params.id), req.body);
+      if (!chave) return AuthController.#chaveNaoEncontrada(req, res);
+
+      res.json(chave);
+    } catch (error) {
+      AuthController.#tratarErro(error, res, next);
+    }
+  };
+
+  static revokeKey = async (req, res, next) => {
+    try {
+      const revogada = await ApiKeyService.revogar(Number(req.params.id));
+      if (!revogada) return AuthController.#chaveNaoEncontrada(req, res);
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // == Privados ==
+
+  static #usuarioNaoEncontrado(req, res) {
+    return res.status(404).json({
+      error: 'Usuário não encontrado',
+      id: req.params.id
+    });
+  }
+
+  static #chaveNaoEncontrada(req, res) {
+    return res.status(404).json({
+      error: 'Chave de API não encontrada ou já revogada',
+      id: req.params.id
+    });
+  }
+
+  static #tratarErro(error, res, next) {
+    if (error?.message?.startsWith(ERRO_AUTENTICACAO)) {
+      return res.status(401).json({ error: error.message });
+    }
+    if (error?.message?.startsWith(ERRO_USUARIO) || error?.message?.startsWith(ERRO_CHAVE_API)) {
+      return res.status(400).json({ error: error.message });
+    }
+    return next(error);
+  }
+}
@@ -0,0 +1,205 @@
+// backend/apis/auth/routes/auth.routes.js
+import { debugLog } from "#backend_utils/debugLog.js";
+
+import { Router } from 'express';
+
+import AuthController from '#auth_controllers/AuthController.js';
+import authMiddleware, { exigirPapel } from '#shared_middleware/auth.js';
+
+const ROUTE_PREFIX = '/api/auth';
+
+/**
+ * Auth Routes
+ * -----------
+ * Sessão (JWT + refresh token) e cadastro de usuários.
+ * Prefixo de rota: /api/auth
+ *
+ * Endpoints:
+ *   POST   /login      - Troca e-mail e senha por tokens
+ *   POST   /refresh    - Troca um refresh token por um novo par de tokens
+ *   POST   /logout     - Revoga um refresh token
+ *   GET    /me         - Usuário autenticado
+ *   GET    /users      - Lista os usuários (admin)
+ *   POST   /users      - Cria um usuário (admin)
+ *   GET    /users/:id  - Detalha um usuário (admin)
+ *   PUT    /users/:id  - Atualiza um usuário (admin, parcial)
+ *   GET    /keys       - Lista as chaves de API (admin)
+ *   POST   /keys       - Emite uma chave de API (admin)
+ *   GET    /keys/:id   - Detalha uma chave e o uso do dia (admin)
+ *   PUT    /keys/:id   - Altera nome e limites de uma chave (admin, parcial)
+ *   DELETE /keys/:id   - Revoga uma chave (admin)
+ *
+ * Papéis: visualizador, analista, comandante (restrito ao `comandoRegional`) e admin.
+ * Demais módulos enviam o access token em `Authorization: Bearer <accessToken>`.
+ * Clientes externos usam `X-API-Key: <chave>`, com limite por minuto e cota diária por chave (429 + Retry-After).
+ */
+
+const router = Router();
+
+// Apenas o admin gerencia usuários e chaves de API (exigirPapel sem papéis aceita só admin)
+const somenteAdmin = [authMiddleware, exigirPapel()];
+
+/**
+ * 🔑 POST /auth/login
+ *
+ * Corpo: { "email": "...", "senha": "..." }
+ * Resposta: { accessToken, refreshToken, expiraEm, usuario }. Credenciais inválidas retornam 401.
+ */
+router.post('/login', AuthController.login);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/login`,
+  controller: 'login'
+});
+
+/**
+ * 🔄 POST /auth/refresh
+ *
+ * Corpo: { "refreshToken": "..." }
+ * O refresh token é de uso único: a resposta traz um novo par de tokens.
+ */
+router.post('/refresh', AuthController.refresh);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/refresh`,
+  controller: 'refresh'
+});
+
+/**
+ * 🚪 POST /auth/logout
+ *
+ * Corpo: { "refreshToken": "..." }
+ */
+router.post('/logout', AuthController.logout);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/logout`,
+  controller: 'logout'
+});
+
+/**
+ * 🪪 GET /auth/me
+ *
+ * Usuário dono do access token.
+ */
+router.get('/me', authMiddleware, AuthController.me);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/me`,
+  controller: 'me'
+});
+
+/**
+ * 👥 GET /auth/users
+ *
+ * Lista os usuários (sem o hash da senha).
+ */
+router.get('/users', ...somenteAdmin, AuthController.listUsers);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/users`,
+  controller: 'listUsers'
+});
+
+/**
+ * ➕ POST /auth/users
+ *
+ * Corpo: { "email", "nome", "senha", "papel", "comandoRegional" (obrigatório para comandante, ex: "CR BM III") }
+ */
+router.post('/users', ...somenteAdmin, AuthController.createUser);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/users`,
+  controller: 'createUser'
+});
+
+/**
+ * 🔎 GET /auth/users/:id
+ *
+ * Detalha um usuário.
+ */
+router.get('/users/:id', ...somenteAdmin, AuthController.getUser);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/users/:id`,
+  controller: 'getUser'
+});
+
+/**
+ * ✏️ PUT /auth/users/:id
+ *
+ * Atualiza nome, senha, papel, comandoRegional ou ativo. Trocar senha ou papel,
+ * ou desativar o usuário, encerra as sessões dele.
+ */
+router.put('/users/:id', ...somenteAdmin, AuthController.updateUser);
+debugLog('Registrando endpoint', {
+  method: 'PUT',
+  endpoint: `${ROUTE_PREFIX}/users/:id`,
+  controller: 'updateUser'
+});
+
+/**
+ * 🗝️ GET /auth/keys
+ *
+ * Lista as chaves de API (sem o valor da chave).
+ */
+router.get('/keys', ...somenteAdmin, AuthController.listKeys);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/keys`,
+  controller: 'listKeys'
+});
+
+/**
+ * ➕ POST /auth/keys
+ *
+ * Corpo: { "nome": "SEMA-MT", "limitePorMinuto": 60, "cotaDiaria": 5000 } (limites opcionais)
+ * A resposta traz o campo `chave`, que não volta a ser exibido.
+ */
+router.post('/keys', ...somenteAdmin, AuthController.createKey);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/keys`,
+  controller: 'createKey'
+});
+
+/**
+ * 🔎 GET /auth/keys/:id
+ *
+ * Detalha uma chave, com o número de requisições do dia (`usoHoje`).
+ */
+router.get('/keys/:id', ...somenteAdmin, AuthController.getKey);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/keys/:id`,
+  controller: 'getKey'
+});
+
+/**
+ * ✏️ PUT /auth/keys/:id
+ *
+ * Altera nome, limitePorMinuto ou cotaDiaria; vale a partir da próxima requisição.
+ */
+router.put('/keys/:id', ...somenteAdmin, AuthController.updateKey);
+debugLog('Registrando endpoint', {
+  method: 'PUT',
+  endpoint: `${ROUTE_PREFIX}/keys/:id`,
+  controller: 'updateKey'
+});
+
+/**
+ * 🗑️ DELETE /auth/keys/:id
+ *
+ * Revoga a chave; requisições com ela passam a receber 401.
+ */
+router.delete('/keys/:id', ...somenteAdmin, AuthController.revokeKey);
+debugLog('Registrando endpoint', {
+  method: 'DELETE',
+  endpoint: `${ROUTE_PREFIX}/keys/:id`,
+  controller: 'revokeKey'
+});
+
+/**
+ * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
+ */
+export default router;
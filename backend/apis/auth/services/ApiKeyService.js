@@ -0,0 +1,185 @@
+// FILE_PATH: backend/apis/auth/services/ApiKeyService.js
+
+/**
+ * 🗝️ Chaves de API para clientes externos (ex: órgãos parceiros consumindo /api/firms/fires).
+ *
+ * Cada chave tem limite por minuto (janela deslizante, em memória) e cota diária (persistida).
+ * O valor da chave só é exibido na emissão; o banco guarda apenas o hash.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+import ApiKeyStore from '#shared_cache_api_keys/ApiKeyStore.js';
+
+import { ERRO_AUTENTICACAO } from '#auth_services/AuthService.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+// Limites padrão ficam no .env
+dotenv.config();
+
+/**
+ * ⚙️ API_KEY_CONFIG
+ *
+ * - LIMITE_POR_MINUTO: limite padrão de novas chaves (env `API_KEY_RATE_LIMIT_MIN`, padrão 60)
+ * - COTA_DIARIA: cota padrão de novas chaves (env `API_KEY_DAILY_QUOTA`, padrão 5000; o dia vira às 00:00 UTC)
+ * - LIMITE_ANONIMO_POR_MINUTO: limite por IP das requisições sem chave nem usuário, possíveis com
+ *   `AUTH_ENABLED=false` (env `ANON_RATE_LIMIT_MIN`, padrão 120)
+ * - JANELA_MS: tamanho da janela deslizante do limite por minuto
+ * - PREFIXO: prefixo das chaves emitidas, facilita identificá-las em logs e configurações
+ */
+export const API_KEY_CONFIG = {
+  LIMITE_POR_MINUTO: Number(process.env.API_KEY_RATE_LIMIT_MIN) || 60,
+  COTA_DIARIA: Number(process.env.API_KEY_DAILY_QUOTA) || 5000,
+  LIMITE_ANONIMO_POR_MINUTO: Number(process.env.ANON_RATE_LIMIT_MIN) || 120,
+  JANELA_MS: 60 * 1000,
+  PREFIXO: 'mmt_'
+};
+
+/**
+ * 🚫 ERRO_CHAVE_API
+ *
+ * Prefixo das mensagens de validação (tratadas como 400 pelo AuthController).
+ */
+export const ERRO_CHAVE_API = 'Chave de API inválida';
+
+/**
+ * 🗝️ ApiKeyService
+ *
+ * Emissão, revogação e validação de chaves de API.
+ */
+export default class ApiKeyService {
+
+  /**
+   * ➕ emitir
+   *
+   * @param {Object} dados
+   * @param {string} dados.nome - Cliente dono da chave (ex: 'SEMA-MT')
+   * @param {number} [dados.limitePorMinuto] - Padrão API_KEY_CONFIG.LIMITE_POR_MINUTO
+   * @param {number} [dados.cotaDiaria] - Padrão API_KEY_CONFIG.COTA_DIARIA
+   * @returns {Promise<Object>} Registro da chave com o campo `chave` (exibido apenas nesta resposta)
+   * @throws {Error} `${ERRO_CHAVE_API}: ...` se algum campo for inválido
+   */
+  static async emitir(dados = {}) {
+    const limites = this.#validar(dados);
+    const chave = `${API_KEY_CONFIG.PREFIXO}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const registro = await ApiKeyStore.criarChave({
+      ...limites,
+      prefixo: chave.slice(0, API_KEY_CONFIG.PREFIXO.length + 6),
+      chaveHash: hashChave(chave)
+    });
+
+    debugLog('Chave de API emitida', { id: registro.id, nome: registro.nome, origem: 'ApiKeyService.emitir' });
+    return { ...registro, chave };
+  }
+
+  static async listar() {
+    return (await ApiKeyStore.listarChaves()).map(formatarChave);
+  }
+
+  /**
+   * 🔎 buscar
+   *
+   * @param {number} id
+   * @returns {Promise<Object|null>} Chave com o uso do dia (`usoHoje`)
+   */
+  static async buscar(id) {
+    const chave = await ApiKeyStore.getChave(id);
+    if (!chave) return null;
+    return { ...formatarChave(chave), usoHoje: await ApiKeyStore.getUso(id, diaAtual()) };
+  }
+
+  /**
+   * ✏️ atualizar
+   *
+   * Atualização parcial de nome, limitePorMinuto e cotaDiaria.
+   *
+   * @returns {Promise<Object|null>} Chave atualizada ou null se não existir
+   */
+  static async atualizar(id, dados = {}) {
+    const atual = await ApiKeyStore.getChave(id);
+    if (!atual) return null;
+
+    const chave = await ApiKeyStore.atualizarChave(id, this.#validar({ ...atual, ...dados }));
+    return formatarChave(chave);
+  }
+
+  /**
+   * 🗑️ revogar
+   *
+   * @returns {Promise<boolean>} False se a chave não existir ou já estiver revogada
+   */
+  static async revogar(id) {
+    return ApiKeyStore.revogarChave(id);
+  }
+
+  /**
+   * 🪪 autenticar
+   *
+   * @param {string} chave - Valor enviado no header `X-API-Key`
+   * @returns {Promise<{ id: number, nome: string, limitePorMinuto: number, cotaDiaria: number }>}
+   * @throws {Error} `${ERRO_AUTENTICACAO}: ...` se a chave não existir ou estiver revogada
+   */
+  static async autenticar(chave) {
+    const registro = chave ? await ApiKeyStore.getChavePorHash(hashChave(chave)) : null;
+    if (!registro || registro.revogadaEm) {
+      throw new Error(`${ERRO_AUTENTICACAO}: chave de API inválida ou revogada`);
+    }
+
+    const { id, nome, limitePorMinuto, cotaDiaria } = registro;
+    return { id, nome, limitePorMinuto, cotaDiaria };
+  }
+
+  /**
+   * 📊 consumirCota
+   *
+   * Conta uma requisição na cota diária da chave.
+   *
+   * @param {{ id: number, cotaDiaria: number }} chave - Resultado de `autenticar`
+   * @param {Date} [agora]
+   * @returns {Promise<{ permitido: boolean, restantes: number, reiniciaEm: Date }>}
+   */
+  static async consumirCota({ id, cotaDiaria }, agora = new Date()) {
+    const { permitido, requisicoes } = await ApiKeyStore.registrarUso(id, diaAtual(agora), cotaDiaria);
+    const reiniciaEm = new Date(agora);
+    reiniciaEm.setUTCHours(24, 0, 0, 0);
+
+    return { permitido, restantes: Math.max(0, cotaDiaria - requisicoes), reiniciaEm };
+  }
+
+  // == Privados ==
+
+  /**
+   * @private
+   * @returns {{ nome: string, limitePorMinuto: number, cotaDiaria: number }}
+   */
+  static #validar(dados) {
+    const nome = String(dados.nome ?? '').trim();
+    if (!nome) throw new Error(`${ERRO_CHAVE_API}: nome é obrigatório`);
+
+    const limitePorMinuto = Number(dados.limitePorMinuto ?? API_KEY_CONFIG.LIMITE_POR_MINUTO);
+    const cotaDiaria = Number(dados.cotaDiaria ?? API_KEY_CONFIG.COTA_DIARIA);
+    if (!Number.isInteger(limitePorMinuto) || limitePorMinuto < 1) {
+      throw new Error(`${ERRO_CHAVE_API}: limitePorMinuto=${dados.limitePorMinuto} (inteiro maior que zero)`);
+    }
+    if (!Number.isInteger(cotaDiaria) || cotaDiaria < limitePorMinuto) {
+      throw new Error(`${ERRO_CHAVE_API}: cotaDiaria=${dados.cotaDiaria} (inteiro, no mínimo limitePorMinuto)`);
+    }
+
+    return { nome, limitePorMinuto, cotaDiaria };
+  }
+}
+
+function hashChave(chave) {
+  return crypto.createHash('sha256').update(String(chave)).digest('hex');
+}
+
+function diaAtual(agora = new Date()) {
+  return agora.toISOString().slice(0, 10);
+}
+
+function formatarChave(chave) {
+  return { ...chave, ativa: !chave.revogadaEm };
+}
@@ -0,0 +1,334 @@
+// FILE_PATH: backend/apis/auth/services/AuthService.js
+
+/**
+ * 🔐 Autenticação e usuários da API.
+ *
+ * Access tokens JWT de curta duração (HS256) e refresh tokens opacos, rotacionados a cada renovação.
+ * As senhas são guardadas com scrypt (módulo `crypto` do Node).
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+
+import UserStore from '#shared_cache_users/UserStore.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+// Segredo do JWT e conta inicial ficam no .env
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 🎭 PAPEIS
+ *
+ * - visualizador: consulta focos, estatísticas, eventos, ANA e alertas
+ * - analista: visualizador + gestão das regras de alerta
+ * - comandante: analista restrito aos focos do próprio comando regional (`comandoRegional`)
+ * - admin: acesso total, incluindo a gestão de usuários
+ */
+export const PAPEIS = {
+  VISUALIZADOR: 'visualizador',
+  ANALISTA: 'analista',
+  COMANDANTE: 'comandante',
+  ADMIN: 'admin'
+};
+
+/**
+ * ⚙️ AUTH_CONFIG
+ *
+ * - HABILITADO: exige autenticação nas rotas protegidas (env `AUTH_ENABLED=false` desliga, ex: desenvolvimento;
+ *   rotas só de admin continuam fechadas)
+ * - JWT_SECRET: segredo HS256 (env `AUTH_JWT_SECRET`; sem ele é gerado um segredo aleatório por processo)
+ * - ACCESS_TTL_MIN: validade do access token (env `AUTH_ACCESS_TTL_MIN`, padrão 15 min)
+ * - REFRESH_TTL_DIAS: validade do refresh token (env `AUTH_REFRESH_TTL_DIAS`, padrão 7 dias)
+ */
+export const AUTH_CONFIG = {
+  HABILITADO: process.env.AUTH_ENABLED !== 'false',
+  JWT_SECRET: process.env.AUTH_JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  ACCESS_TTL_MIN: Number(process.env.AUTH_ACCESS_TTL_MIN) || 15,
+  REFRESH_TTL_DIAS: Number(process.env.AUTH_REFRESH_TTL_DIAS) || 7
+};
+
+/**
+ * 🚫 ERRO_AUTENTICACAO / ERRO_USUARIO
+ *
+ * Prefixos das mensagens de erro (tratadas como 401 e 400 pelo AuthController).
+ */
+export const ERRO_AUTENTICACAO = 'Não autenticado';
+export const ERRO_USUARIO = 'Usuário inválido';
+
+const SENHA_MINIMA = 8;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * 🔐 AuthService
+ *
+ * Login, renovação de tokens e cadastro de usuários.
+ */
+export default class AuthService {
+
+  // == Sessão ==
+
+  /**
+   * 🔑 login
+   *
+   * @param {string} email
+   * @param {string} senha
+   * @returns {Promise<{ accessToken: string, refreshToken: string, expiraEm: string, usuario: Object }>}
+   * @throws {Error} `${ERRO_AUTENTICACAO}: ...` para credenciais inválidas ou usuário inativo
+   */
+  static async login(email, senha) {
+    const usuario = email ? await UserStore.getUsuarioPorEmail(String(email).trim()) : null;
+    const senhaConfere = usuario && await this.verificarSenha(String(senha ?? ''), usuario.senhaHash);
+
+    if (!senhaConfere || !usuario.ativo) {
+      throw new Error(`${ERRO_AUTENTICACAO}: e-mail ou senha incorretos`);
+    }
+
+    debugLog('Login', { usuarioId: usuario.id, papel: usuario.papel, origem: 'AuthService.login' });
+    return this.#emitirTokens(usuario);
+  }
+
+  /**
+   * 🔄 renovar
+   *
+   * Troca um refresh token válido por um novo par de tokens. O token usado é revogado (rotação),
+   * então cada refresh token serve uma única vez.
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<{ accessToken: string, refreshToken: string, expiraEm: string, usuario: Object }>}
+   * @throws {Error} `${ERRO_AUTENTICACAO}: ...` se o token for desconhecido, expirado ou já usado
+   */
+  static async renovar(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const registro = refreshToken ? await UserStore.getRefreshToken(tokenHash) : null;
+
+    if (!registro || registro.revogadoEm || registro.expiraEm < Date.now()) {
+      throw new Error(`${ERRO_AUTENTICACAO}: refresh token inválido ou expirado`);
+    }
+    if (!await UserStore.revogarRefreshToken(tokenHash)) {
+      throw new Error(`${ERRO_AUTENTICACAO}: refresh token já utilizado`);
+    }
+
+    const usuario = await UserStore.getUsuario(registro.usuarioId);
+    if (!usuario?.ativo) throw new Error(`${ERRO_AUTENTICACAO}: usuário inativo`);
+
+    return this.#emitirTokens(usuario);
+  }
+
+  /**
+   * 🚪 logout
+   *
+   * @param {string} refreshToken - Token a revogar (tokens desconhecidos são ignorados)
+   */
+  static async logout(refreshToken) {
+    if (refreshToken) await UserStore.revogarRefreshToken(hashToken(refreshToken));
+  }
+
+  /**
+   * 🪪 verificarAccessToken
+   *
+   * @param {string} token - Access token JWT
+   * @returns {{ id: number, email: string, papel: string, comandoRegional: string|null }} Usuário do token
+   * @throws {Error} `${ERRO_AUTENTICACAO}: ...` se o token for inválido ou expirado
+   */
+  static verificarAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, AUTH_CONFIG.JWT_SECRET, { algorithms: ['HS256'] });
+      return {
+        id: Number(payload.sub),
+        email: payload.email,
+        papel: payload.papel,
+        comandoRegional: payload.crbm ?? null
+      };
+    } catch (error) {
+      throw new Error(`${ERRO_AUTENTICACAO}: ${error.name === 'TokenExpiredError' ? 'token expirado' : 'token inválido'}`);
+    }
+  }
+
+  // == Usuários ==
+
+  static async listarUsuarios() {
+    return (await UserStore.listarUsuarios()).map(semSenha);
+  }
+
+  static async buscarUsuario(id) {
+    const usuario = await UserStore.getUsuario(id);
+    return usuario ? semSenha(usuario) : null;
+  }
+
+  /**
+   * ➕ criarUsuario
+   *
+   * @param {Object} dados
+   * @param {string} dados.email
+   * @param {string} dados.nome
+   * @param {string} dados.senha - Mínimo de 8 caracteres
+   * @param {string} dados.papel - Um dos PAPEIS
+   * @param {string} [dados.comandoRegional] - Obrigatório para `comandante` (ex: 'CR BM III')
+   * @returns {Promise<Object>} Usuário criado (sem o hash da senha)
+   * @throws {Error} `${ERRO_USUARIO}: ...` se algum campo for inválido ou o e-mail já existir
+   */
+  static async criarUsuario(dados = {}) {
+    const email = String(dados.email ?? '').trim().toLowerCase();
+    if (!EMAIL_REGEX.test(email)) throw new Error(`${ERRO_USUARIO}: e-mail inválido`);
+    if (await UserStore.getUsuarioPorEmail(email)) throw new Error(`${ERRO_USUARIO}: e-mail já cadastrado`);
+
+    const usuario = this.#validarPerfil(dados);
+    validarSenha(dados.senha);
+
+    return semSenha(await UserStore.criarUsuario({
+      ...usuario,
+      email,
+      senhaHash: await this.hashSenha(dados.senha)
+    }));
+  }
+
+  /**
+   * ✏️ atualizarUsuario
+   *
+   * Atualização parcial (nome, senha, papel, comandoRegional, ativo). Trocar a senha, o papel
+   * ou desativar o usuário revoga os refresh tokens dele.
+   *
+   * @param {number} id
+   * @param {Object} dados
+   * @returns {Promise<Object|null>} Usuário atualizado (sem o hash da senha) ou null se não existir
+   */
+  static async atualizarUsuario(id, dados = {}) {
+    const atual = await UserStore.getUsuario(id);
+    if (!atual) return null;
+
+    const usuario = this.#validarPerfil({ ...atual, ...dados });
+    let { senhaHash } = atual;
+    if (dados.senha != null) {
+      validarSenha(dados.senha);
+      senhaHash = await this.hashSenha(dados.senha);
+    }
+
+    const atualizado = await UserStore.atualizarUsuario(id, { ...usuario, senhaHash });
+    if (senhaHash !== atual.senhaHash || usuario.papel !== atual.papel || !usuario.ativo) {
+      await UserStore.revogarTokensDoUsuario(id);
+    }
+    return semSenha(atualizado);
+  }
+
+  /**
+   * 👑 garantirAdminInicial
+   *
+   * Com o banco vazio, cria o administrador definido em `AUTH_ADMIN_EMAIL` / `AUTH_ADMIN_SENHA`.
+   *
+   * @returns {Promise<Object|null>} Administrador criado ou null se nada foi feito
+   */
+  static async garantirAdminInicial() {
+    const { AUTH_ADMIN_EMAIL: email, AUTH_ADMIN_SENHA: senha } = process.env;
+    if (!email || !senha || await UserStore.contarUsuarios() > 0) return null;
+
+    const admin = await this.criarUsuario({ email, senha, nome: 'Administrador', papel: PAPEIS.ADMIN });
+    debugLog('Administrador inicial criado', { email: admin.email, origem: 'AuthService.garantirAdminInicial' });
+    return admin;
+  }
+
+  // == Senhas ==
+
+  /**
+   * 🧂 hashSenha
+   *
+   * @param {string} senha
+   * @returns {Promise<string>} 'scrypt$<salt hex>$<hash hex>'
+   */
+  static async hashSenha(senha) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(senha, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * ✅ verificarSenha
+   *
+   * @param {string} senha
+   * @param {string} senhaHash - Resultado de `hashSenha`
+   * @returns {Promise<boolean>}
+   */
+  static async verificarSenha(senha, senhaHash) {
+    const [algoritmo, salt, hash] = String(senhaHash).split('$');
+    if (algoritmo !== 'scrypt' || !salt || !hash) return false;
+
+    const esperado = Buffer.from(hash, 'hex');
+    const calculado = await scrypt(senha, Buffer.from(salt, 'hex'), esperado.length);
+    return crypto.timingSafeEqual(esperado, calculado);
+  }
+
+  // == Privados ==
+
+  /**
+   * 🎟️ #emitirTokens
+   *
+   * @private
+   */
+  static async #emitirTokens(usuario) {
+    const accessToken = jwt.sign(
+      { sub: String(usuario.id), email: usuario.email, papel: usuario.papel, crbm: usuario.comandoRegional ?? null },
+      AUTH_CONFIG.JWT_SECRET,
+      { algorithm: 'HS256', expiresIn: AUTH_CONFIG.ACCESS_TTL_MIN * 60 }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await UserStore.salvarRefreshToken({
+      usuarioId: usuario.id,
+      tokenHash: hashToken(refreshToken),
+      expiraEm: Date.now() + AUTH_CONFIG.REFRESH_TTL_DIAS * 24 * 60 * 60 * 1000
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      expiraEm: new Date(Date.now() + AUTH_CONFIG.ACCESS_TTL_MIN * 60 * 1000).toISOString(),
+      usuario: semSenha(usuario)
+    };
+  }
+
+  /**
+   * 🎭 #validarPerfil
+   *
+   * @private
+   * @returns {{ nome: string, papel: string, comandoRegional: string|null, ativo: boolean }}
+   */
+  static #validarPerfil(dados) {
+    const nome = String(dados.nome ?? '').trim();
+    if (!nome) throw new Error(`${ERRO_USUARIO}: nome é obrigatório`);
+
+    if (!Object.values(PAPEIS).includes(dados.papel)) {
+      throw new Error(`${ERRO_USUARIO}: papel=${dados.papel} (aceitos: ${Object.values(PAPEIS).join(', ')})`);
+    }
+
+    let comandoRegional = null;
+    if (dados.papel === PAPEIS.COMANDANTE) {
+      comandoRegional = String(dados.comandoRegional ?? '').trim();
+      if (!comandoRegional) throw new Error(`${ERRO_USUARIO}: comandoRegional é obrigatório para comandante`);
+      if (!GeoMunicipalityMatcher.findFeatures({ comandoRegional }).length) {
+        throw new Error(`${ERRO_USUARIO}: comando regional não encontrado: ${comandoRegional}`);
+      }
+    }
+
+    return { nome, papel: dados.papel, comandoRegional, ativo: dados.ativo !== false && dados.ativo !== 'false' };
+  }
+}
+
+function validarSenha(senha) {
+  if (typeof senha !== 'string' || senha.length < SENHA_MINIMA) {
+    throw new Error(`${ERRO_USUARIO}: a senha deve ter ao menos ${SENHA_MINIMA} caracteres`);
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token ?? '')).digest('hex');
+}
+
+function semSenha({ senhaHash: _senhaHash, ...usuario }) {
+  return usuario;
+}
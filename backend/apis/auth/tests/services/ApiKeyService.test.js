@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+
+const { default: ApiKeyStore } = await import('#shared_cache_api_keys/ApiKeyStore.js');
+const { default: ApiKeyService, API_KEY_CONFIG, ERRO_CHAVE_API } = await import('#auth_services/ApiKeyService.js');
+const { AUTH_CONFIG, ERRO_AUTENTICACAO } = await import('#auth_services/AuthService.js');
+const { default: authMiddleware } = await import('#shared_middleware/auth.js');
+const { SlidingWindowLimiter, limitadorPorMinuto, limitarRequisicoes } = await import('#shared_middleware/rateLimit.js');
+
+ApiKeyStore.dbPath = ':memory:';
+
+const respostaFalsa = () => {
+    const res = { statusCode: 200, headers: {}, corpo: null };
+    res.status = jest.fn(codigo => { res.statusCode = codigo; return res; });
+    res.set = jest.fn((campo, valor) => {
+        Object.assign(res.headers, typeof campo === 'string' ? { [campo]: valor } : campo);
+        return res;
+    });
+    res.json = jest.fn(corpo => { res.corpo = corpo; return res; });
+    return res;
+};
+
+// authMiddleware + limitarRequisicoes, como montados em app.js
+const requisitar = async (chave, { ip = '10.0.0.1' } = {}) => {
+    const req = { headers: { 'x-api-key': chave }, query: {}, ip };
+    const res = respostaFalsa();
+    let liberada = false;
+    let limite = Promise.resolve();
+    await authMiddleware(req, res, () => {
+        limite = limitarRequisicoes(req, res, () => { liberada = true; });
+    });
+    await limite;
+    return { req, res, liberada };
+};
+
+describe('SlidingWindowLimiter', () => {
+    test('recusa o excedente e libera conforme as requisições saem da janela', () => {
+        const limitador = new SlidingWindowLimiter(60000);
+
+        expect(limitador.consumir('a', 2, 0)).toEqual({ permitido: true, restantes: 1, retryAfterMs: 60000 });
+        expect(limitador.consumir('a', 2, 20000).permitido).toBe(true);
+        expect(limitador.consumir('a', 2, 30000)).toEqual({ permitido: false, restantes: 0, retryAfterMs: 30000 });
+        expect(limitador.consumir('b', 2, 30000).permitido).toBe(true);
+
+        // A requisição do instante 0 sai da janela; a do instante 20000 continua
+        expect(limitador.consumir('a', 2, 60001)).toEqual({ permitido: true, restantes: 0, retryAfterMs: 19999 });
+        expect(limitador.consumir('a', 2, 60002).permitido).toBe(false);
+    });
+});
+
+describe('ApiKeyService', () => {
+    beforeEach(async () => {
+        await ApiKeyStore.limparTodos();
+        limitadorPorMinuto.limpar();
+    });
+
+    test('emite, autentica e revoga chaves', async () => {
+        const emitida = await ApiKeyService.emitir({ nome: 'SEMA-MT' });
+
+        expect(emitida.chave).toMatch(/^mmt_/);
+        expect(emitida.prefixo).toBe(emitida.chave.slice(0, 10));
+        expect(emitida).toMatchObject({ nome: 'SEMA-MT', limitePorMinuto: 60, cotaDiaria: 5000 });
+        expect(emitida).not.toHaveProperty('chaveHash');
+        expect(await ApiKeyService.listar()).toEqual([expect.not.objectContaining({ chave: expect.anything() })]);
+
+        expect(await ApiKeyService.autenticar(emitida.chave)).toMatchObject({ id: emitida.id, nome: 'SEMA-MT' });
+        await expect(ApiKeyService.autenticar('mmt_desconhecida')).rejects.toThrow(ERRO_AUTENTICACAO);
+
+        expect(await ApiKeyService.revogar(emitida.id)).toBe(true);
+        expect(await ApiKeyService.revogar(emitida.id)).toBe(false);
+        await expect(ApiKeyService.autenticar(emitida.chave)).rejects.toThrow(ERRO_AUTENTICACAO);
+
+        await expect(ApiKeyService.emitir({ nome: '' })).rejects.toThrow(ERRO_CHAVE_API);
+        await expect(ApiKeyService.emitir({ nome: 'X', limitePorMinuto: 0 })).rejects.toThrow(ERRO_CHAVE_API);
+        await expect(ApiKeyService.emitir({ nome: 'X', limitePorMinuto: 10, cotaDiaria: 5 })).rejects.toThrow(ERRO_CHAVE_API);
+    });
+
+    test('consumirCota conta por dia UTC e não passa da cota', async () => {
+        const { id } = await ApiKeyService.emitir({ nome: 'Defesa Civil', limitePorMinuto: 1, cotaDiaria: 2 });
+        const chave = { id, cotaDiaria: 2 };
+        const agora = new Date('2025-08-01T23:30:00Z');
+
+        expect(await ApiKeyService.consumirCota(chave, agora)).toMatchObject({ permitido: true, restantes: 1 });
+        expect(await ApiKeyService.consumirCota(chave, agora)).toMatchObject({ permitido: true, restantes: 0 });
+
+        const recusada = await ApiKeyService.consumirCota(chave, agora);
+        expect(recusada.permitido).toBe(false);
+        expect(recusada.reiniciaEm.toISOString()).toBe('2025-08-02T00:00:00.000Z');
+        expect(await ApiKeyStore.getUso(id, '2025-08-01')).toBe(2);
+
+        expect(await ApiKeyService.consumirCota(chave, new Date('2025-08-02T00:00:01Z'))).toMatchObject({ permitido: true });
+    });
+
+    test('middleware responde 401 para chave inválida e 429 com Retry-After ao exceder os limites', async () => {
+        expect((await requisitar('mmt_invalida')).res.statusCode).toBe(401);
+
+        const { chave } = await ApiKeyService.emitir({ nome: 'SEMA-MT', limitePorMinuto: 2, cotaDiaria: 3 });
+
+        const primeira = await requisitar(chave);
+        expect(primeira.liberada).toBe(true);
+        expect(primeira.req.usuario).toMatchObject({ papel: 'visualizador', chaveApi: { nome: 'SEMA-MT' } });
+        expect(primeira.res.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '1', 'X-Quota-Remaining': '2' });
+
+        expect((await requisitar(chave)).liberada).toBe(true);
+
+        const porMinuto = await requisitar(chave);
+        expect(porMinuto.liberada).toBe(false);
+        expect(porMinuto.res.statusCode).toBe(429);
+        expect(Number(porMinuto.res.headers['Retry-After'])).toBeGreaterThanOrEqual(59);
+        expect(porMinuto.res.corpo).toMatchObject({ error: 'Limite de requisições por minuto excedido', limite: 2 });
+
+        // Janela liberada: sobra uma requisição na cota diária
+        limitadorPorMinuto.limpar();
+        expect((await requisitar(chave)).liberada).toBe(true);
+
+        limitadorPorMinuto.limpar();
+        const porDia = await requisitar(chave);
+        expect(porDia.res.statusCode).toBe(429);
+        expect(porDia.res.corpo).toMatchObject({ error: 'Cota diária de requisições excedida', limite: 3 });
+        expect(Number(porDia.res.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+
+    test('com a autenticação desligada limita as requisições anônimas por IP', async () => {
+        const habilitado = AUTH_CONFIG.HABILITADO;
+        const limiteAnonimo = API_KEY_CONFIG.LIMITE_ANONIMO_POR_MINUTO;
+        AUTH_CONFIG.HABILITADO = false;
+        API_KEY_CONFIG.LIMITE_ANONIMO_POR_MINUTO = 2;
+
+        try {
+            expect((await requisitar(undefined)).res.headers).toMatchObject({ 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '1' });
+            expect((await requisitar(undefined)).liberada).toBe(true);
+
+            const excedente = await requisitar(undefined);
+            expect(excedente.liberada).toBe(false);
+            expect(excedente.res.statusCode).toBe(429);
+            expect(excedente.res.corpo).toMatchObject({ error: 'Limite de requisições por minuto excedido', limite: 2 });
+
+            // Outro IP tem a própria janela
+            expect((await requisitar(undefined, { ip: '10.0.0.2' })).liberada).toBe(true);
+        } finally {
+            AUTH_CONFIG.HABILITADO = habilitado;
+            API_KEY_CONFIG.LIMITE_ANONIMO_POR_MINUTO = limiteAnonimo;
+        }
+    });
+});
@@ -0,0 +1,211 @@
+import { jest } from '@jest/globals';
+
+// Configuração lida no carregamento do AuthService
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_JWT_SECRET = 'segredo-de-teste';
+
+const { default: UserStore } = await import('#shared_cache_users/UserStore.js');
+const { default: GeoMunicipalityMatcher } = await import('#geo_utils/GeoMunicipalityMatcher.js');
+const { default: AuthService, AUTH_CONFIG, PAPEIS, ERRO_AUTENTICACAO, ERRO_USUARIO } = await import('#auth_services/AuthService.js');
+const { default: authMiddleware, exigirPapel, aplicarEscopoRegional } = await import('#shared_middleware/auth.js');
+
+UserStore.dbPath = ':memory:';
+
+const SENHA = 'senha-forte-123';
+
+const respostaFalsa = () => {
+    const res = { statusCode: 200, corpo: null };
+    res.status = jest.fn(codigo => { res.statusCode = codigo; return res; });
+    res.json = jest.fn(corpo => { res.corpo = corpo; return res; });
+    return res;
+};
+
+describe('AuthService', () => {
+    beforeEach(async () => {
+        await UserStore.limparTodos();
+        // A malha de municípios não acompanha o repositório: só o CR BM III existe no teste
+        jest.spyOn(GeoMunicipalityMatcher, 'findFeatures')
+            .mockImplementation(({ comandoRegional }) => (comandoRegional === 'CR BM III' ? [{}] : []));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('hashSenha e verificarSenha', async () => {
+        const hash = await AuthService.hashSenha(SENHA);
+
+        expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        expect(await AuthService.verificarSenha(SENHA, hash)).toBe(true);
+        expect(await AuthService.verificarSenha('outra-senha', hash)).toBe(false);
+        expect(await AuthService.verificarSenha(SENHA, 'texto-puro')).toBe(false);
+    });
+
+    test('criarUsuario valida papel, comando regional, e-mail e senha', async () => {
+        const comandante = await AuthService.criarUsuario({
+            email: 'Cmt@BM.mt.gov.br', nome: 'Comandante', senha: SENHA, papel: PAPEIS.COMANDANTE, comandoRegional: 'CR BM III'
+        });
+
+        expect(comandante).toMatchObject({ email: 'cmt@bm.mt.gov.br', papel: 'comandante', comandoRegional: 'CR BM III', ativo: true });
+        expect(comandante).not.toHaveProperty('senhaHash');
+
+        const invalidos = [
+            { email: 'cmt@bm.mt.gov.br', nome: 'Duplicado', senha: SENHA, papel: PAPEIS.ANALISTA },
+            { email: 'a@bm.mt.gov.br', nome: 'A', senha: SENHA, papel: 'chefe' },
+            { email: 'b@bm.mt.gov.br', nome: 'B', senha: SENHA, papel: PAPEIS.COMANDANTE },
+            { email: 'c@bm.mt.gov.br', nome: 'C', senha: SENHA, papel: PAPEIS.COMANDANTE, comandoRegional: 'CR BM XX' },
+            { email: 'd@bm.mt.gov.br', nome: 'D', senha: 'curta', papel: PAPEIS.VISUALIZADOR },
+            { email: 'sem-arroba', nome: 'E', senha: SENHA, papel: PAPEIS.VISUALIZADOR }
+        ];
+        for (const dados of invalidos) {
+            await expect(AuthService.criarUsuario(dados)).rejects.toThrow(ERRO_USUARIO);
+        }
+    });
+
+    test('login emite tokens e rejeita credenciais inválidas ou usuário inativo', async () => {
+        const usuario = await AuthService.criarUsuario({ email: 'ana@bm.mt.gov.br', nome: 'Ana', senha: SENHA, papel: PAPEIS.ANALISTA });
+
+        const sessao = await AuthService.login('ana@bm.mt.gov.br', SENHA);
+        expect(sessao.usuario).toMatchObject({ id: usuario.id, papel: 'analista' });
+        expect(AuthService.verificarAccessToken(sessao.accessToken))
+            .toEqual({ id: usuario.id, email: 'ana@bm.mt.gov.br', papel: 'analista', comandoRegional: null });
+
+        await expect(AuthService.login('ana@bm.mt.gov.br', 'senha-errada')).rejects.toThrow(ERRO_AUTENTICACAO);
+        await expect(AuthService.login('ninguem@bm.mt.gov.br', SENHA)).rejects.toThrow(ERRO_AUTENTICACAO);
+
+        await AuthService.atualizarUsuario(usuario.id, { ativo: false });
+        await expect(AuthService.login('ana@bm.mt.gov.br', SENHA)).rejects.toThrow(ERRO_AUTENTICACAO);
+        expect(() => AuthService.verificarAccessToken('nao.e.jwt')).toThrow(ERRO_AUTENTICACAO);
+    });
+
+    test('renovar rotaciona o refresh token e rejeita reuso, logout e troca de senha', async () => {
+        const usuario = await AuthService.criarUsuario({ email: 'ana@bm.mt.gov.br', nome: 'Ana', senha: SENHA, papel: PAPEIS.ANALISTA });
+        const { refreshToken } = await AuthService.login('ana@bm.mt.gov.br', SENHA);
+
+        const renovada = await AuthService.renovar(refreshToken);
+        expect(renovada.refreshToken).not.toBe(refreshToken);
+        await expect(AuthService.renovar(refreshToken)).rejects.toThrow(ERRO_AUTENTICACAO);
+
+        await AuthService.logout(renovada.refreshToken);
+        await expect(AuthService.renovar(renovada.refreshToken)).rejects.toThrow(ERRO_AUTENTICACAO);
+
+        const outra = await AuthService.login('ana@bm.mt.gov.br', SENHA);
+        await AuthService.atualizarUsuario(usuario.id, { senha: 'nova-senha-456' });
+        await expect(AuthService.renovar(outra.refreshToken)).rejects.toThrow(ERRO_AUTENTICACAO);
+        await expect(AuthService.login('ana@bm.mt.gov.br', 'nova-senha-456')).resolves.toHaveProperty('accessToken');
+    });
+});
+
+describe('middleware de autenticação', () => {
+    let tokens;
+
+    beforeAll(async () => {
+        await UserStore.limparTodos();
+        jest.spyOn(GeoMunicipalityMatcher, 'findFeatures').mockReturnValue([{}]);
+
+        const contas = [
+            { email: 'vis@bm.mt.gov.br', papel: PAPEIS.VISUALIZADOR },
+            { email: 'cmt@bm.mt.gov.br', papel: PAPEIS.COMANDANTE, comandoRegional: 'CR BM III' },
+            { email: 'adm@bm.mt.gov.br', papel: PAPEIS.ADMIN }
+        ];
+        tokens = {};
+        for (const conta of contas) {
+            await AuthService.criarUsuario({ ...conta, nome: conta.papel, senha: SENHA });
+            tokens[conta.papel] = (await AuthService.login(conta.email, SENHA)).accessToken;
+        }
+        jest.restoreAllMocks();
+    });
+
+    const requisicao = (papel, query = {}) => ({
+        headers: papel ? { authorization: `Bearer ${tokens[papel]}` } : {},
+        query
+    });
+
+    test('authMiddleware exige um access token válido', () => {
+        const next = jest.fn();
+
+        const semToken = respostaFalsa();
+        authMiddleware(requisicao(null), semToken, next);
+        expect(semToken.statusCode).toBe(401);
+
+        const invalido = respostaFalsa();
+        authMiddleware({ headers: { authorization: 'Bearer xyz' } }, invalido, next);
+        expect(invalido.statusCode).toBe(401);
+        expect(next).not.toHaveBeenCalled();
+
+        const req = requisicao('visualizador');
+        authMiddleware(req, respostaFalsa(), next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(req.usuario).toMatchObject({ email: 'vis@bm.mt.gov.br', papel: 'visualizador' });
+    });
+
+    test('exigirPapel aceita os papéis informados e o admin', () => {
+        const middleware = exigirPapel(PAPEIS.ANALISTA, PAPEIS.COMANDANTE);
+        const next = jest.fn();
+
+        const negado = respostaFalsa();
+        middleware({ usuario: { papel: PAPEIS.VISUALIZADOR } }, negado, next);
+        expect(negado.statusCode).toBe(403);
+
+        middleware({ usuario: { papel: PAPEIS.COMANDANTE } }, respostaFalsa(), next);
+        middleware({ usuario: { papel: PAPEIS.ADMIN } }, respostaFalsa(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('com a autenticação desligada barra chaves de API e mantém as rotas de admin fechadas', () => {
+        const middleware = exigirPapel(PAPEIS.ANALISTA, PAPEIS.COMANDANTE);
+        const somenteAdmin = exigirPapel();
+        const next = jest.fn();
+        AUTH_CONFIG.HABILITADO = false;
+
+        try {
+            middleware({}, respostaFalsa(), next);
+            expect(next).toHaveBeenCalledTimes(1);
+
+            const chaveApi = respostaFalsa();
+            middleware({ chaveApi: { id: 1 }, usuario: { papel: PAPEIS.VISUALIZADOR } }, chaveApi, next);
+            expect(chaveApi.statusCode).toBe(403);
+
+            const anonimo = respostaFalsa();
+            somenteAdmin({}, anonimo, next);
+            expect(anonimo.statusCode).toBe(403);
+            expect(next).toHaveBeenCalledTimes(1);
+
+            // O token enviado ainda é validado: o admin continua acessando as rotas dele
+            const req = requisicao('admin');
+            authMiddleware(req, respostaFalsa(), next);
+            somenteAdmin(req, respostaFalsa(), next);
+            expect(req.usuario).toMatchObject({ papel: PAPEIS.ADMIN });
+            expect(next).toHaveBeenCalledTimes(3);
+
+            const semToken = requisicao(null);
+            authMiddleware(semToken, respostaFalsa(), next);
+            expect(next).toHaveBeenCalledTimes(4);
+            expect(semToken.usuario).toBeUndefined();
+        } finally {
+            AUTH_CONFIG.HABILITADO = true;
+        }
+    });
+
+    test('aplicarEscopoRegional restringe comandantes ao próprio CRBM', () => {
+        const next = jest.fn();
+        const autenticar = req => { authMiddleware(req, respostaFalsa(), () => {}); return req; };
+
+        const comandante = autenticar(requisicao('comandante', { dt: '2025-08-01' }));
+        aplicarEscopoRegional(comandante, respostaFalsa(), next);
+        expect(comandante.query).toEqual({ dt: '2025-08-01', escopoCrbm: 'CR BM III' });
+
+        const mesmoCrbm = autenticar(requisicao('comandante', { crbm: 'cr bm  iii' }));
+        aplicarEscopoRegional(mesmoCrbm, respostaFalsa(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+
+        const outroCrbm = respostaFalsa();
+        aplicarEscopoRegional(autenticar(requisicao('comandante', { crbm: 'CR BM I' })), outroCrbm, next);
+        expect(outroCrbm.statusCode).toBe(403);
+
+        const admin = autenticar(requisicao('admin', { crbm: 'CR BM I' }));
+        aplicarEscopoRegional(admin, respostaFalsa(), next);
+        expect(admin.query).toEqual({ crbm: 'CR BM I' });
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+});
@@ -34,18 +34,39 @@ import MapboxReverseGeocoder from '#mapbox_services/MapboxReverseGeocoder.js';
  */
 import FireStatsService from '#firms_services/FireStatsService.js';
 
+/**
+ * 📸 FireSnapshotService
+ *
+ * Serviço que grava os snapshots de indicadores e fornece o resumo anterior para comparação.
+ */
+import FireSnapshotService from '#firms_services/FireSnapshotService.js';
+
+/**
+ * 📡 FireStreamService
+ *
+ * Clientes Server-Sent Events de /fires/stream.
+ */
+import FireStreamService from '#firms_services/FireStreamService.js';
+
 import { calculateFireRadiativePowerMetrics } from '#firms_services/stats/frp.js';
 import { aggregateBrightnessTemperatureData } from '#firms_services/stats/temperatures.js';
+import { resolverPeriodosComparacao, calcularVariacao } from '#firms_services/stats/comparison.js';
+import {
+  estimateBurnedAreaByMunicipality,
+  addBurnedAreaToMunicipalityStats,
+  addBurnedAreaToRegionalCommandStats
+} from '#firms_services/stats/burnedArea.js';
+import { aggregateProtectedAreaStats } from '#firms_services/stats/protectedAreas.js';
 
 import { validateDateRange, DATE_CONFIG } from '#firms_utils/dateValidation.js';
+import { exportarFocos, isFormatoExportacao, FORMATOS_EXPORTACAO } from '#firms_utils/fireExport.js';
+import { resolverContagem, CONTAGENS } from '#firms_utils/fireDeduplication.js';
+import { isErroDeParametro, tratarErroDeParametro } from '#firms_utils/requestErrors.js';
+import { AREA_PROTEGIDA_CONFIG } from '#firms_utils/protectedAreaFilter.js';
 
 import { debugLog, debugJsonLog } from "#backend_utils/debugLog.js";
 
-import { CacheCore } from '#firms_utils/CacheCore.js';
-
-const { fireStatsCache, gerarChaveFireStats, isAtivo: isCacheAtivo } = CacheCore;
-
-CacheCore.desativarCache(); // DESATIVAR CACHE PARA BUSCA DOS DADOS
+import { CacheCore, NAMESPACES } from '#firms_utils/CacheCore.js';
 
 /**
  * 🔥 FireController
@@ -74,11 +95,74 @@ export default class FireController {
       origem: 'FireController.getFires'
     });
 
+    const formato = FireController.#formatoSolicitado(req.query);
+    if (formato) {
+      return FireController.#exportarFocos(req.query, res, next, formato);
+    }
+
     FireService.listAllFormattedPaginated(req.query)
       .then(data => res.json(data))
-      .catch(next);
+      .catch(error => tratarErroDeParametro(error, res, next));
+  };
+
+  /**
+   * 🗺️ getFiresByArea
+   *
+   * Mesma resposta de `getFires`, recortada por um polígono arbitrário enviado no corpo
+   * (Feature, FeatureCollection ou geometria Polygon/MultiPolygon em WGS84).
+   * A query string aceita os mesmos parâmetros de `GET /fires` (dt, dr, hr, paginação, format).
+   *
+   * @param {Request} req - Requisição Express (corpo: GeoJSON da área)
+   * @param {Response} res - Resposta Express
+   * @param {Function} next - Função de erro Express
+   */
+  static getFiresByArea = (req, res, next) => {
+    debugLog('POST /firms/fires/area', {
+      query: req.query,
+      tipoGeoJSON: req.body?.type,
+      origem: 'FireController.getFiresByArea'
+    });
+
+    const query = { ...req.query, area: req.body ?? {} };
+
+    const formato = FireController.#formatoSolicitado(query);
+    if (formato) {
+      return FireController.#exportarFocos(query, res, next, formato);
+    }
+
+    FireService.listAllFormattedPaginated(query)
+      .then(data => res.json(data))
+      .catch(error => tratarErroDeParametro(error, res, next));
   };
 
+  /**
+   * 📤 #exportarFocos
+   *
+   * Exporta todos os focos da consulta (sem paginação) no formato solicitado.
+   * Focos sem `localizacao` são localizados pelo GeoJSON de municípios para incluir
+   * município e comando regional como propriedades.
+   *
+   * @private
+   * @param {Object} query - Query da requisição (pode conter o recorte espacial)
+   * @param {Response} res - Resposta Express
+   * @param {Function} next - Função de erro Express
+   * @param {string} formato - geojson | kml | csv | shp-zip
+   */
+  static async #exportarFocos(query, res, next, formato) {
+    try {
+      if (!isFormatoExportacao(formato)) return FireController.#responderFormatoInvalido(res, formato);
+
+      const { dados: fires } = await FireService.listAllFormattedPaginated({ ...query, all: 'true' });
+      const localizados = fires.map(fire =>
+        fire.localizacao ? fire : FireService.addMunicipalityLocationData([fire])[0]
+      );
+
+      await FireController.#enviarExportacao(res, formato, localizados);
+    } catch (error) {
+      tratarErroDeParametro(error, res, next);
+    }
+  }
+
   /**
    * 📍 getFireLocations
    *
@@ -125,6 +209,11 @@ export default class FireController {
   // };
   static getFireLocations = async (req, res, next) => {
     try {
+      const formato = FireController.#formatoSolicitado(req.query);
+      if (formato && !isFormatoExportacao(formato)) {
+        return FireController.#responderFormatoInvalido(res, formato);
+      }
+
       // Garante que 'all=true' esteja presente na query
       const query = { ...req.query, all: 'true' };
 
@@ -159,11 +248,14 @@ export default class FireController {
         }))
       };
 
+      if (formato) {
+        return await FireController.#enviarExportacao(res, formato, responseData.dados);
+      }
+
       res.json(responseData);
     } catch (error) {
-      // Trata erros específicos da validação de data
-      if (error.message?.includes('Data inválida') ||
-        error.message?.includes('Range inválido')) {
+      // Trata erros específicos da validação de data e do filtro espacial
+      if (isErroDeParametro(error)) {
         return res.status(400).json({
           error: error.message,
           limites: {
@@ -188,44 +280,64 @@ export default class FireController {
    */
   static getFireStats = async (req, res, next) => {
     try {
-      const { q } = req.query;
-
-      // Cria chave composta simples para cache
-      const cacheKey = gerarChaveFireStats(req.query);
+      // Chave composta pela query (inclui o escopo regional do usuário)
+      const cacheKey = CacheCore.gerarChaveFireStats(req.query);
 
-      // Verifica cache
-      if (isCacheAtivo() && fireStatsCache.has(cacheKey)) {
-        debugLog('📦 Cache hit (/fires/stats)', {
-          chave: cacheKey,
-          origem: 'FireController.getFireStats'
-        });
-        return res.json(fireStatsCache.get(cacheKey));
-      }
+      const resposta = await CacheCore.obter(NAMESPACES.FIRE_STATS, cacheKey,
+        () => FireController.gerarEstatisticas(req.query));
 
-      // Geração dos dados normalmente
-      const { firesWithLocation, metadados } =
-        await FireService.listAllWithLocation(req.query);
+      return res.json(resposta);
+    } catch (error) {
+      return tratarErroDeParametro(error, res, next);
+    }
+  };
 
-      const { stats, dadosResumo, dataColeta } =
-        FireController.processarDados(q, firesWithLocation, metadados);
+  /**
+   * 🧮 gerarEstatisticas
+   *
+   * Calcula a resposta de /fires/stats para uma query (sem passar pelo cache de respostas):
+   * busca e localiza os focos, agrega as estatísticas pedidas em `q` e registra o snapshot diário.
+   * Também usado pelo /fires/stream para enviar os indicadores do dia após cada ingestão.
+   *
+   * @param {Object} query - Query string de /fires/stats
+   * @returns {Promise<Object>} Estatísticas com `resumo.atual` (e `resumo.anterior`, se houver)
+   */
+  static gerarEstatisticas = async (query) => {
+    const { firesWithLocation, metadados } = FireController.#aplicarContagem(
+      query,
+      await FireService.listAllWithLocation(query)
+    );
 
-      const resposta = FireController.montarResposta(stats, dadosResumo, dataColeta);
+    const { stats, dadosResumo, dataColeta } =
+      FireController.processarDados(query.q, firesWithLocation, metadados);
 
-      // Armazena no cache
-      if (isCacheAtivo()) {
-        fireStatsCache.set(cacheKey, resposta);
+    const anterior = await FireSnapshotService.registrarEObterAnterior({
+      query,
+      stats,
+      resumo: dadosResumo,
+      dataColeta
+    });
 
-        debugLog('📦 Cache miss (/fires/stats)', {
-          chave: cacheKey,
-          origem: 'FireController.getFireStats'
-        });
-      }
+    return FireController.montarResposta(stats, dadosResumo, dataColeta, anterior);
+  };
 
+  /**
+   * 📡 streamFires
+   *
+   * Mantém aberta uma conexão Server-Sent Events que recebe os focos novos e os indicadores do dia
+   * após cada ingestão (ver FireStreamService). Comandantes recebem apenas o próprio CRBM.
+   *
+   * @param {Request} req - Requisição Express
+   * @param {Response} res - Resposta Express
+   */
+  static streamFires = (req, res) => {
+    debugLog('GET /firms/fires/stream', {
+      escopoCrbm: req.query.escopoCrbm ?? null,
+      clientes: FireStreamService.totalClientes() + 1,
+      origem: 'FireController.streamFires'
+    });
 
-      return res.json(resposta);
-    } catch (error) {
-      return next(error);
-    }
+    FireStreamService.conectar(req, res);
   };
 
   /**
@@ -259,7 +371,10 @@ export default class FireController {
         });
       }
 
+      // Mantém filtros de atributo/recorte da requisição; período é sempre a última semana
       const queryParams = {
+        ...req.query,
+        hr: undefined,
         dt: inicioSemana.format('YYYY-MM-DD'),
         dr: '7',
         all: true
@@ -287,10 +402,100 @@ export default class FireController {
 
       res.json({ dadosDiarios: dadosCompletos });
     } catch (error) {
-      next(error);
+      tratarErroDeParametro(error, res, next);
+    }
+  };
+
+  /**
+   * ⚖️ getFireComparison
+   *
+   * Compara o resumo de dois períodos (ex: esta semana vs. mesma semana do ano anterior).
+   * Cada período é resumido por `resumirDados`; a resposta traz `resumo.atual`,
+   * `resumo.anterior` e a variação percentual entre eles.
+   *
+   * Query params: dt, dr, q (mesmos de /stats), dtComparacao, drComparacao.
+   *
+   * @param {Request} req - Requisição Express
+   * @param {Response} res - Resposta Express
+   * @param {NextFunction} next - Próximo middleware
+   */
+  static getFireComparison = async (req, res, next) => {
+    try {
+      debugLog('GET /firms/fires/compare', {
+        query: req.query,
+        origem: 'FireController.getFireComparison'
+      });
+
+      const periodos = resolverPeriodosComparacao(req.query);
+
+      const [atual, anterior] = await Promise.all([
+        this.#resumirPeriodo(req.query, periodos.atual),
+        this.#resumirPeriodo(req.query, periodos.anterior)
+      ]);
+
+      res.json({
+        periodos,
+        resumo: {
+          atual,
+          anterior,
+          variacao: calcularVariacao(atual, anterior)
+        }
+      });
+    } catch (error) {
+      tratarErroDeParametro(error, res, next);
     }
   };
 
+  /**
+   * 🧾 #resumirPeriodo
+   *
+   * Busca os focos de um período e gera o mesmo resumo de `/stats`
+   * (acrescido do timestamp da coleta mais recente).
+   * Os demais parâmetros da query (ex: recorte espacial) valem para os dois períodos.
+   *
+   * @private
+   * @param {Object} query - Query da requisição (q, municipio, crbm, bbox...)
+   * @param {{ dt: string, dr: number }} periodo - Período a resumir
+   * @returns {Promise<Object>} Resumo do período
+   */
+  static async #resumirPeriodo(query, periodo) {
+    const { firesWithLocation, metadados } = FireController.#aplicarContagem(query, await FireService.listAllWithLocation({
+      ...query,
+      hr: undefined,
+      dt: periodo.dt,
+      dr: String(periodo.dr)
+    }));
+
+    const { dadosResumo, dataColeta } =
+      FireController.processarDados(query.q, firesWithLocation, metadados);
+
+    return { ...dadosResumo, timeStampColetaMaisRecente: dataColeta };
+  }
+
+  /**
+   * 🧬 #aplicarContagem
+   *
+   * Com `contagem=eventos`, descarta as detecções duplicadas entre sensores antes das agregações,
+   * de modo que totais e rankings contem cada foco uma única vez.
+   *
+   * @private
+   * @param {Object} query - Query da requisição
+   * @param {{ firesWithLocation: Array<Object>, metadados: Object }} resultado - Focos e metadados do serviço
+   * @returns {{ firesWithLocation: Array<Object>, metadados: Object }} Focos e metadados para as agregações
+   * @throws {Error} Se `contagem` for inválida
+   */
+  static #aplicarContagem(query, { firesWithLocation, metadados }) {
+    if (resolverContagem(query) !== CONTAGENS.EVENTOS) {
+      return { firesWithLocation, metadados };
+    }
+
+    const eventos = firesWithLocation.filter(fire => !fire.duplicata);
+    return {
+      firesWithLocation: eventos,
+      metadados: { ...metadados, totalFocos: eventos.length }
+    };
+  }
+
   /**
    * 📅 #preencherDiasVazios
    * 
@@ -327,6 +532,62 @@ export default class FireController {
 
   // == Helpers ==
 
+  /**
+   * 🧭 #formatoSolicitado
+   *
+   * Lê o parâmetro `format` da query. `json` (ou ausência) mantém a resposta padrão.
+   *
+   * @private
+   * @param {Object} query - Query string da requisição
+   * @returns {string|null} Formato de exportação em minúsculas ou null
+   */
+  static #formatoSolicitado(query) {
+    const formato = String(query?.format ?? '').trim().toLowerCase();
+    return formato && formato !== 'json' ? formato : null;
+  }
+
+  /**
+   * 🚫 #responderFormatoInvalido
+   *
+   * @private
+   * @param {Response} res - Resposta Express
+   * @param {string} formato - Formato recebido
+   */
+  static #responderFormatoInvalido(res, formato) {
+    return res.status(400).json({
+      error: `Formato de exportação inválido: ${formato}`,
+      formatosSuportados: ['json', ...Object.keys(FORMATOS_EXPORTACAO)]
+    });
+  }
+
+  /**
+   * 📦 #enviarExportacao
+   *
+   * Gera o arquivo no formato solicitado e o envia como anexo.
+   *
+   * @private
+   * @param {Response} res - Resposta Express
+   * @param {string} formato - geojson | kml | csv | shp-zip
+   * @param {Array<Object>} fires - Focos a exportar
+   */
+  static async #enviarExportacao(res, formato, fires) {
+    const nomeBase = `focos_mt_${dayjs.utc().format('YYYYMMDD_HHmm')}`;
+    const { conteudo, contentType, nomeArquivo } = await exportarFocos(formato, fires, { nomeBase });
+
+    debugLog('Exportação de focos', {
+      formato,
+      totalFocos: fires.length,
+      arquivo: nomeArquivo,
+      origem: 'FireController.#enviarExportacao'
+    });
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${nomeArquivo}"`
+    });
+    res.send(conteudo);
+  }
+
   /**
    * 🧮 processarDados
    *
@@ -486,13 +747,65 @@ export default class FireController {
 
     return Object.assign(
       { totalFocos: FireController.extrairTotalFocos(metadados) },
+      this.#resumoDeduplicacao(metadados),
       this.#resumoFrp(requested, stats),
       this.#resumoTdb(requested, stats),
       this.#resumoHorarioPico(requested, stats),
-      this.#resumoCrbm(requested, stats)
+      this.#resumoCrbm(requested, stats),
+      this.#resumoAreasProtegidas(requested, stats)
     );
   }
 
+  /**
+   * 🛡️ #resumoAreasProtegidas
+   *
+   * Focos dentro e próximos de áreas protegidas, caso 'ap' tenha sido solicitado.
+   *
+   * @private
+   * @param {Array<string>} requested - Lista de agregações solicitadas
+   * @param {Object} stats - Estatísticas agregadas já calculadas
+   * @returns {Object} Objeto parcial de resumo (pode estar vazio)
+   */
+  static #resumoAreasProtegidas(requested, stats) {
+    if (!requested.includes('ap') || !stats.focosEmAreasProtegidas) return {};
+
+    return {
+      focosEmAreasProtegidas: stats.focosEmAreasProtegidas.totalDentro,
+      focosProximosAreasProtegidas: stats.focosEmAreasProtegidas.totalProximos
+    };
+  }
+
+  /**
+   * 📏 #raioAreasProtegidas
+   *
+   * Raio usado na anotação `areasProtegidas` dos focos (ver FireService.#aplicarFiltros).
+   *
+   * @private
+   */
+  static #raioAreasProtegidas(metadados) {
+    const distanciaFiltro = metadados?.parametrosBusca?.areaProtegida?.distanciaKm ?? 0;
+    return Math.max(AREA_PROTEGIDA_CONFIG.RAIO_KM, distanciaFiltro);
+  }
+
+  /**
+   * 🧬 #resumoDeduplicacao
+   *
+   * Total bruto de detecções e de eventos únicos (após deduplicação entre sensores), quando disponíveis.
+   *
+   * @private
+   * @param {Object} metadados - Metadados dos focos
+   * @returns {Object} Objeto parcial de resumo (pode estar vazio)
+   */
+  static #resumoDeduplicacao(metadados) {
+    const { deduplicacao } = metadados ?? {};
+    if (!deduplicacao) return {};
+
+    return {
+      totalDeteccoes: deduplicacao.deteccoes,
+      totalEventosUnicos: deduplicacao.eventosUnicos
+    };
+  }
+
   /**
    * 🔢 extrairTotalFocos
    *
@@ -774,20 +1087,23 @@ export default class FireController {
    * 📦 montarResposta
    *
    * Monta o objeto de resposta final da API, agregando estatísticas, resumo e timestamp da coleta.
+   * Quando houver snapshot de comparação, inclui também `resumo.anterior`.
    *
    * @param {Object} stats - Estatísticas agregadas dos focos de calor
    * @param {Object} resumo - Resumo dos dados (total, médias, etc)
    * @param {string} coleta - Timestamp da coleta dos dados (formato ISO)
+   * @param {Object|null} [anterior] - Resumo da coleta/dia anterior (IndicadoresCache)
    * @returns {Object} Objeto de resposta formatado para a API
    */
-  static montarResposta(stats, resumo, coleta) {
+  static montarResposta(stats, resumo, coleta, anterior = null) {
     return {
       ...stats,
       resumo: {
         atual: {
           ...resumo,
           timeStampColetaMaisRecente: coleta
-        }
+        },
+        ...(anterior ? { anterior } : {})
       }
     };
   }
@@ -829,9 +1145,10 @@ export default class FireController {
    * Constrói um objeto de estatísticas agregadas com base nos focos com localização,
    * a partir dos parâmetros de consulta (ex: "frp,tdb").
    *
-   * - fpc: Focos por cidade
+   * - fpc: Focos por cidade (com área afetada estimada pelas pegadas dos pixels)
    * - frp: Fire Radiative Power (potência radiativa do fogo)
    * - tdb: Temperatura do brilho
+   * - crbm: Focos por comando regional (com área afetada estimada)
    *
    * @param {string} query - String de queries separadas por vírgula (ex: 'frp,tdb')
    * @param {Array<Object>} firesWithLocation - Lista de focos já geocodificados
@@ -842,13 +1159,30 @@ export default class FireController {
     const stats = { metadados };
     const queries = (query || '').split(',').map(q => q.trim().toLowerCase());
 
+    // Área estimada por município: calculada uma vez e compartilhada por fpc e crbm
+    let areasPorCidade;
+    const obterAreas = () => (areasPorCidade ??= estimateBurnedAreaByMunicipality(firesWithLocation));
+
     // Mapeamento de funções para cada tipo de estatística
     const statsHandlers = {
-      fpc: () => ({ focosPorCidade: FireStatsService.aggregateAndRankMunicipalityFireStats(firesWithLocation) }),
+      fpc: () => ({
+        focosPorCidade: addBurnedAreaToMunicipalityStats(
+          FireStatsService.aggregateAndRankMunicipalityFireStats(firesWithLocation),
+          obterAreas()
+        )
+      }),
       frp: () => ({ FRP: calculateFireRadiativePowerMetrics(firesWithLocation) }),
       tdb: () => ({ temperaturaDoBrilho: aggregateBrightnessTemperatureData(firesWithLocation) }),
       hdp: () => ({ horarioDeteccaoPico: FireStatsService.analyzeTemporalDistribution(firesWithLocation) }),
-      crbm: () => ({ focosPorComandoRegional: FireStatsService.aggregateRegionalCommandData(firesWithLocation) })
+      crbm: () => ({
+        focosPorComandoRegional: addBurnedAreaToRegionalCommandStats(
+          FireStatsService.aggregateRegionalCommandData(firesWithLocation),
+          obterAreas()
+        )
+      }),
+      ap: () => ({
+        focosEmAreasProtegidas: aggregateProtectedAreaStats(firesWithLocation, FireController.#raioAreasProtegidas(metadados))
+      })
     };
 
     // Itera sobre as queries e adiciona os resultados ao JSON final
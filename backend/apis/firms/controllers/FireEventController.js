@@ -0,0 +1,79 @@
+//FILE_PATH: backend/apis/firms/controllers/FireEventController.js
+
+/**
+ * 🚦 Recebe as requisições de eventos de fogo e delega ao FireEventService.
+ */
+
+/**
+ * 🔥 FireEventService
+ *
+ * Agrupamento das detecções em eventos de fogo persistentes.
+ */
+import FireEventService from '#firms_services/FireEventService.js';
+
+import { tratarErroDeParametro } from '#firms_utils/requestErrors.js';
+
+import { debugLog } from "#backend_utils/debugLog.js";
+
+/**
+ * 🔥 FireEventController
+ *
+ * Controller dos endpoints /api/firms/events.
+ */
+export default class FireEventController {
+
+  // == Funções Públicas ==
+
+  /**
+   * 📋 getEvents
+   *
+   * Lista os eventos de fogo do período, com resumo (início/fim, FRP acumulado, área, municípios).
+   *
+   * @param {Request} req - Requisição Express
+   * @param {Response} res - Resposta Express
+   * @param {Function} next - Função de erro Express
+   */
+  static getEvents = async (req, res, next) => {
+    try {
+      debugLog('GET /firms/events', {
+        query: req.query,
+        origem: 'FireEventController.getEvents'
+      });
+
+      res.json(await FireEventService.listarEventos(req.query));
+    } catch (error) {
+      tratarErroDeParametro(error, res, next);
+    }
+  };
+
+  /**
+   * 🔎 getEventById
+   *
+   * Retorna um evento com a linha do tempo de suas detecções.
+   *
+   * @param {Request} req - Requisição Express (`:id` do evento; query com o mesmo período da listagem)
+   * @param {Response} res - Resposta Express
+   * @param {Function} next - Função de erro Express
+   */
+  static getEventById = async (req, res, next) => {
+    try {
+      debugLog('GET /firms/events/:id', {
+        id: req.params.id,
+        query: req.query,
+        origem: 'FireEventController.getEventById'
+      });
+
+      const evento = await FireEventService.buscarEvento(req.params.id, req.query);
+      if (!evento) {
+        return res.status(404).json({
+          error: 'Evento não encontrado',
+          id: req.params.id
+        });
+      }
+
+      res.json(evento);
+    } catch (error) {
+      tratarErroDeParametro(error, res, next);
+    }
+  };
+}
@@ -100,6 +100,28 @@ export class FireModel {
     return confidence == null ? null : this.#attemptFormatConfidence(confidence);
   }
 
+  /**
+   * 🏷️ classifyConfidence
+   * ---------------------
+   * Classifica o nível de confiança normalizado em categoria única para os dois sensores.
+   * VIIRS já vem categorizado; MODIS (0–100) segue as faixas da FIRMS:
+   * 0–29 baixo, 30–79 nominal, 80–100 alto.
+   *
+   * @param {string|number|null} nivelConfianca - Valor de `nivelConfianca` do foco normalizado
+   * @returns {'baixo'|'nominal'|'alto'|null} Categoria ou null se desconhecida
+   *
+   * @example
+   * FireModel.classifyConfidence(85)        // => 'alto'
+   * FireModel.classifyConfidence('nominal') // => 'nominal'
+   */
+  static classifyConfidence(nivelConfianca) {
+    if (typeof nivelConfianca === 'number') {
+      if (nivelConfianca >= 80) return 'alto';
+      return nivelConfianca >= 30 ? 'nominal' : 'baixo';
+    }
+    return ['baixo', 'nominal', 'alto'].includes(nivelConfianca) ? nivelConfianca : null;
+  }
+
   // === 🔒 Helpers internos de confiança ===
 
   static #getConfidenceCategory(value) {
@@ -297,16 +319,20 @@ export class FireModel {
    * 🕒 getTimestamp
    * ---------------
    * Retorna um objeto `Date` ou string ISO gerado a partir da data e hora de aquisição do registro FIRMS.
+   * Aceita também focos já normalizados (`dataAquisicao` / `horaAquisicao` em "HH:MM"),
+   * como os servidos pelo arquivo histórico.
    *
-   * @param {Object} record - Registro bruto com os campos `acq_date` e `acq_time`
+   * @param {Object} record - Registro bruto com os campos `acq_date` e `acq_time` (ou normalizado)
    * @returns {Date|null} Objeto Date ou null se faltarem campos
    *
    * @example
    * FireModel.getTimestamp({ acq_date: '2023-08-10', acq_time: '1345' }) // => new Date('2023-08-10T13:45:00Z')
+   * FireModel.getTimestamp({ dataAquisicao: '2023-08-10', horaAquisicao: '13:45' }) // => idem
    */
   static getTimestamp(record) {
-    const date = this.parseDate(record);
-    const time = record?.acq_time?.toString().padStart(4, '0');
+    const date = this.parseDate(record) ?? record?.dataAquisicao;
+    const rawTime = record?.acq_time ?? record?.horaAquisicao?.replace(':', '');
+    const time = rawTime?.toString().padStart(4, '0');
 
     if (!date || !time) return null;
 
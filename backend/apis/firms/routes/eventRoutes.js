@@ -0,0 +1,71 @@
+// backend/apis/firms/routes/eventRoutes.js
+import { debugLog } from "#backend_utils/debugLog.js";
+
+/**
+ * 🚏 Router
+ *
+ * Importa o roteador do Express para definição das rotas do módulo.
+ */
+import { Router } from 'express';
+
+/**
+ * 🔥 FireEventController
+ *
+ * Controller dos eventos de fogo (detecções agrupadas no espaço e no tempo).
+ */
+import FireEventController from '../controllers/FireEventController.js';
+
+const ROUTE_PREFIX = '/api/firms/events';
+
+/**
+ * Event Routes
+ * ------------
+ * Define endpoints de eventos de fogo.
+ * Prefixo de rota: /firms/events
+ *
+ * Endpoints:
+ *   GET /      - Lista os eventos do período.
+ *   GET /:id   - Detalha um evento, com a linha do tempo das detecções.
+ */
+
+const router = Router();
+
+/**
+ * 📋 GET /firms/events
+ *
+ * Lista eventos de fogo: detecções a até FIRE_EVENT_DISTANCIA_M metros e FIRE_EVENT_INTERVALO_H horas
+ * umas das outras formam um único evento. Cada evento traz `areaKm2` (envoltória das detecções)
+ * e `areaQueimadaEstimadaKm2` (união das pegadas scan × track dos pixels).
+ *
+ * Query params:
+ *   - dt (string), dr (number): Período (padrão: últimos 10 dias)
+ *   - Recortes e filtros de atributo de GET /firms/fires (municipio, crbm, bbox, confianca, sensor...)
+ *   - ativos (boolean): Apenas eventos com detecção recente
+ *   - minDeteccoes (number): Mínimo de detecções por evento (padrão 1)
+ *   - sort (string): recentes (padrão) | frp | area | deteccoes
+ *   - page, limit (number): Paginação
+ */
+router.get('/', FireEventController.getEvents);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/`,
+  controller: 'getEvents'
+});
+
+/**
+ * 🔎 GET /firms/events/:id
+ *
+ * Detalha um evento (mesmo resumo da listagem + `linhaDoTempo`).
+ * Use os mesmos dt/dr e filtros da listagem em que o id foi obtido.
+ */
+router.get('/:id', FireEventController.getEventById);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/:id`,
+  controller: 'getEventById'
+});
+
+/**
+ * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
+ */
+export default router;
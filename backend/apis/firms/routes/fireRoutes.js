@@ -40,7 +40,21 @@ const router = Router();
  * Query params:
  *   - dr (number): Dias para frente de data inicial
  *   - dt (string): Data inicial (YYYY-MM-DD)
+ *   - format (string): json (padrão) | geojson | kml | csv | shp-zip — exporta todos os focos como anexo
+ *   - municipio (string): Recorta pelos limites do município (ex: Sinop)
+ *   - crbm (string): Recorta pela área do comando regional (ex: CR BM III)
+ *   - bbox (string): Recorta por retângulo minLon,minLat,maxLon,maxLat
+ *   - confianca (string): baixa | nominal | alta (aceita lista: nominal,alta)
+ *   - sensor (string): VIIRS | MODIS
+ *   - satelite (string): Satélite (ex: NOAA-20, N20, Suomi-NPP, Aqua)
+ *   - periodo (string): dia | noite
+ *   - frpMin / frpMax (number): Faixa de potência radiativa (MW)
+ *   - areaProtegida (string): uc | ti | assentamento | todas (aceita lista: uc,ti). Tipos sem camada carregada
+ *     no servidor aparecem em `metadados.parametrosBusca.areaProtegida.camadasAusentes`; se nenhum tiver, 400
+ *   - distanciaAreaKm (number): Com areaProtegida, inclui focos a até N km da área (padrão 0: só dentro; máx. 50)
  *   - Outros filtros/paginações conforme documentação do FireController
+ *
+ * Cada foco traz `areasProtegidas`: áreas que o contêm ou estão a até AREA_PROTEGIDA_RAIO_KM (padrão 10 km).
  */
 router.get('/', FireController.getFires);
 debugLog('Registrando endpoint', {
@@ -49,6 +63,21 @@ debugLog('Registrando endpoint', {
   controller: 'getFires'
 });
 
+/**
+ * 🗺️ POST /firms/fires/area
+ *
+ * Retorna os focos dentro de um polígono arbitrário enviado no corpo da requisição.
+ *
+ * Corpo: GeoJSON (Feature, FeatureCollection ou geometria Polygon/MultiPolygon, WGS84)
+ * Query params: os mesmos de GET /firms/fires (dt, dr, hr, paginação, format)
+ */
+router.post('/area', FireController.getFiresByArea);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/area`,
+  controller: 'getFiresByArea'
+});
+
 /**
  * 📍 GET /firms/fires/locations
  *
@@ -57,6 +86,8 @@ debugLog('Registrando endpoint', {
  * Query params:
  *   - dr (number): Dias para frente de data inicial
  *   - dt (string): Data inicial (YYYY-MM-DD)
+ *   - format (string): json (padrão) | geojson | kml | csv | shp-zip
+ *   - Recortes e filtros de atributo de GET /firms/fires (confianca, sensor, satelite, periodo, frpMin, frpMax)
  */
 router.get('/locations', FireController.getFireLocations);
 debugLog('Registrando endpoint', {
@@ -69,10 +100,18 @@ debugLog('Registrando endpoint', {
  * 📊 GET /firms/fires/stats
  *
  * Retorna estatísticas agregadas dos focos de queimada, como totais, médias e agrupamentos.
+ * Consultas diárias são registradas como snapshot e retornam `resumo.anterior` para comparação.
  *
  * Query params:
  *   - dr (number): Dias para frente de data inicial
  *   - dt (string): Data inicial (YYYY-MM-DD)
+ *   - anterior (string): 'coleta' (padrão, coleta anterior) ou 'dia' (última coleta do dia anterior)
+ *   - contagem (string): 'deteccoes' (padrão, todos os registros) ou 'eventos' (sem duplicatas entre sensores)
+ *   - q (string): Agregações (fpc, frp, tdb, hdp, crbm, ap — focos dentro/próximos de áreas protegidas;
+ *     `focosEmAreasProtegidas.camadasCarregadas/camadasAusentes` informam de quais tipos havia camada)
+ *   - Recortes e filtros de atributo de GET /firms/fires (consultas filtradas não geram snapshot)
+ *
+ * `resumo.atual` traz sempre `totalDeteccoes` e `totalEventosUnicos`.
  */
 router.get('/stats', FireController.getFireStats);
 debugLog('Registrando endpoint', {
@@ -81,11 +120,30 @@ debugLog('Registrando endpoint', {
   controller: 'getFireStats'
 });
 
+/**
+ * 📡 GET /firms/fires/stream
+ *
+ * Conexão Server-Sent Events (`text/event-stream`) para o painel deixar de fazer polling.
+ * Após cada ingestão do arquivo de focos, envia:
+ *   - event `focos`: { focos } apenas os focos recém-detectados
+ *   - event `indicadores`: { dt, resumo } o `resumo` de /fires/stats?dt=<hoje>&q=frp,tdb,hdp,crbm
+ *
+ * O EventSource do navegador não envia headers: o access token pode ir em `?access_token=`.
+ * Comandantes recebem apenas os focos e indicadores do próprio comando regional.
+ */
+router.get('/stream', FireController.streamFires);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/stream`,
+  controller: 'streamFires'
+});
+
 /**
  * 📈 GET /firms/fires/weekly-stats
  *
  * Retorna estatísticas semanais dos focos de calor, agregadas por dia.
  * Fornece dados dos últimos 7 dias com total de focos por data.
+ * Aceita os recortes e filtros de atributo de GET /firms/fires.
  */
 router.get('/weekly-stats', FireController.getWeeklyFireStats);
 debugLog('Registrando endpoint', {
@@ -94,6 +152,27 @@ debugLog('Registrando endpoint', {
   controller: 'getWeeklyFireStats'
 });
 
+/**
+ * ⚖️ GET /firms/fires/compare
+ *
+ * Compara o resumo de focos (totais, FRP, temperatura, horário de pico, CRBM) entre dois períodos.
+ * Sem período de referência explícito, compara com o mesmo intervalo do ano anterior.
+ *
+ * Query params:
+ *   - dt (string): Data inicial do período atual (YYYY-MM-DD)
+ *   - dr (number): Dias do período atual
+ *   - q (string): Agregações do resumo (ex: frp,tdb,hdp,crbm)
+ *   - dtComparacao (string): Data inicial do período de referência (YYYY-MM-DD)
+ *   - drComparacao (number): Dias do período de referência
+ *   - contagem (string): 'deteccoes' (padrão) ou 'eventos'
+ */
+router.get('/compare', FireController.getFireComparison);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/compare`,
+  controller: 'getFireComparison'
+});
+
 /**
  * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
  */
@@ -15,6 +15,13 @@ import { Router } from 'express';
  */
 import fireRoutes from './fireRoutes.js';
 
+/**
+ * 🔥 eventRoutes
+ *
+ * Sub-rotas dos eventos de fogo (detecções agrupadas).
+ */
+import eventRoutes from './eventRoutes.js';
+
 /**
  * Firms API Router
  * ----------------
@@ -23,6 +30,7 @@ import fireRoutes from './fireRoutes.js';
  *
  * Sub-rotas:
  *  - /fires  (fireRoutes)
+ *  - /events (eventRoutes)
  */
 
 /**
@@ -41,6 +49,17 @@ debugLog('Registrando subrotas FIRMS', {
   origem: 'routes/index.js'
 });
 
+/**
+ * 🔗 Requisições para /firms/events são tratadas pelo sub-roteador eventRoutes.
+ */
+router.use('/events', eventRoutes);
+
+debugLog('Registrando subrotas FIRMS', {
+  modulo: 'firms',
+  path: '/events',
+  origem: 'routes/index.js'
+});
+
 
 /**
  * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
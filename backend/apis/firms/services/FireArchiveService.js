@@ -0,0 +1,165 @@
+// FILE_PATH: backend/apis/firms/services/FireArchiveService.js
+
+/**
+ * 🗄️ Arquivo histórico de focos de calor.
+ *
+ * Ingere os focos da janela ao vivo da FIRMS no `FireCache` (tabela `focos_queimada`) a cada atualização
+ * agendada (ver `FireRefreshJob`) e serve as consultas a datas anteriores a essa janela.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+/**
+ * 🛰️ FireLiveService
+ *
+ * Focos brutos do MT na janela ao vivo (último resultado da atualização agendada da FIRMS).
+ */
+import FireLiveService from '#firms_services/FireLiveService.js';
+
+import { FireModel } from '#firms_models';
+
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+
+/**
+ * 🗃️ FireCache
+ *
+ * Persistência SQLite dos focos normalizados (com deduplicação por detecção).
+ */
+import FireCache from '#shared_cache_fires/FireCache.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * ⚙️ ARCHIVE_CONFIG
+ *
+ * - DIAS_POR_CICLO: dias reingeridos a cada ciclo (a FIRMS ainda publica focos atrasados do dia anterior)
+ */
+const ARCHIVE_CONFIG = {
+  DIAS_POR_CICLO: 2
+};
+
+/**
+ * 🗄️ FireArchiveService
+ *
+ * Orquestra a ingestão dos focos da FIRMS no arquivo histórico e a leitura desse arquivo.
+ * Todos os métodos são estáticos, no mesmo padrão dos demais serviços FIRMS.
+ */
+export default class FireArchiveService {
+  static #ingestaoEmAndamento = null;
+  static #ouvintesIngestao = new Set();
+
+  // == Funções Públicas ==
+
+  /**
+   * 📥 ingerir
+   *
+   * Busca os focos ao vivo do período informado, localiza município/comando regional
+   * e grava no arquivo. Detecções já arquivadas são ignoradas pelo índice único do FireCache.
+   * Chamadas concorrentes reaproveitam a ingestão em andamento.
+   *
+   * @param {Object} [params]
+   * @param {string} [params.date] - Data inicial (YYYY-MM-DD). Padrão: início do ciclo
+   * @param {number} [params.dayRange] - Quantidade de dias. Padrão: ARCHIVE_CONFIG.DIAS_POR_CICLO
+   * @returns {Promise<{ periodo: Object, recebidos: number, inseridos: Array<Object>, duracaoMs: number }>}
+   */
+  static ingerir({ date, dayRange } = {}) {
+    if (this.#ingestaoEmAndamento) return this.#ingestaoEmAndamento;
+
+    const diasCiclo = dayRange ?? ARCHIVE_CONFIG.DIAS_POR_CICLO;
+    const periodo = {
+      date: date ?? dayjs.utc().subtract(diasCiclo - 1, 'day').format('YYYY-MM-DD'),
+      dayRange: diasCiclo
+    };
+
+    this.#ingestaoEmAndamento = this.#executarIngestao(periodo)
+      .finally(() => { this.#ingestaoEmAndamento = null; });
+
+    return this.#ingestaoEmAndamento;
+  }
+
+  /**
+   * 📅 listarArquivados
+   *
+   * Lê do arquivo os focos de um período, aplicando o filtro de horário quando informado.
+   *
+   * @param {Object} params
+   * @param {string} params.inicio - Data inicial (YYYY-MM-DD)
+   * @param {string} params.fim - Data final (YYYY-MM-DD)
+   * @param {{ start: string, end: string }} [params.timeRange] - Intervalo de horário (opcional)
+   * @returns {Promise<Array<Object>>} Focos normalizados, com `localizacao`
+   */
+  static async listarArquivados({ inicio, fim, timeRange }) {
+    const focos = await FireCache.listarPorPeriodo({ inicio, fim });
+    return focos.filter(foco => FireModel.isWithinTimeRange(foco, timeRange));
+  }
+
+  /**
+   * 🔔 aoConcluirIngestao
+   *
+   * Registra uma função chamada ao fim de cada ingestão bem-sucedida (ex: avaliação das regras de alerta).
+   * Erros da função são registrados em log e não afetam a ingestão.
+   *
+   * @param {(resultado: Object) => (void|Promise<void>)} ouvinte - Recebe o mesmo resultado de `ingerir`
+   * @returns {() => void} Função que cancela o registro
+   */
+  static aoConcluirIngestao(ouvinte) {
+    this.#ouvintesIngestao.add(ouvinte);
+    return () => this.#ouvintesIngestao.delete(ouvinte);
+  }
+
+  // == Privados ==
+
+  /**
+   * ⚙️ #executarIngestao
+   *
+   * @private
+   * @param {{ date: string, dayRange: number }} periodo
+   */
+  static async #executarIngestao(periodo) {
+    const inicio = Date.now();
+    const brutos = await FireLiveService.buscar(periodo);
+
+    const localizados = GeoMunicipalityMatcher.batchLocate(
+      brutos.map(registro => ({
+        latitude: parseFloat(registro.latitude),
+        longitude: parseFloat(registro.longitude),
+        fireData: registro
+      }))
+    );
+
+    const inseridos = await FireCache.insert(localizados, {
+      cache_key: `ingestao:${periodo.date}:${periodo.dayRange}`
+    });
+
+    const resultado = {
+      periodo,
+      recebidos: brutos.length,
+      inseridos,
+      duracaoMs: Date.now() - inicio
+    };
+
+    await this.#notificarOuvintes(resultado);
+    return resultado;
+  }
+
+  /**
+   * 📣 #notificarOuvintes
+   *
+   * @private
+   */
+  static async #notificarOuvintes(resultado) {
+    for (const ouvinte of this.#ouvintesIngestao) {
+      try {
+        await ouvinte(resultado);
+      } catch (error) {
+        debugLog('Erro em ouvinte da ingestão de focos', {
+          mensagem: error.message,
+          origem: 'FireArchiveService.#notificarOuvintes'
+        });
+      }
+    }
+  }
+}
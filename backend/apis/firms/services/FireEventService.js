@@ -0,0 +1,180 @@
+// FILE_PATH: backend/apis/firms/services/FireEventService.js
+
+/**
+ * 🔥 Eventos de fogo: detecções consecutivas agrupadas em um mesmo incêndio.
+ *
+ * Os focos vêm do `FireService.listAll` (arquivo histórico do FireCache + janela ao vivo da FIRMS),
+ * já marcados quanto a duplicatas entre sensores, e são agrupados por `agruparEventos`.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import FireService from '#firms_services/FireService.js';
+import { estimateBurnedArea } from '#firms_services/stats/burnedArea.js';
+
+import { DATE_CONFIG } from '#firms_utils/dateValidation.js';
+import { agruparEventos, resumirEvento, montarLinhaDoTempo } from '#firms_utils/fireEvents.js';
+import { descreverFiltroEspacial } from '#firms_utils/spatialFilter.js';
+import { descreverFiltroAreaProtegida } from '#firms_utils/protectedAreaFilter.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * 🔃 ORDENACOES
+ *
+ * Critérios aceitos em `sort` na listagem de eventos (todos decrescentes).
+ */
+const ORDENACOES = {
+  recentes: evento => Date.parse(evento.fim),
+  frp: evento => evento.frpAcumulado,
+  area: evento => evento.areaKm2,
+  deteccoes: evento => evento.totalDeteccoes
+};
+
+/**
+ * 🔥 FireEventService
+ *
+ * Monta e consulta os eventos de fogo de um período.
+ */
+export default class FireEventService {
+
+  // == Funções Públicas ==
+
+  /**
+   * 📋 listarEventos
+   *
+   * Eventos do período (padrão: toda a janela ao vivo), com paginação.
+   *
+   * @param {Object} query - Query string (dt, dr, recortes e filtros de /fires, ativos, minDeteccoes, sort, page, limit)
+   * @returns {Promise<{ metadados: Object, dados: Array<Object> }>} Resumos dos eventos
+   */
+  static async listarEventos(query = {}) {
+    const { params, eventos } = await this.#montarEventos(query);
+
+    const minDeteccoes = parseInt(query.minDeteccoes, 10) || 1;
+    const ordenar = ORDENACOES[query.sort] ?? ORDENACOES.recentes;
+
+    const filtrados = eventos
+      .map(({ resumo }) => resumo)
+      .filter(evento => evento.totalDeteccoes >= minDeteccoes)
+      .filter(evento => query.ativos !== 'true' || evento.ativo)
+      .sort((a, b) => ordenar(b) - ordenar(a));
+
+    const page = FireService.parsePage(query);
+    const limit = FireService.parseLimit(query);
+
+    return {
+      metadados: {
+        parametrosBusca: this.#descreverParametros(params, query),
+        timestampConsulta: new Date().toISOString(),
+        totalEventos: filtrados.length,
+        paginacao: {
+          paginaAtual: page,
+          itensPorPagina: limit,
+          totalPaginas: FireService.getTotalPages(filtrados, limit)
+        }
+      },
+      dados: FireService.getPagedData(filtrados, page, limit)
+    };
+  }
+
+  /**
+   * 🔎 buscarEvento
+   *
+   * Resumo de um evento com a linha do tempo das detecções.
+   * O evento é reconstruído a partir do mesmo período da listagem (dt/dr), então os parâmetros
+   * devem ser os mesmos usados para obter o id.
+   *
+   * @param {string} id - Id do evento
+   * @param {Object} query - Query string (dt, dr, recortes e filtros de /fires)
+   * @returns {Promise<Object|null>} Evento com `linhaDoTempo` ou null se não encontrado
+   */
+  static async buscarEvento(id, query = {}) {
+    const { eventos } = await this.#montarEventos(query);
+    const evento = eventos.find(({ resumo }) => resumo.id === id);
+
+    if (!evento) return null;
+
+    return {
+      ...evento.resumo,
+      linhaDoTempo: montarLinhaDoTempo(evento)
+    };
+  }
+
+  // == Privados ==
+
+  /**
+   * 🧱 #montarEventos
+   *
+   * @private
+   * @param {Object} query - Query string da requisição
+   * @returns {Promise<{ params: Object, eventos: Array<{ resumo: Object, deteccoes: Array<Object> }> }>}
+   */
+  static async #montarEventos(query) {
+    const params = FireService.buildSearchParams({ ...this.#periodoPadrao(query), hr: undefined });
+    const fires = await FireService.listAll(params);
+
+    // Focos do arquivo já trazem localização; os da janela ao vivo são localizados aqui
+    const semLocalizacao = fires.filter(fire => !fire.localizacao);
+    const localizados = semLocalizacao.length
+      ? [...fires.filter(fire => fire.localizacao), ...FireService.addMunicipalityLocationData(semLocalizacao)]
+      : fires;
+
+    const agora = new Date();
+    const eventos = agruparEventos(localizados).map(evento => ({
+      ...evento,
+      resumo: {
+        ...resumirEvento(evento, { agora }),
+        // `areaKm2` é a envoltória das detecções; esta é a união das pegadas dos pixels
+        areaQueimadaEstimadaKm2: estimateBurnedArea(evento.deteccoes)
+      }
+    }));
+
+    debugLog('Eventos de fogo montados', {
+      periodo: { data: params.date, dias: params.dayRange },
+      focos: fires.length,
+      eventos: eventos.length,
+      origem: 'FireEventService.#montarEventos'
+    });
+
+    return { params, eventos };
+  }
+
+  /**
+   * 📅 #periodoPadrao
+   *
+   * Sem `dt`, considera toda a janela ao vivo da FIRMS (DATE_CONFIG.MAX_DAYS_IN_PAST dias até hoje).
+   *
+   * @private
+   */
+  static #periodoPadrao(query) {
+    if (query.dt) return query;
+
+    const dias = DATE_CONFIG.MAX_DAYS_IN_PAST;
+    return {
+      ...query,
+      dt: dayjs.utc().subtract(dias - 1, 'day').format('YYYY-MM-DD'),
+      dr: String(dias)
+    };
+  }
+
+  /**
+   * 🏷️ #descreverParametros
+   *
+   * @private
+   */
+  static #descreverParametros(params, query) {
+    return {
+      data: params.date,
+      diasConsiderados: params.dayRange,
+      ordenacao: ORDENACOES[query.sort] ? query.sort : 'recentes',
+      ...(params.filtroEspacial ? { filtroEspacial: descreverFiltroEspacial(params.filtroEspacial) } : {}),
+      ...(params.filtrosAtributos ? { filtros: params.filtrosAtributos } : {}),
+      ...(params.filtroAreaProtegida ? { areaProtegida: descreverFiltroAreaProtegida(params.filtroAreaProtegida) } : {}),
+      ...(params.escopoRegional ? { escopoRegional: params.escopoRegional.valor } : {})
+    };
+  }
+}
@@ -50,11 +50,16 @@ import { loadGeoJson, computeBbox, unionFeatures } from '#firms_utils/geospatial
 
 import { validateDateRange, DATE_CONFIG } from '#firms_utils/dateValidation.js';
 
-import { debugLog, debugJsonLog } from "#backend_utils/debugLog.js";
+/**
+ * 🗺️ REGIAO_CONFIG
+ *
+ * Sensores e área de interesse (AOI) da região monitorada.
+ */
+import { REGIAO_CONFIG } from '#shared_config/regiao.js';
 
-import { CacheCore } from '#firms_utils/CacheCore.js';
+import { debugLog, debugJsonLog } from "#backend_utils/debugLog.js";
 
-CacheCore.desativarCache(); // DESATIVAR CACHE PARA BUSCA DOS DADOS
+import { CacheCore, NAMESPACES } from '#firms_utils/CacheCore.js';
 
 // Ativa suporte a UTC no dayjs
 dayjs.extend(utc);
@@ -62,14 +67,39 @@ dayjs.extend(utc);
 // === CONFIGURAÇÕES ===
 
 const inflightSensorFetches = new Map(); // Chave: sensor|bbox|range|date → Promise
+const ultimosResultadosSensor = new Map(); // Chave: sensor|bbox|range|date → { registros, obtidoEm } (última busca bem-sucedida)
 
 /**
- * 🛰️ SENSORS
+ * ⚙️ SENSOR_CONFIG
+ *
+ * - CONCORRENCIA: sensores baixados ao mesmo tempo (env `FIRMS_SENSOR_CONCURRENCY`, padrão 3)
+ * - MAX_RESULTADOS_RESERVA: buscas guardadas para servir de reserva quando um sensor falhar
+ */
+export const SENSOR_CONFIG = {
+  // eslint-disable-next-line no-undef
+  CONCORRENCIA: Math.max(Number(process.env.FIRMS_SENSOR_CONCURRENCY) || 3, 1),
+  MAX_RESULTADOS_RESERVA: 50
+};
+
+/**
+ * 🚦 STATUS_SENSOR
  *
- * Lista dos sensores de satélite suportados pelo sistema FIRMS/INPE.
- * Utilizados para identificar a fonte dos dados de focos de calor ao montar URLs, filtrar dados, etc.
+ * Situação de cada sensor em uma busca:
+ * - ok: baixado agora
+ * - falha: a FIRMS não respondeu e não há resultado anterior (o sensor fica sem focos)
+ * - cache: a FIRMS não respondeu; foram usados os registros da última busca bem-sucedida (`obtidoEm`)
+ */
+export const STATUS_SENSOR = {
+  OK: 'ok',
+  FALHA: 'falha',
+  CACHE: 'cache'
+};
+
+/**
+ * 🛰️ SENSORS
  *
- * Valores possíveis:
+ * Sensores de satélite buscados na FIRMS, definidos na configuração da região (`REGIAO_CONFIG.SENSORES`,
+ * env `FIRMS_SENSORS`). Padrão:
  * - 'MODIS_NRT': MODIS (Near Real Time)
  * - 'MODIS_SP': MODIS (Science Processing)
  * - 'VIIRS_SNPP_NRT': VIIRS Suomi NPP (Near Real Time)
@@ -78,23 +108,17 @@ const inflightSensorFetches = new Map(); // Chave: sensor|bbox|range|date → Pr
  *
  * @type {string[]}
  */
-const SENSORS = [
-  'MODIS_NRT',
-  'MODIS_SP',
-  'VIIRS_SNPP_NRT',
-  'VIIRS_NOAA20_NRT',
-  'VIIRS_NOAA21_NRT'
-];
+const SENSORS = REGIAO_CONFIG.SENSORES;
 
 // === API PRINCIPAL ===
-export { fetchFiresMTPipeline as fetchFiresMT }
+export { fetchFiresMTPipeline as fetchFiresMT, fetchFiresMTComStatus }
 
 // === PIPELINE DE BUSCA ===
 
 /**
  * 🔥 fetchFiresMTPipeline
  *
- * Pipeline principal para busca de focos de calor no Mato Grosso.
+ * Pipeline principal para busca de focos de calor na região monitorada (padrão: Mato Grosso).
  * Carrega a geometria do estado, busca e filtra os dados dos sensores, e retorna somente os focos válidos.
  *
  * @param {Object} params
@@ -108,59 +132,131 @@ async function fetchFiresMTPipeline({ dayRange = 1, date, timeRange }) {
   // Valida a data e o intervalo antes de prosseguir
   validateDateRange(date, dayRange);
 
-  const chave = JSON.stringify({ dayRange, date, timeRange });
-
-  // Retorno imediato se já estiver no cache
-  if (CacheCore.isAtivo() && CacheCore.getValido(CacheCore.resultadoCache, chave)) {
+  const chave = CacheCore.gerarChaveResultado({ dayRange, date, timeRange });
 
-    return CacheCore.getValido(CacheCore.resultadoCache, chave);
-  }
+  // Cache compartilhado (ver CacheCore.obter); buscas simultâneas com a mesma chave reaproveitam a mesma Promise
+  return CacheCore.obter(NAMESPACES.RESULTADO, chave, async () => {
+    const { registros } = await buscarFocosMT({ dayRange, date, timeRange });
+    return registros;
+  });
+}
 
-  // Retorno da mesma promise se já estiver sendo processada
-  if (CacheCore.isAtivo() && CacheCore.inFlightRequests.has(chave)) {
+/**
+ * 📋 fetchFiresMTComStatus
+ *
+ * Mesma busca de `fetchFiresMT`, sem cache de resultado, acompanhada do status de cada sensor.
+ * Usada pela janela ao vivo (`FireLiveService`), que informa nos metadados quais sensores falharam.
+ *
+ * @param {Object} params - Mesmos parâmetros de `fetchFiresMT`
+ * @param {boolean} [params.forcarAtualizacao=false] - Baixa os sensores na FIRMS mesmo com entradas no cache
+ *   de sensores (o resultado substitui as entradas, inclusive para as demais instâncias)
+ * @returns {Promise<{ registros: Array<Object>, sensores: Array<Object> }>} Registros filtrados e o status
+ *   de cada sensor (ver `fetchAllSensorsData`)
+ */
+async function fetchFiresMTComStatus({ dayRange = 1, date, timeRange, forcarAtualizacao = false }) {
+  validateDateRange(date, dayRange);
+  return buscarFocosMT({ dayRange, date, timeRange, forcarAtualizacao });
+}
 
-    return CacheCore.inFlightRequests.get(chave);
-  }
+/**
+ * 🔎 buscarFocosMT
+ *
+ * Busca todos os sensores no bbox da área de interesse e recorta pelo polígono dela e pelo intervalo de horário.
+ *
+ * @param {Object} params
+ * @returns {Promise<{ registros: Array<Object>, sensores: Array<Object> }>}
+ */
+async function buscarFocosMT({ dayRange, date, timeRange, forcarAtualizacao = false }) {
+  const { polygon, bbox } = loadAoiGeometry();
+  const { registros, sensores } = await fetchAllSensorsData(bbox, dayRange, date, { forcar: forcarAtualizacao });
+  return {
+    registros: FireModel.filterByPolygonAndTimeRange(registros, polygon, timeRange),
+    sensores
+  };
+}
 
-  const promessa = (async () => {
-    const { polygon, bbox } = loadMTGeometry();
-    // const ontem = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const allRecords = await fetchAllSensorsData(bbox, dayRange, date);
-    const filtered = FireModel.filterByPolygonAndTimeRange(allRecords, polygon, timeRange);
+/**
+ * 🛰️ fetchAllSensorsData
+ *
+ * Baixa os dados brutos de focos de calor de todos os sensores definidos em SENSORS, até
+ * `SENSOR_CONFIG.CONCORRENCIA` ao mesmo tempo, e agrega os registros em um único array.
+ * A falha de um sensor não interrompe os demais: ele é servido pela última busca bem-sucedida
+ * com os mesmos parâmetros, quando houver, e a situação fica registrada no status do sensor.
+ *
+ * @param {Array<number>} bbox - Bounding box para limitar a área da busca
+ * @param {number} dayRange - Número de dias para a busca
+ * @param {string} [date] - Data base para a busca
+ * @param {Object} [opcoes] - Ver `fetchRawBySensor`
+ * @returns {Promise<{ registros: Array<Object>, sensores: Array<Object> }>} Registros de todos os sensores e,
+ *   na ordem de SENSORS, o status de cada um: { sensor, status (STATUS_SENSOR), registros, latenciaMs, erro, obtidoEm }.
+ *   `registros` conta os registros do sensor dentro do bbox, antes do recorte pelo polígono da área de interesse
+ */
+async function fetchAllSensorsData(bbox, dayRange, date, opcoes = {}) {
+  const resultados = await mapComLimite(SENSORS, SENSOR_CONFIG.CONCORRENCIA,
+    sensor => fetchSensorComStatus(sensor, bbox, dayRange, date, opcoes));
 
-    if (CacheCore.isAtivo()) {
-      CacheCore.setComTTL(CacheCore.resultadoCache, chave, filtered);
-      CacheCore.inFlightRequests.delete(chave);
-    }
+  return {
+    registros: resultados.flatMap(({ registros }) => registros),
+    sensores: resultados.map(({ status }) => status)
+  };
+}
 
-    return filtered;
-  })();
+/**
+ * 🩺 fetchSensorComStatus
+ *
+ * Baixa um sensor medindo a latência; em caso de falha recorre à última busca bem-sucedida.
+ *
+ * @param {string} sensor - Nome do sensor de satélite (ex: 'MODIS_NRT')
+ * @param {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY]
+ * @param {number} dayRange - Quantidade de dias
+ * @param {string} [date] - Data inicial (YYYY-MM-DD)
+ * @param {Object} [opcoes] - Ver `fetchRawBySensor`
+ * @returns {Promise<{ registros: Array<Object>, status: Object }>}
+ */
+async function fetchSensorComStatus(sensor, bbox, dayRange, date, opcoes = {}) {
+  const chave = CacheCore.gerarChaveSensor(sensor, bbox, dayRange, date);
+  const inicio = Date.now();
+  const status = (situacao, registros, extras = {}) => ({
+    sensor,
+    status: situacao,
+    registros: registros.length,
+    latenciaMs: Date.now() - inicio,
+    erro: null,
+    obtidoEm: null,
+    ...extras
+  });
 
-  if (CacheCore.isAtivo()) {
-    CacheCore.inFlightRequests.set(chave, promessa);
+  try {
+    const registros = await fetchRawBySensor(sensor, bbox, dayRange, date, opcoes);
+    const obtidoEm = new Date().toISOString();
+    guardarResultadoSensor(chave, { registros, obtidoEm });
+    return { registros, status: status(STATUS_SENSOR.OK, registros, { obtidoEm }) };
+  } catch (error) {
+    const reserva = ultimosResultadosSensor.get(chave);
+    if (!reserva) {
+      return { registros: [], status: status(STATUS_SENSOR.FALHA, [], { erro: error.message }) };
+    }
+    return {
+      registros: reserva.registros,
+      status: status(STATUS_SENSOR.CACHE, reserva.registros, { erro: error.message, obtidoEm: reserva.obtidoEm })
+    };
   }
-
-  return promessa;
 }
 
 /**
- * 🛰️ fetchAllSensorsData
+ * 💾 guardarResultadoSensor
  *
- * Realiza a busca dos dados brutos de focos de calor para todos os sensores definidos em SENSORS.
- * Os dados são agregados em um único array.
+ * Guarda a busca mais recente de cada chave, descartando as mais antigas acima de `MAX_RESULTADOS_RESERVA`.
  *
- * @param {Array<number>} bbox - Bounding box para limitar a área da busca
- * @param {number} dayRange - Número de dias para a busca
- * @param {string} [date] - Data base para a busca
- * @returns {Promise<Array<Object>>} Lista agregada de registros de focos para todos os sensores
+ * @param {string} chave - Chave gerada por `CacheCore.gerarChaveSensor`
+ * @param {{ registros: Array<Object>, obtidoEm: string }} resultado
  */
-async function fetchAllSensorsData(bbox, dayRange, date) {
-  let records = [];
-  for (const sensor of SENSORS) {
-    const recs = await fetchRawBySensor(sensor, bbox, dayRange, date);
-    records.push(...recs);
+function guardarResultadoSensor(chave, resultado) {
+  ultimosResultadosSensor.delete(chave);
+  ultimosResultadosSensor.set(chave, resultado);
+  if (ultimosResultadosSensor.size > SENSOR_CONFIG.MAX_RESULTADOS_RESERVA) {
+    ultimosResultadosSensor.delete(ultimosResultadosSensor.keys().next().value);
   }
-  return records;
 }
 
 // === FETCH ===
@@ -170,56 +266,45 @@ async function fetchAllSensorsData(bbox, dayRange, date) {
  *
  * Realiza o download dos dados brutos (CSV) de focos de calor para um sensor específico,
  * converte para JSON, faz log da URL (com chave oculta) e retorna os registros enriquecidos com o nome do sensor.
+ * O resultado passa pelo cache de sensores (`CacheCore.obter`): entradas vencidas há pouco são servidas
+ * enquanto o download é refeito em segundo plano.
  *
  * @param {string} sensor - Nome do sensor de satélite (ex: 'MODIS_NRT')
  * @param {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY] para consulta espacial
  * @param {number} dayRange - Quantidade de dias para busca (janela temporal)
  * @param {string} [startDate] - Data base para início da busca (formato YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {boolean} [options.forcar=false] - Baixa na FIRMS mesmo com entrada no cache, substituindo-a
  * @returns {Promise<Array<Object>>} Lista de registros brutos, cada um com uma propriedade extra `sensor`
+ * @throws {Error} Se a FIRMS não responder após as novas tentativas
  */
-async function fetchRawBySensor(sensor, bbox, dayRange, startDate) {
+async function fetchRawBySensor(sensor, bbox, dayRange, startDate, { forcar = false } = {}) {
   const cacheKey = CacheCore.gerarChaveSensor(sensor, bbox, dayRange, startDate);
 
-  // 1. Retorna resultado já no cache se ativo
-  if (CacheCore.isAtivo() && CacheCore.sensorCache.has(cacheKey)) {
-
-    return CacheCore.sensorCache.get(cacheKey);
-  }
-
-  // 2. Deduplicação: retorna a mesma Promise se já estiver em andamento
+  // Deduplicação: retorna a mesma Promise se já estiver em andamento (mesmo com o cache desativado)
   if (inflightSensorFetches.has(cacheKey)) {
   
     return inflightSensorFetches.get(cacheKey);
   }
 
-  // 3. Cria nova promise para fetch e registra
-  const fetchPromise = (async () => {
+  const fetchPromise = CacheCore.obter(NAMESPACES.SENSOR, cacheKey, async () => {
     const url = buildFireAreaCsvUrl(sensor, bbox, dayRange, startDate);
-    const urlLogged = hideApiKeyInUrl(url);
 
     try {
       const { data } = await fetchWithRetry(url);
       const records = await csv().fromString(data);
-      const enriched = records.map(r => ({ ...r, sensor }));
-
-      if (CacheCore.isAtivo()) {
-        CacheCore.sensorCache.set(cacheKey, enriched);
-      }
-
-      return enriched;
+      return records.map(r => ({ ...r, sensor }));
     } catch (error) {
       debugLog('Erro ao buscar dados do sensor', {
         sensor,
         mensagem: error.message,
         status: error.response?.status || 'desconhecido',
-        url: urlLogged,
+        url: hideApiKeyInUrl(url),
         origem: 'fetchRawBySensor'
       });
-      return [];
-    } finally {
-      inflightSensorFetches.delete(cacheKey);
+      throw error;
     }
-  })();
+  }, { forcar }).finally(() => inflightSensorFetches.delete(cacheKey));
 
   inflightSensorFetches.set(cacheKey, fetchPromise);
   return fetchPromise;
@@ -385,29 +470,60 @@ function isNumber(value) {
 }
 
 
-// === GEORREFERENCIAMENTO MT ===
+// === GEORREFERENCIAMENTO DA ÁREA DE INTERESSE ===
+
+let aoiGeometryCache = null;
 
 /**
- * 🗺️ loadMTGeometry
+ * 🗺️ loadAoiGeometry
  *
- * Carrega o GeoJSON da unidade federativa de Mato Grosso (MT), gera o polígono unificado e o bounding box (bbox).
+ * Carrega o GeoJSON da área de interesse (`REGIAO_CONFIG.AOI_GEOJSON`, padrão: Mato Grosso),
+ * gera o polígono unificado e o bounding box (bbox). O resultado é calculado uma única vez.
  * Utilizado para limitar a busca de focos de calor e aplicar filtros espaciais.
  *
  * @returns {{ polygon: Object, bbox: Array<number> }}
- *  - polygon: Polígono unificado (GeoJSON) do MT
+ *  - polygon: Polígono unificado (GeoJSON) da área de interesse
  *  - bbox: Bounding box [minX, minY, maxX, maxY]
  */
-function loadMTGeometry() {
-  // const geojson = loadGeoJson('public/assets/geoRef/br_to.json');
-  const geojson = loadGeoJson('public/assets/geoRef/br_mt.json');
-  return {
+function loadAoiGeometry() {
+  if (aoiGeometryCache) return aoiGeometryCache;
+
+  const geojson = loadGeoJson(REGIAO_CONFIG.AOI_GEOJSON);
+  aoiGeometryCache = {
     polygon: unionFeatures(geojson),
     bbox: computeBbox(geojson)
   };
+  return aoiGeometryCache;
 }
 
 // === UTILS ===
 
+/**
+ * 🏊 mapComLimite
+ *
+ * Aplica uma função assíncrona a cada item com no máximo `limite` execuções simultâneas,
+ * preservando a ordem dos itens no resultado.
+ *
+ * @param {Array<any>} itens
+ * @param {number} limite - Máximo de execuções simultâneas
+ * @param {(item: any) => Promise<any>} fn
+ * @returns {Promise<Array<any>>}
+ */
+async function mapComLimite(itens, limite, fn) {
+  const resultados = new Array(itens.length);
+  let proximo = 0;
+
+  const trabalhador = async () => {
+    while (proximo < itens.length) {
+      const indice = proximo++;
+      resultados[indice] = await fn(itens[indice]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limite, itens.length) }, trabalhador));
+  return resultados;
+}
+
 /**
  * 🔑 hideApiKeyInUrl
  *
@@ -0,0 +1,247 @@
+// FILE_PATH: backend/apis/firms/services/FireLiveService.js
+
+/**
+ * 🛰️ Focos da janela ao vivo da FIRMS, atualizados fora das requisições HTTP.
+ *
+ * A atualização agendada (ver `JobScheduler`) busca de uma vez os dias da janela ao vivo e guarda o resultado;
+ * as consultas a essa janela são respondidas a partir do último resultado, sem ir à FIRMS.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+/**
+ * 🔥 fetchFiresMTComStatus
+ *
+ * Busca os focos brutos do MT na FIRMS, com o status de cada sensor.
+ */
+import { fetchFiresMTComStatus, STATUS_SENSOR } from '#firms_services/FireFetcher.js';
+
+import { FireModel } from '#firms_models';
+
+import { DATE_CONFIG } from '#firms_utils/dateValidation.js';
+import { CacheCore, NAMESPACES } from '#firms_utils/CacheCore.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * ⚙️ LIVE_CONFIG
+ *
+ * - HORARIOS_UTC: horários da atualização agendada (env `FIRMS_REFRESH_HORARIOS_UTC`, ex: "04:00,16:00").
+ *   O padrão acompanha as passagens sobre o MT (Terra ~02:30 e ~14:30 UTC; Aqua e VIIRS ~05:30 e ~17:30 UTC),
+ *   com folga para a publicação NRT (até ~3 h após a passagem), além de uma execução logo após a virada do dia UTC
+ * - INTERVALO_MS: quando definido (env `FIRMS_REFRESH_INTERVAL_MIN`), substitui os horários por um intervalo fixo
+ * - IDADE_MAXIMA_MS: idade máxima do último resultado para responder consultas
+ *   (env `FIRMS_SNAPSHOT_MAX_AGE_MIN`, padrão 12 h); acima dela a consulta volta a ir à FIRMS
+ */
+export const LIVE_CONFIG = {
+  // eslint-disable-next-line no-undef
+  HORARIOS_UTC: (process.env.FIRMS_REFRESH_HORARIOS_UTC || '00:15,04:00,06:30,08:30,16:00,18:00,20:30')
+    .split(',')
+    .map(horario => horario.trim())
+    .filter(Boolean),
+  // eslint-disable-next-line no-undef
+  INTERVALO_MS: (Number(process.env.FIRMS_REFRESH_INTERVAL_MIN) || 0) * 60 * 1000,
+  // eslint-disable-next-line no-undef
+  IDADE_MAXIMA_MS: (Number(process.env.FIRMS_SNAPSHOT_MAX_AGE_MIN) || 12 * 60) * 60 * 1000
+};
+
+/**
+ * 🛰️ FireLiveService
+ *
+ * Guarda o último resultado da janela ao vivo ({ atualizadoEm, periodo, registros, sensores })
+ * e responde as consultas a partir dele.
+ */
+export default class FireLiveService {
+  static #snapshot = null;
+  static #atualizacaoEmAndamento = null;
+  static #ouvintesAtualizacao = new Set();
+
+  // == Funções Públicas ==
+
+  /**
+   * 🔄 atualizar
+   *
+   * Busca na FIRMS todos os dias da janela ao vivo e substitui o último resultado.
+   * Se todos os sensores falharem (sem nem um resultado anterior de reserva), o resultado anterior
+   * é mantido e um erro é lançado.
+   * Chamadas concorrentes reaproveitam a atualização em andamento.
+   *
+   * @returns {Promise<{ periodo: Object, registros: number, sensores: Array<Object>, duracaoMs: number }>}
+   *   Resumo da atualização (registros do MT e status de cada sensor)
+   */
+  static atualizar() {
+    if (this.#atualizacaoEmAndamento) return this.#atualizacaoEmAndamento;
+
+    this.#atualizacaoEmAndamento = this.#executarAtualizacao()
+      .finally(() => { this.#atualizacaoEmAndamento = null; });
+
+    return this.#atualizacaoEmAndamento;
+  }
+
+  /**
+   * 🔥 buscar
+   *
+   * Focos brutos de um período da janela ao vivo, com os mesmos parâmetros e o mesmo retorno de `fetchFiresMT`.
+   *
+   * @param {Object} params - Ver `buscarComStatus`
+   * @returns {Promise<Array<Object>>} Registros brutos de focos
+   */
+  static async buscar(params = {}) {
+    return (await this.buscarComStatus(params)).registros;
+  }
+
+  /**
+   * 🩺 buscarComStatus
+   *
+   * Focos brutos de um período da janela ao vivo e o status de cada sensor na busca que os originou.
+   * Servidos do último resultado quando ele cobre o período e não passou de `LIVE_CONFIG.IDADE_MAXIMA_MS`;
+   * caso contrário, buscados diretamente na FIRMS.
+   *
+   * @param {Object} params
+   * @param {string} [params.date] - Data inicial (YYYY-MM-DD). Ausente = últimos `dayRange` dias até hoje
+   * @param {number} [params.dayRange=1] - Quantidade de dias
+   * @param {{ start: string, end: string }} [params.timeRange] - Intervalo de horário (opcional)
+   * @returns {Promise<{ registros: Array<Object>, sensores: Array<Object> }>} Registros brutos e status dos sensores
+   *   ({ sensor, status, registros, latenciaMs, erro, obtidoEm }, ver `fetchFiresMTComStatus`)
+   */
+  static async buscarComStatus(params = {}) {
+    // Logo após o início a primeira atualização ainda está em andamento: espera por ela em vez de duplicar a busca
+    if (this.#atualizacaoEmAndamento) await this.#atualizacaoEmAndamento.catch(() => {});
+
+    const { inicio, fim } = this.#periodoSolicitado(params);
+    if (!this.#snapshotCobre(inicio, fim)) return fetchFiresMTComStatus(params);
+
+    return {
+      registros: this.#snapshot.registros.filter(registro =>
+        registro.acq_date >= inicio &&
+        registro.acq_date <= fim &&
+        FireModel.isWithinTimeRange(registro, params.timeRange)
+      ),
+      sensores: this.#snapshot.sensores
+    };
+  }
+
+  /**
+   * 📋 status
+   *
+   * @returns {{ atualizadoEm: string, periodo: Object, registros: number, sensores: Array<Object> }|null}
+   *   Resumo do último resultado (null antes da primeira atualização)
+   */
+  static status() {
+    if (!this.#snapshot) return null;
+    const { atualizadoEm, periodo, registros, sensores } = this.#snapshot;
+    return { atualizadoEm: atualizadoEm.toISOString(), periodo, registros: registros.length, sensores };
+  }
+
+  /**
+   * 🔔 aoAtualizar
+   *
+   * Registra uma função chamada ao fim de cada atualização bem-sucedida da janela ao vivo
+   * (ex: stream de focos com o arquivo histórico desligado). Erros da função são registrados em log.
+   *
+   * @param {(resumo: Object) => (void|Promise<void>)} ouvinte - Recebe o mesmo resumo de `atualizar`
+   * @returns {() => void} Função que cancela o registro
+   */
+  static aoAtualizar(ouvinte) {
+    this.#ouvintesAtualizacao.add(ouvinte);
+    return () => this.#ouvintesAtualizacao.delete(ouvinte);
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * Descarta o último resultado (ex: entre testes).
+   */
+  static limpar() {
+    this.#snapshot = null;
+  }
+
+  // == Privados ==
+
+  /**
+   * ⚙️ #executarAtualizacao
+   *
+   * @private
+   */
+  static async #executarAtualizacao() {
+    const inicio = Date.now();
+    const hoje = dayjs.utc().startOf('day');
+    const periodo = {
+      inicio: hoje.subtract(DATE_CONFIG.MAX_DAYS_IN_PAST - 1, 'day').format('YYYY-MM-DD'),
+      fim: hoje.format('YYYY-MM-DD')
+    };
+
+    // Sempre vai à FIRMS: o resultado também renova o cache de sensores das demais instâncias
+    const { registros, sensores } = await fetchFiresMTComStatus({
+      date: periodo.inicio,
+      dayRange: DATE_CONFIG.MAX_DAYS_IN_PAST,
+      forcarAtualizacao: true
+    });
+
+    if (sensores.every(sensor => sensor.status === STATUS_SENSOR.FALHA)) {
+      throw new Error(`Todos os sensores falharam: ${sensores.map(s => `${s.sensor} (${s.erro})`).join(', ')}`);
+    }
+
+    this.#snapshot = { atualizadoEm: new Date(), periodo, registros, sensores };
+    // Estatísticas em cache foram calculadas sobre os focos anteriores
+    await CacheCore.limparNamespace(NAMESPACES.FIRE_STATS);
+
+    const resumo = { periodo, registros: registros.length, sensores, duracaoMs: Date.now() - inicio };
+    debugLog('Janela ao vivo da FIRMS atualizada', {
+      ...periodo,
+      registros: resumo.registros,
+      sensoresComFalha: sensores.filter(sensor => sensor.status !== STATUS_SENSOR.OK).map(sensor => sensor.sensor),
+      duracaoMs: resumo.duracaoMs,
+      origem: 'FireLiveService.atualizar'
+    });
+
+    await this.#notificarOuvintes(resumo);
+    return resumo;
+  }
+
+  /**
+   * 📣 #notificarOuvintes
+   *
+   * @private
+   */
+  static async #notificarOuvintes(resumo) {
+    for (const ouvinte of this.#ouvintesAtualizacao) {
+      try {
+        await ouvinte(resumo);
+      } catch (error) {
+        debugLog('Erro em ouvinte da atualização da janela ao vivo', {
+          mensagem: error.message,
+          origem: 'FireLiveService.#notificarOuvintes'
+        });
+      }
+    }
+  }
+
+  /**
+   * Datas inicial e final (YYYY-MM-DD, UTC) de uma consulta no formato de `fetchFiresMT`.
+   * @private
+   */
+  static #periodoSolicitado({ date, dayRange = 1 }) {
+    const dias = Math.max(dayRange, 1) - 1;
+    const inicio = date ? dayjs.utc(date) : dayjs.utc().startOf('day').subtract(dias, 'day');
+    return {
+      inicio: inicio.format('YYYY-MM-DD'),
+      fim: inicio.add(dias, 'day').format('YYYY-MM-DD')
+    };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} Se o último resultado cobre o período e ainda é recente
+   */
+  static #snapshotCobre(inicio, fim) {
+    if (!this.#snapshot) return false;
+
+    const { atualizadoEm, periodo } = this.#snapshot;
+    const recente = Date.now() - atualizadoEm.getTime() <= LIVE_CONFIG.IDADE_MAXIMA_MS;
+    return recente && inicio >= periodo.inicio && fim <= periodo.fim;
+  }
+}
@@ -0,0 +1,54 @@
+// FILE_PATH: backend/apis/firms/services/FireRefreshJob.js
+
+/**
+ * 🔁 Tarefa agendada de atualização da FIRMS.
+ *
+ * Atualiza a janela ao vivo (`FireLiveService`) e, na sequência, ingere os focos no arquivo histórico
+ * (`FireArchiveService`), que por sua vez dispara alertas e o stream de focos. Com o arquivo desligado,
+ * o stream é publicado a partir da própria atualização da janela ao vivo.
+ */
+
+import FireLiveService, { LIVE_CONFIG } from '#firms_services/FireLiveService.js';
+import FireArchiveService from '#firms_services/FireArchiveService.js';
+
+import { DATE_CONFIG } from '#firms_utils/dateValidation.js';
+
+/**
+ * 🔁 FireRefreshJob
+ *
+ * Monta a definição da tarefa "firms" para o `JobScheduler`.
+ */
+export default class FireRefreshJob {
+  static NOME = 'firms';
+
+  /**
+   * 🧩 definicao
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.arquivar=true] - Ingerir no arquivo histórico após cada atualização
+   * @returns {Object} Definição aceita por `JobScheduler.registrar`
+   */
+  static definicao({ arquivar = true } = {}) {
+    let arquivoPreenchido = false;
+
+    return {
+      nome: this.NOME,
+      descricao: 'Atualiza os focos da janela ao vivo da FIRMS' + (arquivar ? ' e ingere no arquivo histórico' : ''),
+      horariosUtc: LIVE_CONFIG.HORARIOS_UTC,
+      intervaloMs: LIVE_CONFIG.INTERVALO_MS,
+      executar: async () => {
+        const atualizacao = await FireLiveService.atualizar();
+        if (!arquivar) return atualizacao;
+
+        // Primeira ingestão cobre toda a janela ao vivo, preenchendo o arquivo após reinícios
+        const { recebidos, inseridos, duracaoMs } = await FireArchiveService.ingerir(arquivoPreenchido ? {} : {
+          date: atualizacao.periodo.inicio,
+          dayRange: DATE_CONFIG.MAX_DAYS_IN_PAST
+        });
+        arquivoPreenchido = true;
+
+        return { ...atualizacao, arquivo: { recebidos, novos: inseridos.length, duracaoMs } };
+      }
+    };
+  }
+}
@@ -1,14 +1,24 @@
 // FILE_PATH: backend/apis/firms/services/FireService.js
 
 /**
- * 🔥 fetchFiresMT
+ * 🛰️ FireLiveService
  *
- * Função para buscar focos de calor (fires) no estado do Mato Grosso (MT) via FIRMS.
+ * Focos de calor (fires) do Mato Grosso (MT) na janela ao vivo da FIRMS, servidos da última atualização agendada.
  */
-import { fetchFiresMT } from '#firms_services/FireFetcher.js';
+import FireLiveService from '#firms_services/FireLiveService.js';
+import { STATUS_SENSOR } from '#firms_services/FireFetcher.js';
 
 import { FireModel } from '#firms_models'; // DOCUMENTAR
 
+/**
+ * 🗄️ FireArchiveService
+ *
+ * Arquivo histórico de focos (FireCache), usado para datas anteriores à janela ao vivo da FIRMS.
+ */
+import FireArchiveService from '#firms_services/FireArchiveService.js';
+
+import { splitByLiveWindow } from '#firms_utils/dateValidation.js';
+
 /**
  * 🔎 parseQuery
  *
@@ -16,6 +26,45 @@ import { FireModel } from '#firms_models'; // DOCUMENTAR
  */
 import { parseQuery } from '#firms_utils/parseQuery.js';
 
+/**
+ * ✂️ Filtro espacial
+ *
+ * Recorte dos focos por município, comando regional, bbox ou polígono arbitrário.
+ */
+import {
+  resolverFiltroEspacial,
+  resolverEscopoRegional,
+  aplicarFiltroEspacial,
+  descreverFiltroEspacial
+} from '#firms_utils/spatialFilter.js';
+
+/**
+ * 🎛️ Filtros de atributo
+ *
+ * Filtros por confiança, sensor, satélite, período (dia/noite) e faixa de FRP.
+ */
+import { resolverFiltrosAtributos, aplicarFiltrosAtributos } from '#firms_utils/fireFilters.js';
+
+/**
+ * 🛡️ Áreas protegidas
+ *
+ * Anotação dos focos dentro/próximos de UCs, terras indígenas e assentamentos, e o filtro correspondente.
+ */
+import {
+  resolverFiltroAreaProtegida,
+  anotarAreasProtegidas,
+  aplicarFiltroAreaProtegida,
+  descreverFiltroAreaProtegida,
+  AREA_PROTEGIDA_CONFIG
+} from '#firms_utils/protectedAreaFilter.js';
+
+/**
+ * 🧬 Deduplicação entre sensores
+ *
+ * Marca as detecções repetidas do mesmo foco por satélites diferentes (`duplicata` / `idEvento`).
+ */
+import { marcarDuplicatas, resumirDeduplicacao, DEDUP_CONFIG } from '#firms_utils/fireDeduplication.js';
+
 /**
  * 🗺️ MapboxReverseGeocoder
  *
@@ -44,15 +93,73 @@ export default class FireService {
   /**
    * 🔥 listAll
    *
-   * Busca todos os focos de calor brutos para o MT utilizando o FireFetcher.
-   * Aplica o roteamento de padronização dos focos.
+   * Busca todos os focos de calor para o MT.
+   * Datas dentro da janela ao vivo vêm da última atualização agendada da FIRMS (FireLiveService, com roteamento de padronização);
+   * datas anteriores a ela são servidas pelo arquivo histórico. Períodos que cruzam a fronteira combinam as duas fontes.
+   * Se `options.filtroEspacial`, `options.filtrosAtributos` e/ou `options.filtroAreaProtegida` forem informados,
+   * apenas os focos dentro do recorte e que atendem aos filtros são retornados.
+   * `options.escopoRegional` (usuários restritos a um CRBM) recorta o resultado em qualquer caso.
+   * Todos os focos retornados vêm marcados com `idEvento` e `duplicata` (ver `marcarDuplicatas`)
+   * e anotados com `areasProtegidas` (ver `anotarAreasProtegidas`).
    *
    * @param {Object} [options={}] - Parâmetros de busca (data, filtro, etc)
    * @returns {Promise<Array<Object>>} Lista de focos normalizados
    */
   static async listAll(options = {}) {
-    const firesRaw = await fetchFiresMT(options);
-    return this.routeListAll(firesRaw);
+    return (await this.listAllComStatus(options)).fires;
+  }
+
+  /**
+   * 🩺 listAllComStatus
+   *
+   * Mesmo resultado de `listAll`, acompanhado do status de cada sensor da FIRMS na busca da janela ao vivo
+   * (`null` quando o período inteiro vem do arquivo histórico).
+   *
+   * @param {Object} [options={}] - Parâmetros de busca (ver `listAll`)
+   * @returns {Promise<{ fires: Array<Object>, sensores: Array<Object>|null }>}
+   */
+  static async listAllComStatus(options = {}) {
+    const { arquivo, aoVivo } = splitByLiveWindow(options.date, options.dayRange);
+
+    if (!arquivo) {
+      const { registros, sensores } = await FireLiveService.buscarComStatus(options);
+      return { fires: this.#aplicarFiltros(this.routeListAll(registros), options), sensores };
+    }
+
+    const [arquivados, { registros, sensores }] = await Promise.all([
+      FireArchiveService.listarArquivados({ ...arquivo, timeRange: options.timeRange }),
+      aoVivo ? FireLiveService.buscarComStatus({ ...options, ...aoVivo }) : { registros: [], sensores: null }
+    ]);
+
+    return {
+      fires: this.#aplicarFiltros([...arquivados, ...this.routeListAll(registros)], options),
+      sensores
+    };
+  }
+
+  /**
+   * 🧹 #aplicarFiltros
+   *
+   * Aplica os filtros de atributo (mais baratos), depois o recorte espacial, anota as áreas protegidas
+   * (filtrando por elas, se pedido) e, por fim, marca as duplicatas.
+   * A deduplicação roda sobre o resultado filtrado para que `sensor=MODIS` conte os eventos vistos pelo MODIS,
+   * e não apenas os que o VIIRS deixou de ver.
+   *
+   * @private
+   * @param {Array<Object>} fires - Focos normalizados
+   * @param {Object} options - Parâmetros de busca com `filtrosAtributos`, `filtroEspacial`, `escopoRegional`
+   *   e `filtroAreaProtegida`
+   * @returns {Array<Object>} Focos filtrados e marcados
+   */
+  static #aplicarFiltros(fires, { filtrosAtributos, filtroEspacial, escopoRegional, filtroAreaProtegida }) {
+    const recortados = aplicarFiltroEspacial(
+      aplicarFiltroEspacial(aplicarFiltrosAtributos(fires, filtrosAtributos), escopoRegional),
+      filtroEspacial
+    );
+    // O raio da anotação cobre a distância pedida no filtro, se ela for maior que o padrão
+    const raioKm = Math.max(AREA_PROTEGIDA_CONFIG.RAIO_KM, filtroAreaProtegida?.distanciaKm ?? 0);
+    const anotados = anotarAreasProtegidas(recortados, raioKm);
+    return marcarDuplicatas(aplicarFiltroAreaProtegida(anotados, filtroAreaProtegida));
   }
 
   /**
@@ -145,6 +252,26 @@ export default class FireService {
 
   // == Helpers Públicos ==
 
+  /**
+   * 🧭 buildSearchParams
+   *
+   * Converte a query da requisição nos parâmetros aceitos por `listAll`:
+   * período (dt, dr, hr), recorte espacial, escopo regional do usuário, filtros de atributo e filtro de área protegida.
+   *
+   * @param {Object} query - Query string da requisição
+   * @returns {Object} Parâmetros de busca
+   * @throws {Error} Se data, recorte ou filtros forem inválidos
+   */
+  static buildSearchParams(query) {
+    return {
+      ...parseQuery(query),
+      filtroEspacial: resolverFiltroEspacial(query),
+      escopoRegional: resolverEscopoRegional(query),
+      filtrosAtributos: resolverFiltrosAtributos(query),
+      filtroAreaProtegida: resolverFiltroAreaProtegida(query)
+    };
+  }
+
   /**
    * ✅ isNonEmptyArray
    *
@@ -241,7 +368,7 @@ export default class FireService {
    * @returns {Promise<any>} Resultado do handler escolhido (paginado ou completo)
    */
   static async #routeListAllFormattedPaginated(query) {
-    const params = parseQuery(query);
+    const params = this.buildSearchParams(query);
     return await this.#chooseFireListHandler(query)(params, query);
   }
 
@@ -287,7 +414,7 @@ export default class FireService {
    * @throws {Error} Caso a quantidade exceda o máximo permitido por requisição
    */
   static async #getAllFiresNoPagination(params, query) {
-    const fires = await this.listAll(params);
+    const { fires, sensores } = await this.listAllComStatus(params);
     if (fires.length > MAX_RECORDS_ALL) {
       throw new Error(`A requisição excede o limite de ${MAX_RECORDS_ALL} registros. Refine seus filtros ou use paginação.`);
     }
@@ -296,7 +423,7 @@ export default class FireService {
 
     return {
       metadados: {
-        ...this.#buildMetadata(params, query, sorted.length)
+        ...this.#buildMetadata(params, query, sorted, sensores)
       },
       dados: sorted
     };
@@ -316,7 +443,7 @@ export default class FireService {
   static async #getPagedFires(params, query) {
     const page = this.parsePage(query);
     const limit = this.parseLimit(query);
-    const fires = await this.listAll(params);
+    const { fires, sensores } = await this.listAllComStatus(params);
     const firesFormatted = fires;
     const sorted = FireModel.sortFires(firesFormatted, query.sort);
 
@@ -325,7 +452,7 @@ export default class FireService {
 
     return {
       metadados: {
-        ...this.#buildMetadata(params, query, sorted.length),
+        ...this.#buildMetadata(params, query, sorted, sensores),
         paginacao: {
           paginaAtual: page,
           itensPorPagina: limit,
@@ -382,15 +509,18 @@ export default class FireService {
   /**
    * 🏷️ #buildMetadata
    *
-   * Monta o objeto de metadados para a resposta da API, incluindo parâmetros de busca, timestamp e total.
+   * Monta o objeto de metadados para a resposta da API, incluindo parâmetros de busca, timestamp, total,
+   * o resumo da deduplicação (detecções × eventos únicos) e, quando a busca passou pela janela ao vivo,
+   * o status de cada sensor da FIRMS com `dadosIncompletos: true` se algum deles não foi baixado agora.
    *
    * @private
    * @param {Object} params - Parâmetros usados na busca
    * @param {Object} query - Query original
-   * @param {number} total - Total de registros encontrados
+   * @param {Array<Object>} fires - Todos os focos encontrados (antes da paginação)
+   * @param {Array<Object>|null} [sensores] - Status dos sensores (ver `listAllComStatus`)
    * @returns {Object} Objeto de metadados pronto para resposta
    */
-  static #buildMetadata(params, query, total) {
+  static #buildMetadata(params, query, fires, sensores = null) {
     const intervalo = this._getIntervaloHoras(params);
 
     const metadados = {
@@ -398,10 +528,23 @@ export default class FireService {
         data: params.date,
         diasConsiderados: params.dayRange,
         ordenacao: this._getSort(query),
-        ...(intervalo || {})
+        ...(intervalo || {}),
+        ...(params.filtroEspacial ? { filtroEspacial: descreverFiltroEspacial(params.filtroEspacial) } : {}),
+        ...(params.filtrosAtributos ? { filtros: params.filtrosAtributos } : {}),
+        ...(params.filtroAreaProtegida ? { areaProtegida: descreverFiltroAreaProtegida(params.filtroAreaProtegida) } : {}),
+        ...(params.escopoRegional ? { escopoRegional: params.escopoRegional.valor } : {})
       },
       timestampConsulta: new Date().toISOString(),
-      totalFocos: total
+      totalFocos: fires.length,
+      deduplicacao: {
+        ...resumirDeduplicacao(fires),
+        distanciaMetros: DEDUP_CONFIG.DISTANCIA_METROS,
+        janelaMinutos: DEDUP_CONFIG.JANELA_MINUTOS
+      },
+      ...(sensores ? {
+        sensores,
+        dadosIncompletos: sensores.some(sensor => sensor.status !== STATUS_SENSOR.OK)
+      } : {})
     };
     return metadados;
   }
@@ -0,0 +1,191 @@
+// FILE_PATH: backend/apis/firms/services/FireSnapshotService.js
+
+/**
+ * 📸 Histórico de indicadores (snapshots) de /fires/stats.
+ *
+ * Cada coleta diária calculada em `/fires/stats` é gravada no `IndicadoresCache`,
+ * e o snapshot anterior (coleta anterior ou dia anterior) alimenta `resumo.anterior`.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+/**
+ * 🗃️ IndicadoresCache
+ *
+ * Persistência SQLite dos snapshots de indicadores por coleta (`dataColeta`).
+ */
+import IndicadoresCache from '#shared_cache_indicadores/IndicadoresCacheInstance.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+import { PARAMETROS_FILTRO_ATRIBUTOS } from '#firms_utils/fireFilters.js';
+import { PARAMETROS_FILTRO_AREA_PROTEGIDA } from '#firms_utils/protectedAreaFilter.js';
+import { CONTAGENS } from '#firms_utils/fireDeduplication.js';
+
+dayjs.extend(utc);
+
+/**
+ * 🔀 CRITERIOS_ANTERIOR
+ *
+ * Critérios aceitos no parâmetro `anterior` de /fires/stats:
+ * - coleta: snapshot imediatamente anterior à coleta atual (padrão)
+ * - dia: última coleta registrada no dia anterior
+ */
+const CRITERIOS_ANTERIOR = {
+  COLETA: 'coleta',
+  DIA: 'dia'
+};
+
+/**
+ * ✂️ PARAMETROS_DE_RECORTE
+ *
+ * Parâmetros que restringem a consulta a parte do dia, do território ou dos focos (filtros de atributo).
+ */
+const PARAMETROS_DE_RECORTE = [
+  'hr', 'municipio', 'crbm', 'bbox', 'escopoCrbm', ...PARAMETROS_FILTRO_ATRIBUTOS, ...PARAMETROS_FILTRO_AREA_PROTEGIDA
+];
+
+/**
+ * 📸 FireSnapshotService
+ *
+ * Registra snapshots dos indicadores de focos e recupera o snapshot de comparação.
+ */
+export default class FireSnapshotService {
+
+  // == Funções Públicas ==
+
+  /**
+   * 🔄 registrarEObterAnterior
+   *
+   * Busca o snapshot de comparação e grava o snapshot da coleta atual.
+   * Só consultas diárias do estado inteiro (sem `hr`, com `dr` de 1 dia, sem recorte espacial nem filtros)
+   * geram snapshot: outros recortes produziriam totais incomparáveis sob a mesma `dataColeta`.
+   * Falhas de persistência são registradas em log e não interrompem a resposta.
+   *
+   * @param {Object} params
+   * @param {Object} params.query - Query string da requisição (dt, dr, hr, anterior)
+   * @param {Object} params.stats - Estatísticas calculadas (`FireController.buildStats`)
+   * @param {Object} params.resumo - Resumo atual (`FireController.resumirDados`)
+   * @param {string} params.dataColeta - Timestamp ISO da coleta mais recente
+   * @returns {Promise<Object|null>} Resumo anterior ou null se não houver
+   */
+  static async registrarEObterAnterior({ query = {}, stats, resumo, dataColeta }) {
+    if (!this.ehConsultaDiaria(query) || typeof resumo.totalFocos !== 'number') return null;
+
+    try {
+      const anterior = await this.#buscarAnterior(query.anterior, dataColeta);
+      await this.#registrar(stats, resumo, dataColeta);
+      return anterior;
+    } catch (error) {
+      debugLog('Falha ao registrar snapshot de indicadores', {
+        erro: error.message,
+        dataColeta,
+        origem: 'FireSnapshotService.registrarEObterAnterior'
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 📅 ehConsultaDiaria
+   *
+   * @param {Object} query - Query string da requisição
+   * @returns {boolean} True se a consulta representa um único dia completo de todo o MT
+   *   (contando detecções: `totalFocos` dos snapshots nunca é deduplicado)
+   */
+  static ehConsultaDiaria(query = {}) {
+    const recortada = PARAMETROS_DE_RECORTE.some(param => query[param]);
+    const contaEventos = String(query.contagem ?? '').toLowerCase() === CONTAGENS.EVENTOS;
+    return !recortada && !contaEventos && (!query.dr || Number(query.dr) === 1);
+  }
+
+  /**
+   * 🧾 mapearSnapshotParaResumo
+   *
+   * Converte uma linha de `indicadores` no mesmo formato de `resumo.atual`.
+   *
+   * @param {Object|null} row - Snapshot do IndicadoresCache
+   * @returns {Object|null} Resumo (campos nulos omitidos)
+   */
+  static mapearSnapshotParaResumo(row) {
+    if (!row) return null;
+
+    const resumo = {
+      totalFocos: row.totalFocos,
+      frpMedio: row.frpMedio,
+      temperaturaMedia: row.temperaturaMedia,
+      timeStampColetaMaisRecente: row.dataColeta
+    };
+
+    return Object.fromEntries(Object.entries(resumo).filter(([, valor]) => valor != null));
+  }
+
+  // == Helpers ==
+
+  /**
+   * 🔍 #buscarAnterior
+   *
+   * @private
+   * @param {string} [criterio] - 'coleta' (padrão) ou 'dia'
+   * @param {string} dataColeta - Timestamp ISO da coleta atual
+   * @returns {Promise<Object|null>} Resumo anterior
+   */
+  static async #buscarAnterior(criterio, dataColeta) {
+    if (criterio === CRITERIOS_ANTERIOR.DIA) {
+      const ontem = dayjs.utc(dataColeta).subtract(1, 'day').format('YYYY-MM-DD');
+      const snapshots = await IndicadoresCache.getPorDia(ontem);
+      return this.mapearSnapshotParaResumo(snapshots.at(-1) ?? null);
+    }
+
+    return this.mapearSnapshotParaResumo(await IndicadoresCache.getAnterior(dataColeta));
+  }
+
+  /**
+   * 💾 #registrar
+   *
+   * Grava o snapshot da coleta atual, mantendo os extremos de `totalFocos` do dia.
+   * Indicadores que a consulta não calculou (`q` sem `frp` ou `tdb`) mantêm o valor já gravado para a coleta.
+   *
+   * @private
+   * @param {Object} stats - Estatísticas calculadas
+   * @param {Object} resumo - Resumo atual
+   * @param {string} dataColeta - Timestamp ISO da coleta
+   */
+  static async #registrar(stats, resumo, dataColeta) {
+    const dia = dataColeta.split('T')[0];
+    const snapshotsDoDia = await IndicadoresCache.getPorDia(dia);
+    const existente = snapshotsDoDia.find(row => row.dataColeta === dataColeta) ?? {};
+    const totaisDoDia = snapshotsDoDia
+      .filter(row => row.dataColeta !== dataColeta)
+      .map(row => row.totalFocos)
+      .concat(resumo.totalFocos);
+
+    const frp = stats?.FRP?.geral;
+    const temperatura = stats?.temperaturaDoBrilho?.geral;
+
+    await IndicadoresCache.set({
+      dataColeta,
+      dia,
+      totalFocos: resumo.totalFocos,
+      frpMedio: this.#numeroOuNulo(resumo.frpMedio) ?? existente.frpMedio ?? null,
+      temperaturaMedia: this.#numeroOuNulo(resumo.temperaturaMedia) ?? existente.temperaturaMedia ?? null,
+      totalFocosMax: Math.max(...totaisDoDia),
+      totalFocosMin: Math.min(...totaisDoDia),
+      frpMax: frp?.frpMaximo ?? existente.frpMax ?? null,
+      frpMin: frp?.frpMinimo ?? existente.frpMin ?? null,
+      temperaturaMax: temperatura?.tempMaxima ?? existente.temperaturaMax ?? null,
+      temperaturaMin: temperatura?.tempMinima ?? existente.temperaturaMin ?? null
+    });
+  }
+
+  /**
+   * 🔢 #numeroOuNulo
+   *
+   * @private
+   * @param {*} valor - Valor do resumo (pode ser 'N/A')
+   * @returns {number|null}
+   */
+  static #numeroOuNulo(valor) {
+    return typeof valor === 'number' ? valor : null;
+  }
+}
@@ -5,7 +5,8 @@ void debugJsonLog, debugLog
 
 import { FireModel } from '#firms_models'; // DOCUMENTAR
 
-import fs from "fs";
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+import { REGIAO_CONFIG } from '#shared_config/regiao.js';
 
 /**
  * 🔥 FireStatsService
@@ -62,8 +63,8 @@ class FireStatsService {
      * @property {Object} PATHS
      */
     PATHS: {
-      /** GeoJSON com mapeamento de municípios e comandos regionais */
-      GEO_REF: 'public/assets/geoRef/municipios_por_comando_regional_colorido.geojson'
+      /** GeoJSON com mapeamento de municípios e comandos regionais (configurável por região) */
+      GEO_REF: REGIAO_CONFIG.MUNICIPIOS_GEOJSON
     },
 
     /**
@@ -452,7 +453,8 @@ class FireStatsService {
   /**
    * 🗺️ #carregarMapeamentoCR
    * 
-   * Carrega o mapeamento GeoJSON de municípios para seus respectivos CRBMs.
+   * Carrega o mapeamento de municípios para seus respectivos CRBMs, conforme a configuração
+   * da região (`REGIAO_CONFIG`: malha municipal ou mapeamento explícito).
    * 
    * @returns {Object} Mapeamento município → CRBM
    * @example
@@ -464,12 +466,7 @@ class FireStatsService {
    * @private
    */
   static #carregarMapeamentoCR() {
-    const geojson = JSON.parse(fs.readFileSync('public/assets/geoRef/municipios_por_comando_regional_colorido.geojson', 'utf8'));
-
-    return geojson.features.reduce((acc, f) => {
-      acc[(f.properties.name || '').toUpperCase()] = f.properties.comandoRegional;
-      return acc;
-    }, {});
+    return GeoMunicipalityMatcher.mapearComandosRegionais();
   }
 
   /**
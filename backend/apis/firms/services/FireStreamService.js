@@ -0,0 +1,253 @@
+// FILE_PATH: backend/apis/firms/services/FireStreamService.js
+
+/**
+ * 📡 Canal push (Server-Sent Events) de /fires/stream.
+ *
+ * Após cada ingestão do arquivo de focos, envia aos clientes conectados apenas os focos recém-detectados
+ * e os indicadores do dia recalculados, no lugar do polling de /fires e /fires/stats pelo frontend.
+ * Com o arquivo desligado (FIRE_ARCHIVE_ENABLED=false) não há como separar os focos novos: a cada atualização
+ * da janela ao vivo os clientes recebem os indicadores e um aviso para recarregar os focos.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import FireArchiveService from '#firms_services/FireArchiveService.js';
+import FireLiveService from '#firms_services/FireLiveService.js';
+
+import FireCache from '#shared_cache_fires/FireCache.js';
+
+import { resolverEscopoRegional, aplicarFiltroEspacial } from '#firms_utils/spatialFilter.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+/**
+ * ⚙️ STREAM_CONFIG
+ *
+ * - HEARTBEAT_MS: intervalo dos comentários `: ping`, que mantêm a conexão aberta em proxies
+ * - RETRY_MS: espera sugerida ao EventSource antes de reconectar
+ * - Q_INDICADORES: agregações dos indicadores enviados (as mesmas do painel em /fires/stats)
+ */
+export const STREAM_CONFIG = {
+  HEARTBEAT_MS: 25 * 1000,
+  RETRY_MS: 10 * 1000,
+  Q_INDICADORES: 'frp,tdb,hdp,crbm'
+};
+
+/**
+ * 📡 FireStreamService
+ *
+ * Registro dos clientes SSE e publicação dos eventos:
+ * - `focos`: { focos: Array<Object> } focos inseridos na última ingestão (recortados pelo escopo do cliente)
+ * - `indicadores`: { dt, resumo, sensores } o mesmo `resumo` de GET /fires/stats?dt=<hoje>&q=frp,tdb,hdp,crbm
+ *   e o status dos sensores da FIRMS (`metadados.sensores`, null se indisponível)
+ * - `atualizado`: { dt } a janela ao vivo mudou e os focos não vêm no stream (arquivo desligado); recarregar /fires
+ */
+export default class FireStreamService {
+  static #clientes = new Set();
+  static #heartbeat = null;
+  static #ultimoId = 0;
+  static #calcularIndicadores = null;
+  static #cancelarInscricao = null;
+
+  // == Funções Públicas ==
+
+  /**
+   * ▶️ iniciar
+   *
+   * Passa a publicar a cada ingestão concluída do `FireArchiveService` ou, sem o arquivo histórico,
+   * a cada atualização do `FireLiveService`.
+   *
+   * @param {Object} options
+   * @param {(query: Object) => Promise<Object>} options.calcularIndicadores - Gera a resposta de /fires/stats
+   *   para a query informada (ex: `FireController.gerarEstatisticas`)
+   * @param {boolean} [options.arquivar=true] - Se o arquivo histórico está ligado (FIRE_ARCHIVE_ENABLED)
+   */
+  static iniciar({ calcularIndicadores, arquivar = true }) {
+    this.#calcularIndicadores = calcularIndicadores;
+    if (this.#cancelarInscricao) return;
+
+    this.#cancelarInscricao = arquivar
+      ? FireArchiveService.aoConcluirIngestao(resultado => this.publicarIngestao(resultado))
+      : FireLiveService.aoAtualizar(() => this.publicarAtualizacao());
+  }
+
+  /**
+   * 🛑 parar
+   *
+   * Cancela a publicação e encerra as conexões abertas.
+   */
+  static parar() {
+    this.#cancelarInscricao?.();
+    this.#cancelarInscricao = null;
+    this.#clientes.forEach(cliente => cliente.res.end());
+    this.#clientes.clear();
+    this.#atualizarHeartbeat();
+  }
+
+  /**
+   * 🔌 conectar
+   *
+   * Abre a resposta como `text/event-stream` e registra o cliente até a conexão ser fechada.
+   *
+   * @param {Request} req - Requisição Express (`req.query.escopoCrbm` restringe os eventos ao CRBM do usuário)
+   * @param {Response} res - Resposta Express
+   */
+  static conectar(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${STREAM_CONFIG.RETRY_MS}\n\n`);
+
+    const cliente = { res, escopoCrbm: req.query.escopoCrbm ?? null };
+    this.#clientes.add(cliente);
+    this.#atualizarHeartbeat();
+
+    req.on('close', () => {
+      this.#clientes.delete(cliente);
+      this.#atualizarHeartbeat();
+    });
+
+    this.#enviar(cliente, 'conectado', { clientes: this.#clientes.size });
+  }
+
+  static totalClientes() {
+    return this.#clientes.size;
+  }
+
+  /**
+   * 📣 publicarIngestao
+   *
+   * Envia os focos novos e os indicadores do dia. Sem clientes conectados nada é calculado;
+   * os indicadores são calculados uma vez por escopo (estado inteiro ou CRBM).
+   *
+   * @param {{ inseridos: Array<Object> }} resultado - Resultado de `FireArchiveService.ingerir`
+   */
+  static async publicarIngestao({ inseridos = [] }) {
+    if (!this.#clientes.size || !inseridos.length) return;
+
+    const focos = inseridos.map(foco => FireCache.mapearLinhaParaFoco(foco));
+    const dt = dayjs.utc().format('YYYY-MM-DD');
+
+    for (const [escopoCrbm, clientes] of this.#agruparPorEscopo()) {
+      await this.#publicarParaEscopo({ focos, dt, escopoCrbm, clientes });
+    }
+
+    debugLog('Focos novos publicados em /fires/stream', {
+      focos: focos.length,
+      clientes: this.#clientes.size,
+      origem: 'FireStreamService.publicarIngestao'
+    });
+  }
+
+  /**
+   * 📣 publicarAtualizacao
+   *
+   * Avisa os clientes que a janela ao vivo foi atualizada (`atualizado`) e envia os indicadores do dia.
+   * Usado quando o arquivo histórico está desligado e os focos novos não são conhecidos.
+   */
+  static async publicarAtualizacao() {
+    if (!this.#clientes.size) return;
+
+    const dt = dayjs.utc().format('YYYY-MM-DD');
+
+    for (const [escopoCrbm, clientes] of this.#agruparPorEscopo()) {
+      clientes.forEach(cliente => this.#enviar(cliente, 'atualizado', { dt }));
+      try {
+        await this.#publicarIndicadores({ dt, escopoCrbm, clientes });
+      } catch (error) {
+        debugLog('Erro ao publicar em /fires/stream', {
+          mensagem: error.message,
+          escopoCrbm,
+          origem: 'FireStreamService.publicarAtualizacao'
+        });
+      }
+    }
+
+    debugLog('Atualização da janela ao vivo publicada em /fires/stream', {
+      clientes: this.#clientes.size,
+      origem: 'FireStreamService.publicarAtualizacao'
+    });
+  }
+
+  // == Privados ==
+
+  /**
+   * @private
+   * @returns {Map<string|null, Array<Object>>} Clientes agrupados por `escopoCrbm`
+   */
+  static #agruparPorEscopo() {
+    const grupos = new Map();
+    for (const cliente of this.#clientes) {
+      if (!grupos.has(cliente.escopoCrbm)) grupos.set(cliente.escopoCrbm, []);
+      grupos.get(cliente.escopoCrbm).push(cliente);
+    }
+    return grupos;
+  }
+
+  /**
+   * 📤 #publicarParaEscopo
+   *
+   * Envia a um grupo de clientes os focos dentro do escopo e, se houver algum, os indicadores do escopo.
+   * Falhas ficam no log e não impedem a publicação para os demais escopos.
+   *
+   * @private
+   */
+  static async #publicarParaEscopo({ focos, dt, escopoCrbm, clientes }) {
+    try {
+      const recorte = aplicarFiltroEspacial(focos, resolverEscopoRegional({ escopoCrbm }));
+      if (!recorte.length) return;
+
+      clientes.forEach(cliente => this.#enviar(cliente, 'focos', { focos: recorte }));
+      await this.#publicarIndicadores({ dt, escopoCrbm, clientes });
+    } catch (error) {
+      debugLog('Erro ao publicar em /fires/stream', {
+        mensagem: error.message,
+        escopoCrbm,
+        origem: 'FireStreamService.publicarIngestao'
+      });
+    }
+  }
+
+  /**
+   * 📊 #publicarIndicadores
+   *
+   * Calcula uma vez os indicadores do dia do escopo e os envia ao grupo de clientes.
+   *
+   * @private
+   */
+  static async #publicarIndicadores({ dt, escopoCrbm, clientes }) {
+    if (!this.#calcularIndicadores) return;
+
+    const query = { dt, q: STREAM_CONFIG.Q_INDICADORES, ...(escopoCrbm ? { escopoCrbm } : {}) };
+    const { resumo, metadados } = await this.#calcularIndicadores(query);
+    const sensores = metadados?.sensores ?? null;
+    clientes.forEach(cliente => this.#enviar(cliente, 'indicadores', { dt, resumo, sensores }));
+  }
+
+  static #enviar(cliente, evento, dados) {
+    this.#ultimoId += 1;
+    cliente.res.write(`id: ${this.#ultimoId}\nevent: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+  }
+
+  /**
+   * Mantém um único timer de heartbeat enquanto houver clientes.
+   * @private
+   */
+  static #atualizarHeartbeat() {
+    if (this.#clientes.size && !this.#heartbeat) {
+      this.#heartbeat = setInterval(() => {
+        this.#clientes.forEach(cliente => cliente.res.write(': ping\n\n'));
+      }, STREAM_CONFIG.HEARTBEAT_MS);
+      this.#heartbeat.unref?.();
+    } else if (!this.#clientes.size && this.#heartbeat) {
+      clearInterval(this.#heartbeat);
+      this.#heartbeat = null;
+    }
+  }
+}
@@ -0,0 +1,130 @@
+// backend/apis/firms/services/stats/burnedArea.js
+
+import * as turf from '@turf/turf';
+
+import { FireModel } from '#firms_models';
+import { unionPolygons } from '#firms_utils/geospatial.js';
+
+const KM_POR_GRAU = 111.32;
+
+/**
+ * 📐 PIXEL_PADRAO_KM
+ *
+ * Tamanho nominal do pixel no nadir, usado quando o foco não traz scan/track.
+ */
+const PIXEL_PADRAO_KM = { VIIRS: 0.375, MODIS: 1 };
+
+/**
+ * 🟥 calculateFootprint
+ *
+ * Pegada do pixel de uma detecção: retângulo de `resolucaoVarredura` (scan, leste-oeste)
+ * por `resolucaoTrilha` (track, norte-sul), em km, centrado no foco.
+ *
+ * @param {Object} fire - Foco normalizado
+ * @returns {Object|null} Feature Polygon ou null se o foco não tiver coordenadas válidas
+ * @example
+ * calculateFootprint({ latitude: -12.5, longitude: -55.5, resolucaoVarredura: 0.39, resolucaoTrilha: 0.36 })
+ * // => Feature<Polygon> de ~0.14 km²
+ */
+export function calculateFootprint(fire) {
+    const latitude = Number(fire.latitude);
+    const longitude = Number(fire.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    const padrao = FireModel.isSensorType(fire.instrumentoSensor ?? '', 'VIIRS')
+        ? PIXEL_PADRAO_KM.VIIRS
+        : PIXEL_PADRAO_KM.MODIS;
+    const scan = Number(fire.resolucaoVarredura) || padrao;
+    const track = Number(fire.resolucaoTrilha) || padrao;
+
+    const meiaAltura = track / 2 / KM_POR_GRAU;
+    const meiaLargura = scan / 2 / (KM_POR_GRAU * Math.cos(latitude * Math.PI / 180));
+
+    return turf.bboxPolygon([
+        longitude - meiaLargura,
+        latitude - meiaAltura,
+        longitude + meiaLargura,
+        latitude + meiaAltura
+    ]);
+}
+
+/**
+ * 🔥 estimateBurnedArea
+ *
+ * Área afetada estimada (km²) pela união das pegadas dos pixels: pixels sobrepostos contam uma vez.
+ * Detecções marcadas como `duplicata` são ignoradas — a detecção principal (VIIRS, de pixel menor)
+ * já representa o foco, e somar o pixel MODIS da duplicata inflaria a estimativa.
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @returns {number} Área em km² (3 casas decimais)
+ */
+export function estimateBurnedArea(fires) {
+    const pegadas = fires
+        .filter(fire => !fire.duplicata)
+        .map(calculateFootprint)
+        .filter(Boolean);
+
+    const uniao = unionPolygons(pegadas);
+    return uniao ? Number((turf.area(uniao) / 1e6).toFixed(3)) : 0;
+}
+
+/**
+ * 🏙️ estimateBurnedAreaByMunicipality
+ *
+ * @param {Array<Object>} fires - Focos com localização
+ * @returns {Map<string, number>} Município (mesmo nome de `focosPorCidade`) → área estimada em km²
+ */
+export function estimateBurnedAreaByMunicipality(fires) {
+    const porCidade = new Map();
+    for (const fire of fires) {
+        const cidade = FireModel.extractMunicipalityName(fire);
+        if (!porCidade.has(cidade)) porCidade.set(cidade, []);
+        porCidade.get(cidade).push(fire);
+    }
+
+    return new Map([...porCidade].map(([cidade, focos]) => [cidade, estimateBurnedArea(focos)]));
+}
+
+/**
+ * 🏙️ addBurnedAreaToMunicipalityStats
+ *
+ * Acrescenta `areaEstimadaKm2` a cada cidade de `focosPorCidade` e o total do período.
+ * O total é a soma das cidades (pegadas na divisa entre municípios entram nas duas).
+ *
+ * @param {Object} focosPorCidade - Resultado de `FireStatsService.aggregateAndRankMunicipalityFireStats`
+ * @param {Map<string, number>} areas - Resultado de `estimateBurnedAreaByMunicipality`
+ * @returns {Object} `focosPorCidade` com as áreas
+ */
+export function addBurnedAreaToMunicipalityStats(focosPorCidade, areas) {
+    const comArea = cidade => ({ ...cidade, areaEstimadaKm2: areas.get(cidade.cidade) ?? 0 });
+
+    return {
+        ...focosPorCidade,
+        areaEstimadaTotalKm2: somarAreas(areas.values()),
+        cidadesMaisAfetadas: focosPorCidade.cidadesMaisAfetadas.map(comArea),
+        todasCidadesOrdenadas: focosPorCidade.todasCidadesOrdenadas.map(comArea)
+    };
+}
+
+/**
+ * 🏛️ addBurnedAreaToRegionalCommandStats
+ *
+ * Acrescenta `areaEstimadaKm2` a cada comando regional, somando as áreas de seus municípios
+ * (mesmo mapeamento município → CR usado em `focosPorComandoRegional`).
+ *
+ * @param {Array<Object>} focosPorComandoRegional - Resultado de `FireStatsService.aggregateRegionalCommandData`
+ * @param {Map<string, number>} areas - Resultado de `estimateBurnedAreaByMunicipality`
+ * @returns {Array<Object>} Comandos regionais com as áreas
+ */
+export function addBurnedAreaToRegionalCommandStats(focosPorComandoRegional, areas) {
+    return focosPorComandoRegional.map(cr => ({
+        ...cr,
+        areaEstimadaKm2: somarAreas(cr.cidades.map(cidade => areas.get(cidade) ?? 0))
+    }));
+}
+
+function somarAreas(areas) {
+    let total = 0;
+    for (const area of areas) total += area;
+    return Number(total.toFixed(3));
+}
@@ -0,0 +1,110 @@
+// backend/apis/firms/services/stats/comparison.js
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+/**
+ * 📐 CAMPOS_COMPARAVEIS
+ *
+ * Campos numéricos do resumo (`FireController.resumirDados`) sobre os quais
+ * a variação percentual entre os dois períodos é calculada.
+ */
+const CAMPOS_COMPARAVEIS = [
+    'totalFocos', 'totalDeteccoes', 'totalEventosUnicos', 'frpMedio', 'temperaturaMedia', 'quantidadeHorarioPico'
+];
+
+/**
+ * 🗓️ resolverPeriodosComparacao
+ *
+ * Define os dois períodos a comparar a partir da query string.
+ * Sem `dtComparacao`, o período de referência é o mesmo intervalo no ano anterior.
+ *
+ * @param {Object} query - Query string da requisição
+ * @param {string} [query.dt] - Data inicial do período atual (YYYY-MM-DD, padrão: hoje UTC)
+ * @param {string} [query.dr] - Dias do período atual (padrão: 1)
+ * @param {string} [query.dtComparacao] - Data inicial do período de referência (YYYY-MM-DD)
+ * @param {string} [query.drComparacao] - Dias do período de referência (padrão: mesmo `dr`)
+ * @returns {{ atual: { dt: string, dr: number }, anterior: { dt: string, dr: number } }}
+ * @throws {Error} 'Data inválida' | 'Range inválido'
+ * @example
+ * resolverPeriodosComparacao({ dt: '2025-08-01', dr: '7' });
+ * // { atual: { dt: '2025-08-01', dr: 7 }, anterior: { dt: '2024-08-01', dr: 7 } }
+ */
+export function resolverPeriodosComparacao(query = {}) {
+    const dt = validarData(query.dt ?? dayjs.utc().format('YYYY-MM-DD'));
+    const dr = validarRange(query.dr ?? 1);
+
+    const dtComparacao = query.dtComparacao
+        ? validarData(query.dtComparacao)
+        : dayjs.utc(dt).subtract(1, 'year').format('YYYY-MM-DD');
+    const drComparacao = validarRange(query.drComparacao ?? dr);
+
+    return {
+        atual: { dt, dr },
+        anterior: { dt: dtComparacao, dr: drComparacao }
+    };
+}
+
+/**
+ * 📊 calcularVariacao
+ *
+ * Calcula a variação percentual (atual vs. anterior) dos campos numéricos do resumo.
+ * Campos ausentes, não numéricos ('N/A') ou com valor anterior zero resultam em `null`.
+ *
+ * @param {Object} atual - Resumo do período atual
+ * @param {Object} anterior - Resumo do período de referência
+ * @returns {Object} Variação percentual por campo (duas casas decimais)
+ * @example
+ * calcularVariacao({ totalFocos: 150 }, { totalFocos: 100 });
+ * // { totalFocos: 50 }
+ */
+export function calcularVariacao(atual, anterior) {
+    return CAMPOS_COMPARAVEIS
+        .filter(campo => campo in atual || campo in anterior)
+        .reduce((acc, campo) => {
+            acc[campo] = variacaoPercentual(atual[campo], anterior[campo]);
+            return acc;
+        }, {});
+}
+
+/**
+ * ➗ variacaoPercentual
+ *
+ * @param {*} valorAtual - Valor do período atual
+ * @param {*} valorAnterior - Valor do período de referência
+ * @returns {number|null} Variação em % ou null se não for calculável
+ */
+function variacaoPercentual(valorAtual, valorAnterior) {
+    const numeros = [valorAtual, valorAnterior].every(v => typeof v === 'number');
+    if (!numeros || valorAnterior === 0) return null;
+    return Number((((valorAtual - valorAnterior) / valorAnterior) * 100).toFixed(2));
+}
+
+/**
+ * ✅ validarData
+ *
+ * @param {string} valor - Data informada (YYYY-MM-DD)
+ * @returns {string} Data normalizada (YYYY-MM-DD)
+ * @throws {Error} 'Data inválida' se não for uma data válida, anterior a 2000 ou futura
+ */
+function validarData(valor) {
+    const data = dayjs.utc(valor);
+    const valida = data.isValid() && data.isAfter('1999-12-31') && !data.isAfter(dayjs.utc());
+    if (!valida) throw new Error('Data inválida');
+    return data.format('YYYY-MM-DD');
+}
+
+/**
+ * ✅ validarRange
+ *
+ * @param {string|number} valor - Quantidade de dias
+ * @returns {number} Quantidade de dias (inteiro positivo)
+ * @throws {Error} 'Range inválido' se não for um inteiro positivo
+ */
+function validarRange(valor) {
+    const dias = Number(valor);
+    if (!Number.isInteger(dias) || dias < 1) throw new Error('Range inválido');
+    return dias;
+}
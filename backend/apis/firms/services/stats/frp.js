@@ -267,12 +267,23 @@ function updateMunicipalityMetrics(cityStats, frp, LIMITE_BAIXA, LIMITE_MODERADA
 * // dist => { baixa: 3, moderada: 3, alta: 1 }
 */
 function updateIntensityDistributionMetrics(focosIntensidade, frp, LIMITE_BAIXA, LIMITE_MODERADA) {
-    const intensidadeMap = {
-        baixa: frp < LIMITE_BAIXA,
-        moderada: frp >= LIMITE_BAIXA && frp <= LIMITE_MODERADA,
-        alta: frp > LIMITE_MODERADA
-    }
+    focosIntensidade[classifyFrpIntensity(frp, LIMITE_BAIXA, LIMITE_MODERADA)]++;
+}
 
-    const intensidade = Object.keys(intensidadeMap).find(key => intensidadeMap[key]);
-    focosIntensidade[intensidade]++;
+/**
+* 🏷️ classifyFrpIntensity
+*
+* Classifica o FRP de um foco nas faixas de intensidade usadas nas estatísticas
+* (mesmas regras de `updateIntensityDistributionMetrics`).
+*
+* @param {number} frp - Valor do FRP do foco (MW)
+* @param {number} [LIMITE_BAIXA=FRP_LIMITS.LOW] - Limite superior para baixa intensidade (MW)
+* @param {number} [LIMITE_MODERADA=FRP_LIMITS.MODERATE] - Limite superior para intensidade moderada (MW)
+* @returns {'baixa'|'moderada'|'alta'} Faixa de intensidade
+* @example
+* classifyFrpIntensity(70) // => 'alta'
+*/
+export function classifyFrpIntensity(frp, LIMITE_BAIXA = FRP_LIMITS.LOW, LIMITE_MODERADA = FRP_LIMITS.MODERATE) {
+    if (frp < LIMITE_BAIXA) return 'baixa';
+    return frp <= LIMITE_MODERADA ? 'moderada' : 'alta';
 }
@@ -0,0 +1,80 @@
+// backend/apis/firms/services/stats/protectedAreas.js
+
+import { FireModel } from '#firms_models';
+import ProtectedAreaMatcher, { CAMADAS_AREAS_PROTEGIDAS } from '#geo_utils/ProtectedAreaMatcher.js';
+
+/**
+ * 🛡️ aggregateProtectedAreaStats
+ *
+ * Focos dentro e próximos de unidades de conservação, terras indígenas e assentamentos,
+ * a partir da anotação `areasProtegidas` de cada foco.
+ * Um foco conta como "próximo" de um tipo apenas se não estiver dentro de nenhuma área daquele tipo.
+ * `camadasCarregadas`/`camadasAusentes` indicam de quais tipos havia camada no servidor: sem ela os totais
+ * do tipo são sempre zero.
+ *
+ * @param {Array<Object>} fires - Focos anotados por `anotarAreasProtegidas`
+ * @param {number} raioKm - Raio usado na anotação (ecoado na resposta)
+ * @returns {{ raioKm: number, camadasCarregadas: Array<string>, camadasAusentes: Array<string>,
+ *   totalDentro: number, totalProximos: number, porTipo: Object, areas: Array<Object> }}
+ * @example
+ * aggregateProtectedAreaStats(fires, 10)
+ * // => { raioKm: 10, camadasCarregadas: ['ti'], camadasAusentes: ['uc', 'assentamento'], totalDentro: 3, totalProximos: 5,
+ * //      porTipo: { ti: { descricao: 'Terra Indígena', dentro: 3, proximos: 1 }, ... },
+ * //      areas: [{ tipo: 'ti', nome: 'Xingu', dentro: 3, proximos: 1, frpTotal: 42.5, distanciaMinimaKm: 0 }] }
+ */
+export function aggregateProtectedAreaStats(fires, raioKm) {
+    const porTipo = Object.fromEntries(Object.entries(CAMADAS_AREAS_PROTEGIDAS)
+        .map(([tipo, { descricao }]) => [tipo, { descricao, dentro: 0, proximos: 0 }]));
+    const areas = new Map();
+    let totalDentro = 0;
+    let totalProximos = 0;
+
+    for (const fire of fires) {
+        const encontradas = fire.areasProtegidas ?? [];
+        if (!encontradas.length) continue;
+
+        const frp = FireModel.extractRadiativePowerValue(fire);
+        encontradas.forEach(area => updateAreaMetrics(areas, area, frp));
+
+        const tiposDentro = new Set(encontradas.filter(area => area.dentro).map(area => area.tipo));
+        new Set(encontradas.map(area => area.tipo)).forEach(tipo => {
+            if (tiposDentro.has(tipo)) porTipo[tipo].dentro++;
+            else porTipo[tipo].proximos++;
+        });
+
+        if (tiposDentro.size) totalDentro++;
+        else totalProximos++;
+    }
+
+    const camadasCarregadas = ProtectedAreaMatcher.camadasCarregadas();
+
+    return {
+        raioKm,
+        camadasCarregadas,
+        camadasAusentes: Object.keys(CAMADAS_AREAS_PROTEGIDAS).filter(tipo => !camadasCarregadas.includes(tipo)),
+        totalDentro,
+        totalProximos,
+        porTipo,
+        areas: [...areas.values()]
+            .map(area => ({ ...area, frpTotal: Number(area.frpTotal.toFixed(2)) }))
+            .sort((a, b) => b.dentro - a.dentro || b.proximos - a.proximos)
+    };
+}
+
+/**
+ * ➕ updateAreaMetrics
+ *
+ * Soma um foco às métricas da área (chave tipo + nome).
+ */
+function updateAreaMetrics(areas, { tipo, nome, dentro, distanciaKm }, frp) {
+    const chave = `${tipo}:${nome}`;
+    if (!areas.has(chave)) {
+        areas.set(chave, { tipo, nome, dentro: 0, proximos: 0, frpTotal: 0, distanciaMinimaKm: distanciaKm });
+    }
+
+    const metricas = areas.get(chave);
+    if (dentro) metricas.dentro++;
+    else metricas.proximos++;
+    metricas.frpTotal += frp;
+    metricas.distanciaMinimaKm = Math.min(metricas.distanciaMinimaKm, distanciaKm);
+}
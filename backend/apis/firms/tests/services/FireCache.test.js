@@ -0,0 +1,152 @@
+// ============================================================================
+// 📄 ARQUIVO: backend/apis/firms/tests/services/FireCache.test.js
+// ----------------------------------------------------------------------------
+// 🔎 PROPÓSITO:
+// Valida a persistência do arquivo histórico de focos (FireCache) em um banco
+// SQLite em memória: normalização, deduplicação e leitura por período.
+// ============================================================================
+
+import { FireCache } from '#shared_cache_fires/FireCache.js';
+
+const focoBrutoViirs = {
+    latitude: '-12.54370',
+    longitude: '-55.41540',
+    bright_ti4: '341.46',
+    bright_ti5: '313.35',
+    scan: '0.54',
+    track: '0.51',
+    acq_date: '2025-05-21',
+    acq_time: '0500',
+    satellite: 'N21',
+    instrument: 'VIIRS',
+    confidence: 'n',
+    version: '2.0NRT',
+    frp: '19.27',
+    daynight: 'N',
+    sensor: 'VIIRS_NOAA21_NRT',
+    localizacao: { municipio: 'SINOP', comandoRegional: 'CR BM III' }
+};
+
+const focoNormalizadoModis = {
+    latitude: -14.03884,
+    longitude: -55.13611,
+    dataAquisicao: '2025-05-20',
+    horaAquisicao: '13:40',
+    temperaturaBrilho: 305.31,
+    temperaturaBrilhoSecundaria: 291.44,
+    resolucaoVarredura: 1.9,
+    resolucaoTrilha: 1.35,
+    potenciaRadiativa: 15.34,
+    nomeSatelite: 'Terra',
+    instrumentoSensor: 'MODIS',
+    nivelConfianca: 64,
+    versaoProduto: 'C6.1 (quase tempo real)',
+    indicadorDiaNoite: 'Dia'
+};
+
+describe('FireCache (arquivo histórico)', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new FireCache(':memory:');
+    });
+
+    test('normaliza registros brutos e aceita focos já normalizados', async () => {
+        const inseridos = await cache.insert([focoBrutoViirs, focoNormalizadoModis]);
+        expect(inseridos).toHaveLength(2);
+
+        const todos = await cache.listarTodos();
+        const viirs = todos.find(f => f.instrumentoSensor === 'VIIRS');
+
+        expect(viirs).toMatchObject({
+            dataAquisicao: '2025-05-21',
+            horaAquisicao: '05:00',
+            nomeSatelite: 'NOAA-21',
+            temperaturaBrilho: 341.46,
+            fonte: 'VIIRS_NOAA21_NRT',
+            municipio: 'SINOP',
+            comandoRegional: 'CR BM III'
+        });
+    });
+
+    test('ignora detecções já arquivadas (deduplicação)', async () => {
+        await cache.insert([focoBrutoViirs, focoNormalizadoModis]);
+        const segundaIngestao = await cache.insert([focoBrutoViirs, focoNormalizadoModis]);
+
+        expect(segundaIngestao).toHaveLength(0);
+        expect(await cache.listarTodos()).toHaveLength(2);
+    });
+
+    test('listarPorPeriodo retorna focos no formato do FireModel, com localização', async () => {
+        await cache.insert([focoBrutoViirs, focoNormalizadoModis]);
+
+        const focos = await cache.listarPorPeriodo({ inicio: '2025-05-20', fim: '2025-05-20' });
+
+        expect(focos).toHaveLength(1);
+        expect(focos[0]).toEqual(focoNormalizadoModis);
+
+        const [viirs] = await cache.listarPorPeriodo({ inicio: '2025-05-21', fim: '2025-05-31' });
+        expect(viirs.localizacao).toEqual({
+            municipio: 'SINOP',
+            comandoRegional: 'CR BM III',
+            cidade: 'SINOP'
+        });
+    });
+
+    describe('métodos de insight (SQL)', () => {
+        beforeEach(async () => {
+            await cache.insert([
+                focoBrutoViirs,
+                { ...focoBrutoViirs, latitude: '-12.60000', frp: '80.00', bright_ti4: '360.00' },
+                focoNormalizadoModis,
+                { ...focoNormalizadoModis, horaAquisicao: '14:10', localizacao: { municipio: 'SINOP' } }
+            ]);
+        });
+
+        test('getBasicStats agrega FRP e temperatura com filtros', async () => {
+            expect(await cache.getBasicStats()).toMatchObject({ totalFocos: 4, frpMaximo: 80, tempMaxima: 360 });
+            expect(await cache.getBasicStats({ instrumentoSensor: 'MODIS' })).toEqual({
+                totalFocos: 2,
+                frpMedio: 15.34,
+                frpMinimo: 15.34,
+                frpMaximo: 15.34,
+                tempMedia: 305.31,
+                tempMinima: 305.31,
+                tempMaxima: 305.31
+            });
+        });
+
+        test('getTopCidades segue o formato do FireStatsService', async () => {
+            const { totalCidades, cidadesMaisAfetadas } = await cache.getTopCidades({ limit: 1 });
+            expect(totalCidades).toBe(2);
+            expect(cidadesMaisAfetadas).toEqual([{ cidade: 'SINOP', totalFocos: 3, posicao: 1 }]);
+        });
+
+        test('getDailyTimeSeries e getHourDistribution', async () => {
+            expect(await cache.getDailyTimeSeries({ start: '2025-05-01', end: '2025-05-31' })).toEqual({
+                dadosDiarios: [{ data: '2025-05-20', focos: 2 }, { data: '2025-05-21', focos: 2 }]
+            });
+            expect(await cache.getHourDistribution({ acq_date: '2025-05-20' })).toEqual({
+                histograma: [{ hora: '14:00', quantidade: 1 }, { hora: '13:00', quantidade: 1 }],
+                pico: { hora: '14:00', quantidade: 1 }
+            });
+        });
+
+        test('getStatsBySensor conta por família e por produto FIRMS', async () => {
+            expect(await cache.getStatsBySensor({})).toEqual({
+                totalFocos: 4,
+                porSensor: { VIIRS: 2, MODIS: 2 },
+                porFonte: { VIIRS_NOAA21_NRT: 2, 'N/A': 2 }
+            });
+        });
+
+        test('deleteBy exige filtros permitidos e limparTodos esvazia a tabela', async () => {
+            await expect(cache.deleteBy()).rejects.toThrow('deleteBy exige ao menos um filtro');
+            await expect(cache.find({ 'id; DROP TABLE focos_queimada': 1 })).rejects.toThrow('Filtro inválido');
+
+            expect(await cache.deleteBy({ instrumentoSensor: 'MODIS', end: '2025-05-20' })).toBe(2);
+            expect(await cache.limparTodos()).toBe(2);
+            expect(await cache.listarTodos()).toEqual([]);
+        });
+    });
+});
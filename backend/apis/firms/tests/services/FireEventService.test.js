@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+
+// O geocoder exige MAPBOX_TOKEN ao ser carregado e não é usado pelos eventos
+jest.unstable_mockModule('#mapbox_services/MapboxReverseGeocoder.js', () => ({
+    default: { batchGeocode: jest.fn() }
+}));
+
+const { default: FireService } = await import('#firms_services/FireService.js');
+const { default: FireEventService } = await import('#firms_services/FireEventService.js');
+
+const foco = (dataAquisicao, horaAquisicao, latitude, longitude, potenciaRadiativa) => ({
+    dataAquisicao,
+    horaAquisicao,
+    latitude,
+    longitude,
+    potenciaRadiativa,
+    nomeSatelite: 'NOAA-20',
+    instrumentoSensor: 'VIIRS',
+    resolucaoVarredura: 0.4,
+    resolucaoTrilha: 0.4,
+    localizacao: { municipio: 'Sinop', comandoRegional: 'CR BM III' }
+});
+
+const focos = [
+    // Evento de três dias em Sinop
+    foco('2025-08-01', '17:00', -12.500, -55.500, 10),
+    foco('2025-08-02', '16:40', -12.505, -55.505, 20),
+    foco('2025-08-03', '17:10', -12.510, -55.508, 30),
+    // Foco isolado
+    foco('2025-08-02', '13:00', -15.6, -56.1, 5)
+];
+
+describe('FireEventService', () => {
+    beforeEach(() => {
+        jest.spyOn(FireService, 'listAll').mockResolvedValue(focos);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('listarEventos resume, filtra e ordena os eventos', async () => {
+        const { metadados, dados } = await FireEventService.listarEventos({ dt: '2025-08-01', dr: '3', sort: 'frp' });
+
+        expect(FireService.listAll).toHaveBeenCalledWith(expect.objectContaining({ date: '2025-08-01', dayRange: 3 }));
+        expect(metadados).toMatchObject({ totalEventos: 2, parametrosBusca: { ordenacao: 'frp' } });
+        expect(dados.map(evento => evento.frpAcumulado)).toEqual([60, 5]);
+        expect(dados[0]).toMatchObject({ totalDeteccoes: 3, municipios: ['Sinop'] });
+        expect(dados[0].areaQueimadaEstimadaKm2).toBeGreaterThan(0);
+        expect(dados[0]).not.toHaveProperty('deteccoes');
+
+        const multiplos = await FireEventService.listarEventos({ dt: '2025-08-01', dr: '3', minDeteccoes: '2' });
+        expect(multiplos.dados).toHaveLength(1);
+    });
+
+    test('buscarEvento traz a linha do tempo e null para id desconhecido', async () => {
+        const { dados: [evento] } = await FireEventService.listarEventos({ dt: '2025-08-01', dr: '3', sort: 'frp' });
+
+        const detalhe = await FireEventService.buscarEvento(evento.id, { dt: '2025-08-01', dr: '3' });
+        expect(detalhe.linhaDoTempo.map(d => d.dataHora)).toEqual([
+            '2025-08-01T17:00:00.000Z',
+            '2025-08-02T16:40:00.000Z',
+            '2025-08-03T17:10:00.000Z'
+        ]);
+
+        expect(await FireEventService.buscarEvento('inexistente', { dt: '2025-08-01', dr: '3' })).toBeNull();
+    });
+});
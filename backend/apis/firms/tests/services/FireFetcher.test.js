@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+
+const mockGet = jest.fn();
+jest.unstable_mockModule('axios', () => ({ default: { get: mockGet } }));
+
+process.env.FIRMS_API_KEY = 'chave-de-teste';
+
+const { fetchFiresMTComStatus, SENSOR_CONFIG, STATUS_SENSOR } = await import('#firms_services/FireFetcher.js');
+const { CacheCore, NAMESPACES } = await import('#firms_utils/CacheCore.js');
+
+// Foco em Sinop (dentro do MT)
+const csvSensor = 'latitude,longitude,acq_date,acq_time\n-11.86,-55.5,2025-08-01,1730\n';
+
+const sensorDaUrl = url => url.split('/')[7];
+
+describe('fetchFiresMTComStatus', () => {
+    let ativas;
+    let maximoSimultaneas;
+
+    beforeEach(async () => {
+        await CacheCore.limparTodosCaches();
+        ativas = 0;
+        maximoSimultaneas = 0;
+        mockGet.mockReset().mockImplementation(async () => {
+            ativas += 1;
+            maximoSimultaneas = Math.max(maximoSimultaneas, ativas);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            ativas -= 1;
+            return { data: csvSensor };
+        });
+    });
+
+    test('baixa os sensores em paralelo, até o limite de concorrência', async () => {
+        const { registros, sensores } = await fetchFiresMTComStatus({ date: undefined, dayRange: 1 });
+
+        expect(mockGet).toHaveBeenCalledTimes(5);
+        expect(maximoSimultaneas).toBe(SENSOR_CONFIG.CONCORRENCIA);
+        expect(registros).toHaveLength(5);
+        expect(sensores.map(s => s.sensor)).toEqual([
+            'MODIS_NRT', 'MODIS_SP', 'VIIRS_SNPP_NRT', 'VIIRS_NOAA20_NRT', 'VIIRS_NOAA21_NRT'
+        ]);
+        sensores.forEach(status => expect(status).toMatchObject({ status: STATUS_SENSOR.OK, registros: 1, erro: null }));
+    });
+
+    test('buscas repetidas saem do cache de sensores, exceto quando forçadas', async () => {
+        const params = { date: undefined, dayRange: 1 };
+        await fetchFiresMTComStatus(params);
+        const { registros } = await fetchFiresMTComStatus(params);
+
+        expect(registros).toHaveLength(5);
+        expect(mockGet).toHaveBeenCalledTimes(5);
+        expect(CacheCore.metricas().namespaces[NAMESPACES.SENSOR]).toMatchObject({ acertos: 5, faltas: 5 });
+
+        await fetchFiresMTComStatus({ ...params, forcarAtualizacao: true });
+        expect(mockGet).toHaveBeenCalledTimes(10);
+    });
+
+    test('sensor que falha usa a última busca bem-sucedida ou fica marcado como falha', async () => {
+        const params = { date: new Date(Date.now() - 2 * 86400000).toISOString().slice(0, 10), dayRange: 1 };
+        await fetchFiresMTComStatus(params);
+
+        // VIIRS_NOAA20 e MODIS_SP fora do ar
+        mockGet.mockImplementation(async url => {
+            if (['VIIRS_NOAA20_NRT', 'MODIS_SP'].includes(sensorDaUrl(url))) throw new Error('Request failed with status code 503');
+            return { data: csvSensor };
+        });
+        // Sem busca anterior com dayRange 2; as novas tentativas do FireFetcher levam ~3 s
+        const [{ sensores }, semReserva] = await Promise.all([
+            fetchFiresMTComStatus({ ...params, forcarAtualizacao: true }),
+            fetchFiresMTComStatus({ ...params, dayRange: 2 })
+        ]);
+
+        const porSensor = Object.fromEntries(sensores.map(s => [s.sensor, s]));
+        expect(porSensor.VIIRS_NOAA20_NRT).toMatchObject({
+            status: STATUS_SENSOR.CACHE,
+            registros: 1,
+            erro: 'Request failed with status code 503',
+            obtidoEm: expect.any(String)
+        });
+        expect(porSensor.MODIS_NRT.status).toBe(STATUS_SENSOR.OK);
+        expect(semReserva.sensores.find(s => s.sensor === 'MODIS_SP')).toMatchObject({ status: STATUS_SENSOR.FALHA, registros: 0 });
+        expect(semReserva.registros).toHaveLength(3);
+    }, 20000);
+});
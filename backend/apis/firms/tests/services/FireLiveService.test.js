@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
+
+const mockFetchFiresMTComStatus = jest.fn();
+
+jest.unstable_mockModule('#firms_services/FireFetcher.js', () => ({
+    fetchFiresMTComStatus: mockFetchFiresMTComStatus,
+    STATUS_SENSOR: { OK: 'ok', FALHA: 'falha', CACHE: 'cache' }
+}));
+
+const { default: FireLiveService, LIVE_CONFIG } = await import('#firms_services/FireLiveService.js');
+
+const hoje = dayjs.utc().format('YYYY-MM-DD');
+const ontem = dayjs.utc().subtract(1, 'day').format('YYYY-MM-DD');
+
+const registro = (acq_date, acq_time) => ({ latitude: '-11.86', longitude: '-55.5', acq_date, acq_time, sensor: 'VIIRS_NOAA20_NRT' });
+
+const sensores = [
+    { sensor: 'MODIS_NRT', status: 'ok', registros: 1, latenciaMs: 10, erro: null },
+    { sensor: 'VIIRS_NOAA20_NRT', status: 'falha', registros: 0, latenciaMs: 10, erro: 'timeout of 10000ms exceeded' }
+];
+
+describe('FireLiveService', () => {
+    beforeEach(() => {
+        FireLiveService.limpar();
+        mockFetchFiresMTComStatus.mockReset().mockResolvedValue({
+            registros: [registro(ontem, '0530'), registro(hoje, '1730'), registro(hoje, '0420')],
+            sensores
+        });
+    });
+
+    test('atualizar busca a janela ao vivo inteira e guarda o status dos sensores', async () => {
+        const resumo = await FireLiveService.atualizar();
+
+        expect(mockFetchFiresMTComStatus).toHaveBeenCalledWith({
+            date: dayjs.utc().subtract(9, 'day').format('YYYY-MM-DD'),
+            dayRange: 10,
+            forcarAtualizacao: true
+        });
+        expect(resumo).toMatchObject({ periodo: { fim: hoje }, registros: 3, sensores });
+        expect(FireLiveService.status()).toMatchObject({ registros: 3, sensores });
+    });
+
+    test('buscar responde do último resultado, recortando datas e horário, sem ir à FIRMS', async () => {
+        await FireLiveService.atualizar();
+        mockFetchFiresMTComStatus.mockClear();
+
+        expect(await FireLiveService.buscar({ dayRange: 1 })).toHaveLength(2);
+        expect(await FireLiveService.buscar({ date: ontem, dayRange: 2 })).toHaveLength(3);
+
+        const tarde = await FireLiveService.buscar({
+            date: hoje,
+            timeRange: { start: `${hoje}T12:00:00Z`, end: `${hoje}T23:59:59Z` }
+        });
+        expect(tarde).toEqual([registro(hoje, '1730')]);
+        expect((await FireLiveService.buscarComStatus({ dayRange: 1 })).sensores).toEqual(sensores);
+        expect(mockFetchFiresMTComStatus).not.toHaveBeenCalled();
+    });
+
+    test('buscar vai à FIRMS sem resultado, com resultado antigo ou fora do período', async () => {
+        const params = { date: hoje, dayRange: 1 };
+        expect(await FireLiveService.buscarComStatus(params)).toMatchObject({ sensores });
+        expect(mockFetchFiresMTComStatus).toHaveBeenLastCalledWith(params);
+
+        await FireLiveService.atualizar();
+        await FireLiveService.buscar({ date: dayjs.utc().subtract(10, 'day').format('YYYY-MM-DD') });
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + LIVE_CONFIG.IDADE_MAXIMA_MS + 1000);
+        await FireLiveService.buscar(params);
+        jest.restoreAllMocks();
+
+        // Busca direta, atualização, período fora da janela e resultado antigo
+        expect(mockFetchFiresMTComStatus).toHaveBeenCalledTimes(4);
+    });
+
+    test('falha de todos os sensores mantém o resultado anterior', async () => {
+        await FireLiveService.atualizar();
+        mockFetchFiresMTComStatus.mockResolvedValueOnce({
+            registros: [],
+            sensores: sensores.map(sensor => ({ ...sensor, status: 'falha', erro: 'HTTP 503' }))
+        });
+
+        await expect(FireLiveService.atualizar()).rejects.toThrow('Todos os sensores falharam');
+        expect(FireLiveService.status().registros).toBe(3);
+    });
+
+    test('aoAtualizar avisa após cada atualização bem-sucedida, mesmo se outro ouvinte falhar', async () => {
+        const ouvinte = jest.fn();
+        const cancelarComErro = FireLiveService.aoAtualizar(() => { throw new Error('ouvinte quebrado'); });
+        const cancelar = FireLiveService.aoAtualizar(ouvinte);
+
+        const resumo = await FireLiveService.atualizar();
+        expect(ouvinte).toHaveBeenCalledWith(resumo);
+
+        mockFetchFiresMTComStatus.mockResolvedValueOnce({ registros: [], sensores: [{ ...sensores[1] }] });
+        await expect(FireLiveService.atualizar()).rejects.toThrow('Todos os sensores falharam');
+        expect(ouvinte).toHaveBeenCalledTimes(1);
+
+        cancelar();
+        cancelarComErro();
+        await FireLiveService.atualizar();
+        expect(ouvinte).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import { IndicadoresCache } from '#shared_cache_indicadores/IndicadoresCache.js';
+
+// Banco em memória no lugar do indicadores.db versionado
+const cache = new IndicadoresCache(':memory:');
+
+jest.unstable_mockModule('#shared_cache_indicadores/IndicadoresCacheInstance.js', () => ({
+    default: cache
+}));
+
+const { default: FireSnapshotService } = await import('#firms_services/FireSnapshotService.js');
+
+const stats = {
+    FRP: { geral: { frpMedio: 20, frpMinimo: 1.5, frpMaximo: 80 } },
+    temperaturaDoBrilho: { geral: { tempMedia: 330, tempMinima: 300, tempMaxima: 370 } }
+};
+
+const registrar = (dataColeta, totalFocos, query = {}) =>
+    FireSnapshotService.registrarEObterAnterior({
+        query,
+        stats,
+        resumo: { totalFocos, frpMedio: 20, temperaturaMedia: 330 },
+        dataColeta
+    });
+
+describe('FireSnapshotService.registrarEObterAnterior', () => {
+    beforeEach(async () => {
+        await cache.limparTodos();
+    });
+
+    test('grava o snapshot e retorna a coleta anterior', async () => {
+        expect(await registrar('2025-08-01T12:00:00.000Z', 100)).toBeNull();
+
+        const anterior = await registrar('2025-08-01T18:00:00.000Z', 150);
+
+        expect(anterior).toEqual({
+            totalFocos: 100,
+            frpMedio: 20,
+            temperaturaMedia: 330,
+            timeStampColetaMaisRecente: '2025-08-01T12:00:00.000Z'
+        });
+
+        const snapshot = await cache.get('2025-08-01T18:00:00.000Z');
+        expect(snapshot).toMatchObject({
+            dia: '2025-08-01',
+            hora: '18:00',
+            totalFocosMax: 150,
+            totalFocosMin: 100,
+            frpMax: 80,
+            temperaturaMin: 300
+        });
+    });
+
+    test('com anterior=dia retorna a última coleta do dia anterior', async () => {
+        await registrar('2025-07-31T08:00:00.000Z', 40);
+        await registrar('2025-07-31T20:00:00.000Z', 60);
+        await registrar('2025-08-01T09:00:00.000Z', 10);
+
+        const anterior = await registrar('2025-08-01T15:00:00.000Z', 30, { anterior: 'dia' });
+
+        expect(anterior.totalFocos).toBe(60);
+        expect(anterior.timeStampColetaMaisRecente).toBe('2025-07-31T20:00:00.000Z');
+    });
+
+    test('consulta sem FRP nem temperatura mantém os valores já gravados da coleta', async () => {
+        await registrar('2025-08-01T12:00:00.000Z', 100);
+
+        // q=hdp: sem stats de FRP/brilho e resumo com 'N/A'
+        await FireSnapshotService.registrarEObterAnterior({
+            query: { q: 'hdp' },
+            stats: {},
+            resumo: { totalFocos: 100, frpMedio: 'N/A', temperaturaMedia: 'N/A' },
+            dataColeta: '2025-08-01T12:00:00.000Z'
+        });
+
+        expect(await cache.get('2025-08-01T12:00:00.000Z')).toMatchObject({
+            totalFocos: 100,
+            frpMedio: 20,
+            temperaturaMedia: 330,
+            frpMax: 80,
+            frpMin: 1.5,
+            temperaturaMax: 370,
+            temperaturaMin: 300
+        });
+    });
+
+    test('não registra consultas que não representam um dia completo', async () => {
+        expect(await registrar('2025-08-01T12:00:00.000Z', 100, { dr: '7' })).toBeNull();
+        expect(await registrar('2025-08-01T12:00:00.000Z', 100, { hr: '6' })).toBeNull();
+        expect(await registrar('2025-08-01T12:00:00.000Z', 'N/A')).toBeNull();
+
+        expect(await cache.listarTodos()).toEqual([]);
+    });
+});
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import * as turf from '@turf/turf';
+
+const { default: FireStreamService } = await import('#firms_services/FireStreamService.js');
+const { default: FireArchiveService } = await import('#firms_services/FireArchiveService.js');
+const { default: FireLiveService } = await import('#firms_services/FireLiveService.js');
+const { default: GeoMunicipalityMatcher } = await import('#geo_utils/GeoMunicipalityMatcher.js');
+
+// Linha como retornada por FireCache.insert
+const focoInserido = (latitude, longitude, comandoRegional) => ({
+    latitude,
+    longitude,
+    dataAquisicao: '2025-08-01',
+    horaAquisicao: '14:30',
+    potenciaRadiativa: 12.5,
+    nomeSatelite: 'NOAA-20',
+    municipio: 'Sinop',
+    comandoRegional
+});
+
+/**
+ * Cliente SSE falso: guarda os eventos escritos na resposta.
+ */
+const conectarCliente = (query = {}) => {
+    const req = Object.assign(new EventEmitter(), { query });
+    const escrito = [];
+    const res = {
+        writeHead: jest.fn(),
+        write: jest.fn(texto => escrito.push(texto)),
+        end: jest.fn()
+    };
+    FireStreamService.conectar(req, res);
+
+    const eventos = () => escrito
+        .filter(texto => texto.includes('event: '))
+        .map(texto => ({
+            evento: texto.match(/event: (\w+)/)[1],
+            dados: JSON.parse(texto.match(/data: (.*)/)[1])
+        }));
+    return { req, res, eventos };
+};
+
+describe('FireStreamService', () => {
+    const calcularIndicadores = jest.fn(async query => ({ resumo: { atual: { totalFocos: query.escopoCrbm ? 1 : 2 } } }));
+
+    beforeAll(() => {
+        FireStreamService.iniciar({ calcularIndicadores });
+    });
+
+    beforeEach(() => {
+        calcularIndicadores.mockClear();
+        // A malha de comandos regionais não acompanha o repositório: CR BM III cobre só o norte do estado
+        jest.spyOn(GeoMunicipalityMatcher, 'findFeatures').mockImplementation(({ comandoRegional }) =>
+            (comandoRegional === 'CR BM III' ? [turf.bboxPolygon([-56.5, -12.5, -55, -11])] : []));
+    });
+
+    afterEach(() => {
+        FireStreamService.parar();
+        FireStreamService.iniciar({ calcularIndicadores });
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        FireStreamService.parar();
+    });
+
+    test('abre a conexão SSE e remove o cliente ao desconectar', () => {
+        const { req, res, eventos } = conectarCliente();
+
+        expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        expect(eventos()).toEqual([{ evento: 'conectado', dados: { clientes: 1 } }]);
+        expect(FireStreamService.totalClientes()).toBe(1);
+
+        req.emit('close');
+        expect(FireStreamService.totalClientes()).toBe(0);
+    });
+
+    test('publica apenas os focos novos e os indicadores, recortados pelo escopo do cliente', async () => {
+        const estado = conectarCliente();
+        const comandante = conectarCliente({ escopoCrbm: 'CR BM III' });
+
+        await FireStreamService.publicarIngestao({
+            inseridos: [focoInserido(-11.86, -55.5, 'CR BM III'), focoInserido(-15.6, -56.1, 'CR BM I')]
+        });
+
+        const [, focosEstado, indicadoresEstado] = estado.eventos();
+        expect(focosEstado.evento).toBe('focos');
+        expect(focosEstado.dados.focos).toHaveLength(2);
+        expect(focosEstado.dados.focos[0]).toMatchObject({
+            dataAquisicao: '2025-08-01',
+            localizacao: { municipio: 'Sinop', comandoRegional: 'CR BM III', cidade: 'Sinop' }
+        });
+        expect(indicadoresEstado).toMatchObject({ evento: 'indicadores', dados: { resumo: { atual: { totalFocos: 2 } } } });
+
+        const [, focosComandante, indicadoresComandante] = comandante.eventos();
+        expect(focosComandante.dados.focos).toHaveLength(1);
+        expect(indicadoresComandante.dados.resumo.atual.totalFocos).toBe(1);
+
+        expect(calcularIndicadores).toHaveBeenCalledTimes(2);
+        expect(calcularIndicadores).toHaveBeenCalledWith(expect.objectContaining({ q: 'frp,tdb,hdp,crbm', escopoCrbm: 'CR BM III' }));
+    });
+
+    test('não publica nem calcula indicadores sem focos novos ou sem clientes', async () => {
+        await FireStreamService.publicarIngestao({ inseridos: [focoInserido(-11.86, -55.5, 'CR BM III')] });
+
+        const { eventos } = conectarCliente({ escopoCrbm: 'CR BM III' });
+        await FireStreamService.publicarIngestao({ inseridos: [] });
+        await FireStreamService.publicarIngestao({ inseridos: [focoInserido(-15.6, -56.1, 'CR BM I')] });
+
+        expect(eventos().map(({ evento }) => evento)).toEqual(['conectado']);
+        expect(calcularIndicadores).not.toHaveBeenCalled();
+    });
+
+    test('iniciar inscreve o stream na conclusão das ingestões', () => {
+        const espiao = jest.spyOn(FireArchiveService, 'aoConcluirIngestao');
+        FireStreamService.parar();
+        FireStreamService.iniciar({ calcularIndicadores });
+        FireStreamService.iniciar({ calcularIndicadores });
+
+        expect(espiao).toHaveBeenCalledTimes(1);
+    });
+
+    test('sem o arquivo histórico publica a cada atualização da janela ao vivo o aviso e os indicadores', async () => {
+        let publicar;
+        const espiao = jest.spyOn(FireLiveService, 'aoAtualizar').mockImplementation(ouvinte => {
+            publicar = ouvinte;
+            return () => {};
+        });
+        FireStreamService.parar();
+        FireStreamService.iniciar({ calcularIndicadores, arquivar: false });
+        expect(espiao).toHaveBeenCalledTimes(1);
+
+        const { eventos } = conectarCliente({ escopoCrbm: 'CR BM III' });
+        await publicar({ registros: 10 });
+
+        const [, atualizado, indicadores] = eventos();
+        expect(atualizado).toEqual({ evento: 'atualizado', dados: { dt: expect.any(String) } });
+        expect(indicadores).toMatchObject({ evento: 'indicadores', dados: { resumo: { atual: { totalFocos: 1 } } } });
+        expect(calcularIndicadores).toHaveBeenCalledWith(expect.objectContaining({ escopoCrbm: 'CR BM III' }));
+    });
+});
@@ -0,0 +1,82 @@
+import {
+    calculateFootprint,
+    estimateBurnedArea,
+    estimateBurnedAreaByMunicipality,
+    addBurnedAreaToMunicipalityStats,
+    addBurnedAreaToRegionalCommandStats
+} from '#firms_services/stats/burnedArea.js';
+
+import * as turf from '@turf/turf';
+
+const foco = (latitude, longitude, cidade, extras = {}) => ({
+    latitude,
+    longitude,
+    resolucaoVarredura: 1,
+    resolucaoTrilha: 1,
+    instrumentoSensor: 'MODIS',
+    localizacao: { cidade },
+    ...extras
+});
+
+describe('calculateFootprint', () => {
+    test('retângulo scan × track centrado no foco', () => {
+        const pegada = calculateFootprint(foco(-12.5, -55.5, 'SINOP', { resolucaoVarredura: 2, resolucaoTrilha: 0.5 }));
+        expect(turf.area(pegada) / 1e6).toBeCloseTo(1, 2);
+        expect(turf.booleanPointInPolygon([-55.5, -12.5], pegada)).toBe(true);
+    });
+
+    test('usa o pixel nominal do sensor quando scan/track faltam', () => {
+        const pegada = calculateFootprint({ latitude: -12.5, longitude: -55.5, instrumentoSensor: 'VIIRS' });
+        expect(turf.area(pegada) / 1e6).toBeCloseTo(0.375 * 0.375, 3);
+    });
+
+    test('retorna null sem coordenadas', () => {
+        expect(calculateFootprint({ latitude: 'x', longitude: null })).toBeNull();
+    });
+});
+
+describe('estimateBurnedArea', () => {
+    test('pixels sobrepostos contam uma vez e duplicatas são ignoradas', () => {
+        const area = estimateBurnedArea([
+            foco(-12.5, -55.5, 'SINOP'),
+            foco(-12.5, -55.5046, 'SINOP'),                    // meio pixel a oeste
+            foco(-12.5, -55.5, 'SINOP', { duplicata: true })
+        ]);
+        expect(area).toBeCloseTo(1.5, 1);
+    });
+
+    test('lista vazia', () => {
+        expect(estimateBurnedArea([])).toBe(0);
+    });
+});
+
+describe('agregação por município e comando regional', () => {
+    const focos = [
+        foco(-12.5, -55.5, 'Sinop'),
+        foco(-12.6, -55.6, 'Sinop'),
+        foco(-12.55, -55.7, 'Sorriso')
+    ];
+    const areas = estimateBurnedAreaByMunicipality(focos);
+
+    test('área por município usa o nome normalizado de focosPorCidade', () => {
+        expect([...areas.keys()].sort()).toEqual(['SINOP', 'SORRISO']);
+        expect(areas.get('SINOP')).toBeCloseTo(2, 1);
+    });
+
+    test('acrescenta área às cidades e aos comandos regionais', () => {
+        const cidades = [{ cidade: 'SINOP', totalFocos: 2, posicao: 1 }, { cidade: 'SORRISO', totalFocos: 1, posicao: 2 }];
+        const fpc = addBurnedAreaToMunicipalityStats(
+            { totalCidades: 2, cidadesMaisAfetadas: cidades, todasCidadesOrdenadas: cidades },
+            areas
+        );
+
+        expect(fpc.todasCidadesOrdenadas[1].areaEstimadaKm2).toBeCloseTo(1, 1);
+        expect(fpc.areaEstimadaTotalKm2).toBeCloseTo(3, 1);
+
+        const [cr] = addBurnedAreaToRegionalCommandStats(
+            [{ comandoRegional: 'CR BM III', totalFocos: 3, cidades: ['SINOP', 'SORRISO'] }],
+            areas
+        );
+        expect(cr.areaEstimadaKm2).toBe(fpc.areaEstimadaTotalKm2);
+    });
+});
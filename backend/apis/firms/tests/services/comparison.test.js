@@ -0,0 +1,43 @@
+import { resolverPeriodosComparacao, calcularVariacao } from '#firms_services/stats/comparison.js';
+
+describe('resolverPeriodosComparacao', () => {
+    test('usa o mesmo período do ano anterior como referência padrão', () => {
+        expect(resolverPeriodosComparacao({ dt: '2025-08-01', dr: '7' })).toEqual({
+            atual: { dt: '2025-08-01', dr: 7 },
+            anterior: { dt: '2024-08-01', dr: 7 }
+        });
+    });
+
+    test('aceita período de referência arbitrário', () => {
+        expect(resolverPeriodosComparacao({
+            dt: '2025-08-01', dr: '7', dtComparacao: '2025-07-01', drComparacao: '3'
+        })).toEqual({
+            atual: { dt: '2025-08-01', dr: 7 },
+            anterior: { dt: '2025-07-01', dr: 3 }
+        });
+    });
+
+    test('rejeita datas e ranges inválidos', () => {
+        expect(() => resolverPeriodosComparacao({ dt: 'ontem' })).toThrow('Data inválida');
+        expect(() => resolverPeriodosComparacao({ dt: '2025-08-01', dtComparacao: '1990-01-01' })).toThrow('Data inválida');
+        expect(() => resolverPeriodosComparacao({ dt: '2025-08-01', dr: '0' })).toThrow('Range inválido');
+    });
+});
+
+describe('calcularVariacao', () => {
+    test('calcula a variação percentual dos campos numéricos do resumo', () => {
+        const atual = { totalFocos: 150, frpMedio: 20, horarioPico: '14:00', quantidadeHorarioPico: 30 };
+        const anterior = { totalFocos: 100, frpMedio: 25, horarioPico: '15:00', quantidadeHorarioPico: 'N/A' };
+
+        expect(calcularVariacao(atual, anterior)).toEqual({
+            totalFocos: 50,
+            frpMedio: -20,
+            quantidadeHorarioPico: null
+        });
+    });
+
+    test('retorna null quando o período de referência é zero ou sem dados', () => {
+        expect(calcularVariacao({ totalFocos: 10 }, { totalFocos: 'N/A' })).toEqual({ totalFocos: null });
+        expect(calcularVariacao({ totalFocos: 10 }, { totalFocos: 0 })).toEqual({ totalFocos: null });
+    });
+});
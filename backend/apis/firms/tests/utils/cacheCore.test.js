@@ -1,8 +1,9 @@
-import { CacheCore } from '#firms_utils/CacheCore.js'
+import { jest } from '@jest/globals'
+import { CacheCore, NAMESPACES } from '#firms_utils/CacheCore.js'
 
 describe('CacheCore', () => {
-    beforeEach(() => {
-        CacheCore.limparTodosCaches()
+    beforeEach(async () => {
+        await CacheCore.limparTodosCaches()
         CacheCore.ativarCache()
     })
 
@@ -20,26 +21,51 @@ describe('CacheCore', () => {
         })
     })
 
-    describe('setComTTL e getValido', () => {
-        test('armazena e recupera valor válido dentro do TTL', () => {
-            CacheCore.setComTTL(CacheCore.resultadoCache, 'chave1', 'valor1', 1000)
-            expect(CacheCore.getValido(CacheCore.resultadoCache, 'chave1')).toBe('valor1')
+    describe('obter', () => {
+        test('carrega uma vez e serve o valor guardado nas consultas seguintes', async () => {
+            const carregar = jest.fn(async () => ({ total: 3 }))
+
+            expect(await CacheCore.obter(NAMESPACES.RESULTADO, 'chave1', carregar)).toEqual({ total: 3 })
+            expect(await CacheCore.obter(NAMESPACES.RESULTADO, 'chave1', carregar)).toEqual({ total: 3 })
+            expect(carregar).toHaveBeenCalledTimes(1)
         })
 
-        test('remove valor expirado', () => {
-            CacheCore.setComTTL(CacheCore.resultadoCache, 'chave2', 'valor2', 1) // TTL curtíssimo
+        test('com o cache desativado apenas chama carregar', async () => {
+            CacheCore.desativarCache()
+            const carregar = jest.fn(async () => 'valor')
 
-            // Espera TTL expirar
-            return new Promise((resolve) => {
-                setTimeout(() => {
-                    expect(CacheCore.getValido(CacheCore.resultadoCache, 'chave2')).toBeNull()
-                    resolve()
-                }, 10)
-            })
+            await CacheCore.obter(NAMESPACES.SENSOR, 'chave2', carregar)
+            await CacheCore.obter(NAMESPACES.SENSOR, 'chave2', carregar)
+            expect(carregar).toHaveBeenCalledTimes(2)
         })
 
-        test('retorna null para chave inexistente', () => {
-            expect(CacheCore.getValido(CacheCore.resultadoCache, 'naoExiste')).toBeNull()
+        test('forcar ignora o valor guardado', async () => {
+            await CacheCore.obter(NAMESPACES.SENSOR, 'chave3', async () => 'antigo')
+            expect(await CacheCore.obter(NAMESPACES.SENSOR, 'chave3', async () => 'novo', { forcar: true })).toBe('novo')
+            expect(await CacheCore.obter(NAMESPACES.SENSOR, 'chave3', async () => 'outro')).toBe('novo')
+        })
+    })
+
+    describe('limparNamespace e metricas', () => {
+        test('limpa só o namespace pedido', async () => {
+            await CacheCore.obter(NAMESPACES.SENSOR, 'x', async () => 'sensor')
+            await CacheCore.obter(NAMESPACES.FIRE_STATS, 'x', async () => 'stats')
+
+            await CacheCore.limparNamespace(NAMESPACES.SENSOR)
+
+            const carregar = jest.fn(async () => 'recarregado')
+            expect(await CacheCore.obter(NAMESPACES.SENSOR, 'x', carregar)).toBe('recarregado')
+            expect(await CacheCore.obter(NAMESPACES.FIRE_STATS, 'x', carregar)).toBe('stats')
+            expect(carregar).toHaveBeenCalledTimes(1)
+        })
+
+        test('contabiliza acertos e faltas por namespace', async () => {
+            await CacheCore.obter(NAMESPACES.RESULTADO, 'm', async () => 1)
+            await CacheCore.obter(NAMESPACES.RESULTADO, 'm', async () => 1)
+
+            const metricas = CacheCore.metricas()
+            expect(metricas).toMatchObject({ ativo: true, backend: 'memory' })
+            expect(metricas.namespaces[NAMESPACES.RESULTADO]).toMatchObject({ acertos: 1, faltas: 1, taxaAcerto: 0.5 })
         })
     })
 
@@ -73,18 +99,15 @@ describe('CacheCore', () => {
     })
 
     describe('limparTodosCaches', () => {
-        test('limpa todas as instâncias de cache', () => {
-            CacheCore.setComTTL(CacheCore.sensorCache, 'x', 'valor')
-            CacheCore.setComTTL(CacheCore.resultadoCache, 'y', 'valor')
-            CacheCore.setComTTL(CacheCore.fireStatsCache, 'z', 'valor')
-            CacheCore.inFlightRequests.set('r', 'requisicao')
-
-            CacheCore.limparTodosCaches()
-
-            expect(CacheCore.sensorCache.size).toBe(0)
-            expect(CacheCore.resultadoCache.size).toBe(0)
-            expect(CacheCore.fireStatsCache.size).toBe(0)
-            expect(CacheCore.inFlightRequests.size).toBe(0)
+        test('esvazia o backend e zera as métricas', async () => {
+            await CacheCore.obter(NAMESPACES.SENSOR, 'x', async () => 'valor')
+
+            await CacheCore.limparTodosCaches()
+
+            expect(CacheCore.metricas().namespaces).toEqual({})
+            const carregar = jest.fn(async () => 'novo')
+            expect(await CacheCore.obter(NAMESPACES.SENSOR, 'x', carregar)).toBe('novo')
+            expect(carregar).toHaveBeenCalledTimes(1)
         })
     })
 })
@@ -1,5 +1,8 @@
-import { validateDateRange, DATE_CONFIG } from '#firms_utils/dateValidation.js';
+import { validateDateRange, splitByLiveWindow, DATE_CONFIG } from '#firms_utils/dateValidation.js';
 import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+dayjs.extend(utc);
 
 describe('validateDateRange', () => {
     test('retorna true para datas nulas ou indefinidas', () => {
@@ -29,3 +32,43 @@ describe('validateDateRange', () => {
         expect(() => validateDateRange(tomorrow)).toThrow('Data não pode ser futura');
     });
 });
+
+describe('splitByLiveWindow', () => {
+    const hoje = dayjs.utc().startOf('day');
+    const formatar = d => d.format('YYYY-MM-DD');
+    const inicioJanela = hoje.subtract(DATE_CONFIG.MAX_DAYS_IN_PAST - 1, 'day');
+
+    test('sem data, consulta sempre ao vivo', () => {
+        expect(splitByLiveWindow(undefined, 1)).toEqual({
+            arquivo: null,
+            aoVivo: { date: undefined, dayRange: 1 }
+        });
+    });
+
+    test('período dentro da janela ao vivo não usa o arquivo', () => {
+        const data = formatar(hoje.subtract(2, 'day'));
+        expect(splitByLiveWindow(data, 3)).toEqual({
+            arquivo: null,
+            aoVivo: { date: data, dayRange: 3 }
+        });
+    });
+
+    test('período totalmente antigo é servido pelo arquivo', () => {
+        const inicio = hoje.subtract(400, 'day');
+        expect(splitByLiveWindow(formatar(inicio), 7)).toEqual({
+            arquivo: { inicio: formatar(inicio), fim: formatar(inicio.add(6, 'day')) },
+            aoVivo: null
+        });
+    });
+
+    test('período que cruza a fronteira é dividido entre arquivo e ao vivo', () => {
+        const inicio = inicioJanela.subtract(3, 'day');
+        const { arquivo, aoVivo } = splitByLiveWindow(formatar(inicio), 5);
+
+        expect(arquivo).toEqual({
+            inicio: formatar(inicio),
+            fim: formatar(inicioJanela.subtract(1, 'day'))
+        });
+        expect(aoVivo).toEqual({ date: formatar(inicioJanela), dayRange: 2 });
+    });
+});
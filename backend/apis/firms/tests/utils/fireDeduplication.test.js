@@ -0,0 +1,75 @@
+import {
+    marcarDuplicatas,
+    resumirDeduplicacao,
+    resolverContagem,
+    CONTAGENS,
+    ERRO_CONTAGEM
+} from '#firms_utils/fireDeduplication.js';
+
+const foco = (nomeSatelite, instrumentoSensor, horaAquisicao, latitude, longitude) => ({
+    dataAquisicao: '2025-05-21',
+    horaAquisicao,
+    nomeSatelite,
+    instrumentoSensor,
+    latitude,
+    longitude
+});
+
+describe('marcarDuplicatas', () => {
+    test('mesmo foco visto por satélites diferentes na mesma janela vira um evento', () => {
+        const focos = [
+            foco('Aqua', 'MODIS', '17:05', -12.5000, -55.5000),
+            foco('NOAA-20', 'VIIRS', '17:05', -12.5030, -55.5020), // ~400 m
+            foco('Suomi-NPP', 'VIIRS', '17:40', -12.5010, -55.4990)
+        ];
+
+        const marcados = marcarDuplicatas(focos, { distanciaMetros: 1000, janelaMinutos: 60 });
+
+        // VIIRS tem prioridade quando as passagens coincidem
+        expect(marcados.map(f => f.duplicata)).toEqual([true, false, true]);
+        expect(new Set(marcados.map(f => f.idEvento)).size).toBe(1);
+        expect(marcados[0].idEvento).toBe('2025-05-21T17:05_NOAA-20_-12.503_-55.502');
+        expect(resumirDeduplicacao(marcados)).toEqual({ deteccoes: 3, eventosUnicos: 1, duplicatas: 2 });
+    });
+
+    test('fora da distância ou da janela são eventos distintos', () => {
+        const focos = [
+            foco('Aqua', 'MODIS', '17:05', -12.5, -55.5),
+            foco('NOAA-20', 'VIIRS', '17:05', -12.6, -55.5),  // ~11 km
+            foco('Terra', 'MODIS', '13:30', -12.5, -55.5)     // outra passagem
+        ];
+
+        expect(marcarDuplicatas(focos, { distanciaMetros: 1000, janelaMinutos: 60 }).every(f => !f.duplicata)).toBe(true);
+    });
+
+    test('pixels vizinhos do mesmo satélite não são agrupados, mas cópias exatas sim', () => {
+        const focos = [
+            foco('NOAA-20', 'VIIRS', '17:05', -12.5000, -55.5000),
+            foco('NOAA-20', 'VIIRS', '17:05', -12.5034, -55.5000), // pixel vizinho (375 m)
+            foco('Aqua', 'MODIS', '16:50', -13.0, -56.0),
+            foco('Aqua', 'MODIS', '16:50', -13.0, -56.0)           // MODIS_NRT × MODIS_SP
+        ];
+
+        expect(marcarDuplicatas(focos).map(f => f.duplicata)).toEqual([false, false, false, true]);
+    });
+
+    test('preserva a ordem e não altera os objetos originais', () => {
+        const focos = [foco('Aqua', 'MODIS', '18:00', -12.5, -55.5), foco('NOAA-20', 'VIIRS', '17:00', -12.5, -55.5)];
+        const marcados = marcarDuplicatas(focos);
+
+        expect(marcados.map(f => f.horaAquisicao)).toEqual(['18:00', '17:00']);
+        expect(marcados[0].duplicata).toBe(true);
+        expect(focos[0]).not.toHaveProperty('duplicata');
+    });
+});
+
+describe('resolverContagem', () => {
+    test('padrão é deteccoes', () => {
+        expect(resolverContagem({})).toBe(CONTAGENS.DETECCOES);
+        expect(resolverContagem({ contagem: 'EVENTOS' })).toBe(CONTAGENS.EVENTOS);
+    });
+
+    test('rejeita valor desconhecido', () => {
+        expect(() => resolverContagem({ contagem: 'focos' })).toThrow(ERRO_CONTAGEM);
+    });
+});
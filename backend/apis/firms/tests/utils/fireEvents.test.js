@@ -0,0 +1,80 @@
+import { agruparEventos, resumirEvento, montarLinhaDoTempo } from '#firms_utils/fireEvents.js';
+
+const foco = (dataAquisicao, horaAquisicao, latitude, longitude, extras = {}) => ({
+    dataAquisicao,
+    horaAquisicao,
+    latitude,
+    longitude,
+    nomeSatelite: 'NOAA-20',
+    instrumentoSensor: 'VIIRS',
+    potenciaRadiativa: 10,
+    localizacao: { municipio: 'Sinop', comandoRegional: 'CR BM III' },
+    ...extras
+});
+
+// Frente que avança ~1 km por dia a partir de Sinop + um foco isolado em Cuiabá
+const frente = [
+    foco('2025-08-01', '17:00', -12.500, -55.500),
+    foco('2025-08-01', '17:00', -12.500, -55.505),
+    foco('2025-08-02', '04:30', -12.505, -55.505),
+    foco('2025-08-02', '16:40', -12.510, -55.508, { potenciaRadiativa: 30 }),
+    foco('2025-08-02', '16:40', -12.510, -55.508, { nomeSatelite: 'Suomi-NPP', duplicata: true }),
+    foco('2025-08-03', '17:10', -12.518, -55.512, { localizacao: { municipio: 'Sorriso', comandoRegional: 'CR BM III' } })
+];
+const isolado = foco('2025-08-02', '13:00', -15.6, -56.1, { localizacao: { municipio: 'Cuiabá', comandoRegional: 'CR BM I' } });
+
+describe('agruparEventos', () => {
+    test('detecções próximas em dias consecutivos formam um evento', () => {
+        const eventos = agruparEventos([isolado, ...frente].reverse(), { distanciaMetros: 1500, intervaloHoras: 36 });
+
+        expect(eventos).toHaveLength(2);
+        expect(eventos[0].deteccoes).toHaveLength(frente.length);
+        expect(eventos[1].deteccoes).toEqual([isolado]);
+        expect(eventos[0].id).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    test('id é estável e lacunas maiores que o intervalo encerram o evento', () => {
+        const [a] = agruparEventos(frente);
+        const [b] = agruparEventos([...frente]);
+        expect(a.id).toBe(b.id);
+
+        const separados = agruparEventos([frente[0], foco('2025-08-05', '17:00', -12.5, -55.5)], { intervaloHoras: 36 });
+        expect(separados).toHaveLength(2);
+    });
+});
+
+describe('resumirEvento', () => {
+    const [evento] = agruparEventos(frente);
+    const resumo = resumirEvento(evento, { agora: new Date('2025-08-04T00:00:00Z') });
+
+    test('período, contagens e FRP (sem duplicatas)', () => {
+        expect(resumo).toMatchObject({
+            id: evento.id,
+            inicio: '2025-08-01T17:00:00.000Z',
+            fim: '2025-08-03T17:10:00.000Z',
+            duracaoHoras: 48.17,
+            ativo: true,
+            totalDeteccoes: 6,
+            deteccoesUnicas: 5,
+            frpAcumulado: 70,
+            frpMaximo: 30,
+            municipios: ['Sinop', 'Sorriso'],
+            comandosRegionais: ['CR BM III']
+        });
+    });
+
+    test('área acumulada cresce dia a dia', () => {
+        expect(resumo.crescimento.map(dia => dia.data)).toEqual(['2025-08-01', '2025-08-02', '2025-08-03']);
+        expect(resumo.crescimento[0].areaKm2).toBe(0); // apenas dois pontos
+        expect(resumo.crescimento[1].areaKm2).toBeGreaterThan(0);
+        expect(resumo.crescimento[2].areaKm2).toBeGreaterThan(resumo.crescimento[1].areaKm2);
+        expect(resumo.areaKm2).toBe(resumo.crescimento[2].areaKm2);
+    });
+
+    test('linha do tempo em ordem cronológica', () => {
+        const linha = montarLinhaDoTempo(evento);
+        expect(linha).toHaveLength(6);
+        expect(linha[0]).toMatchObject({ dataHora: '2025-08-01T17:00:00.000Z', municipio: 'Sinop', duplicata: false });
+        expect(linha[4].duplicata).toBe(true);
+    });
+});
@@ -0,0 +1,93 @@
+import JSZip from 'jszip';
+import { exportarFocos, extrairPropriedades, isFormatoExportacao } from '#firms_utils/fireExport.js';
+
+const focos = [
+    {
+        latitude: -12.5437,
+        longitude: -55.4154,
+        dataAquisicao: '2025-05-21',
+        horaAquisicao: '05:00',
+        temperaturaBrilho: 341.46,
+        temperaturaBrilhoSecundaria: 313.35,
+        resolucaoVarredura: 0.54,
+        resolucaoTrilha: 0.51,
+        potenciaRadiativa: 19.27,
+        nomeSatelite: 'NOAA-21',
+        instrumentoSensor: 'VIIRS',
+        nivelConfianca: 'nominal',
+        versaoProduto: '2.0 (quase tempo real)',
+        indicadorDiaNoite: 'Noite',
+        localizacao: { municipio: 'SINOP', comandoRegional: 'CR BM III', cidade: 'SINOP' }
+    },
+    {
+        latitude: -14.03884,
+        longitude: -55.13611,
+        dataAquisicao: '2025-05-20',
+        horaAquisicao: '13:40',
+        potenciaRadiativa: 15.34,
+        nomeSatelite: 'Terra',
+        instrumentoSensor: 'MODIS',
+        nivelConfianca: 64,
+        localizacao: { cidade: 'NOVA MUTUM' } // geocodificação Mapbox
+    }
+];
+
+describe('fireExport', () => {
+    test('aceita apenas os formatos suportados', () => {
+        expect(['geojson', 'kml', 'csv', 'shp-zip'].every(isFormatoExportacao)).toBe(true);
+        expect(isFormatoExportacao('xlsx')).toBe(false);
+        return expect(exportarFocos('xlsx', focos)).rejects.toThrow('Formato de exportação inválido');
+    });
+
+    test('propriedades usam os nomes do FireModel e a localização achatada', () => {
+        expect(extrairPropriedades(focos[1])).toMatchObject({
+            dataAquisicao: '2025-05-20',
+            temperaturaBrilho: null,
+            municipio: 'NOVA MUTUM',
+            comandoRegional: null
+        });
+    });
+
+    test('geojson gera FeatureCollection de pontos', async () => {
+        const { conteudo, contentType, nomeArquivo } = await exportarFocos('geojson', focos, { nomeBase: 'teste' });
+        const geojson = JSON.parse(conteudo);
+
+        expect(contentType).toMatch('application/geo+json');
+        expect(nomeArquivo).toBe('teste.geojson');
+        expect(geojson.features).toHaveLength(2);
+        expect(geojson.features[0].geometry).toEqual({ type: 'Point', coordinates: [-55.4154, -12.5437] });
+        expect(geojson.features[0].properties).toMatchObject({ municipio: 'SINOP', comandoRegional: 'CR BM III' });
+    });
+
+    test('kml gera um Placemark por foco', async () => {
+        const { conteudo } = await exportarFocos('kml', focos);
+
+        expect(conteudo.match(/<Placemark>/g)).toHaveLength(2);
+        expect(conteudo).toContain('<coordinates>-55.4154,-12.5437</coordinates>');
+        expect(conteudo).toContain('<Data name="comandoRegional"><value>CR BM III</value></Data>');
+    });
+
+    test('csv gera cabeçalho e escapa valores', async () => {
+        const { conteudo } = await exportarFocos('csv', focos);
+        const [cabecalho, primeira] = conteudo.split('\n');
+
+        expect(cabecalho.split(',')).toContain('comandoRegional');
+        expect(primeira).toContain('SINOP,CR BM III');
+    });
+
+    test('shp-zip gera shapefile com colunas de até 10 caracteres', async () => {
+        const { conteudo, nomeArquivo } = await exportarFocos('shp-zip', focos, { nomeBase: 'focos' });
+        const zip = await JSZip.loadAsync(conteudo);
+
+        expect(nomeArquivo).toBe('focos.zip');
+        expect(Object.keys(zip.files).sort()).toEqual(['focos.dbf', 'focos.prj', 'focos.shp', 'focos.shx']);
+
+        const dbf = await zip.file('focos.dbf').async('nodebuffer');
+        const cabecalho = dbf.subarray(32, dbf.readUInt16LE(8) - 1);
+        const colunas = [];
+        for (let i = 0; i < cabecalho.length; i += 32) {
+            colunas.push(cabecalho.subarray(i, i + 11).toString('latin1').replace(/\0.*$/, ''));
+        }
+        expect(colunas).toEqual(expect.arrayContaining(['temp_brilh', 'temp_bril2', 'cmd_region']));
+    });
+});
@@ -0,0 +1,71 @@
+import {
+    resolverFiltrosAtributos,
+    aplicarFiltrosAtributos,
+    ERRO_FILTRO_ATRIBUTO
+} from '#firms_utils/fireFilters.js';
+
+const focos = [
+    { nomeSatelite: 'NOAA-20', instrumentoSensor: 'VIIRS', nivelConfianca: 'alto', indicadorDiaNoite: 'Noite', potenciaRadiativa: '12.5' },
+    { nomeSatelite: 'Suomi-NPP', instrumentoSensor: 'VIIRS', nivelConfianca: 'nominal', indicadorDiaNoite: 'Dia', potenciaRadiativa: '3.1' },
+    { nomeSatelite: 'Aqua', instrumentoSensor: 'MODIS', nivelConfianca: 85, indicadorDiaNoite: 'Dia', potenciaRadiativa: '40.0' },
+    { nomeSatelite: 'Terra', instrumentoSensor: 'MODIS', nivelConfianca: 20, indicadorDiaNoite: 'Noite', potenciaRadiativa: null }
+];
+
+describe('resolverFiltrosAtributos', () => {
+    test('retorna null quando não há filtros', () => {
+        expect(resolverFiltrosAtributos({ dt: '2025-05-21', dr: '1' })).toBeNull();
+    });
+
+    test('normaliza sinônimos, listas e números', () => {
+        expect(resolverFiltrosAtributos({
+            confianca: 'nominal,ALTA',
+            sensor: 'viirs',
+            satelite: 'n20,Aqua',
+            periodo: 'noite',
+            frpMin: '5',
+            frpMax: '50'
+        })).toEqual({
+            confianca: ['nominal', 'alto'],
+            sensor: ['VIIRS'],
+            satelite: ['NOAA-20', 'Aqua'],
+            periodo: ['Noite'],
+            frpMin: 5,
+            frpMax: 50
+        });
+    });
+
+    test.each([
+        [{ confianca: 'altissima' }],
+        [{ sensor: 'GOES' }],
+        [{ periodo: 'tarde' }],
+        [{ frpMin: 'abc' }],
+        [{ frpMin: '10', frpMax: '5' }]
+    ])('rejeita valor inválido %j', query => {
+        expect(() => resolverFiltrosAtributos(query)).toThrow(ERRO_FILTRO_ATRIBUTO);
+    });
+});
+
+describe('aplicarFiltrosAtributos', () => {
+    const filtrar = query => aplicarFiltrosAtributos(focos, resolverFiltrosAtributos(query)).map(f => f.nomeSatelite);
+
+    test('sem filtros retorna a lista original', () => {
+        expect(aplicarFiltrosAtributos(focos, null)).toBe(focos);
+    });
+
+    test('confiança alta inclui VIIRS "alto" e MODIS >= 80', () => {
+        expect(filtrar({ confianca: 'alta' })).toEqual(['NOAA-20', 'Aqua']);
+        expect(filtrar({ confianca: 'baixa' })).toEqual(['Terra']);
+    });
+
+    test('sensor, satélite e período', () => {
+        expect(filtrar({ sensor: 'MODIS' })).toEqual(['Aqua', 'Terra']);
+        expect(filtrar({ satelite: 'N' })).toEqual(['Suomi-NPP']);
+        expect(filtrar({ periodo: 'noite', sensor: 'VIIRS' })).toEqual(['NOAA-20']);
+    });
+
+    test('faixa de FRP (FRP ausente conta como 0)', () => {
+        expect(filtrar({ frpMin: '10' })).toEqual(['NOAA-20', 'Aqua']);
+        expect(filtrar({ frpMin: '10', frpMax: '20' })).toEqual(['NOAA-20']);
+        expect(filtrar({ frpMax: '5' })).toEqual(['Suomi-NPP', 'Terra']);
+    });
+});
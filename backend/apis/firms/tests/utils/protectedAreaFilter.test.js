@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as turf from '@turf/turf';
+
+import ProtectedAreaMatcher from '#geo_utils/ProtectedAreaMatcher.js';
+import {
+    resolverFiltroAreaProtegida,
+    anotarAreasProtegidas,
+    aplicarFiltroAreaProtegida,
+    descreverFiltroAreaProtegida,
+    ERRO_FILTRO_AREA_PROTEGIDA
+} from '#firms_utils/protectedAreaFilter.js';
+import { aggregateProtectedAreaStats } from '#firms_services/stats/protectedAreas.js';
+
+// Camadas de teste: uma TI (campo FUNAI) e uma UC (campo ICMBio), sem camada de assentamentos
+const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), 'areas-protegidas-'));
+const gravarCamada = (arquivo, features) =>
+    fs.writeFileSync(path.join(diretorio, arquivo), JSON.stringify(turf.featureCollection(features)));
+
+gravarCamada('terras_indigenas.geojson', [
+    turf.bboxPolygon([-53.5, -11.0, -53.0, -10.5], { properties: { terrai_nom: 'Capoto/Jarina' } })
+]);
+gravarCamada('unidades_conservacao.geojson', [
+    turf.bboxPolygon([-56.0, -15.5, -55.8, -15.3], { properties: { NOME_UC1: 'Parque Nacional da Chapada dos Guimarães' } })
+]);
+
+const foco = (latitude, longitude, potenciaRadiativa = 10) => ({ latitude, longitude, potenciaRadiativa });
+
+describe('protectedAreaFilter', () => {
+    beforeAll(() => {
+        ProtectedAreaMatcher.loadLayers(diretorio);
+    });
+
+    afterAll(() => {
+        fs.rmSync(diretorio, { recursive: true, force: true });
+    });
+
+    test('resolverFiltroAreaProtegida normaliza tipos e distância', () => {
+        expect(resolverFiltroAreaProtegida({})).toBeNull();
+        expect(resolverFiltroAreaProtegida({ areaProtegida: 'TI, uc' })).toEqual({ tipos: ['ti', 'uc'], distanciaKm: 0 });
+        expect(resolverFiltroAreaProtegida({ areaProtegida: 'todas', distanciaAreaKm: '5' }))
+            .toEqual({ tipos: ['uc', 'ti', 'assentamento'], distanciaKm: 5 });
+
+        expect(() => resolverFiltroAreaProtegida({ areaProtegida: 'apa' })).toThrow(ERRO_FILTRO_AREA_PROTEGIDA);
+        expect(() => resolverFiltroAreaProtegida({ areaProtegida: 'ti', distanciaAreaKm: '80' })).toThrow(ERRO_FILTRO_AREA_PROTEGIDA);
+        expect(() => resolverFiltroAreaProtegida({ distanciaAreaKm: '5' })).toThrow(ERRO_FILTRO_AREA_PROTEGIDA);
+    });
+
+    test('recusa o filtro sem camada carregada e informa as ausentes nos metadados', () => {
+        expect(ProtectedAreaMatcher.camadasCarregadas()).toEqual(['uc', 'ti']);
+        expect(() => resolverFiltroAreaProtegida({ areaProtegida: 'assentamento' }))
+            .toThrow(`${ERRO_FILTRO_AREA_PROTEGIDA}: nenhuma camada carregada no servidor para areaProtegida=assentamento (carregadas: uc, ti)`);
+
+        expect(descreverFiltroAreaProtegida(resolverFiltroAreaProtegida({ areaProtegida: 'todas' })))
+            .toEqual({ tipos: ['uc', 'ti', 'assentamento'], distanciaKm: 0, camadasAusentes: ['assentamento'] });
+    });
+
+    test('anota áreas que contêm o foco ou estão dentro do raio', () => {
+        const [dentro, proximo, distante] = anotarAreasProtegidas([
+            foco(-10.75, -53.25),
+            // ~5,5 km a leste da TI
+            foco(-10.75, -52.95),
+            foco(-13.0, -57.0)
+        ], 10);
+
+        expect(dentro.areasProtegidas).toEqual([{ tipo: 'ti', nome: 'Capoto/Jarina', dentro: true, distanciaKm: 0 }]);
+        expect(proximo.areasProtegidas).toEqual([expect.objectContaining({ tipo: 'ti', dentro: false })]);
+        expect(proximo.areasProtegidas[0].distanciaKm).toBeCloseTo(5.5, 0);
+        expect(distante.areasProtegidas).toEqual([]);
+
+        expect(anotarAreasProtegidas([foco(-10.75, -52.95)], 2)[0].areasProtegidas).toEqual([]);
+    });
+
+    test('aplicarFiltroAreaProtegida respeita tipos e distância', () => {
+        const fires = anotarAreasProtegidas([foco(-10.75, -53.25), foco(-10.75, -52.95), foco(-15.4, -55.9)], 10);
+
+        expect(aplicarFiltroAreaProtegida(fires, null)).toHaveLength(3);
+        expect(aplicarFiltroAreaProtegida(fires, { tipos: ['ti'], distanciaKm: 0 })).toHaveLength(1);
+        expect(aplicarFiltroAreaProtegida(fires, { tipos: ['ti'], distanciaKm: 10 })).toHaveLength(2);
+        expect(aplicarFiltroAreaProtegida(fires, { tipos: ['uc', 'ti'], distanciaKm: 0 })).toHaveLength(2);
+    });
+
+    test('aggregateProtectedAreaStats conta focos dentro e próximos por tipo e área', () => {
+        const fires = anotarAreasProtegidas([
+            foco(-10.75, -53.25, 20),
+            foco(-10.8, -53.2, 30),
+            foco(-10.75, -52.95, 5),
+            foco(-15.4, -55.9, 1),
+            foco(-13.0, -57.0, 100)
+        ], 10);
+
+        const stats = aggregateProtectedAreaStats(fires, 10);
+
+        expect(stats).toMatchObject({
+            raioKm: 10, camadasCarregadas: ['uc', 'ti'], camadasAusentes: ['assentamento'], totalDentro: 3, totalProximos: 1
+        });
+        expect(stats.porTipo.ti).toEqual({ descricao: 'Terra Indígena', dentro: 2, proximos: 1 });
+        expect(stats.porTipo.assentamento).toMatchObject({ dentro: 0, proximos: 0 });
+        expect(stats.areas[0]).toEqual({
+            tipo: 'ti', nome: 'Capoto/Jarina', dentro: 2, proximos: 1, frpTotal: 55, distanciaMinimaKm: 0
+        });
+    });
+});
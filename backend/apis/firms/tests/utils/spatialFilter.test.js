@@ -0,0 +1,64 @@
+import {
+    resolverFiltroEspacial,
+    aplicarFiltroEspacial,
+    descreverFiltroEspacial,
+    ERRO_FILTRO_ESPACIAL
+} from '#firms_utils/spatialFilter.js';
+
+const focos = [
+    { latitude: -12.5, longitude: -55.5, dataAquisicao: '2025-05-21' }, // Sinop
+    { latitude: -15.6, longitude: -56.1, dataAquisicao: '2025-05-21' }  // Cuiabá
+];
+
+const quadradoSinop = {
+    type: 'Polygon',
+    coordinates: [[[-56, -13], [-55, -13], [-55, -12], [-56, -12], [-56, -13]]]
+};
+
+describe('resolverFiltroEspacial', () => {
+    test('retorna null quando não há recorte', () => {
+        expect(resolverFiltroEspacial({ dt: '2025-05-21' })).toBeNull();
+    });
+
+    test('bbox vira um polígono retangular', () => {
+        const filtro = resolverFiltroEspacial({ bbox: '-56,-13,-55,-12' });
+
+        expect(descreverFiltroEspacial(filtro)).toEqual({
+            tipo: 'bbox',
+            valor: '-56,-13,-55,-12',
+            bbox: [-56, -13, -55, -12]
+        });
+        expect(aplicarFiltroEspacial(focos, filtro)).toEqual([focos[0]]);
+    });
+
+    test('área aceita geometria, Feature e FeatureCollection', () => {
+        const feature = { type: 'Feature', properties: {}, geometry: quadradoSinop };
+
+        for (const area of [quadradoSinop, feature, { type: 'FeatureCollection', features: [feature] }]) {
+            const filtro = resolverFiltroEspacial({ area });
+            expect(filtro.valor).toEqual({ feicoes: 1 });
+            expect(aplicarFiltroEspacial(focos, filtro)).toEqual([focos[0]]);
+        }
+    });
+
+    test('rejeita recortes inválidos ou combinados', () => {
+        const invalidos = [
+            { bbox: '-56,-13,-55' },
+            { bbox: '-55,-13,-56,-12' },
+            { area: { type: 'Point', coordinates: [-55, -12] } },
+            { area: {} },
+            { bbox: '-56,-13,-55,-12', crbm: 'CR BM III' },
+            { municipio: 'Município Inexistente' }
+        ];
+
+        for (const query of invalidos) {
+            expect(() => resolverFiltroEspacial(query)).toThrow(ERRO_FILTRO_ESPACIAL);
+        }
+    });
+});
+
+describe('aplicarFiltroEspacial', () => {
+    test('sem filtro mantém a lista original', () => {
+        expect(aplicarFiltroEspacial(focos, null)).toBe(focos);
+    });
+});
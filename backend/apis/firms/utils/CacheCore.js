@@ -3,35 +3,53 @@
  * 
  * - Permite controle global (habilitar/desabilitar)
  * - Facilita debug e limpeza
- * - Evita duplicação de instâncias de cache
+ * - `obter` usa o backend configurado (memória, SQLite ou Redis), com stale-while-revalidate e métricas
  */
 
-// === CONFIGURAÇÃO GLOBAL DE TTL (padrão: 30 MIN) ===
-const TTL_PADRAO_MS = 30 * 60 * 1000; // 30 MIN
+import CacheStore, { criarBackendCache } from '#shared_cache_backends/CacheStore.js';
 
-let cacheAtivo = true;
+/**
+ * ⚙️ CACHE_CONFIG
+ *
+ * - BACKEND: memory | sqlite | redis | off (env `CACHE_BACKEND`, padrão memory).
+ *   Com várias instâncias do backend, redis compartilha o cache entre elas; sqlite e redis sobrevivem a reinícios
+ * - SQLITE_PATH: arquivo do backend sqlite (env `CACHE_SQLITE_PATH`)
+ * - REDIS_URL: servidor do backend redis (env `CACHE_REDIS_URL`, ex: redis://:senha@localhost:6379/0)
+ * - TTL_MS: tempo em que uma entrada é servida sem recarga (env `CACHE_TTL_MIN`, padrão 30 min)
+ * - OBSOLETO_MS: tempo extra em que a entrada vencida ainda é servida enquanto recarrega em segundo plano
+ *   (env `CACHE_STALE_MIN`, padrão 30 min; 0 desliga o stale-while-revalidate)
+ */
+export const CACHE_CONFIG = {
+  // eslint-disable-next-line no-undef
+  BACKEND: (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase(),
+  // eslint-disable-next-line no-undef
+  SQLITE_PATH: process.env.CACHE_SQLITE_PATH || null,
+  // eslint-disable-next-line no-undef
+  REDIS_URL: process.env.CACHE_REDIS_URL || null,
+  // eslint-disable-next-line no-undef
+  TTL_MS: (Number(process.env.CACHE_TTL_MIN) || 30) * 60 * 1000,
+  // eslint-disable-next-line no-undef
+  OBSOLETO_MS: Number(process.env.CACHE_STALE_MIN ?? 30) * 60 * 1000
+};
 
-// == Estrutura interna com TTL ==
-const resultadoCache = new Map();
-const sensorCache = new Map();
-const fireStatsCache = new Map();
-const inFlightRequests = new Map();
+/**
+ * 🏷️ NAMESPACES
+ *
+ * Agrupamento das chaves no backend (limpeza e métricas por namespace).
+ */
+export const NAMESPACES = {
+  SENSOR: 'sensor',
+  RESULTADO: 'resultado',
+  FIRE_STATS: 'fireStats'
+};
 
-// == Helpers de TTL ==
-function setComTTL(map, chave, dados, ttl = TTL_PADRAO_MS) {
-  const expiracao = Date.now() + ttl;
-  map.set(chave, { dados, expiracao });
-}
+let cacheAtivo = CACHE_CONFIG.BACKEND !== 'off';
 
-function getValido(map, chave) {
-  const entry = map.get(chave);
-  if (!entry) return null;
-  if (entry.expiracao < Date.now()) {
-    map.delete(chave); // limpa expirada
-    return null;
-  }
-  return entry.dados;
-}
+const store = new CacheStore(criarBackendCache({
+  backend: cacheAtivo ? CACHE_CONFIG.BACKEND : 'memory',
+  sqlitePath: CACHE_CONFIG.SQLITE_PATH,
+  redisUrl: CACHE_CONFIG.REDIS_URL
+}));
 
 // == Geradores de chave ==
 function gerarChaveSensor(sensor, bbox, dayRange, date) {
@@ -46,6 +64,53 @@ function gerarChaveFireStats(query) {
   return JSON.stringify(query);
 }
 
+// == Cache compartilhado (backend configurável) ==
+
+/**
+ * 🔎 obter
+ *
+ * Valor da chave no namespace ou o resultado de `carregar`, guardado no backend configurado.
+ * Com o cache desativado, apenas chama `carregar`.
+ *
+ * @param {string} namespace - Um de NAMESPACES
+ * @param {string} chave - Ex: gerada por `gerarChaveSensor`
+ * @param {() => Promise<*>} carregar - Produz o valor (serializável em JSON)
+ * @param {Object} [opcoes] - ttlMs, obsoletoMs (padrão: CACHE_CONFIG) e forcar (ignora o valor guardado)
+ * @returns {Promise<*>}
+ */
+function obter(namespace, chave, carregar, opcoes = {}) {
+  if (!cacheAtivo) return carregar();
+  return store.obter(namespace, chave, carregar, {
+    ttlMs: CACHE_CONFIG.TTL_MS,
+    obsoletoMs: CACHE_CONFIG.OBSOLETO_MS,
+    ...opcoes
+  });
+}
+
+/**
+ * 🧹 limparNamespace
+ *
+ * @param {string} [namespace] - Ausente = todo o cache do backend
+ */
+function limparNamespace(namespace) {
+  return store.limpar(namespace);
+}
+
+/**
+ * 📊 metricas
+ *
+ * @returns {{ ativo: boolean, backend: string, ttlMs: number, obsoletoMs: number, namespaces: Object }}
+ *   Acertos, obsoletos, faltas, revalidações e erros por namespace (ver `CacheStore.metricas`)
+ */
+function metricas() {
+  return {
+    ativo: cacheAtivo,
+    ttlMs: CACHE_CONFIG.TTL_MS,
+    obsoletoMs: CACHE_CONFIG.OBSOLETO_MS,
+    ...store.metricas()
+  };
+}
+
 // == Controladores globais ==
 function ativarCache() {
   cacheAtivo = true;
@@ -54,10 +119,8 @@ function desativarCache() {
   cacheAtivo = false;
 }
 function limparTodosCaches() {
-  sensorCache.clear();
-  resultadoCache.clear();
-  inFlightRequests.clear();
-  fireStatsCache.clear();
+  store.zerarMetricas();
+  return store.limpar();
 }
 
 // == Export ==
@@ -68,18 +131,13 @@ export const CacheCore = {
   desativarCache,
   limparTodosCaches,
 
-  // TTL
-  setComTTL,
-  getValido,
+  // Backend configurável
+  obter,
+  limparNamespace,
+  metricas,
 
   // Chaves
   gerarChaveSensor,
   gerarChaveResultado,
   gerarChaveFireStats,
-
-  // Instâncias
-  sensorCache,
-  resultadoCache,
-  inFlightRequests,
-  fireStatsCache,
 };
@@ -36,6 +36,10 @@ export function validateDateRange(date, dayRange = 1) {
     throw new Error('Data não pode ser futura');
   }
 
+  if (queryDate.isBefore(now.clone().startOf('day').subtract(DATE_CONFIG.MAX_DAYS_IN_PAST, 'day'))) {
+    throw new Error(`Data não pode ser mais antiga que ${DATE_CONFIG.MAX_DAYS_IN_PAST} dias`);
+  }
+
   if (dayRange > DATE_CONFIG.MAX_DAYS_IN_PAST) {
     throw new Error(`Intervalo máximo permitido é de ${DATE_CONFIG.MAX_DAYS_IN_PAST} dias`);
   }
@@ -49,3 +53,49 @@ export function validateDateRange(date, dayRange = 1) {
 
   return true;
 }
+
+/**
+ * Divide um período em uma parte servida pelo arquivo histórico (FireCache) e outra
+ * consultada ao vivo na FIRMS. A janela ao vivo cobre os últimos `MAX_DAYS_IN_PAST` dias
+ * (incluindo hoje), o que mantém o `dayRange` ao vivo dentro do limite aceito pela API.
+ *
+ * @param {string} [date] - Data inicial no formato YYYY-MM-DD (UTC). Ausente = hoje, sempre ao vivo.
+ * @param {number} [dayRange=1] - Intervalo de dias (mínimo 1)
+ * @returns {{ arquivo: { inicio: string, fim: string }|null, aoVivo: { date: string, dayRange: number }|null }}
+ *
+ * @example
+ * // Hoje = 2025-06-20, MAX_DAYS_IN_PAST = 10
+ * splitByLiveWindow('2025-06-08', 5)
+ * // => { arquivo: { inicio: '2025-06-08', fim: '2025-06-10' }, aoVivo: { date: '2025-06-11', dayRange: 2 } }
+ */
+export function splitByLiveWindow(date, dayRange = 1) {
+  if (!date) return { arquivo: null, aoVivo: { date, dayRange } };
+
+  const inicio = dayjs.utc(date).startOf('day');
+  const fim = inicio.add(Math.max(dayRange, 1) - 1, 'day');
+  const inicioJanela = dayjs.utc().startOf('day').subtract(DATE_CONFIG.MAX_DAYS_IN_PAST - 1, 'day');
+
+  if (!inicio.isBefore(inicioJanela)) {
+    return { arquivo: null, aoVivo: { date, dayRange } };
+  }
+
+  if (fim.isBefore(inicioJanela)) {
+    return { arquivo: formatPeriodo(inicio, fim), aoVivo: null };
+  }
+
+  return {
+    arquivo: formatPeriodo(inicio, inicioJanela.subtract(1, 'day')),
+    aoVivo: {
+      date: inicioJanela.format('YYYY-MM-DD'),
+      dayRange: fim.diff(inicioJanela, 'day') + 1
+    }
+  };
+}
+
+/**
+ * Formata um par de datas dayjs como período { inicio, fim } (YYYY-MM-DD).
+ * @private
+ */
+function formatPeriodo(inicio, fim) {
+  return { inicio: inicio.format('YYYY-MM-DD'), fim: fim.format('YYYY-MM-DD') };
+}
@@ -0,0 +1,179 @@
+// apis/firms/utils/fireDeduplication.js
+
+// IMPORTE ASSIM: #firms_utils/fireDeduplication.js
+
+import * as turf from '@turf/turf';
+
+import { FireModel } from '#firms_models';
+
+/**
+ * ⚙️ DEDUP_CONFIG
+ *
+ * - DISTANCIA_METROS: raio em que detecções de satélites diferentes são o mesmo foco
+ *   (env `FIRE_DEDUP_DISTANCIA_M`, padrão 1000 m — um pixel MODIS)
+ * - JANELA_MINUTOS: diferença máxima entre as passagens (env `FIRE_DEDUP_JANELA_MIN`, padrão 60 min)
+ */
+export const DEDUP_CONFIG = {
+  DISTANCIA_METROS: Number(process.env.FIRE_DEDUP_DISTANCIA_M) || 1000,
+  JANELA_MINUTOS: Number(process.env.FIRE_DEDUP_JANELA_MIN) || 60
+};
+
+/**
+ * 🔢 CONTAGENS
+ *
+ * Valores aceitos no parâmetro `contagem` de /fires/stats:
+ * - deteccoes: todos os registros retornados pelos sensores (padrão)
+ * - eventos: apenas as detecções principais (um registro por foco)
+ */
+export const CONTAGENS = {
+  DETECCOES: 'deteccoes',
+  EVENTOS: 'eventos'
+};
+
+/**
+ * 🚫 ERRO_CONTAGEM
+ *
+ * Prefixo das mensagens de erro deste módulo (tratadas como 400 pelo FireController).
+ */
+export const ERRO_CONTAGEM = 'Contagem inválida';
+
+const METROS_POR_GRAU = 111320;
+const MINUTO_MS = 60 * 1000;
+
+/**
+ * 🧬 marcarDuplicatas
+ *
+ * Agrupa detecções do mesmo foco feitas por satélites diferentes (MODIS Aqua/Terra, Suomi-NPP, NOAA-20, NOAA-21).
+ * Os focos são percorridos em ordem cronológica; cada um é comparado apenas com as detecções principais
+ * das células vizinhas de uma grade com lado igual à distância configurada.
+ *
+ * Regras:
+ * - Satélites diferentes: duplicata se estiver a até `distanciaMetros` e `janelaMinutos` da principal.
+ * - Mesmo satélite: só é duplicata a cópia exata (mesmo horário e coordenada, ex: MODIS_NRT × MODIS_SP);
+ *   pixels vizinhos de uma mesma passagem continuam sendo focos distintos.
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {Object} [options]
+ * @param {number} [options.distanciaMetros=DEDUP_CONFIG.DISTANCIA_METROS]
+ * @param {number} [options.janelaMinutos=DEDUP_CONFIG.JANELA_MINUTOS]
+ * @returns {Array<Object>} Novos objetos de foco com `idEvento` (id da detecção principal) e `duplicata`,
+ *   na mesma ordem da entrada
+ */
+export function marcarDuplicatas(fires, {
+  distanciaMetros = DEDUP_CONFIG.DISTANCIA_METROS,
+  janelaMinutos = DEDUP_CONFIG.JANELA_MINUTOS
+} = {}) {
+  const janelaMs = janelaMinutos * MINUTO_MS;
+  const grade = new Map();
+
+  const deteccoes = fires
+    .map((fire, indice) => ({
+      fire,
+      indice,
+      lon: Number(fire.longitude),
+      lat: Number(fire.latitude),
+      tempo: FireModel.getTimestamp(fire)?.getTime() ?? 0
+    }))
+    .sort((a, b) => a.tempo - b.tempo || prioridadeSensor(a.fire) - prioridadeSensor(b.fire));
+
+  // Em longitude o grau encolhe com a latitude: a célula usa a latitude mais afastada do equador
+  const latitudeMaxima = deteccoes.reduce((max, d) => Math.max(max, Math.abs(d.lat) || 0), 0);
+  const ladoLat = distanciaMetros / METROS_POR_GRAU;
+  const ladoLon = ladoLat / Math.cos(Math.min(latitudeMaxima, 89) * Math.PI / 180);
+
+  const marcados = new Array(fires.length);
+
+  for (const deteccao of deteccoes) {
+    const celula = [Math.floor(deteccao.lon / ladoLon), Math.floor(deteccao.lat / ladoLat)];
+    const principal = vizinhas(grade, celula).find(candidata =>
+      mesmoFoco(deteccao, candidata, distanciaMetros, janelaMs)
+    );
+
+    if (principal) {
+      marcados[deteccao.indice] = { ...deteccao.fire, idEvento: principal.id, duplicata: true };
+      continue;
+    }
+
+    deteccao.id = gerarIdDeteccao(deteccao.fire);
+    const chave = celula.join(':');
+    if (!grade.has(chave)) grade.set(chave, []);
+    grade.get(chave).push(deteccao);
+    marcados[deteccao.indice] = { ...deteccao.fire, idEvento: deteccao.id, duplicata: false };
+  }
+
+  return marcados;
+}
+
+/**
+ * 📊 resumirDeduplicacao
+ *
+ * @param {Array<Object>} fires - Focos já marcados por `marcarDuplicatas`
+ * @returns {{ deteccoes: number, eventosUnicos: number, duplicatas: number }}
+ */
+export function resumirDeduplicacao(fires) {
+  const duplicatas = fires.filter(fire => fire.duplicata).length;
+  return {
+    deteccoes: fires.length,
+    eventosUnicos: fires.length - duplicatas,
+    duplicatas
+  };
+}
+
+/**
+ * 🔢 resolverContagem
+ *
+ * @param {Object} query - Query string da requisição
+ * @returns {'deteccoes'|'eventos'} Contagem solicitada (padrão: deteccoes)
+ * @throws {Error} Se o valor não for reconhecido
+ */
+export function resolverContagem({ contagem } = {}) {
+  if (!contagem) return CONTAGENS.DETECCOES;
+
+  const valor = String(contagem).toLowerCase();
+  if (!Object.values(CONTAGENS).includes(valor)) {
+    throw new Error(`${ERRO_CONTAGEM}: ${contagem} (aceitos: ${Object.values(CONTAGENS).join(', ')})`);
+  }
+  return valor;
+}
+
+/**
+ * 🆔 gerarIdDeteccao
+ *
+ * Identificador estável de uma detecção: data, hora, satélite e coordenadas.
+ *
+ * @param {Object} fire - Foco normalizado
+ * @returns {string} Ex: '2025-05-21T17:42_NOAA-20_-12.51234_-55.50321'
+ */
+export function gerarIdDeteccao(fire) {
+  return `${fire.dataAquisicao}T${fire.horaAquisicao}_${fire.nomeSatelite}_${fire.latitude}_${fire.longitude}`;
+}
+
+// == Helpers ==
+
+/**
+ * VIIRS (375 m) tem prioridade sobre MODIS (1 km) como detecção principal quando as passagens coincidem.
+ */
+function prioridadeSensor(fire) {
+  return FireModel.isSensorType(fire.instrumentoSensor ?? '', 'VIIRS') ? 0 : 1;
+}
+
+function vizinhas(grade, [x, y]) {
+  const candidatas = [];
+  for (let dx = -1; dx <= 1; dx++) {
+    for (let dy = -1; dy <= 1; dy++) {
+      candidatas.push(...(grade.get(`${x + dx}:${y + dy}`) ?? []));
+    }
+  }
+  return candidatas;
+}
+
+function mesmoFoco(deteccao, principal, distanciaMetros, janelaMs) {
+  if (deteccao.fire.nomeSatelite === principal.fire.nomeSatelite) {
+    return deteccao.tempo === principal.tempo && deteccao.lon === principal.lon && deteccao.lat === principal.lat;
+  }
+
+  if (Math.abs(deteccao.tempo - principal.tempo) > janelaMs) return false;
+
+  const distancia = turf.distance([deteccao.lon, deteccao.lat], [principal.lon, principal.lat], { units: 'meters' });
+  return distancia <= distanciaMetros;
+}
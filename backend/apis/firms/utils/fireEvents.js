@@ -0,0 +1,233 @@
+// apis/firms/utils/fireEvents.js
+
+// IMPORTE ASSIM: #firms_utils/fireEvents.js
+
+import crypto from 'crypto';
+import * as turf from '@turf/turf';
+
+import { FireModel } from '#firms_models';
+import { gerarIdDeteccao } from '#firms_utils/fireDeduplication.js';
+
+/**
+ * ⚙️ EVENT_CONFIG
+ *
+ * - DISTANCIA_METROS: distância máxima entre detecções do mesmo evento
+ *   (env `FIRE_EVENT_DISTANCIA_M`, padrão 1500 m)
+ * - INTERVALO_HORAS: intervalo máximo sem detecção antes de o evento ser encerrado
+ *   (env `FIRE_EVENT_INTERVALO_H`, padrão 36 h — tolera uma passagem perdida por nuvens)
+ */
+export const EVENT_CONFIG = {
+  DISTANCIA_METROS: Number(process.env.FIRE_EVENT_DISTANCIA_M) || 1500,
+  INTERVALO_HORAS: Number(process.env.FIRE_EVENT_INTERVALO_H) || 36
+};
+
+const METROS_POR_GRAU = 111320;
+const HORA_MS = 60 * 60 * 1000;
+
+/**
+ * 🔥 agruparEventos
+ *
+ * Agrupa detecções próximas no espaço e no tempo em eventos de fogo persistentes.
+ * Duas detecções pertencem ao mesmo evento quando estão a até `distanciaMetros` uma da outra
+ * e separadas por até `intervaloHoras`; a relação é transitiva, então uma frente que avança
+ * dia após dia continua sendo o mesmo evento.
+ *
+ * O id do evento deriva da primeira detecção, logo é estável enquanto ela estiver no período consultado.
+ *
+ * @param {Array<Object>} fires - Focos normalizados (com `localizacao` e marcação de duplicatas, se houver)
+ * @param {Object} [options]
+ * @param {number} [options.distanciaMetros=EVENT_CONFIG.DISTANCIA_METROS]
+ * @param {number} [options.intervaloHoras=EVENT_CONFIG.INTERVALO_HORAS]
+ * @returns {Array<{ id: string, deteccoes: Array<Object> }>} Eventos com as detecções em ordem cronológica
+ */
+export function agruparEventos(fires, {
+  distanciaMetros = EVENT_CONFIG.DISTANCIA_METROS,
+  intervaloHoras = EVENT_CONFIG.INTERVALO_HORAS
+} = {}) {
+  const intervaloMs = intervaloHoras * HORA_MS;
+  const deteccoes = fires
+    .map(fire => ({
+      fire,
+      lon: Number(fire.longitude),
+      lat: Number(fire.latitude),
+      tempo: FireModel.getTimestamp(fire)?.getTime() ?? 0
+    }))
+    .filter(d => Number.isFinite(d.lon) && Number.isFinite(d.lat))
+    .sort((a, b) => a.tempo - b.tempo);
+
+  const latitudeMaxima = deteccoes.reduce((max, d) => Math.max(max, Math.abs(d.lat)), 0);
+  const ladoLat = distanciaMetros / METROS_POR_GRAU;
+  const ladoLon = ladoLat / Math.cos(Math.min(latitudeMaxima, 89) * Math.PI / 180);
+
+  const pais = deteccoes.map((_, i) => i);
+  const raiz = i => {
+    while (pais[i] !== i) i = pais[i] = pais[pais[i]];
+    return i;
+  };
+  const unir = (a, b) => {
+    const [ra, rb] = [raiz(a), raiz(b)];
+    // A raiz é sempre a detecção mais antiga (menor índice)
+    if (ra !== rb) pais[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+
+  const grade = new Map();
+  deteccoes.forEach((deteccao, indice) => {
+    const x = Math.floor(deteccao.lon / ladoLon);
+    const y = Math.floor(deteccao.lat / ladoLat);
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const celula = grade.get(`${x + dx}:${y + dy}`);
+        if (!celula) continue;
+
+        // Descarta as detecções que já saíram da janela (as células estão em ordem cronológica)
+        while (celula.length && deteccao.tempo - deteccoes[celula[0]].tempo > intervaloMs) celula.shift();
+
+        for (const outra of celula) {
+          const distancia = turf.distance(
+            [deteccao.lon, deteccao.lat],
+            [deteccoes[outra].lon, deteccoes[outra].lat],
+            { units: 'meters' }
+          );
+          if (distancia <= distanciaMetros) unir(indice, outra);
+        }
+      }
+    }
+
+    const chave = `${x}:${y}`;
+    if (!grade.has(chave)) grade.set(chave, []);
+    grade.get(chave).push(indice);
+  });
+
+  const grupos = new Map();
+  deteccoes.forEach((deteccao, indice) => {
+    const r = raiz(indice);
+    if (!grupos.has(r)) grupos.set(r, []);
+    grupos.get(r).push(deteccao.fire);
+  });
+
+  return [...grupos.values()].map(grupo => ({
+    id: gerarIdEvento(grupo[0]),
+    deteccoes: grupo
+  }));
+}
+
+/**
+ * 🧾 resumirEvento
+ *
+ * Indicadores do evento: período, FRP acumulado, área (envoltória convexa das detecções),
+ * crescimento diário da área e municípios/comandos regionais atingidos.
+ * Detecções marcadas como `duplicata` entram na linha do tempo, mas não somam FRP nem contagem única.
+ *
+ * @param {{ id: string, deteccoes: Array<Object> }} evento - Resultado de `agruparEventos`
+ * @param {Object} [options]
+ * @param {Date} [options.agora=new Date()] - Referência para `ativo`
+ * @param {number} [options.intervaloHoras=EVENT_CONFIG.INTERVALO_HORAS]
+ * @returns {Object} Resumo do evento
+ */
+export function resumirEvento({ id, deteccoes }, {
+  agora = new Date(),
+  intervaloHoras = EVENT_CONFIG.INTERVALO_HORAS
+} = {}) {
+  const unicas = deteccoes.filter(fire => !fire.duplicata);
+  const inicio = FireModel.getTimestamp(deteccoes[0]);
+  const fim = FireModel.getTimestamp(deteccoes.at(-1));
+  const frps = unicas.map(fire => FireModel.extractRadiativePowerValue(fire));
+  const crescimento = calcularCrescimento(deteccoes);
+  const [minLon, minLat, maxLon, maxLat] = turf.bbox(pontos(deteccoes));
+
+  return {
+    id,
+    inicio: inicio?.toISOString() ?? null,
+    fim: fim?.toISOString() ?? null,
+    duracaoHoras: inicio && fim ? arredondar((fim - inicio) / HORA_MS) : 0,
+    ativo: Boolean(fim) && agora - fim <= intervaloHoras * HORA_MS,
+    totalDeteccoes: deteccoes.length,
+    deteccoesUnicas: unicas.length,
+    frpAcumulado: arredondar(frps.reduce((soma, frp) => soma + frp, 0)),
+    frpMaximo: frps.reduce((max, frp) => Math.max(max, frp), 0),
+    areaKm2: crescimento.at(-1)?.areaKm2 ?? 0,
+    crescimento,
+    municipios: valoresUnicos(deteccoes, fire => fire.localizacao?.municipio),
+    comandosRegionais: valoresUnicos(deteccoes, fire => fire.localizacao?.comandoRegional),
+    centroide: {
+      latitude: arredondar((minLat + maxLat) / 2, 5),
+      longitude: arredondar((minLon + maxLon) / 2, 5)
+    },
+    bbox: [minLon, minLat, maxLon, maxLat]
+  };
+}
+
+/**
+ * 🕰️ montarLinhaDoTempo
+ *
+ * @param {{ deteccoes: Array<Object> }} evento - Resultado de `agruparEventos`
+ * @returns {Array<Object>} Detecções do evento em ordem cronológica
+ */
+export function montarLinhaDoTempo({ deteccoes }) {
+  return deteccoes.map(fire => ({
+    idDeteccao: gerarIdDeteccao(fire),
+    dataHora: FireModel.getTimestamp(fire)?.toISOString() ?? null,
+    latitude: Number(fire.latitude),
+    longitude: Number(fire.longitude),
+    nomeSatelite: fire.nomeSatelite,
+    instrumentoSensor: fire.instrumentoSensor,
+    potenciaRadiativa: fire.potenciaRadiativa,
+    nivelConfianca: fire.nivelConfianca,
+    duplicata: Boolean(fire.duplicata),
+    municipio: fire.localizacao?.municipio ?? null
+  }));
+}
+
+// == Helpers ==
+
+/**
+ * 🆔 gerarIdEvento
+ *
+ * @param {Object} primeira - Primeira detecção do evento
+ * @returns {string} Hash curto da detecção (ex: 'a3f9c2e17b04')
+ */
+function gerarIdEvento(primeira) {
+  return crypto.createHash('sha1').update(gerarIdDeteccao(primeira)).digest('hex').slice(0, 12);
+}
+
+/**
+ * 📈 calcularCrescimento
+ *
+ * Área acumulada por dia: envoltória convexa de todas as detecções até aquele dia.
+ * Com menos de três pontos não alinhados a área é 0.
+ */
+function calcularCrescimento(deteccoes) {
+  const porDia = new Map();
+  for (const fire of deteccoes) {
+    if (!porDia.has(fire.dataAquisicao)) porDia.set(fire.dataAquisicao, []);
+    porDia.get(fire.dataAquisicao).push(fire);
+  }
+
+  const acumuladas = [];
+  return [...porDia.entries()].map(([data, doDia]) => {
+    acumuladas.push(...doDia);
+    const envoltoria = acumuladas.length >= 3 ? turf.convex(pontos(acumuladas)) : null;
+
+    return {
+      data,
+      novasDeteccoes: doDia.length,
+      frp: arredondar(doDia
+        .filter(fire => !fire.duplicata)
+        .reduce((soma, fire) => soma + FireModel.extractRadiativePowerValue(fire), 0)),
+      areaKm2: envoltoria ? arredondar(turf.area(envoltoria) / 1e6, 3) : 0
+    };
+  });
+}
+
+function pontos(fires) {
+  return turf.featureCollection(fires.map(fire => turf.point([Number(fire.longitude), Number(fire.latitude)])));
+}
+
+function valoresUnicos(fires, extrair) {
+  return [...new Set(fires.map(extrair).filter(valor => valor && valor !== 'N/A'))];
+}
+
+function arredondar(valor, casas = 2) {
+  return Number(valor.toFixed(casas));
+}
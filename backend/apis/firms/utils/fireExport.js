@@ -0,0 +1,241 @@
+// apis/firms/utils/fireExport.js
+
+// IMPORTE ASSIM: #firms_utils/fireExport.js
+
+import shpwrite from '@mapbox/shp-write';
+
+/**
+ * 📋 CAMPOS_FOCO
+ *
+ * Campos do foco normalizado pelo `FireModel`, na ordem em que são exportados.
+ */
+const CAMPOS_FOCO = [
+  'latitude', 'longitude', 'dataAquisicao', 'horaAquisicao',
+  'temperaturaBrilho', 'temperaturaBrilhoSecundaria', 'resolucaoVarredura', 'resolucaoTrilha',
+  'potenciaRadiativa', 'nomeSatelite', 'instrumentoSensor', 'nivelConfianca',
+  'versaoProduto', 'indicadorDiaNoite'
+];
+
+/**
+ * 📍 CAMPOS_LOCALIZACAO
+ *
+ * Campos de `localizacao` exportados como propriedades planas.
+ */
+const CAMPOS_LOCALIZACAO = ['municipio', 'comandoRegional'];
+
+/**
+ * 🏷️ ALIASES_SHAPEFILE
+ *
+ * Nomes de coluna do DBF (limite de 10 caracteres). Sem os aliases, campos como
+ * `temperaturaBrilho` e `temperaturaBrilhoSecundaria` seriam truncados para o mesmo nome.
+ */
+const ALIASES_SHAPEFILE = {
+  latitude: 'latitude',
+  longitude: 'longitude',
+  dataAquisicao: 'data_aquis',
+  horaAquisicao: 'hora_aquis',
+  temperaturaBrilho: 'temp_brilh',
+  temperaturaBrilhoSecundaria: 'temp_bril2',
+  resolucaoVarredura: 'res_varred',
+  resolucaoTrilha: 'res_trilha',
+  potenciaRadiativa: 'frp',
+  nomeSatelite: 'satelite',
+  instrumentoSensor: 'sensor',
+  nivelConfianca: 'confianca',
+  versaoProduto: 'versao',
+  indicadorDiaNoite: 'dia_noite',
+  municipio: 'municipio',
+  comandoRegional: 'cmd_region'
+};
+
+/**
+ * 📦 FORMATOS_EXPORTACAO
+ *
+ * Formatos aceitos em `?format=` e seus metadados de resposta HTTP.
+ */
+export const FORMATOS_EXPORTACAO = {
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extensao: 'geojson', gerar: focosParaGeoJSON },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extensao: 'kml', gerar: focosParaKML },
+  csv: { contentType: 'text/csv; charset=utf-8', extensao: 'csv', gerar: focosParaCSV },
+  'shp-zip': { contentType: 'application/zip', extensao: 'zip', gerar: focosParaShapefileZip }
+};
+
+/**
+ * 🔎 isFormatoExportacao
+ *
+ * @param {string} formato - Valor de `?format=`
+ * @returns {boolean} True se o formato for suportado
+ */
+export function isFormatoExportacao(formato) {
+  return Object.prototype.hasOwnProperty.call(FORMATOS_EXPORTACAO, formato);
+}
+
+/**
+ * 📤 exportarFocos
+ *
+ * Converte a lista de focos para o formato solicitado.
+ *
+ * @param {string} formato - geojson | kml | csv | shp-zip
+ * @param {Array<Object>} fires - Focos normalizados (com ou sem `localizacao`)
+ * @param {Object} [options]
+ * @param {string} [options.nomeBase='focos_mt'] - Nome do arquivo (sem extensão)
+ * @returns {Promise<{ conteudo: string|Buffer, contentType: string, nomeArquivo: string }>}
+ * @throws {Error} Se o formato não for suportado
+ */
+export async function exportarFocos(formato, fires, { nomeBase = 'focos_mt' } = {}) {
+  if (!isFormatoExportacao(formato)) {
+    throw new Error(`Formato de exportação inválido: ${formato}`);
+  }
+
+  const { contentType, extensao, gerar } = FORMATOS_EXPORTACAO[formato];
+
+  return {
+    conteudo: await gerar(fires, nomeBase),
+    contentType,
+    nomeArquivo: `${nomeBase}.${extensao}`
+  };
+}
+
+/**
+ * 🧾 extrairPropriedades
+ *
+ * Achata o foco em propriedades planas (campos do FireModel + município/comando regional).
+ * Focos geocodificados via Mapbox trazem apenas `cidade`, usada como município.
+ *
+ * @param {Object} fire - Foco normalizado
+ * @returns {Object} Propriedades exportáveis
+ */
+export function extrairPropriedades(fire) {
+  const localizacao = fire.localizacao ?? {};
+  const propriedades = Object.fromEntries(CAMPOS_FOCO.map(campo => [campo, fire[campo] ?? null]));
+
+  return {
+    ...propriedades,
+    municipio: localizacao.municipio ?? localizacao.cidade ?? null,
+    comandoRegional: localizacao.comandoRegional ?? null
+  };
+}
+
+/**
+ * 🗺️ focosParaGeoJSON
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @returns {string} FeatureCollection serializada
+ */
+function focosParaGeoJSON(fires) {
+  return JSON.stringify(montarFeatureCollection(fires, extrairPropriedades));
+}
+
+/**
+ * 🌍 focosParaKML
+ *
+ * Um Placemark por foco, com as propriedades em ExtendedData (visíveis no Google Earth).
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {string} nomeBase - Nome do documento
+ * @returns {string} Documento KML
+ */
+function focosParaKML(fires, nomeBase) {
+  const placemarks = fires.map(fire => {
+    const props = extrairPropriedades(fire);
+    const dados = Object.entries(props)
+      .filter(([, valor]) => valor != null)
+      .map(([campo, valor]) => `<Data name="${campo}"><value>${escaparXml(valor)}</value></Data>`)
+      .join('');
+
+    return [
+      '<Placemark>',
+      `<name>${escaparXml(`${props.dataAquisicao} ${props.horaAquisicao}`)}</name>`,
+      `<ExtendedData>${dados}</ExtendedData>`,
+      `<Point><coordinates>${props.longitude},${props.latitude}</coordinates></Point>`,
+      '</Placemark>'
+    ].join('');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escaparXml(nomeBase)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+/**
+ * 📄 focosParaCSV
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @returns {string} CSV com cabeçalho
+ */
+function focosParaCSV(fires) {
+  const colunas = [...CAMPOS_FOCO, ...CAMPOS_LOCALIZACAO];
+  const linhas = fires.map(fire => {
+    const props = extrairPropriedades(fire);
+    return colunas.map(coluna => escaparCsv(props[coluna])).join(',');
+  });
+  return [colunas.join(','), ...linhas].join('\n');
+}
+
+/**
+ * 🗜️ focosParaShapefileZip
+ *
+ * Shapefile de pontos (WGS84) compactado em .zip, com colunas renomeadas por `ALIASES_SHAPEFILE`.
+ * Valores textuais nulos viram string vazia: o DBF não representa null.
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {string} nomeBase - Nome da camada dentro do zip
+ * @returns {Promise<Buffer>} Conteúdo do .zip
+ */
+function focosParaShapefileZip(fires, nomeBase) {
+  const featureCollection = montarFeatureCollection(fires, fire => {
+    const props = extrairPropriedades(fire);
+    return Object.fromEntries(
+      Object.entries(props).map(([campo, valor]) => [
+        ALIASES_SHAPEFILE[campo],
+        // nivelConfianca mistura número (MODIS) e texto (VIIRS): exportado sempre como texto
+        campo === 'nivelConfianca' || valor == null ? String(valor ?? '') : valor
+      ])
+    );
+  });
+
+  return shpwrite.zip(featureCollection, {
+    outputType: 'nodebuffer',
+    types: { point: nomeBase }
+  });
+}
+
+/**
+ * 🧱 montarFeatureCollection
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {Function} mapearPropriedades - (fire) => propriedades da feature
+ * @returns {Object} FeatureCollection de pontos
+ */
+function montarFeatureCollection(fires, mapearPropriedades) {
+  return {
+    type: 'FeatureCollection',
+    features: fires.map(fire => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [Number(fire.longitude), Number(fire.latitude)]
+      },
+      properties: mapearPropriedades(fire)
+    }))
+  };
+}
+
+function escaparXml(valor) {
+  return String(valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escaparCsv(valor) {
+  if (valor == null) return '';
+  const texto = String(valor);
+  return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
@@ -0,0 +1,123 @@
+// apis/firms/utils/fireFilters.js
+
+// IMPORTE ASSIM: #firms_utils/fireFilters.js
+
+import { FireModel } from '#firms_models';
+
+/**
+ * 🚫 ERRO_FILTRO_ATRIBUTO
+ *
+ * Prefixo das mensagens de erro deste módulo (tratadas como 400 pelo FireController).
+ */
+export const ERRO_FILTRO_ATRIBUTO = 'Filtro de atributo inválido';
+
+/**
+ * 📋 PARAMETROS_FILTRO_ATRIBUTOS
+ *
+ * Parâmetros de query reconhecidos por este módulo.
+ */
+export const PARAMETROS_FILTRO_ATRIBUTOS = ['confianca', 'sensor', 'satelite', 'periodo', 'frpMin', 'frpMax'];
+
+/**
+ * 🔤 SINONIMOS
+ *
+ * Valores aceitos na query → valor normalizado comparado com o foco.
+ */
+const SINONIMOS = {
+  confianca: {
+    baixa: 'baixo', baixo: 'baixo', low: 'baixo', l: 'baixo',
+    nominal: 'nominal', media: 'nominal', n: 'nominal',
+    alta: 'alto', alto: 'alto', high: 'alto', h: 'alto'
+  },
+  sensor: { viirs: 'VIIRS', modis: 'MODIS' },
+  periodo: { dia: 'Dia', d: 'Dia', noite: 'Noite', n: 'Noite' }
+};
+
+/**
+ * 🧭 resolverFiltrosAtributos
+ *
+ * Valida e normaliza os filtros de atributo da query. Valores múltiplos são separados por vírgula
+ * (ex: `confianca=nominal,alta`).
+ *
+ * @param {Object} query - Query string da requisição
+ * @param {string} [query.confianca] - baixa | nominal | alta (MODIS classificado pelas faixas da FIRMS)
+ * @param {string} [query.sensor] - VIIRS | MODIS
+ * @param {string} [query.satelite] - Nome amigável ou código FIRMS (ex: NOAA-20, N20, Aqua)
+ * @param {string} [query.periodo] - dia | noite
+ * @param {string} [query.frpMin] - FRP mínimo (MW)
+ * @param {string} [query.frpMax] - FRP máximo (MW)
+ * @returns {Object|null} Filtros normalizados (ecoados em `metadados.parametrosBusca.filtros`) ou null
+ * @throws {Error} Se algum valor não for reconhecido
+ */
+export function resolverFiltrosAtributos(query = {}) {
+  const filtros = {};
+
+  for (const campo of ['confianca', 'sensor', 'periodo']) {
+    if (query[campo]) filtros[campo] = traduzirLista(campo, query[campo]);
+  }
+  if (query.satelite) {
+    // Códigos FIRMS (N20, N21, N) viram o nome amigável gravado em `nomeSatelite`
+    filtros.satelite = listar(query.satelite).map(s => {
+      const nome = FireModel.formatSatelliteName(s.toUpperCase());
+      return nome === s.toUpperCase() ? s : nome;
+    });
+  }
+  if (query.frpMin != null && query.frpMin !== '') filtros.frpMin = parseNumero('frpMin', query.frpMin);
+  if (query.frpMax != null && query.frpMax !== '') filtros.frpMax = parseNumero('frpMax', query.frpMax);
+
+  if (filtros.frpMin != null && filtros.frpMax != null && filtros.frpMin > filtros.frpMax) {
+    throw new Error(`${ERRO_FILTRO_ATRIBUTO}: frpMin maior que frpMax`);
+  }
+
+  return Object.keys(filtros).length ? filtros : null;
+}
+
+/**
+ * ✂️ aplicarFiltrosAtributos
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {Object|null} filtros - Resultado de `resolverFiltrosAtributos`
+ * @returns {Array<Object>} Focos que atendem a todos os filtros (ou a lista original se não houver filtros)
+ */
+export function aplicarFiltrosAtributos(fires, filtros) {
+  if (!filtros) return fires;
+
+  const predicados = Object.entries(filtros).map(([campo, valor]) => PREDICADOS[campo](valor));
+  return fires.filter(fire => predicados.every(atende => atende(fire)));
+}
+
+/**
+ * 🧪 PREDICADOS
+ *
+ * Fábricas de predicado por filtro: (valorFiltro) => (foco) => boolean.
+ */
+const PREDICADOS = {
+  confianca: valores => fire => valores.includes(FireModel.classifyConfidence(fire.nivelConfianca)),
+  sensor: valores => fire => valores.some(s => fire.instrumentoSensor?.toUpperCase().includes(s)),
+  satelite: valores => fire => valores.some(s => s.toUpperCase() === fire.nomeSatelite?.toUpperCase()),
+  periodo: valores => fire => valores.includes(fire.indicadorDiaNoite),
+  frpMin: minimo => fire => FireModel.extractRadiativePowerValue(fire) >= minimo,
+  frpMax: maximo => fire => FireModel.extractRadiativePowerValue(fire) <= maximo
+};
+
+function listar(valor) {
+  return String(valor).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function traduzirLista(campo, valor) {
+  return [...new Set(listar(valor).map(v => {
+    const traduzido = SINONIMOS[campo][v.toLowerCase()];
+    if (!traduzido) {
+      throw new Error(`${ERRO_FILTRO_ATRIBUTO}: ${campo}=${v} (aceitos: ${Object.keys(SINONIMOS[campo]).join(', ')})`);
+    }
+    return traduzido;
+  }))];
+}
+
+function parseNumero(campo, valor) {
+  const numero = Number(valor);
+  if (!Number.isFinite(numero)) {
+    throw new Error(`${ERRO_FILTRO_ATRIBUTO}: ${campo} deve ser numérico`);
+  }
+  return numero;
+}
@@ -0,0 +1,118 @@
+// apis/firms/utils/protectedAreaFilter.js
+
+// IMPORTE ASSIM: #firms_utils/protectedAreaFilter.js
+
+import ProtectedAreaMatcher, { CAMADAS_AREAS_PROTEGIDAS } from '#geo_utils/ProtectedAreaMatcher.js';
+
+/**
+ * 🚫 ERRO_FILTRO_AREA_PROTEGIDA
+ *
+ * Prefixo das mensagens de erro deste módulo (tratadas como 400 pelo FireController).
+ */
+export const ERRO_FILTRO_AREA_PROTEGIDA = 'Filtro de área protegida inválido';
+
+/**
+ * 📋 PARAMETROS_FILTRO_AREA_PROTEGIDA
+ *
+ * Parâmetros de query reconhecidos por este módulo.
+ */
+export const PARAMETROS_FILTRO_AREA_PROTEGIDA = ['areaProtegida', 'distanciaAreaKm'];
+
+/**
+ * ⚙️ AREA_PROTEGIDA_CONFIG
+ *
+ * - RAIO_KM: raio da anotação `areasProtegidas` de cada foco (env `AREA_PROTEGIDA_RAIO_KM`, padrão 10 km)
+ * - RAIO_MAXIMO_KM: maior `distanciaAreaKm` aceito no filtro
+ */
+export const AREA_PROTEGIDA_CONFIG = {
+  RAIO_KM: Number(process.env.AREA_PROTEGIDA_RAIO_KM) || 10,
+  RAIO_MAXIMO_KM: 50
+};
+
+const TIPOS = Object.keys(CAMADAS_AREAS_PROTEGIDAS);
+
+/**
+ * 🧭 resolverFiltroAreaProtegida
+ *
+ * @param {Object} query - Query string da requisição
+ * @param {string} [query.areaProtegida] - Tipos separados por vírgula (uc, ti, assentamento) ou `todas`
+ * @param {string} [query.distanciaAreaKm] - Distância máxima até a área (padrão 0: apenas focos dentro)
+ * @returns {{ tipos: Array<string>, distanciaKm: number }|null} Filtro normalizado ou null
+ * @throws {Error} Se algum valor não for reconhecido ou nenhum dos tipos pedidos tiver camada carregada
+ *   (o filtro devolveria sempre zero focos)
+ */
+export function resolverFiltroAreaProtegida({ areaProtegida, distanciaAreaKm } = {}) {
+  const temDistancia = distanciaAreaKm != null && distanciaAreaKm !== '';
+  if (!areaProtegida) {
+    if (temDistancia) throw new Error(`${ERRO_FILTRO_AREA_PROTEGIDA}: distanciaAreaKm exige areaProtegida`);
+    return null;
+  }
+
+  const solicitados = String(areaProtegida).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+  const tipos = solicitados.includes('todas') ? TIPOS : [...new Set(solicitados)];
+  const invalido = tipos.find(tipo => !TIPOS.includes(tipo));
+  if (invalido) {
+    throw new Error(`${ERRO_FILTRO_AREA_PROTEGIDA}: areaProtegida=${invalido} (aceitos: ${TIPOS.join(', ')}, todas)`);
+  }
+
+  const distanciaKm = temDistancia ? Number(distanciaAreaKm) : 0;
+  if (!Number.isFinite(distanciaKm) || distanciaKm < 0 || distanciaKm > AREA_PROTEGIDA_CONFIG.RAIO_MAXIMO_KM) {
+    throw new Error(`${ERRO_FILTRO_AREA_PROTEGIDA}: distanciaAreaKm deve estar entre 0 e ${AREA_PROTEGIDA_CONFIG.RAIO_MAXIMO_KM}`);
+  }
+
+  const carregadas = ProtectedAreaMatcher.camadasCarregadas();
+  if (!tipos.some(tipo => carregadas.includes(tipo))) {
+    throw new Error(
+      `${ERRO_FILTRO_AREA_PROTEGIDA}: nenhuma camada carregada no servidor para areaProtegida=${tipos.join(',')} ` +
+      `(carregadas: ${carregadas.join(', ') || 'nenhuma'})`
+    );
+  }
+
+  return { tipos, distanciaKm };
+}
+
+/**
+ * 🏷️ descreverFiltroAreaProtegida
+ *
+ * Versão do filtro para os metadados da resposta, com os tipos pedidos que não têm camada carregada
+ * (focos daqueles tipos nunca são encontrados).
+ *
+ * @param {Object} filtro - Resultado de `resolverFiltroAreaProtegida`
+ * @returns {{ tipos: Array<string>, distanciaKm: number, camadasAusentes: Array<string> }}
+ */
+export function descreverFiltroAreaProtegida(filtro) {
+  const carregadas = ProtectedAreaMatcher.camadasCarregadas();
+  return { ...filtro, camadasAusentes: filtro.tipos.filter(tipo => !carregadas.includes(tipo)) };
+}
+
+/**
+ * 🛡️ anotarAreasProtegidas
+ *
+ * Acrescenta a cada foco `areasProtegidas`: as áreas que o contêm ou estão a até `raioKm` dele,
+ * da mais próxima para a mais distante (`[]` quando não há nenhuma).
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {number} [raioKm=AREA_PROTEGIDA_CONFIG.RAIO_KM]
+ * @returns {Array<Object>} Novos objetos de foco anotados
+ */
+export function anotarAreasProtegidas(fires, raioKm = AREA_PROTEGIDA_CONFIG.RAIO_KM) {
+  return fires.map(fire => ({
+    ...fire,
+    areasProtegidas: ProtectedAreaMatcher.findNearby(Number(fire.latitude), Number(fire.longitude), raioKm)
+  }));
+}
+
+/**
+ * ✂️ aplicarFiltroAreaProtegida
+ *
+ * @param {Array<Object>} fires - Focos já anotados por `anotarAreasProtegidas` (com raio >= distância do filtro)
+ * @param {Object|null} filtro - Resultado de `resolverFiltroAreaProtegida`
+ * @returns {Array<Object>} Focos dentro/próximos de alguma área dos tipos pedidos (ou a lista original sem filtro)
+ */
+export function aplicarFiltroAreaProtegida(fires, filtro) {
+  if (!filtro) return fires;
+
+  return fires.filter(fire => (fire.areasProtegidas ?? []).some(area =>
+    filtro.tipos.includes(area.tipo) && area.distanciaKm <= filtro.distanciaKm
+  ));
+}
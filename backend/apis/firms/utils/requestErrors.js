@@ -0,0 +1,42 @@
+// apis/firms/utils/requestErrors.js
+
+// IMPORTE ASSIM: #firms_utils/requestErrors.js
+
+import { ERRO_FILTRO_ESPACIAL } from '#firms_utils/spatialFilter.js';
+import { ERRO_FILTRO_ATRIBUTO } from '#firms_utils/fireFilters.js';
+import { ERRO_CONTAGEM } from '#firms_utils/fireDeduplication.js';
+import { ERRO_FILTRO_AREA_PROTEGIDA } from '#firms_utils/protectedAreaFilter.js';
+
+/**
+ * ⚠️ isErroDeParametro
+ *
+ * Identifica erros causados por parâmetros inválidos da requisição (data, range, recorte espacial, filtros ou área protegida).
+ *
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} True se o erro deve virar resposta 400
+ */
+export function isErroDeParametro(error) {
+  const mensagem = error?.message ?? '';
+  return mensagem.includes('Data inválida') ||
+    mensagem.includes('Range inválido') ||
+    mensagem.startsWith(ERRO_FILTRO_ESPACIAL) ||
+    mensagem.startsWith(ERRO_FILTRO_ATRIBUTO) ||
+    mensagem.startsWith(ERRO_CONTAGEM) ||
+    mensagem.startsWith(ERRO_FILTRO_AREA_PROTEGIDA);
+}
+
+/**
+ * 🚦 tratarErroDeParametro
+ *
+ * Responde 400 para erros de parâmetro e encaminha os demais ao middleware de erro.
+ *
+ * @param {Error} error - Erro capturado
+ * @param {Response} res - Resposta Express
+ * @param {Function} next - Função de erro Express
+ */
+export function tratarErroDeParametro(error, res, next) {
+  if (isErroDeParametro(error)) {
+    return res.status(400).json({ error: error.message });
+  }
+  return next(error);
+}
@@ -0,0 +1,176 @@
+// apis/firms/utils/spatialFilter.js
+
+// IMPORTE ASSIM: #firms_utils/spatialFilter.js
+
+import * as turf from '@turf/turf';
+
+import { FireModel } from '#firms_models';
+import GeoMunicipalityMatcher from '#geo_utils/GeoMunicipalityMatcher.js';
+
+/**
+ * 🚫 ERRO_FILTRO_ESPACIAL
+ *
+ * Prefixo das mensagens de erro deste módulo (tratadas como 400 pelo FireController).
+ */
+export const ERRO_FILTRO_ESPACIAL = 'Filtro espacial inválido';
+
+const TIPOS_POLIGONO = ['Polygon', 'MultiPolygon'];
+
+/**
+ * 🧭 resolverFiltroEspacial
+ *
+ * Converte os parâmetros espaciais da consulta em polígonos de recorte.
+ * Apenas um recorte por consulta: `municipio`, `crbm`, `bbox` ou `area` (GeoJSON do POST /fires/area).
+ *
+ * @param {Object} query - Query da requisição (e `area`, quando vier do corpo do POST)
+ * @param {string} [query.municipio] - Nome do município (ex: 'Sinop')
+ * @param {string} [query.crbm] - Comando regional (ex: 'CR BM III')
+ * @param {string} [query.bbox] - 'minLon,minLat,maxLon,maxLat'
+ * @param {Object} [query.area] - Feature, FeatureCollection ou geometria Polygon/MultiPolygon
+ * @returns {{ tipo: string, valor: *, feicoes: Array<Object>, bbox: Array<number> }|null}
+ *   Filtro resolvido ou null se nenhum recorte foi solicitado
+ * @throws {Error} Se houver mais de um recorte, valor inválido ou área sem correspondência
+ */
+export function resolverFiltroEspacial({ municipio, crbm, bbox, area } = {}) {
+  const solicitados = Object.entries({ municipio, crbm, bbox, area }).filter(([, valor]) => valor != null && valor !== '');
+
+  if (!solicitados.length) return null;
+  if (solicitados.length > 1) {
+    throw new Error(`${ERRO_FILTRO_ESPACIAL}: use apenas um entre municipio, crbm, bbox ou área`);
+  }
+
+  const [[tipo, valor]] = solicitados;
+  const feicoes = RESOLVEDORES[tipo](valor);
+
+  return {
+    tipo,
+    valor: tipo === 'area' ? { feicoes: feicoes.length } : valor,
+    feicoes,
+    bbox: turf.bbox(turf.featureCollection(feicoes))
+  };
+}
+
+/**
+ * 🔒 resolverEscopoRegional
+ *
+ * Recorte obrigatório de usuários restritos a um comando regional (`escopoCrbm`, acrescentado à query
+ * pelo middleware `aplicarEscopoRegional`). É aplicado além do recorte escolhido pelo usuário.
+ *
+ * @param {Object} query - Query da requisição
+ * @param {string} [query.escopoCrbm] - Comando regional do usuário (ex: 'CR BM III')
+ * @returns {Object|null} Filtro no mesmo formato de `resolverFiltroEspacial` ou null sem escopo
+ * @throws {Error} Se o comando regional não for encontrado
+ */
+export function resolverEscopoRegional({ escopoCrbm } = {}) {
+  if (!escopoCrbm) return null;
+
+  const feicoes = RESOLVEDORES.crbm(escopoCrbm);
+  return {
+    tipo: 'crbm',
+    valor: escopoCrbm,
+    feicoes,
+    bbox: turf.bbox(turf.featureCollection(feicoes))
+  };
+}
+
+/**
+ * ✂️ aplicarFiltroEspacial
+ *
+ * Mantém apenas os focos dentro de algum dos polígonos do filtro.
+ * O bbox do filtro descarta rapidamente os focos distantes antes do ponto-em-polígono.
+ *
+ * @param {Array<Object>} fires - Focos normalizados
+ * @param {Object|null} filtro - Resultado de `resolverFiltroEspacial`
+ * @returns {Array<Object>} Focos dentro do recorte (ou a lista original se não houver filtro)
+ */
+export function aplicarFiltroEspacial(fires, filtro) {
+  if (!filtro) return fires;
+
+  const [minLon, minLat, maxLon, maxLat] = filtro.bbox;
+
+  return fires.filter(fire => {
+    const lon = parseFloat(fire.longitude);
+    const lat = parseFloat(fire.latitude);
+    const dentroDoBbox = lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+    return dentroDoBbox && filtro.feicoes.some(feicao => FireModel.isInsidePolygon(fire, feicao));
+  });
+}
+
+/**
+ * 🏷️ descreverFiltroEspacial
+ *
+ * Versão resumida do filtro para os metadados da resposta (sem as geometrias).
+ *
+ * @param {Object} filtro - Resultado de `resolverFiltroEspacial`
+ * @returns {{ tipo: string, valor: *, bbox: Array<number> }}
+ */
+export function descreverFiltroEspacial({ tipo, valor, bbox }) {
+  return { tipo, valor, bbox };
+}
+
+/**
+ * 🗺️ RESOLVEDORES
+ *
+ * Converte o valor de cada tipo de recorte em uma lista de features poligonais.
+ */
+const RESOLVEDORES = {
+  municipio: nome => exigirFeicoes(
+    GeoMunicipalityMatcher.findFeatures({ municipio: nome }),
+    `município não encontrado: ${nome}`
+  ),
+  crbm: comando => exigirFeicoes(
+    GeoMunicipalityMatcher.findFeatures({ comandoRegional: comando }),
+    `comando regional não encontrado: ${comando}`
+  ),
+  bbox: valor => [turf.bboxPolygon(parseBbox(valor))],
+  area: geojson => extrairPoligonos(geojson)
+};
+
+function exigirFeicoes(feicoes, mensagem) {
+  if (!feicoes.length) throw new Error(`${ERRO_FILTRO_ESPACIAL}: ${mensagem}`);
+  return feicoes;
+}
+
+/**
+ * 📦 parseBbox
+ *
+ * @param {string} valor - 'minLon,minLat,maxLon,maxLat'
+ * @returns {Array<number>} Bbox validado
+ */
+function parseBbox(valor) {
+  const coords = String(valor).split(',').map(Number);
+  const [minLon, minLat, maxLon, maxLat] = coords;
+
+  const valido = coords.length === 4 &&
+    coords.every(Number.isFinite) &&
+    minLon >= -180 && maxLon <= 180 && minLat >= -90 && maxLat <= 90 &&
+    minLon < maxLon && minLat < maxLat;
+
+  if (!valido) {
+    throw new Error(`${ERRO_FILTRO_ESPACIAL}: bbox deve ser minLon,minLat,maxLon,maxLat`);
+  }
+  return coords;
+}
+
+/**
+ * 🧩 extrairPoligonos
+ *
+ * Aceita Feature, FeatureCollection ou geometria e devolve apenas features Polygon/MultiPolygon.
+ *
+ * @param {Object} geojson - GeoJSON enviado no corpo da requisição
+ * @returns {Array<Object>} Features poligonais
+ */
+function extrairPoligonos(geojson) {
+  const feicoes = {
+    FeatureCollection: () => geojson.features ?? [],
+    Feature: () => [geojson]
+  }[geojson?.type]?.() ?? [turf.feature(geojson)];
+
+  const validas = feicoes.length > 0 &&
+    feicoes.every(f => TIPOS_POLIGONO.includes(f?.geometry?.type) && Array.isArray(f.geometry.coordinates));
+
+  if (!validas) {
+    throw new Error(`${ERRO_FILTRO_ESPACIAL}: a área deve conter apenas geometrias Polygon ou MultiPolygon`);
+  }
+  return feicoes;
+}
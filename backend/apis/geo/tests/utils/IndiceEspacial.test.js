@@ -0,0 +1,99 @@
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon';
+
+const { default: IndiceEspacial } = await import('#geo_utils/IndiceEspacial.js');
+
+/**
+ * Malha sintética no tamanho da de MT: 141 polígonos irregulares (200 vértices cada) sobre uma grade 12 × 12,
+ * com bboxes sobrepostos aos vizinhos. Gerador determinístico para que as contagens (e o benchmark) sejam reprodutíveis.
+ */
+const aleatorio = (() => {
+    let semente = 42;
+    return () => {
+        semente = (semente * 16807) % 2147483647;
+        return (semente - 1) / 2147483646;
+    };
+})();
+
+const poligono = (cx, cy, raio, vertices = 200) => {
+    const anel = Array.from({ length: vertices }, (_, i) => {
+        const angulo = (2 * Math.PI * i) / vertices;
+        const r = raio * (0.8 + 0.4 * aleatorio());
+        return [cx + r * Math.cos(angulo), cy + r * Math.sin(angulo)];
+    });
+    return { type: 'Polygon', coordinates: [[...anel, anel[0]]] };
+};
+
+const features = Array.from({ length: 141 }, (_, i) => ({
+    type: 'Feature',
+    properties: { name: `Município ${i}` },
+    geometry: poligono(-61 + (i % 12) * 0.9, -18 + Math.floor(i / 12) * 0.9, 0.55)
+}));
+
+const pontos = Array.from({ length: 3000 }, () => [-61.6 + aleatorio() * 11, -18.6 + aleatorio() * 11]);
+
+const varreduraLinear = (longitude, latitude) =>
+    features.find(feature => booleanPointInPolygon([longitude, latitude], feature)) ?? null;
+
+const medir = fn => {
+    const inicio = process.hrtime.bigint();
+    const resultado = pontos.map(([longitude, latitude]) => fn(longitude, latitude));
+    return { resultado, ms: Number(process.hrtime.bigint() - inicio) / 1e6 };
+};
+
+describe('IndiceEspacial', () => {
+    test('encontra a mesma feature que a varredura linear, inclusive nas sobreposições', () => {
+        const linear = medir(varreduraLinear).resultado;
+        const arvore = new IndiceEspacial(features);
+        const grade = new IndiceEspacial(features, { grade: 32 });
+
+        expect(linear.filter(Boolean).length).toBeGreaterThan(1000);
+        expect(medir((lon, lat) => arvore.buscar(lon, lat)).resultado).toEqual(linear);
+        expect(medir((lon, lat) => grade.buscar(lon, lat)).resultado).toEqual(linear);
+    });
+
+    test('ignora geometrias que não são polígonos e coordenadas inválidas', () => {
+        const indice = new IndiceEspacial([
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [-56, -15] } },
+            { type: 'Feature', properties: {}, geometry: null },
+            features[0]
+        ], { grade: 4 });
+
+        expect(indice.tamanho).toBe(1);
+        expect(indice.buscar(NaN, -18)).toBeNull();
+        expect(indice.buscar(-61, -18)).toBe(features[0]);
+        expect(indice.buscar(-40, -18)).toBeNull();
+    });
+
+    test('reduz as candidatas de cada consulta a poucas das 141 features', () => {
+        const arvore = new IndiceEspacial(features);
+        const grade = new IndiceEspacial(features, { grade: 64 });
+        const { minX, minY, largura, altura, lado, celulas } = grade.grade;
+
+        const media = contar => pontos.reduce((soma, ponto) => soma + contar(ponto), 0) / pontos.length;
+        const naArvore = media(([lon, lat]) => arvore.arvore.search({ minX: lon, minY: lat, maxX: lon, maxY: lat }).length);
+        const naGrade = media(([lon, lat]) => {
+            const coluna = Math.min(Math.max(Math.floor((lon - minX) / largura), 0), lado - 1);
+            const linha = Math.min(Math.max(Math.floor((lat - minY) / altura), 0), lado - 1);
+            return celulas[linha * lado + coluna].length;
+        });
+
+        // A varredura linear testa até 141 polígonos por ponto
+        expect(naArvore).toBeLessThan(4);
+        expect(naGrade).toBeLessThan(4);
+    });
+
+    // Medição de tempo só sob demanda (BENCH=1): em máquinas carregadas o relógio não é confiável
+    (process.env.BENCH === '1' ? test : test.skip)('benchmark: 3.000 pontos × 141 polígonos', () => {
+        // Aquecimento do JIT antes das medições
+        const arvore = new IndiceEspacial(features);
+        const grade = new IndiceEspacial(features, { grade: 64 });
+        pontos.slice(0, 300).forEach(([lon, lat]) => { varreduraLinear(lon, lat); arvore.buscar(lon, lat); grade.buscar(lon, lat); });
+
+        const linear = medir(varreduraLinear).ms;
+        const comArvore = medir((lon, lat) => arvore.buscar(lon, lat)).ms;
+        const comGrade = medir((lon, lat) => grade.buscar(lon, lat)).ms;
+
+        expect(comArvore * 5).toBeLessThan(linear);
+        expect(comGrade * 5).toBeLessThan(linear);
+    });
+});
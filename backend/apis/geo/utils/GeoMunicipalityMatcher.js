@@ -2,8 +2,18 @@
 
 import fs from 'fs'
 import path from 'path'
-import booleanPointInPolygon from '@turf/boolean-point-in-polygon'
-import { point } from '@turf/helpers'
+
+import { REGIAO_CONFIG } from '#shared_config/regiao.js'
+import IndiceEspacial from '#geo_utils/IndiceEspacial.js'
+
+/**
+ * ⚙️ INDICE_CONFIG
+ *
+ * - GRADE: células por lado da grade pré-calculada sobre a malha (env `GEO_INDICE_GRADE`, padrão 64; 0 = só a R-tree)
+ */
+export const INDICE_CONFIG = {
+    GRADE: Number(process.env.GEO_INDICE_GRADE ?? 64) || 0
+}
 
 /**
  * 📍 GeoMunicipalityMatcher
@@ -11,23 +21,28 @@ import { point } from '@turf/helpers'
  * Serviço para localizar o município e comando regional de uma coordenada
  * geográfica com base em um arquivo GeoJSON local.
  *
- * Utiliza operações de ponto-em-polígono para detectar a sobreposição.
+ * Utiliza operações de ponto-em-polígono para detectar a sobreposição, restritas às features
+ * candidatas de um índice espacial (`IndiceEspacial`) montado junto com a carga da malha.
+ * A malha, as propriedades lidas de cada feature e o mapeamento município → comando
+ * vêm da configuração da região (`REGIAO_CONFIG`).
  */
 class GeoMunicipalityMatcher {
     static #geojsonCache = null
+    static #indiceCache = null
+    static #mapeamentoCache = null
 
     /**
      * 🗂️ loadGeoJSON
      *
-     * Carrega e cacheia o GeoJSON contendo os limites municipais.
-     * Lê o arquivo apenas uma vez, salvo em cache.
+     * Carrega e cacheia o GeoJSON contendo os limites municipais (`REGIAO_CONFIG.MUNICIPIOS_GEOJSON`)
+     * e monta o índice espacial das features. Lê o arquivo apenas uma vez, salvo em cache.
      */
     static loadGeoJSON() {
         if (this.#geojsonCache) {
             return this.#geojsonCache;
         }
 
-        const geojsonPath = path.resolve('public/assets/geoRef/municipios_por_comando_regional_colorido.geojson');
+        const geojsonPath = path.resolve(REGIAO_CONFIG.MUNICIPIOS_GEOJSON);
 
         try {
             const raw = fs.readFileSync(geojsonPath, 'utf8');
@@ -37,6 +52,8 @@ class GeoMunicipalityMatcher {
             this.#geojsonCache = { features: [] };
         }
 
+        this.#indiceCache = new IndiceEspacial(this.#geojsonCache.features ?? [], { grade: INDICE_CONFIG.GRADE })
+
         return this.#geojsonCache;
     }
 
@@ -50,20 +67,53 @@ class GeoMunicipalityMatcher {
      * @returns {Object|null} Ex: { municipio: 'CUIABÁ', comandoRegional: 'CR BM I' }
      */
     static findMunicipality(latitude, longitude) {
-        const geojson = this.loadGeoJSON()
-        const pt = point([longitude, latitude])
-
-        for (const feature of geojson.features) {
-            if (booleanPointInPolygon(pt, feature)) {
-                const rawName = feature.properties?.name;
-                const municipio = (typeof rawName === 'string' ? rawName.toUpperCase() : 'N/A');
-                const comandoRegional = feature.properties?.comandoRegional ?? 'NÃO ASSOCIADO';
-                
-                return { municipio, comandoRegional };
-            }
-        }
+        this.loadGeoJSON()
+        const feature = this.#indiceCache.buscar(longitude, latitude)
+        if (!feature) return null
+
+        const { nome, comandoRegional } = this.#propriedades(feature)
+        const municipio = (typeof nome === 'string' ? nome.toUpperCase() : 'N/A');
+
+        return { municipio, comandoRegional: comandoRegional ?? 'NÃO ASSOCIADO' };
+    }
 
-        return null
+    /**
+     * 📦 localizarEmLote
+     *
+     * Localiza muitos pontos de uma vez. Coordenadas repetidas (ex: o mesmo foco visto por vários sensores)
+     * são consultadas no índice uma única vez.
+     *
+     * @param {Array<{latitude: number, longitude: number}>} pontos
+     * @returns {Array<Object|null>} Resultado de `findMunicipality` para cada ponto, na mesma ordem
+     */
+    static localizarEmLote(pontos) {
+        const resultados = new Map()
+
+        return pontos.map(({ latitude, longitude }) => {
+            const chave = `${longitude},${latitude}`
+            if (!resultados.has(chave)) resultados.set(chave, this.findMunicipality(latitude, longitude))
+            return resultados.get(chave)
+        })
+    }
+
+    /**
+     * 🧭 mapearComandosRegionais
+     *
+     * Mapeamento município (em maiúsculas) → comando regional, usado nas estatísticas por CRBM.
+     * Vem de `REGIAO_CONFIG.MAPEAMENTO_COMANDOS` ou, na falta dele, das propriedades das features.
+     *
+     * @returns {Object<string, string>} Ex: { 'CUIABÁ': 'CR BM I', 'SINOP': 'CR BM III' }
+     */
+    static mapearComandosRegionais() {
+        if (this.#mapeamentoCache) return this.#mapeamentoCache
+
+        this.#mapeamentoCache = this.loadGeoJSON().features.reduce((acc, feature) => {
+            const { nome, comandoRegional } = this.#propriedades(feature)
+            if (nome && comandoRegional) acc[String(nome).toUpperCase()] = comandoRegional
+            return acc
+        }, {})
+
+        return this.#mapeamentoCache
     }
 
     /**
@@ -75,14 +125,67 @@ class GeoMunicipalityMatcher {
      * @returns {Array<Object>} Array com os objetos { ...fireData, localizacao }
      */
     static batchLocate(points) {
-        return points.map(({ latitude, longitude, fireData }) => {
-            const localizacao = this.findMunicipality(latitude, longitude)
-            return {
-                ...fireData,
-                localizacao
-            }
+        const localizacoes = this.localizarEmLote(points)
+        return points.map(({ fireData }, i) => ({
+            ...fireData,
+            localizacao: localizacoes[i]
+        }))
+    }
+
+    /**
+     * 🔎 findFeatures
+     *
+     * Retorna os polígonos municipais que correspondem ao município e/ou comando regional informados.
+     * A comparação ignora caixa, acentos e espaços repetidos ("cr bm iii" → "CR BM III").
+     *
+     * @param {Object} filtro
+     * @param {string} [filtro.municipio] - Nome do município (ex: 'Sinop')
+     * @param {string} [filtro.comandoRegional] - Comando regional (ex: 'CR BM III')
+     * @returns {Array<Object>} Features GeoJSON correspondentes (vazio se nada for encontrado)
+     */
+    static findFeatures({ municipio, comandoRegional } = {}) {
+        const alvoMunicipio = municipio ? this.#normalizarNome(municipio) : null
+        const alvoComando = comandoRegional ? this.#normalizarNome(comandoRegional) : null
+
+        return this.loadGeoJSON().features.filter(feature => {
+            const { nome, comandoRegional } = this.#propriedades(feature)
+            const municipioOk = !alvoMunicipio || this.#normalizarNome(nome) === alvoMunicipio
+            const comandoOk = !alvoComando || this.#normalizarNome(comandoRegional) === alvoComando
+            return municipioOk && comandoOk
         })
     }
+
+    /**
+     * 🏷️ #propriedades
+     *
+     * Nome do município e comando regional de uma feature, conforme os campos configurados para a região.
+     * Sem a propriedade de comando, recorre a `REGIAO_CONFIG.MAPEAMENTO_COMANDOS`.
+     *
+     * @param {Object} feature
+     * @returns {{ nome: string|undefined, comandoRegional: string|undefined }}
+     */
+    static #propriedades(feature) {
+        const props = feature.properties ?? {}
+        const nome = props[REGIAO_CONFIG.CAMPO_MUNICIPIO]
+        const comandoRegional = props[REGIAO_CONFIG.CAMPO_COMANDO_REGIONAL]
+            ?? REGIAO_CONFIG.MAPEAMENTO_COMANDOS?.[String(nome ?? '').toUpperCase()]
+        return { nome, comandoRegional }
+    }
+
+    /**
+     * 🔤 #normalizarNome
+     *
+     * @param {string} nome
+     * @returns {string} Nome em maiúsculas, sem acentos e com espaços simples
+     */
+    static #normalizarNome(nome) {
+        return String(nome ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase()
+    }
 }
 
 export default GeoMunicipalityMatcher
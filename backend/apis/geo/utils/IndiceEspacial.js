@@ -0,0 +1,105 @@
+// backend/apis/geo/utils/IndiceEspacial.js
+
+import RBush from 'rbush'
+import bbox from '@turf/bbox'
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon'
+
+/**
+ * 🌳 IndiceEspacial
+ *
+ * Índice de features Polygon/MultiPolygon para consultas de ponto-em-polígono.
+ * Uma R-tree com o bbox de cada feature reduz as candidatas a poucas, e só elas passam pelo
+ * `booleanPointInPolygon`. Opcionalmente, uma grade pré-calculada sobre a extensão das features
+ * guarda as candidatas de cada célula, dispensando a busca na árvore.
+ *
+ * Quando o ponto cai em mais de uma feature (ex: na divisa), vence a primeira na ordem original,
+ * o mesmo resultado da varredura linear.
+ */
+class IndiceEspacial {
+    /**
+     * @param {Array<Object>} features - Features GeoJSON (Polygon ou MultiPolygon)
+     * @param {Object} [options]
+     * @param {number} [options.grade=0] - Células por lado da grade pré-calculada (0 = só a R-tree)
+     */
+    constructor(features, { grade = 0 } = {}) {
+        this.arvore = new RBush()
+        this.itens = features
+            .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type))
+            .map((feature, indice) => {
+                const [minX, minY, maxX, maxY] = bbox(feature)
+                return { minX, minY, maxX, maxY, indice, feature }
+            })
+        this.arvore.load(this.itens)
+
+        this.grade = grade > 0 && this.itens.length ? this.#montarGrade(grade) : null
+    }
+
+    get tamanho() {
+        return this.itens.length
+    }
+
+    /**
+     * 📌 buscar
+     *
+     * @param {number} longitude
+     * @param {number} latitude
+     * @returns {Object|null} Primeira feature (na ordem original) que contém o ponto
+     */
+    buscar(longitude, latitude) {
+        if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return null
+
+        const coordenada = [longitude, latitude]
+        for (const item of this.#candidatas(longitude, latitude)) {
+            if (longitude < item.minX || longitude > item.maxX || latitude < item.minY || latitude > item.maxY) continue
+            if (booleanPointInPolygon(coordenada, item.feature)) return item.feature
+        }
+        return null
+    }
+
+    /**
+     * Candidatas em ordem original: da célula da grade ou da busca na R-tree.
+     * @private
+     */
+    #candidatas(longitude, latitude) {
+        if (this.grade) {
+            const { minX, minY, largura, altura, lado, celulas } = this.grade
+            const coluna = Math.floor((longitude - minX) / largura)
+            const linha = Math.floor((latitude - minY) / altura)
+            if (coluna < 0 || linha < 0 || coluna > lado || linha > lado) return []
+            // Pontos exatamente na borda máxima da extensão caem na última célula
+            return celulas[Math.min(linha, lado - 1) * lado + Math.min(coluna, lado - 1)]
+        }
+
+        return this.arvore
+            .search({ minX: longitude, minY: latitude, maxX: longitude, maxY: latitude })
+            .sort((a, b) => a.indice - b.indice)
+    }
+
+    /**
+     * Divide a extensão das features em `lado` × `lado` células e guarda as candidatas de cada uma.
+     * @private
+     */
+    #montarGrade(lado) {
+        const { minX, minY, maxX, maxY } = this.arvore.toJSON()
+        const largura = (maxX - minX) / lado || Number.EPSILON
+        const altura = (maxY - minY) / lado || Number.EPSILON
+        const celulas = new Array(lado * lado)
+
+        for (let linha = 0; linha < lado; linha++) {
+            for (let coluna = 0; coluna < lado; coluna++) {
+                celulas[linha * lado + coluna] = this.arvore
+                    .search({
+                        minX: minX + coluna * largura,
+                        minY: minY + linha * altura,
+                        maxX: minX + (coluna + 1) * largura,
+                        maxY: minY + (linha + 1) * altura
+                    })
+                    .sort((a, b) => a.indice - b.indice)
+            }
+        }
+
+        return { minX, minY, largura, altura, lado, celulas }
+    }
+}
+
+export default IndiceEspacial
@@ -0,0 +1,163 @@
+// backend/apis/geo/utils/ProtectedAreaMatcher.js
+
+import fs from 'fs'
+import path from 'path'
+import * as turf from '@turf/turf'
+
+/**
+ * 🗺️ CAMADAS_AREAS_PROTEGIDAS
+ *
+ * Camadas de referência carregadas de `public/assets/geoRef` (ou de `AREAS_PROTEGIDAS_DIR`).
+ * `camposNome` lista as propriedades onde o nome da área é procurado, na ordem: o padrão do projeto (`nome`)
+ * e os campos das bases oficiais (ICMBio/MMA, FUNAI e INCRA).
+ *
+ * Os arquivos não acompanham o repositório. Origem de cada um (shapefile convertido para GeoJSON em WGS84,
+ * de preferência recortado ao MT, ex: `ogr2ogr -f GeoJSON -t_srs EPSG:4326 -clipsrc <bbox do MT> saida.geojson entrada.shp`):
+ * - unidades_conservacao.geojson: limites das UCs do Cadastro Nacional de Unidades de Conservação (MMA/ICMBio)
+ * - terras_indigenas.geojson: polígonos de terras indígenas do geoserver da FUNAI
+ * - assentamentos.geojson: projetos de assentamento do Acervo Fundiário do INCRA
+ *
+ * Camadas ausentes não geram anotação daquele tipo; `camadasCarregadas` informa quais existem
+ * (ecoado em `q=ap` e no filtro `areaProtegida`, que recusa tipos sem nenhuma camada carregada).
+ */
+export const CAMADAS_AREAS_PROTEGIDAS = {
+    uc: {
+        arquivo: 'unidades_conservacao.geojson',
+        descricao: 'Unidade de Conservação',
+        camposNome: ['nome', 'NOME_UC1', 'nome_uc']
+    },
+    ti: {
+        arquivo: 'terras_indigenas.geojson',
+        descricao: 'Terra Indígena',
+        camposNome: ['nome', 'terrai_nom', 'TERRAI_NOM']
+    },
+    assentamento: {
+        arquivo: 'assentamentos.geojson',
+        descricao: 'Assentamento',
+        camposNome: ['nome', 'nome_proje', 'NOME_PROJE']
+    }
+}
+
+const KM_POR_GRAU = 111.32
+
+/**
+ * 🛡️ ProtectedAreaMatcher
+ *
+ * Localiza as unidades de conservação, terras indígenas e assentamentos que contêm
+ * uma coordenada ou estão a até N km dela.
+ *
+ * O bbox de cada área (ampliado pelo raio) descarta as áreas distantes antes do ponto-em-polígono.
+ */
+class ProtectedAreaMatcher {
+    static #areasCache = null
+
+    /**
+     * 🗂️ loadLayers
+     *
+     * Carrega e cacheia as camadas de áreas protegidas. Chamar novamente com outro diretório recarrega o cache.
+     *
+     * @param {string} [diretorio] - Diretório dos GeoJSON (padrão: env `AREAS_PROTEGIDAS_DIR` ou public/assets/geoRef)
+     * @returns {Array<{ tipo: string, nome: string, feature: Object, bbox: Array<number> }>} Áreas carregadas
+     */
+    static loadLayers(diretorio = process.env.AREAS_PROTEGIDAS_DIR || 'public/assets/geoRef') {
+        this.#areasCache = Object.entries(CAMADAS_AREAS_PROTEGIDAS).flatMap(([tipo, camada]) =>
+            this.#lerCamada(path.resolve(diretorio, camada.arquivo)).map(feature => ({
+                tipo,
+                nome: this.#extrairNome(feature, camada.camposNome),
+                feature,
+                bbox: turf.bbox(feature)
+            }))
+        )
+
+        return this.#areasCache
+    }
+
+    /**
+     * 📋 getAreas
+     *
+     * @returns {Array<Object>} Áreas em cache (carrega na primeira chamada)
+     */
+    static getAreas() {
+        return this.#areasCache ?? this.loadLayers()
+    }
+
+    /**
+     * 📋 camadasCarregadas
+     *
+     * @returns {Array<string>} Tipos (chaves de CAMADAS_AREAS_PROTEGIDAS) com ao menos uma área carregada
+     */
+    static camadasCarregadas() {
+        const tipos = new Set(this.getAreas().map(area => area.tipo))
+        return Object.keys(CAMADAS_AREAS_PROTEGIDAS).filter(tipo => tipos.has(tipo))
+    }
+
+    /**
+     * 📍 findNearby
+     *
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {number} [raioKm=0] - Distância máxima até a borda da área (0: apenas áreas que contêm o ponto)
+     * @returns {Array<{ tipo: string, nome: string, dentro: boolean, distanciaKm: number }>}
+     *   Áreas encontradas, da mais próxima para a mais distante (distância 0 quando o ponto está dentro)
+     * @example
+     * ProtectedAreaMatcher.findNearby(-10.9, -53.2, 5)
+     * // => [{ tipo: 'ti', nome: 'Capoto/Jarina', dentro: true, distanciaKm: 0 }]
+     */
+    static findNearby(latitude, longitude, raioKm = 0) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return []
+
+        const margemLat = raioKm / KM_POR_GRAU
+        const margemLon = margemLat / Math.cos(Math.min(Math.abs(latitude), 89) * Math.PI / 180)
+        const ponto = turf.point([longitude, latitude])
+        const encontradas = []
+
+        for (const area of this.getAreas()) {
+            const [minLon, minLat, maxLon, maxLat] = area.bbox
+            if (longitude < minLon - margemLon || longitude > maxLon + margemLon ||
+                latitude < minLat - margemLat || latitude > maxLat + margemLat) continue
+
+            if (turf.booleanPointInPolygon(ponto, area.feature)) {
+                encontradas.push({ tipo: area.tipo, nome: area.nome, dentro: true, distanciaKm: 0 })
+                continue
+            }
+            if (raioKm <= 0) continue
+
+            const distanciaKm = Math.abs(turf.pointToPolygonDistance(ponto, area.feature, { units: 'kilometers' }))
+            if (distanciaKm <= raioKm) {
+                encontradas.push({ tipo: area.tipo, nome: area.nome, dentro: false, distanciaKm: Number(distanciaKm.toFixed(2)) })
+            }
+        }
+
+        return encontradas.sort((a, b) => a.distanciaKm - b.distanciaKm)
+    }
+
+    /**
+     * 📥 #lerCamada
+     *
+     * @param {string} arquivo - Caminho do GeoJSON
+     * @returns {Array<Object>} Features Polygon/MultiPolygon (vazio se o arquivo não existir)
+     */
+    static #lerCamada(arquivo) {
+        if (!fs.existsSync(arquivo)) {
+            console.warn('⚠️ Camada de áreas protegidas não encontrada:', arquivo)
+            return []
+        }
+
+        try {
+            const geojson = JSON.parse(fs.readFileSync(arquivo, 'utf8'))
+            return (geojson.features ?? []).filter(feature =>
+                ['Polygon', 'MultiPolygon'].includes(feature?.geometry?.type))
+        } catch (err) {
+            console.error('❌ Erro ao carregar camada de áreas protegidas:', err.message)
+            return []
+        }
+    }
+
+    static #extrairNome(feature, camposNome) {
+        const props = feature.properties ?? {}
+        const campo = camposNome.find(nome => typeof props[nome] === 'string' && props[nome].trim())
+        return campo ? props[campo].trim() : 'N/A'
+    }
+}
+
+export default ProtectedAreaMatcher
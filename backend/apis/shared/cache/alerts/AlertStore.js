@@ -0,0 +1,228 @@
+// apis/shared/cache/alerts/AlertStore.js
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 🔔 AlertStore
+ *
+ * Persistência SQLite das regras de alerta e dos alertas disparados.
+ * Campos compostos (`canais`, `detalhes`, `entregas`) são gravados como JSON.
+ */
+class AlertStore {
+  constructor(customDbPath = null) {
+    this.dbPath = customDbPath || path.join(
+      process.cwd(),
+      'apis', 'shared', 'cache', 'alerts', 'alerts.db'
+    );
+    this.db = null;
+    // Inicialização sob demanda: importar o módulo não cria o banco
+    this.ready = null;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e as tabelas criadas antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
+  }
+
+  async initDb() {
+    if (this.dbPath !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS regras (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        nome          TEXT NOT NULL,
+        tipo          TEXT NOT NULL,
+        alvo          TEXT NOT NULL,
+        limiar        INTEGER NOT NULL,
+        janelaHoras   INTEGER NOT NULL,
+        cooldownMin   INTEGER NOT NULL,
+        canais        TEXT NOT NULL,
+        ativa         INTEGER NOT NULL DEFAULT 1,
+        criadoEm      INTEGER,
+        atualizadoEm  INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS alertas (
+        id            INTEGER PRIMARY KEY AUTOINCREMENT,
+        regraId       INTEGER NOT NULL,
+        disparadoEm   TEXT NOT NULL,
+        valor         INTEGER NOT NULL,
+        limiar        INTEGER NOT NULL,
+        detalhes      TEXT,
+        entregas      TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alertas_regra ON alertas (regraId, disparadoEm);
+    `);
+  }
+
+  // == REGRAS ==
+
+  async listarRegras({ apenasAtivas = false } = {}) {
+    await this.pronto();
+    const rows = await this.db.all(
+      `SELECT * FROM regras ${apenasAtivas ? 'WHERE ativa = 1' : ''} ORDER BY id ASC`
+    );
+    return rows.map(mapearRegra);
+  }
+
+  async getRegra(id) {
+    await this.pronto();
+    return mapearRegra(await this.db.get(`SELECT * FROM regras WHERE id = ?`, [id]));
+  }
+
+  /**
+   * Cria a regra (já validada pelo serviço) e retorna o registro gravado.
+   * @param {Object} regra
+   * @returns {Promise<Object>}
+   */
+  async criarRegra(regra) {
+    await this.pronto();
+    const agora = Date.now();
+    const { lastID } = await this.db.run(
+      `INSERT INTO regras (nome, tipo, alvo, limiar, janelaHoras, cooldownMin, canais, ativa, criadoEm, atualizadoEm)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        regra.nome,
+        regra.tipo,
+        regra.alvo,
+        regra.limiar,
+        regra.janelaHoras,
+        regra.cooldownMin,
+        JSON.stringify(regra.canais),
+        regra.ativa ? 1 : 0,
+        agora,
+        agora
+      ]
+    );
+    return this.getRegra(lastID);
+  }
+
+  /**
+   * Substitui os campos da regra. Retorna null se ela não existir.
+   * @param {number} id
+   * @param {Object} regra
+   * @returns {Promise<Object|null>}
+   */
+  async atualizarRegra(id, regra) {
+    await this.pronto();
+    const { changes } = await this.db.run(
+      `UPDATE regras
+        SET nome = ?, tipo = ?, alvo = ?, limiar = ?, janelaHoras = ?, cooldownMin = ?,
+          canais = ?, ativa = ?, atualizadoEm = ?
+       WHERE id = ?`,
+      [
+        regra.nome,
+        regra.tipo,
+        regra.alvo,
+        regra.limiar,
+        regra.janelaHoras,
+        regra.cooldownMin,
+        JSON.stringify(regra.canais),
+        regra.ativa ? 1 : 0,
+        Date.now(),
+        id
+      ]
+    );
+    return changes ? this.getRegra(id) : null;
+  }
+
+  /**
+   * Remove a regra e o histórico de alertas dela.
+   * @param {number} id
+   * @returns {Promise<boolean>} True se a regra existia
+   */
+  async removerRegra(id) {
+    await this.pronto();
+    await this.db.run(`DELETE FROM alertas WHERE regraId = ?`, [id]);
+    const { changes } = await this.db.run(`DELETE FROM regras WHERE id = ?`, [id]);
+    return changes > 0;
+  }
+
+  // == ALERTAS ==
+
+  async registrarAlerta(alerta) {
+    await this.pronto();
+    const { lastID } = await this.db.run(
+      `INSERT INTO alertas (regraId, disparadoEm, valor, limiar, detalhes, entregas)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        alerta.regraId,
+        alerta.disparadoEm,
+        alerta.valor,
+        alerta.limiar,
+        JSON.stringify(alerta.detalhes ?? {}),
+        JSON.stringify(alerta.entregas ?? [])
+      ]
+    );
+    return mapearAlerta(await this.db.get(`SELECT * FROM alertas WHERE id = ?`, [lastID]));
+  }
+
+  async atualizarEntregas(id, entregas) {
+    await this.pronto();
+    await this.db.run(`UPDATE alertas SET entregas = ? WHERE id = ?`, [JSON.stringify(entregas), id]);
+  }
+
+  /**
+   * Último alerta disparado por uma regra (usado no cooldown).
+   * @param {number} regraId
+   * @returns {Promise<Object|null>}
+   */
+  async getUltimoAlerta(regraId) {
+    await this.pronto();
+    return mapearAlerta(await this.db.get(
+      `SELECT * FROM alertas WHERE regraId = ? ORDER BY disparadoEm DESC, id DESC LIMIT 1`,
+      [regraId]
+    ));
+  }
+
+  async listarAlertas({ regraId, limit = 100 } = {}) {
+    await this.pronto();
+    const rows = regraId
+      ? await this.db.all(
+        `SELECT * FROM alertas WHERE regraId = ? ORDER BY disparadoEm DESC, id DESC LIMIT ?`,
+        [regraId, limit]
+      )
+      : await this.db.all(`SELECT * FROM alertas ORDER BY disparadoEm DESC, id DESC LIMIT ?`, [limit]);
+    return rows.map(mapearAlerta);
+  }
+
+  async limparTodos() {
+    await this.pronto();
+    await this.db.run('DELETE FROM alertas');
+    await this.db.run('DELETE FROM regras');
+  }
+}
+
+function mapearRegra(row) {
+  if (!row) return null;
+  return { ...row, canais: JSON.parse(row.canais), ativa: row.ativa === 1 };
+}
+
+function mapearAlerta(row) {
+  if (!row) return null;
+  return { ...row, detalhes: JSON.parse(row.detalhes ?? '{}'), entregas: JSON.parse(row.entregas ?? '[]') };
+}
+
+export { AlertStore }; // Exporta a classe (ex: bancos de teste)
+
+export default new AlertStore();
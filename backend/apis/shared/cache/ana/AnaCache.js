@@ -0,0 +1,475 @@
+// apis/shared/cache/ana/AnaCache.js
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * 🔁 COLUNAS_LEITURA
+ *
+ * Coluna da tabela → campo da leitura no HidroWeb (série telemétrica adotada).
+ * As consultas devolvem as linhas com os nomes do HidroWeb, para que quem consumia a API da ANA
+ * direto (ex: `StationSeriesService.normalizarLeituras`) leia o arquivo sem adaptação.
+ */
+const COLUNAS_LEITURA = {
+  codigoEstacao: 'codigoestacao',
+  dataHoraMedicao: 'Data_Hora_Medicao',
+  cota: 'Cota_Adotada',
+  cotaStatus: 'Cota_Adotada_Status',
+  vazao: 'Vazao_Adotada',
+  vazaoStatus: 'Vazao_Adotada_Status',
+  chuva: 'Chuva_Adotada',
+  chuvaStatus: 'Chuva_Adotada_Status',
+  dataAtualizacao: 'Data_Atualizacao'
+};
+
+const SELECT_LEITURA = Object.entries(COLUNAS_LEITURA)
+  .map(([coluna, campo]) => `${coluna} AS ${campo}`)
+  .join(', ');
+
+/**
+ * 🌊 AnaCache
+ *
+ * Arquivo local das leituras telemétricas da ANA: uma linha por estação e `Data_Hora_Medicao`,
+ * mais o controle de sincronização de cada estação (desde quando o arquivo cobre a estação e o último erro).
+ */
+class AnaCache {
+  constructor(customDbPath = null) {
+    this.dbPath = customDbPath || path.join(
+      // eslint-disable-next-line no-undef
+      process.cwd(),
+      'apis', 'shared', 'cache', 'ana', 'anacache.db'
+    );
+    this.db = null;
+    // Inicialização sob demanda: importar o módulo não abre (nem altera) o banco
+    this.ready = null;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e criado antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
+  }
+
+  async initDb() {
+    if (this.dbPath !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS leituras_ana (
+        codigoEstacao    TEXT NOT NULL,
+        dataHoraMedicao  TEXT NOT NULL,
+        cota             REAL,
+        cotaStatus       TEXT,
+        vazao            REAL,
+        vazaoStatus      TEXT,
+        chuva            REAL,
+        chuvaStatus      TEXT,
+        dataAtualizacao  TEXT,
+        criado_em        INTEGER,
+        PRIMARY KEY (codigoEstacao, dataHoraMedicao)
+      ) WITHOUT ROWID;
+
+      CREATE INDEX IF NOT EXISTS idx_leituras_ana_data ON leituras_ana (dataHoraMedicao);
+
+      CREATE TABLE IF NOT EXISTS sincronizacao_ana (
+        codigoEstacao        TEXT PRIMARY KEY,
+        coberturaInicio      TEXT,
+        ultimaSincronizacao  INTEGER,
+        ultimoErro           TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS limiares_ana (
+        codigoEstacao        TEXT PRIMARY KEY,
+        cotaAtencao          REAL,
+        cotaAlerta           REAL,
+        cotaTransbordamento  REAL,
+        vazaoMinima          REAL,
+        atualizadoEm         INTEGER
+      );
+    `);
+  }
+
+  /**
+   * 💾 inserirLeituras
+   *
+   * Grava leituras no formato do HidroWeb. Uma leitura já arquivada (mesma estação e `Data_Hora_Medicao`)
+   * é sobrescrita, pois a ANA revisa os valores adotados depois da transmissão.
+   * Leituras sem estação ou sem data/hora são descartadas.
+   *
+   * @param {Array<Object>} leituras - Itens do HidroWeb (codigoestacao, Data_Hora_Medicao, Cota_Adotada...)
+   * @returns {Promise<{ novas: number, atualizadas: number }>}
+   */
+  async inserirLeituras(leituras) {
+    await this.pronto();
+    const registros = (Array.isArray(leituras) ? leituras : [leituras])
+      .map(leitura => this.#normalizarLeitura(leitura))
+      .filter(Boolean);
+
+    let novas = 0;
+    let atualizadas = 0;
+    if (!registros.length) return { novas, atualizadas };
+
+    const colunas = Object.keys(COLUNAS_LEITURA);
+    const inserir = await this.db.prepare(`
+      INSERT OR IGNORE INTO leituras_ana (${colunas.join(', ')}, criado_em)
+      VALUES (${colunas.map(() => '?').join(', ')}, ?)
+    `);
+    const atualizar = await this.db.prepare(`
+      UPDATE leituras_ana
+      SET cota = ?, cotaStatus = ?, vazao = ?, vazaoStatus = ?, chuva = ?, chuvaStatus = ?, dataAtualizacao = ?
+      WHERE codigoEstacao = ? AND dataHoraMedicao = ?
+        AND (cota IS NOT ? OR vazao IS NOT ? OR chuva IS NOT ? OR dataAtualizacao IS NOT ?)
+    `);
+
+    const agora = Date.now();
+    await this.db.exec('BEGIN');
+    try {
+      for (const r of registros) {
+        const { changes } = await inserir.run(...colunas.map(coluna => r[coluna]), agora);
+        if (changes) {
+          novas++;
+          continue;
+        }
+
+        const resultado = await atualizar.run(
+          r.cota, r.cotaStatus, r.vazao, r.vazaoStatus, r.chuva, r.chuvaStatus, r.dataAtualizacao,
+          r.codigoEstacao, r.dataHoraMedicao,
+          r.cota, r.vazao, r.chuva, r.dataAtualizacao
+        );
+        if (resultado.changes) atualizadas++;
+      }
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      await inserir.finalize();
+      await atualizar.finalize();
+    }
+
+    return { novas, atualizadas };
+  }
+
+  /**
+   * 📅 listarLeituras
+   *
+   * Leituras de uma estação entre duas datas (inclusivas, horário de Brasília), em ordem cronológica.
+   *
+   * @param {string} codigo - Código da estação
+   * @param {Object} params
+   * @param {string} params.inicio - Data inicial (YYYY-MM-DD)
+   * @param {string} params.fim - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} Leituras no formato do HidroWeb
+   */
+  async listarLeituras(codigo, { inicio, fim }) {
+    await this.pronto();
+    return this.db.all(
+      `SELECT ${SELECT_LEITURA} FROM leituras_ana
+       WHERE codigoEstacao = ? AND dataHoraMedicao >= ? AND dataHoraMedicao <= ?
+       ORDER BY dataHoraMedicao ASC`,
+      [String(codigo), inicio, `${fim} 23:59:59`]
+    );
+  }
+
+  /**
+   * 🕒 leiturasDesde
+   *
+   * Leituras de todas as estações a partir de um horário (inclusive), da mais recente para a mais antiga.
+   *
+   * @param {string} dataHora - Horário de Brasília no formato "YYYY-MM-DD HH:mm:ss"
+   * @returns {Promise<Array<Object>>} Leituras no formato do HidroWeb
+   */
+  async leiturasDesde(dataHora) {
+    await this.pronto();
+    return this.db.all(
+      `SELECT ${SELECT_LEITURA} FROM leituras_ana
+       WHERE dataHoraMedicao >= ?
+       ORDER BY codigoEstacao ASC, dataHoraMedicao DESC`,
+      [dataHora]
+    );
+  }
+
+  /**
+   * 🔚 ultimasLeituras
+   *
+   * Horário da leitura mais recente de cada estação arquivada.
+   *
+   * @returns {Promise<Map<string, string>>} codigoEstacao → "YYYY-MM-DD HH:mm:ss"
+   */
+  async ultimasLeituras() {
+    await this.pronto();
+    const rows = await this.db.all(
+      'SELECT codigoEstacao, MAX(dataHoraMedicao) AS ultima FROM leituras_ana GROUP BY codigoEstacao'
+    );
+    return new Map(rows.map(({ codigoEstacao, ultima }) => [codigoEstacao, ultima]));
+  }
+
+  /**
+   * 🎯 ultimosValores
+   *
+   * Cota e vazão mais recentes (não nulas) de cada estação, a partir de um horário.
+   *
+   * @param {string} desde - Horário de Brasília no formato "YYYY-MM-DD HH:mm:ss"
+   * @returns {Promise<Map<string, { cota: Object|null, vazao: Object|null }>>} codigoEstacao →
+   *   { cota: { valor, dataHora }, vazao: { valor, dataHora } }
+   */
+  async ultimosValores(desde) {
+    await this.pronto();
+    const valores = new Map();
+
+    for (const coluna of ['cota', 'vazao']) {
+      // Com MAX(), o SQLite devolve as demais colunas da linha que tem o máximo
+      const rows = await this.db.all(
+        `SELECT codigoEstacao, MAX(dataHoraMedicao) AS dataHora, ${coluna} AS valor FROM leituras_ana
+         WHERE ${coluna} IS NOT NULL AND dataHoraMedicao >= ?
+         GROUP BY codigoEstacao`,
+        [desde]
+      );
+      for (const { codigoEstacao, dataHora, valor } of rows) {
+        if (!valores.has(codigoEstacao)) valores.set(codigoEstacao, { cota: null, vazao: null });
+        valores.get(codigoEstacao)[coluna] = { valor, dataHora };
+      }
+    }
+
+    return valores;
+  }
+
+  /**
+   * 🌧️ acumularChuva
+   *
+   * Soma de `Chuva_Adotada` de cada estação em várias janelas que terminam no mesmo horário.
+   *
+   * @param {Object<string, string>} inicios - Nome da janela → início ("YYYY-MM-DD HH:mm:ss", inclusivo)
+   * @param {string} fim - Fim comum das janelas ("YYYY-MM-DD HH:mm:ss", inclusivo)
+   * @returns {Promise<Map<string, Object<string, { soma: number|null, leituras: number }>>>} codigoEstacao →
+   *   janela → soma em mm (null se a estação não tem leituras de chuva na janela) e quantidade de leituras
+   */
+  async acumularChuva(inicios, fim) {
+    await this.pronto();
+    const janelas = Object.entries(inicios);
+    if (!janelas.length) return new Map();
+
+    const colunas = janelas.map((_, i) =>
+      `SUM(CASE WHEN dataHoraMedicao >= ? THEN chuva END) AS soma${i}, COUNT(CASE WHEN dataHoraMedicao >= ? THEN 1 END) AS leituras${i}`
+    );
+    const maisAntigo = janelas.map(([, inicio]) => inicio).sort()[0];
+
+    const rows = await this.db.all(
+      `SELECT codigoEstacao, ${colunas.join(', ')} FROM leituras_ana
+       WHERE chuva IS NOT NULL AND dataHoraMedicao >= ? AND dataHoraMedicao <= ?
+       GROUP BY codigoEstacao`,
+      [...janelas.flatMap(([, inicio]) => [inicio, inicio]), maisAntigo, fim]
+    );
+
+    return new Map(rows.map(row => [
+      row.codigoEstacao,
+      Object.fromEntries(janelas.map(([nome], i) => [nome, { soma: row[`soma${i}`], leituras: row[`leituras${i}`] }]))
+    ]));
+  }
+
+  /**
+   * 📌 sincronizacao
+   *
+   * @param {string} codigo - Código da estação
+   * @returns {Promise<Object|null>} { codigoEstacao, coberturaInicio, ultimaSincronizacao, ultimoErro } ou null
+   */
+  async sincronizacao(codigo) {
+    await this.pronto();
+    const row = await this.db.get('SELECT * FROM sincronizacao_ana WHERE codigoEstacao = ?', [String(codigo)]);
+    return row ?? null;
+  }
+
+  /**
+   * 📋 sincronizacoes
+   *
+   * @returns {Promise<Map<string, Object>>} codigoEstacao → controle de sincronização (ver `sincronizacao`)
+   */
+  async sincronizacoes() {
+    await this.pronto();
+    const rows = await this.db.all('SELECT * FROM sincronizacao_ana');
+    return new Map(rows.map(row => [row.codigoEstacao, row]));
+  }
+
+  /**
+   * 📝 registrarSincronizacao
+   *
+   * Atualiza o controle de sincronização da estação. `coberturaInicio` só recua: o arquivo nunca
+   * passa a cobrir menos dias do que já cobria.
+   *
+   * @param {string} codigo - Código da estação
+   * @param {Object} params
+   * @param {string} [params.coberturaInicio] - Primeiro dia (YYYY-MM-DD) já baixado para a estação
+   * @param {string|null} [params.erro=null] - Mensagem da falha, se a sincronização falhou
+   * @returns {Promise<void>}
+   */
+  async registrarSincronizacao(codigo, { coberturaInicio = null, erro = null } = {}) {
+    await this.pronto();
+    await this.db.run(
+      `INSERT INTO sincronizacao_ana (codigoEstacao, coberturaInicio, ultimaSincronizacao, ultimoErro)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (codigoEstacao) DO UPDATE SET
+         coberturaInicio = CASE
+           WHEN excluded.coberturaInicio IS NULL THEN coberturaInicio
+           WHEN coberturaInicio IS NULL OR excluded.coberturaInicio < coberturaInicio THEN excluded.coberturaInicio
+           ELSE coberturaInicio
+         END,
+         ultimaSincronizacao = excluded.ultimaSincronizacao,
+         ultimoErro = excluded.ultimoErro`,
+      [String(codigo), coberturaInicio, Date.now(), erro]
+    );
+  }
+
+  // LIMIARES
+
+  /**
+   * 📏 listarLimiares
+   *
+   * @returns {Promise<Array<Object>>} { codigoEstacao, cotaAtencao, cotaAlerta, cotaTransbordamento, vazaoMinima, atualizadoEm }
+   */
+  async listarLimiares() {
+    await this.pronto();
+    const rows = await this.db.all('SELECT * FROM limiares_ana ORDER BY codigoEstacao ASC');
+    return rows.map(row => this.#mapearLimiar(row));
+  }
+
+  async getLimiar(codigo) {
+    await this.pronto();
+    const row = await this.db.get('SELECT * FROM limiares_ana WHERE codigoEstacao = ?', [String(codigo)]);
+    return row ? this.#mapearLimiar(row) : null;
+  }
+
+  /**
+   * 💾 salvarLimiar
+   *
+   * Cria ou substitui os limiares da estação.
+   *
+   * @param {string} codigo - Código da estação
+   * @param {Object} limiar - { cotaAtencao, cotaAlerta, cotaTransbordamento, vazaoMinima } (null = não avaliado)
+   * @returns {Promise<Object>} Limiar gravado
+   */
+  async salvarLimiar(codigo, { cotaAtencao = null, cotaAlerta = null, cotaTransbordamento = null, vazaoMinima = null }) {
+    await this.pronto();
+    await this.db.run(
+      `INSERT OR REPLACE INTO limiares_ana
+         (codigoEstacao, cotaAtencao, cotaAlerta, cotaTransbordamento, vazaoMinima, atualizadoEm)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [String(codigo), cotaAtencao, cotaAlerta, cotaTransbordamento, vazaoMinima, Date.now()]
+    );
+    return this.getLimiar(codigo);
+  }
+
+  /**
+   * @returns {Promise<boolean>} true se a estação tinha limiares
+   */
+  async removerLimiar(codigo) {
+    await this.pronto();
+    const { changes } = await this.db.run('DELETE FROM limiares_ana WHERE codigoEstacao = ?', [String(codigo)]);
+    return changes > 0;
+  }
+
+  /**
+   * 📊 resumo
+   *
+   * @returns {Promise<Object>} { leituras, estacoes, ultimaLeitura, ultimaSincronizacao, estacoesComErro }
+   */
+  async resumo() {
+    await this.pronto();
+    const leituras = await this.db.get(
+      'SELECT COUNT(*) AS total, COUNT(DISTINCT codigoEstacao) AS estacoes, MAX(dataHoraMedicao) AS ultima FROM leituras_ana'
+    );
+    const sincronizacao = await this.db.get(
+      'SELECT MAX(ultimaSincronizacao) AS ultima, SUM(ultimoErro IS NOT NULL) AS comErro FROM sincronizacao_ana'
+    );
+
+    return {
+      leituras: leituras.total,
+      estacoes: leituras.estacoes,
+      ultimaLeitura: leituras.ultima ?? null,
+      ultimaSincronizacao: sincronizacao.ultima ? new Date(sincronizacao.ultima).toISOString() : null,
+      estacoesComErro: sincronizacao.comErro ?? 0
+    };
+  }
+
+  /**
+   * 🧹 limparTodos
+   *
+   * Remove todas as leituras e o controle de sincronização (os limiares configurados são mantidos).
+   *
+   * @returns {Promise<number>} Quantidade de leituras removidas
+   */
+  async limparTodos() {
+    await this.pronto();
+    const { changes } = await this.db.run('DELETE FROM leituras_ana');
+    await this.db.run('DELETE FROM sincronizacao_ana');
+    return changes;
+  }
+
+  // == Privados ==
+
+  #mapearLimiar(row) {
+    return {
+      codigoEstacao: row.codigoEstacao,
+      cotaAtencao: row.cotaAtencao,
+      cotaAlerta: row.cotaAlerta,
+      cotaTransbordamento: row.cotaTransbordamento,
+      vazaoMinima: row.vazaoMinima,
+      atualizadoEm: row.atualizadoEm ? new Date(row.atualizadoEm).toISOString() : null
+    };
+  }
+
+  /**
+   * Converte a leitura do HidroWeb para as colunas da tabela: data/hora sem o ".0" final
+   * e valores numéricos com vírgula decimal convertidos.
+   * @private
+   */
+  #normalizarLeitura(leitura) {
+    const codigoEstacao = String(leitura?.codigoestacao ?? '').trim();
+    const dataHoraMedicao = String(leitura?.Data_Hora_Medicao ?? '').slice(0, 19);
+    if (!codigoEstacao || !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(dataHoraMedicao)) return null;
+
+    return {
+      codigoEstacao,
+      dataHoraMedicao,
+      cota: numero(leitura.Cota_Adotada),
+      cotaStatus: texto(leitura.Cota_Adotada_Status),
+      vazao: numero(leitura.Vazao_Adotada),
+      vazaoStatus: texto(leitura.Vazao_Adotada_Status),
+      chuva: numero(leitura.Chuva_Adotada),
+      chuvaStatus: texto(leitura.Chuva_Adotada_Status),
+      dataAtualizacao: texto(leitura.Data_Atualizacao)
+    };
+  }
+}
+
+// == Helpers ==
+
+function numero(valor) {
+  if (valor === null || valor === undefined || valor === '') return null;
+  const convertido = Number(String(valor).replace(',', '.'));
+  return Number.isFinite(convertido) ? convertido : null;
+}
+
+function texto(valor) {
+  if (valor === null || valor === undefined || valor === '') return null;
+  return String(valor);
+}
+
+export { AnaCache }; // Exporta a classe (ex: bancos de teste)
+
+export default new AnaCache();
@@ -0,0 +1,185 @@
+// apis/shared/cache/apiKeys/ApiKeyStore.js
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 🗝️ ApiKeyStore
+ *
+ * Persistência SQLite das chaves de API emitidas para clientes externos e do uso diário de cada uma.
+ * As chaves são guardadas apenas como hash SHA-256.
+ */
+class ApiKeyStore {
+  constructor(customDbPath = null) {
+    this.dbPath = customDbPath || path.join(
+      process.cwd(),
+      'apis', 'shared', 'cache', 'apiKeys', 'apikeys.db'
+    );
+    this.db = null;
+    // Inicialização sob demanda: importar o módulo não cria o banco
+    this.ready = null;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e as tabelas criadas antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
+  }
+
+  async initDb() {
+    if (this.dbPath !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chaves_api (
+        id               INTEGER PRIMARY KEY AUTOINCREMENT,
+        nome             TEXT NOT NULL,
+        prefixo          TEXT NOT NULL,
+        chaveHash        TEXT NOT NULL UNIQUE,
+        limitePorMinuto  INTEGER NOT NULL,
+        cotaDiaria       INTEGER NOT NULL,
+        criadoEm         INTEGER,
+        ultimoUsoEm      INTEGER,
+        revogadaEm       INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS uso_diario (
+        chaveId      INTEGER NOT NULL,
+        dia          TEXT NOT NULL,
+        requisicoes  INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (chaveId, dia)
+      );
+    `);
+  }
+
+  // == CHAVES ==
+
+  async listarChaves() {
+    await this.pronto();
+    const rows = await this.db.all(`SELECT * FROM chaves_api ORDER BY id ASC`);
+    return rows.map(semHash);
+  }
+
+  async getChave(id) {
+    await this.pronto();
+    return semHash(await this.db.get(`SELECT * FROM chaves_api WHERE id = ?`, [id]));
+  }
+
+  async getChavePorHash(chaveHash) {
+    await this.pronto();
+    return semHash(await this.db.get(`SELECT * FROM chaves_api WHERE chaveHash = ?`, [chaveHash]));
+  }
+
+  /**
+   * Grava a chave (já validada pelo serviço, com o hash) e retorna o registro sem o hash.
+   * @param {{ nome: string, prefixo: string, chaveHash: string, limitePorMinuto: number, cotaDiaria: number }} chave
+   * @returns {Promise<Object>}
+   */
+  async criarChave(chave) {
+    await this.pronto();
+    const { lastID } = await this.db.run(
+      `INSERT INTO chaves_api (nome, prefixo, chaveHash, limitePorMinuto, cotaDiaria, criadoEm)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [chave.nome, chave.prefixo, chave.chaveHash, chave.limitePorMinuto, chave.cotaDiaria, Date.now()]
+    );
+    return this.getChave(lastID);
+  }
+
+  /**
+   * Substitui nome e limites da chave. Retorna null se ela não existir.
+   * @param {number} id
+   * @param {{ nome: string, limitePorMinuto: number, cotaDiaria: number }} chave
+   * @returns {Promise<Object|null>}
+   */
+  async atualizarChave(id, chave) {
+    await this.pronto();
+    const { changes } = await this.db.run(
+      `UPDATE chaves_api SET nome = ?, limitePorMinuto = ?, cotaDiaria = ? WHERE id = ?`,
+      [chave.nome, chave.limitePorMinuto, chave.cotaDiaria, id]
+    );
+    return changes ? this.getChave(id) : null;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<boolean>} True se a chave existia e ainda não estava revogada
+   */
+  async revogarChave(id) {
+    await this.pronto();
+    const { changes } = await this.db.run(
+      `UPDATE chaves_api SET revogadaEm = ? WHERE id = ? AND revogadaEm IS NULL`,
+      [Date.now(), id]
+    );
+    return changes > 0;
+  }
+
+  // == USO ==
+
+  /**
+   * ➕ registrarUso
+   *
+   * Soma uma requisição ao uso do dia, desde que a cota não tenha sido atingida.
+   * A verificação e o incremento ocorrem no mesmo UPDATE, então requisições concorrentes não ultrapassam a cota.
+   *
+   * @param {number} chaveId
+   * @param {string} dia - 'YYYY-MM-DD'
+   * @param {number} cota - Máximo de requisições no dia
+   * @returns {Promise<{ permitido: boolean, requisicoes: number }>}
+   */
+  async registrarUso(chaveId, dia, cota) {
+    await this.pronto();
+    await this.db.run(
+      `INSERT OR IGNORE INTO uso_diario (chaveId, dia, requisicoes) VALUES (?, ?, 0)`,
+      [chaveId, dia]
+    );
+    const { changes } = await this.db.run(
+      `UPDATE uso_diario SET requisicoes = requisicoes + 1 WHERE chaveId = ? AND dia = ? AND requisicoes < ?`,
+      [chaveId, dia, cota]
+    );
+    if (changes) {
+      await this.db.run(`UPDATE chaves_api SET ultimoUsoEm = ? WHERE id = ?`, [Date.now(), chaveId]);
+    }
+    return { permitido: changes > 0, requisicoes: await this.getUso(chaveId, dia) };
+  }
+
+  async getUso(chaveId, dia) {
+    await this.pronto();
+    const row = await this.db.get(
+      `SELECT requisicoes FROM uso_diario WHERE chaveId = ? AND dia = ?`,
+      [chaveId, dia]
+    );
+    return row?.requisicoes ?? 0;
+  }
+
+  async limparTodos() {
+    await this.pronto();
+    await this.db.run('DELETE FROM uso_diario');
+    await this.db.run('DELETE FROM chaves_api');
+  }
+}
+
+function semHash(row) {
+  if (!row) return null;
+  const { chaveHash: _chaveHash, ...chave } = row;
+  return chave;
+}
+
+export { ApiKeyStore }; // Exporta a classe (ex: bancos de teste)
+
+export default new ApiKeyStore();
@@ -0,0 +1,215 @@
+// FILE_PATH: backend/apis/shared/cache/backends/CacheStore.js
+
+/**
+ * 📦 Cache com stale-while-revalidate sobre um backend plugável (memória, SQLite ou Redis).
+ *
+ * Cada entrada tem dois prazos: até `frescoAte` é servida direto; até `expiraEm` ainda é servida,
+ * mas dispara uma recarga em segundo plano; depois disso é carregada na hora.
+ * Falhas do backend nunca quebram a consulta: contam como erro e o valor é carregado normalmente.
+ */
+
+import MemoryCacheBackend from '#shared_cache_backends/MemoryCacheBackend.js';
+import SqliteCacheBackend from '#shared_cache_backends/SqliteCacheBackend.js';
+import RedisCacheBackend from '#shared_cache_backends/RedisCacheBackend.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+export const ERRO_BACKEND_CACHE = 'Backend de cache inválido';
+
+/**
+ * 🏭 criarBackendCache
+ *
+ * @param {Object} config
+ * @param {string} config.backend - memory | sqlite | redis
+ * @param {string} [config.sqlitePath] - Arquivo do backend sqlite (padrão: apis/shared/cache/backends/cache.db)
+ * @param {string} [config.redisUrl] - URL do backend redis (redis://[:senha@]host[:porta][/db])
+ * @returns {Object} Backend com get, set, delete, limpar e fechar
+ * @throws {Error} Se o backend não existir ou faltar a URL do redis
+ */
+export function criarBackendCache({ backend, sqlitePath, redisUrl }) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryCacheBackend();
+    case 'sqlite':
+      return new SqliteCacheBackend(sqlitePath || null);
+    case 'redis':
+      if (!redisUrl) throw new Error(`${ERRO_BACKEND_CACHE}: informe a URL do servidor (CACHE_REDIS_URL)`);
+      return new RedisCacheBackend(redisUrl);
+    default:
+      throw new Error(`${ERRO_BACKEND_CACHE}: "${backend}" (aceitos: memory, sqlite, redis)`);
+  }
+}
+
+/**
+ * 📦 CacheStore
+ *
+ * Chaves organizadas por namespace ("sensor", "fireStats"...), com métricas por namespace e
+ * deduplicação das cargas em andamento (no processo).
+ */
+export default class CacheStore {
+  #backend;
+  #metricas = new Map();
+  #emAndamento = new Map();
+
+  constructor(backend) {
+    this.#backend = backend;
+  }
+
+  get backend() {
+    return this.#backend.nome;
+  }
+
+  /**
+   * 🔎 obter
+   *
+   * Valor da chave no cache ou, quando ausente/expirado, o resultado de `carregar` (que passa a ser guardado).
+   * Entradas obsoletas são servidas enquanto `carregar` roda em segundo plano.
+   * Erros de `carregar` não são guardados: propagam para quem esperava o valor.
+   *
+   * @param {string} namespace
+   * @param {string} chave
+   * @param {() => Promise<*>} carregar - Produz o valor (deve ser serializável em JSON)
+   * @param {Object} options
+   * @param {number} options.ttlMs - Tempo em que a entrada é servida sem recarga
+   * @param {number} [options.obsoletoMs=0] - Tempo extra, após o TTL, em que a entrada ainda é servida enquanto recarrega
+   * @param {boolean} [options.forcar=false] - Ignora o valor guardado e recarrega (o resultado substitui a entrada)
+   * @returns {Promise<*>}
+   */
+  async obter(namespace, chave, carregar, { ttlMs, obsoletoMs = 0, forcar = false }) {
+    const chaveCompleta = `${namespace}:${chave}`;
+    const metricas = this.#metricasDe(namespace);
+    const prazos = { ttlMs, obsoletoMs };
+
+    if (!forcar) {
+      const entrada = await this.#ler(chaveCompleta, metricas);
+
+      if (entrada && Date.now() < entrada.frescoAte) {
+        metricas.acertos += 1;
+        return entrada.valor;
+      }
+
+      if (entrada) {
+        metricas.obsoletos += 1;
+        if (!this.#emAndamento.has(chaveCompleta)) {
+          metricas.revalidacoes += 1;
+          this.#carregar(chaveCompleta, carregar, prazos, metricas).catch(error => {
+            debugLog('Falha ao revalidar entrada obsoleta do cache', {
+              chave: chaveCompleta,
+              mensagem: error.message,
+              origem: 'CacheStore.obter'
+            });
+          });
+        }
+        return entrada.valor;
+      }
+
+      metricas.faltas += 1;
+    }
+
+    return this.#carregar(chaveCompleta, carregar, prazos, metricas);
+  }
+
+  /**
+   * ❌ invalidar
+   *
+   * @param {string} namespace
+   * @param {string} chave
+   */
+  async invalidar(namespace, chave) {
+    try {
+      await this.#backend.delete(`${namespace}:${chave}`);
+    } catch (error) {
+      this.#registrarErro(this.#metricasDe(namespace), error, 'CacheStore.invalidar');
+    }
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * @param {string} [namespace] - Limpa só o namespace (ausente = todo o cache)
+   */
+  async limpar(namespace) {
+    try {
+      await this.#backend.limpar(namespace ? `${namespace}:` : '');
+    } catch (error) {
+      this.#registrarErro(this.#metricasDe(namespace ?? '*'), error, 'CacheStore.limpar');
+    }
+  }
+
+  /**
+   * 📊 metricas
+   *
+   * @returns {{ backend: string, namespaces: Object<string, Object> }} Por namespace: acertos (entradas frescas),
+   *   obsoletos (servidos enquanto recarregam), faltas (carregados na hora), revalidacoes, erros do backend
+   *   e taxaAcerto ((acertos + obsoletos) / consultas, null sem consultas)
+   */
+  metricas() {
+    const namespaces = {};
+    this.#metricas.forEach((metricas, namespace) => {
+      const atendidos = metricas.acertos + metricas.obsoletos;
+      const consultas = atendidos + metricas.faltas;
+      namespaces[namespace] = {
+        ...metricas,
+        taxaAcerto: consultas ? Number((atendidos / consultas).toFixed(4)) : null
+      };
+    });
+    return { backend: this.backend, namespaces };
+  }
+
+  zerarMetricas() {
+    this.#metricas.clear();
+  }
+
+  async fechar() {
+    await this.#backend.fechar();
+  }
+
+  // == Privados ==
+
+  #metricasDe(namespace) {
+    if (!this.#metricas.has(namespace)) {
+      this.#metricas.set(namespace, { acertos: 0, obsoletos: 0, faltas: 0, revalidacoes: 0, erros: 0 });
+    }
+    return this.#metricas.get(namespace);
+  }
+
+  async #ler(chave, metricas) {
+    try {
+      return await this.#backend.get(chave);
+    } catch (error) {
+      this.#registrarErro(metricas, error, 'CacheStore.ler');
+      return null;
+    }
+  }
+
+  /**
+   * Executa `carregar` uma única vez por chave (chamadas simultâneas aguardam a mesma carga) e grava o resultado.
+   * @private
+   */
+  #carregar(chave, carregar, { ttlMs, obsoletoMs }, metricas) {
+    if (this.#emAndamento.has(chave)) return this.#emAndamento.get(chave);
+
+    const promessa = (async () => {
+      const valor = await carregar();
+      const agora = Date.now();
+      try {
+        await this.#backend.set(chave, { valor, frescoAte: agora + ttlMs, expiraEm: agora + ttlMs + obsoletoMs });
+      } catch (error) {
+        this.#registrarErro(metricas, error, 'CacheStore.gravar');
+      }
+      return valor;
+    })().finally(() => this.#emAndamento.delete(chave));
+
+    this.#emAndamento.set(chave, promessa);
+    return promessa;
+  }
+
+  #registrarErro(metricas, error, origem) {
+    metricas.erros += 1;
+    debugLog('Erro no backend de cache', {
+      backend: this.backend,
+      mensagem: error.message,
+      origem
+    });
+  }
+}
@@ -0,0 +1,56 @@
+// FILE_PATH: backend/apis/shared/cache/backends/MemoryCacheBackend.js
+
+/**
+ * 🧠 MemoryCacheBackend
+ *
+ * Backend de cache em memória do processo (padrão). Não sobrevive a reinícios nem é compartilhado
+ * entre instâncias; ao passar de `maxEntradas`, descarta as entradas gravadas há mais tempo.
+ *
+ * Todos os backends guardam entradas { valor, frescoAte, expiraEm } (timestamps em ms) e expõem
+ * `get`, `set`, `delete`, `limpar` e `fechar`, todos assíncronos (ver `CacheStore`).
+ */
+export default class MemoryCacheBackend {
+  constructor({ maxEntradas = 500 } = {}) {
+    this.nome = 'memory';
+    this.maxEntradas = maxEntradas;
+    this.entradas = new Map();
+  }
+
+  async get(chave) {
+    const entrada = this.entradas.get(chave);
+    if (!entrada) return null;
+    if (entrada.expiraEm <= Date.now()) {
+      this.entradas.delete(chave);
+      return null;
+    }
+    return entrada;
+  }
+
+  async set(chave, entrada) {
+    this.entradas.delete(chave);
+    this.entradas.set(chave, entrada);
+    if (this.entradas.size > this.maxEntradas) {
+      this.entradas.delete(this.entradas.keys().next().value);
+    }
+  }
+
+  async delete(chave) {
+    this.entradas.delete(chave);
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * @param {string} [prefixo=''] - Remove apenas as chaves com esse prefixo (vazio = todas)
+   */
+  async limpar(prefixo = '') {
+    if (!prefixo) return this.entradas.clear();
+    for (const chave of [...this.entradas.keys()]) {
+      if (chave.startsWith(prefixo)) this.entradas.delete(chave);
+    }
+  }
+
+  async fechar() {
+    this.entradas.clear();
+  }
+}
@@ -0,0 +1,66 @@
+// FILE_PATH: backend/apis/shared/cache/backends/RedisCacheBackend.js
+
+import RespClient from '#shared_cache_backends/RespClient.js';
+
+// Chaves removidas por rodada do SCAN em `limpar`
+const SCAN_LOTE = 500;
+
+/**
+ * 🟥 RedisCacheBackend
+ *
+ * Backend de cache em um servidor com protocolo Redis (Redis, KeyDB, Valkey...), compartilhado
+ * por todas as instâncias do backend. A expiração fica a cargo do servidor (SET ... PX).
+ * As chaves recebem o prefixo `prefixo` para conviver com outros dados no mesmo banco.
+ */
+export default class RedisCacheBackend {
+  /**
+   * @param {string} url - redis://[:senha@]host[:porta][/db]
+   * @param {Object} [options]
+   * @param {string} [options.prefixo='monitora:cache:']
+   * @param {number} [options.timeoutMs=2000] - Tempo máximo de espera por resposta
+   */
+  constructor(url, { prefixo = 'monitora:cache:', timeoutMs = 2000 } = {}) {
+    this.nome = 'redis';
+    this.prefixo = prefixo;
+    this.cliente = new RespClient(url, { timeoutMs });
+  }
+
+  async get(chave) {
+    const valor = await this.cliente.comando('GET', this.prefixo + chave);
+    return valor === null ? null : JSON.parse(valor);
+  }
+
+  async set(chave, entrada) {
+    const ttlMs = Math.max(Math.ceil(entrada.expiraEm - Date.now()), 1);
+    await this.cliente.comando('SET', this.prefixo + chave, JSON.stringify(entrada), 'PX', ttlMs);
+  }
+
+  async delete(chave) {
+    await this.cliente.comando('DEL', this.prefixo + chave);
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * Remove as chaves do cache via SCAN (sem bloquear o servidor como KEYS).
+   *
+   * @param {string} [prefixo=''] - Remove apenas as chaves com esse prefixo (vazio = todas do cache)
+   */
+  async limpar(prefixo = '') {
+    const padrao = `${escaparGlob(this.prefixo + prefixo)}*`;
+    let cursor = '0';
+    do {
+      const [proximo, chaves] = await this.cliente.comando('SCAN', cursor, 'MATCH', padrao, 'COUNT', SCAN_LOTE);
+      if (chaves.length) await this.cliente.comando('DEL', ...chaves);
+      cursor = proximo;
+    } while (cursor !== '0');
+  }
+
+  async fechar() {
+    this.cliente.fechar();
+  }
+}
+
+function escaparGlob(texto) {
+  return texto.replace(/[*?[\]\\]/g, '\\$&');
+}
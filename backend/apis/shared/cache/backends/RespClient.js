@@ -0,0 +1,192 @@
+// FILE_PATH: backend/apis/shared/cache/backends/RespClient.js
+
+import net from 'net';
+
+const CRLF = '\r\n';
+
+/**
+ * 📡 RespClient
+ *
+ * Cliente mínimo do protocolo RESP (Redis e compatíveis: KeyDB, Valkey, Dragonfly) sobre TCP.
+ * Envia comandos em sequência numa única conexão, aberta sob demanda e reaberta após quedas.
+ * Um comando sem resposta em `timeoutMs` encerra a conexão (as respostas seguintes ficariam fora de ordem).
+ */
+export default class RespClient {
+  /**
+   * @param {string} url - redis://[:senha@]host[:porta][/db]
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=2000] - Tempo máximo de espera por resposta
+   */
+  constructor(url, { timeoutMs = 2000 } = {}) {
+    const { hostname, port, password, pathname } = new URL(url);
+    this.host = hostname || '127.0.0.1';
+    this.port = Number(port) || 6379;
+    this.senha = password ? decodeURIComponent(password) : null;
+    this.db = Number(pathname.slice(1)) || 0;
+    this.timeoutMs = timeoutMs;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pendentes = [];
+  }
+
+  /**
+   * ▶️ comando
+   *
+   * @param {...(string|number)} args - Comando e argumentos (ex: 'SET', 'chave', 'valor', 'PX', 1000)
+   * @returns {Promise<string|number|null|Array>} Resposta decodificada; respostas de erro rejeitam a Promise
+   */
+  comando(...args) {
+    this.#conectar();
+    return this.#enviar(args);
+  }
+
+  /**
+   * 🔌 fechar
+   */
+  fechar() {
+    const socket = this.socket;
+    this.#encerrar(new Error('Conexão RESP encerrada pelo cliente'));
+    socket?.destroy();
+  }
+
+  // == Privados ==
+
+  #conectar() {
+    if (this.socket) return;
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setNoDelay(true);
+    // A conexão ociosa não impede o encerramento do processo
+    socket.unref();
+    // Eventos de uma conexão já substituída (ex: após timeout) são ignorados
+    socket.on('data', chunk => this.socket === socket && this.#receber(chunk));
+    socket.on('error', error => this.socket === socket && this.#encerrar(error));
+    socket.on('close', () => this.socket === socket && this.#encerrar(new Error('Conexão RESP encerrada')));
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    // Escritas antes do 'connect' ficam na fila do socket; erros de AUTH/SELECT reaparecem nos comandos seguintes
+    if (this.senha) this.#enviar(['AUTH', this.senha]).catch(() => {});
+    if (this.db) this.#enviar(['SELECT', this.db]).catch(() => {});
+  }
+
+  #enviar(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const erro = new Error(`Sem resposta do servidor RESP em ${this.timeoutMs} ms (${args[0]})`);
+        const socket = this.socket;
+        this.#encerrar(erro);
+        socket?.destroy();
+      }, this.timeoutMs);
+      timer.unref();
+
+      this.pendentes.push({ resolve, reject, timer });
+      this.socket.write(codificar(args));
+    });
+  }
+
+  #receber(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.pendentes.length) {
+      let lido;
+      try {
+        lido = decodificar(this.buffer, 0);
+      } catch (error) {
+        const socket = this.socket;
+        this.#encerrar(error);
+        return socket.destroy();
+      }
+      if (!lido) return;
+
+      this.buffer = this.buffer.subarray(lido.fim);
+      const { resolve, reject, timer } = this.pendentes.shift();
+      clearTimeout(timer);
+      if (lido.valor instanceof Error) reject(lido.valor);
+      else resolve(lido.valor);
+    }
+  }
+
+  /**
+   * Rejeita os comandos pendentes e libera a conexão para ser reaberta no próximo comando.
+   * @private
+   */
+  #encerrar(erro) {
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pendentes = this.pendentes.splice(0);
+    pendentes.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(erro);
+    });
+  }
+}
+
+// == Protocolo ==
+
+/**
+ * 📦 codificar
+ *
+ * Comando no formato RESP (array de bulk strings).
+ *
+ * @param {Array<string|number>} args
+ * @returns {Buffer}
+ */
+export function codificar(args) {
+  const partes = [`*${args.length}${CRLF}`];
+  for (const arg of args) {
+    const texto = String(arg);
+    partes.push(`$${Buffer.byteLength(texto)}${CRLF}${texto}${CRLF}`);
+  }
+  return Buffer.from(partes.join(''));
+}
+
+/**
+ * 🔍 decodificar
+ *
+ * Lê um valor RESP a partir de `inicio`.
+ *
+ * @param {Buffer} buffer
+ * @param {number} inicio
+ * @returns {{ valor: *, fim: number }|null} Valor (erros como instâncias de Error) e a posição seguinte,
+ *   ou null se o buffer ainda não tiver o valor completo
+ */
+export function decodificar(buffer, inicio) {
+  const fimLinha = buffer.indexOf(CRLF, inicio);
+  if (fimLinha === -1) return null;
+
+  const tipo = String.fromCharCode(buffer[inicio]);
+  const linha = buffer.toString('utf8', inicio + 1, fimLinha);
+  const aposLinha = fimLinha + 2;
+
+  switch (tipo) {
+    case '+':
+      return { valor: linha, fim: aposLinha };
+    case '-':
+      return { valor: new Error(linha), fim: aposLinha };
+    case ':':
+      return { valor: Number(linha), fim: aposLinha };
+    case '$': {
+      const tamanho = Number(linha);
+      if (tamanho === -1) return { valor: null, fim: aposLinha };
+      if (buffer.length < aposLinha + tamanho + 2) return null;
+      return { valor: buffer.toString('utf8', aposLinha, aposLinha + tamanho), fim: aposLinha + tamanho + 2 };
+    }
+    case '*': {
+      const total = Number(linha);
+      if (total === -1) return { valor: null, fim: aposLinha };
+      const itens = [];
+      let posicao = aposLinha;
+      for (let i = 0; i < total; i++) {
+        const item = decodificar(buffer, posicao);
+        if (!item) return null;
+        itens.push(item.valor);
+        posicao = item.fim;
+      }
+      return { valor: itens, fim: posicao };
+    }
+    default:
+      throw new Error(`Resposta RESP inválida (tipo "${tipo}")`);
+  }
+}
@@ -0,0 +1,118 @@
+// FILE_PATH: backend/apis/shared/cache/backends/SqliteCacheBackend.js
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+import path from 'path';
+
+// Gravações entre cada remoção das entradas expiradas
+const GRAVACOES_POR_LIMPEZA = 100;
+
+/**
+ * 🗄️ SqliteCacheBackend
+ *
+ * Backend de cache em arquivo SQLite: sobrevive a reinícios e pode ser compartilhado
+ * por instâncias na mesma máquina. Os valores são guardados como JSON.
+ */
+export default class SqliteCacheBackend {
+  constructor(customDbPath = null) {
+    this.nome = 'sqlite';
+    this.dbPath = customDbPath || path.join(
+      process.cwd(),
+      'apis', 'shared', 'cache', 'backends', 'cache.db'
+    );
+    this.db = null;
+    // Inicialização sob demanda: importar o módulo não cria o banco
+    this.ready = null;
+    this.gravacoes = 0;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e a tabela criada antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
+  }
+
+  async initDb() {
+    if (this.dbPath !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entradas (
+        chave      TEXT PRIMARY KEY,
+        valor      TEXT NOT NULL,
+        frescoAte  INTEGER NOT NULL,
+        expiraEm   INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_cache_entradas_expiraEm ON cache_entradas (expiraEm);
+    `);
+
+    await this.removerExpiradas();
+  }
+
+  async get(chave) {
+    await this.pronto();
+    const row = await this.db.get(
+      `SELECT valor, frescoAte, expiraEm FROM cache_entradas WHERE chave = ? AND expiraEm > ?`,
+      [chave, Date.now()]
+    );
+    if (!row) return null;
+    return { valor: JSON.parse(row.valor), frescoAte: row.frescoAte, expiraEm: row.expiraEm };
+  }
+
+  async set(chave, { valor, frescoAte, expiraEm }) {
+    await this.pronto();
+    await this.db.run(
+      `INSERT OR REPLACE INTO cache_entradas (chave, valor, frescoAte, expiraEm) VALUES (?, ?, ?, ?)`,
+      [chave, JSON.stringify(valor), frescoAte, expiraEm]
+    );
+
+    this.gravacoes += 1;
+    if (this.gravacoes % GRAVACOES_POR_LIMPEZA === 0) await this.removerExpiradas();
+  }
+
+  async delete(chave) {
+    await this.pronto();
+    await this.db.run(`DELETE FROM cache_entradas WHERE chave = ?`, [chave]);
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * @param {string} [prefixo=''] - Remove apenas as chaves com esse prefixo (vazio = todas)
+   */
+  async limpar(prefixo = '') {
+    await this.pronto();
+    await this.db.run(
+      `DELETE FROM cache_entradas WHERE substr(chave, 1, length(?)) = ?`,
+      [prefixo, prefixo]
+    );
+  }
+
+  async removerExpiradas() {
+    await this.db.run(`DELETE FROM cache_entradas WHERE expiraEm <= ?`, [Date.now()]);
+  }
+
+  async fechar() {
+    if (!this.ready) return;
+    await this.ready;
+    await this.db.close();
+    this.db = null;
+    this.ready = null;
+  }
+}
@@ -2,21 +2,75 @@
 
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
-import dayjs from 'dayjs';
 import path from 'path';
 import fs from 'fs';
 
 import { FireModel } from '#firms_models';
 
+/**
+ * 🔑 COLUNAS_UNICIDADE
+ *
+ * Colunas que identificam uma mesma detecção. Usadas no índice único que impede
+ * que ingestões repetidas da mesma janela dupliquem focos no arquivo histórico.
+ * `IFNULL` é necessário porque o SQLite considera NULLs sempre distintos em índices únicos.
+ */
+const COLUNAS_UNICIDADE = `
+  latitude, longitude, dataAquisicao, horaAquisicao,
+  IFNULL(nomeSatelite, ''), IFNULL(instrumentoSensor, '')
+`;
+
+/**
+ * 🧱 COLUNAS_ADICIONAIS
+ *
+ * Colunas acrescentadas após a criação original da tabela.
+ * Bancos antigos recebem essas colunas via `ALTER TABLE` em `#migrarEsquema`.
+ */
+const COLUNAS_ADICIONAIS = {
+  municipio: 'TEXT',
+  comandoRegional: 'TEXT'
+};
+
+/**
+ * 📋 COLUNAS_FILTRAVEIS
+ *
+ * Colunas aceitas como filtro de igualdade em `find`, `deleteBy` e `getBasicStats`.
+ * Os nomes entram interpolados no SQL, por isso apenas esta lista é permitida.
+ */
+const COLUNAS_FILTRAVEIS = new Set([
+  'dataAquisicao', 'horaAquisicao', 'nomeSatelite', 'instrumentoSensor',
+  'nivelConfianca', 'indicadorDiaNoite', 'fonte', 'municipio', 'comandoRegional', 'cache_key'
+]);
+
+/** Valor usado quando o foco não tem município/hora associada (mesmo padrão do FireStatsService) */
+const VALOR_PADRAO = 'N/A';
+
+/** Arredonda para duas casas decimais, tratando agregados vazios (NULL) como 0 */
+const arredondar = valor => Number((valor ?? 0).toFixed(2));
+
 class FireCache {
-  constructor() {
-    this.dbPath = path.join(
+  constructor(customDbPath = null) {
+    this.dbPath = customDbPath || path.join(
       // eslint-disable-next-line no-undef
       process.cwd(),
       'apis', 'shared', 'cache', 'fires', 'firecache.db'
     );
     this.db = null;
-    this.ready = this.initDb();
+    // Inicialização sob demanda: importar o módulo não abre (nem altera) o banco
+    this.ready = null;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e migrado antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
   }
 
   async initDb() {
@@ -27,7 +81,6 @@ class FireCache {
       driver: sqlite3.Database
     });
 
-    // CORRIGIR PARA FOCOS CALOR  
     await this.db.exec(`
       CREATE TABLE IF NOT EXISTS focos_queimada (
         id                       INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -46,114 +99,460 @@ class FireCache {
         versaoProduto            TEXT,
         indicadorDiaNoite        TEXT,
         fonte                   TEXT,
+        municipio                TEXT,
+        comandoRegional          TEXT,
         cache_key                TEXT,
         criado_em                INTEGER
       );
     `);
+
+    await this.#migrarEsquema();
+  }
+
+  /**
+   * 🛠️ #migrarEsquema
+   *
+   * Adiciona colunas ausentes em bancos criados por versões anteriores,
+   * remove duplicatas já existentes e cria os índices (deduplicação, data, sensor e município).
+   *
+   * @private
+   */
+  async #migrarEsquema() {
+    const colunas = await this.db.all('PRAGMA table_info(focos_queimada)');
+    const existentes = new Set(colunas.map(c => c.name));
+
+    for (const [nome, tipo] of Object.entries(COLUNAS_ADICIONAIS)) {
+      if (!existentes.has(nome)) {
+        await this.db.exec(`ALTER TABLE focos_queimada ADD COLUMN ${nome} ${tipo}`);
+      }
+    }
+
+    await this.db.exec(`
+      DELETE FROM focos_queimada
+      WHERE id NOT IN (SELECT MIN(id) FROM focos_queimada GROUP BY ${COLUNAS_UNICIDADE});
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_focos_unico ON focos_queimada (${COLUNAS_UNICIDADE});
+      CREATE INDEX IF NOT EXISTS idx_focos_data ON focos_queimada (dataAquisicao, horaAquisicao);
+      CREATE INDEX IF NOT EXISTS idx_focos_sensor ON focos_queimada (instrumentoSensor, dataAquisicao);
+      CREATE INDEX IF NOT EXISTS idx_focos_municipio ON focos_queimada (municipio, dataAquisicao);
+    `);
   }
 
   // CRUD BÁSICO
 
   /**
-   * Insere um ou mais focos no cache (sempre normalizado).
-   * @param {Array|Object} fires Um array de objetos brutos ou um único objeto de foco bruto
+   * Insere um ou mais focos no cache (sempre normalizado), ignorando detecções já arquivadas.
+   *
+   * Aceita tanto registros brutos do CSV FIRMS quanto focos já normalizados pelo `FireModel`.
+   * Quando o registro traz `localizacao`, o município e o comando regional também são persistidos.
+   *
+   * @param {Array|Object} fires Um array de focos ou um único foco
    * @param {Object} [options] (opcional) Opções para gerar cache_key, etc
+   * @returns {Promise<Array<Object>>} Focos efetivamente inseridos (novas detecções)
    */
   async insert(fires, options = {}) {
-    await this.ready;
-    const focosBrutos = Array.isArray(fires) ? fires : [fires];
+    await this.pronto();
+    const registros = Array.isArray(fires) ? fires : [fires];
     // 🔄 Sempre normaliza antes de persistir!
-    const focos = focosBrutos
-      .map(FireModel.safeFromCsvRecord)
-      .filter(Boolean)
-      .map(fire => ({
-        latitude: fire.latitude,
-        longitude: fire.longitude,
-        acquisitionDate: fire.dataAquisicao,
-        acquisitionTime: fire.horaAquisicao,
-        brightnessTemp: fire.temperaturaBrilho,
-        brightnessTempSecondary: fire.temperaturaBrilhoSecundaria,
-        scanResolution: fire.resolucaoVarredura,
-        trackResolution: fire.resolucaoTrilha,
-        fireRadiativePower: fire.potenciaRadiativa,
-        satelliteName: fire.nomeSatelite,
-        sensorInstrument: fire.instrumentoSensor,
-        confidenceLevel: fire.nivelConfianca,
-        productVersion: fire.versaoProduto,
-        dayNightIndicator: fire.indicadorDiaNoite,
-        source: fire.source ?? null // se existir no original
-      }));
+    const focos = registros
+      .map(registro => this.#normalizarRegistro(registro))
+      .filter(Boolean);
 
     const cache_key = options.cache_key || null;
     const now = Date.now();
+    const inseridos = [];
 
     const stmt = await this.db.prepare(`
-      INSERT INTO focos_queimada (
+      INSERT OR IGNORE INTO focos_queimada (
         latitude, longitude, dataAquisicao, horaAquisicao,
         temperaturaBrilho, temperaturaBrilhoSecundaria, resolucaoVarredura, resolucaoTrilha,
         potenciaRadiativa, nomeSatelite, instrumentoSensor, nivelConfianca,
-        versaoProduto, indicadorDiaNoite, fonte, cache_key, criado_em
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        versaoProduto, indicadorDiaNoite, fonte, municipio, comandoRegional, cache_key, criado_em
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
+    await this.db.exec('BEGIN');
     try {
       for (const foco of focos) {
-        await stmt.run(
-          foco.latitude,                         // latitude
-          foco.longitude,                        // longitude
-          foco.acquisitionDate,                  // dataAquisicao
-          foco.acquisitionTime,                  // horaAquisicao
-          foco.brightnessTemp,                   // temperaturaBrilho
-          foco.brightnessTempSecondary,          // temperaturaBrilhoSecundaria
-          foco.scanResolution,                   // resolucaoVarredura
-          foco.trackResolution,                  // resolucaoTrilha
-          foco.fireRadiativePower,               // potenciaRadiativa
-          foco.satelliteName,                    // nomeSatelite
-          foco.sensorInstrument,                 // instrumentoSensor
-          foco.confidenceLevel,                  // nivelConfianca
-          foco.productVersion,                   // versaoProduto
-          foco.dayNightIndicator,                // indicadorDiaNoite
-          foco.source,                           // fonte
-          cache_key,                             // cache_key
-          now                                    // criado_em
+        const { changes } = await stmt.run(
+          foco.latitude,
+          foco.longitude,
+          foco.dataAquisicao,
+          foco.horaAquisicao,
+          foco.temperaturaBrilho,
+          foco.temperaturaBrilhoSecundaria,
+          foco.resolucaoVarredura,
+          foco.resolucaoTrilha,
+          foco.potenciaRadiativa,
+          foco.nomeSatelite,
+          foco.instrumentoSensor,
+          foco.nivelConfianca,
+          foco.versaoProduto,
+          foco.indicadorDiaNoite,
+          foco.fonte,
+          foco.municipio,
+          foco.comandoRegional,
+          cache_key,
+          now
         );
+        if (changes > 0) inseridos.push(foco);
       }
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
     } finally {
       await stmt.finalize();
     }
+
+    return inseridos;
+  }
+
+  /**
+   * 🧼 #normalizarRegistro
+   *
+   * Converte um registro (bruto ou já normalizado) para as colunas da tabela.
+   *
+   * @private
+   * @param {Object} registro - Registro bruto do CSV FIRMS ou foco normalizado
+   * @returns {Object|null} Linha pronta para inserção ou null se inválido
+   */
+  #normalizarRegistro(registro) {
+    const foco = FireModel.hasDataAquisicao(registro)
+      ? registro
+      : FireModel.safeFromCsvRecord(registro);
+
+    if (!foco) return null;
+
+    return {
+      latitude: foco.latitude,
+      longitude: foco.longitude,
+      dataAquisicao: foco.dataAquisicao,
+      horaAquisicao: foco.horaAquisicao,
+      temperaturaBrilho: foco.temperaturaBrilho,
+      temperaturaBrilhoSecundaria: foco.temperaturaBrilhoSecundaria,
+      resolucaoVarredura: foco.resolucaoVarredura,
+      resolucaoTrilha: foco.resolucaoTrilha,
+      potenciaRadiativa: foco.potenciaRadiativa,
+      nomeSatelite: foco.nomeSatelite,
+      instrumentoSensor: foco.instrumentoSensor,
+      nivelConfianca: foco.nivelConfianca,
+      versaoProduto: foco.versaoProduto,
+      indicadorDiaNoite: foco.indicadorDiaNoite,
+      fonte: registro.sensor ?? registro.fonte ?? null, // sensor FIRMS de origem (ex: VIIRS_SNPP_NRT)
+      municipio: registro.localizacao?.municipio ?? null,
+      comandoRegional: registro.localizacao?.comandoRegional ?? null
+    };
   }
 
   async listarTodos() {
-    await this.ready;
+    await this.pronto();
     // Busca todos os focos já no padrão PT-BR, ordenados por data/hora
     const rows = await this.db.all('SELECT * FROM focos_queimada ORDER BY dataAquisicao DESC, horaAquisicao DESC');
     return rows; // Retorna direto, sem mapToFire
   }
 
+  /**
+   * 📅 listarPorPeriodo
+   *
+   * Retorna os focos arquivados entre duas datas (inclusivas), já no formato do `FireModel`
+   * e com o campo `localizacao` preenchido a partir das colunas persistidas.
+   *
+   * @param {Object} params
+   * @param {string} params.inicio - Data inicial (YYYY-MM-DD)
+   * @param {string} params.fim - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} Focos normalizados
+   */
+  async listarPorPeriodo({ inicio, fim }) {
+    await this.pronto();
+    const rows = await this.db.all(
+      `SELECT * FROM focos_queimada
+       WHERE dataAquisicao BETWEEN ? AND ?
+       ORDER BY dataAquisicao ASC, horaAquisicao ASC`,
+      [inicio, fim]
+    );
+    return rows.map(row => this.mapearLinhaParaFoco(row));
+  }
+
+  /**
+   * 🔁 mapearLinhaParaFoco
+   *
+   * Converte uma linha da tabela (ou um foco retornado por `insert`) para o formato de foco usado pela API.
+   *
+   * @param {Object} row - Linha da tabela focos_queimada
+   * @returns {Object} Foco normalizado com `localizacao`
+   */
+  mapearLinhaParaFoco(row) {
+    const foco = {
+      latitude: row.latitude,
+      longitude: row.longitude,
+      dataAquisicao: row.dataAquisicao,
+      horaAquisicao: row.horaAquisicao,
+      resolucaoVarredura: row.resolucaoVarredura,
+      resolucaoTrilha: row.resolucaoTrilha,
+      potenciaRadiativa: row.potenciaRadiativa,
+      nomeSatelite: row.nomeSatelite,
+      instrumentoSensor: row.instrumentoSensor,
+      // A coluna é TEXT: confiança numérica (MODIS) volta como string
+      nivelConfianca: /^\d+$/.test(row.nivelConfianca ?? '') ? Number(row.nivelConfianca) : row.nivelConfianca,
+      versaoProduto: row.versaoProduto,
+      indicadorDiaNoite: row.indicadorDiaNoite,
+      temperaturaBrilho: row.temperaturaBrilho,
+      temperaturaBrilhoSecundaria: row.temperaturaBrilhoSecundaria
+    };
+
+    if (!row.municipio) return foco;
+
+    return {
+      ...foco,
+      localizacao: {
+        municipio: row.municipio,
+        comandoRegional: row.comandoRegional ?? 'NÃO ASSOCIADO',
+        cidade: row.municipio
+      }
+    };
+  }
+
   async find(filters = {}) {
-    await this.ready;
-    const clauses = [];
-    const params = [];
-    for (const [key, value] of Object.entries(filters)) {
-      clauses.push(`${key} = ?`);
-      params.push(value);
-    }
-    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    await this.pronto();
+    const { where, params } = this.#montarFiltros(filters);
     const sql = `SELECT * FROM focos_queimada ${where} ORDER BY dataAquisicao DESC, horaAquisicao DESC`;
     const rows = await this.db.all(sql, params);
     return Array.isArray(rows) ? rows : [];
   }
 
-  // ...restante igual ao seu código anterior (find, limparTodos, deleteBy, métodos de insight)
+  /**
+   * 🧹 limparTodos
+   *
+   * Remove todos os focos do arquivo histórico.
+   *
+   * @returns {Promise<number>} Quantidade de focos removidos
+   */
+  async limparTodos() {
+    await this.pronto();
+    const { changes } = await this.db.run('DELETE FROM focos_queimada');
+    return changes;
+  }
 
+  /**
+   * 🗑️ deleteBy
+   *
+   * Remove os focos que atendem aos filtros informados.
+   * Exige ao menos um filtro — para apagar tudo use `limparTodos`.
+   *
+   * @param {Object} filters - Filtros de igualdade e/ou `start`/`end` (YYYY-MM-DD)
+   * @returns {Promise<number>} Quantidade de focos removidos
+   * @throws {Error} Se nenhum filtro for informado ou houver coluna não permitida
+   */
+  async deleteBy(filters = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros(filters);
+    if (!where) {
+      throw new Error('deleteBy exige ao menos um filtro (use limparTodos para remover tudo)');
+    }
+    const { changes } = await this.db.run(`DELETE FROM focos_queimada ${where}`, params);
+    return changes;
+  }
+
+  // MÉTODOS DE INSIGHT (agregações no SQLite, mesmos formatos do FireStatsService)
+
+  /**
+   * 📊 getBasicStats
+   *
+   * Totais e métricas gerais de FRP e temperatura de brilho,
+   * equivalentes a `geral` dos módulos `stats/frp.js` e `stats/temperatures.js`.
+   *
+   * @param {Object} [filters] - Filtros de igualdade e/ou `start`/`end` (YYYY-MM-DD)
+   * @returns {Promise<Object>} { totalFocos, frpMedio, frpMinimo, frpMaximo, tempMedia, tempMinima, tempMaxima }
+   */
+  async getBasicStats(filters = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros(filters);
+    const row = await this.db.get(
+      `SELECT COUNT(*) AS totalFocos,
+              AVG(IFNULL(potenciaRadiativa, 0)) AS frpMedio,
+              MIN(IFNULL(potenciaRadiativa, 0)) AS frpMinimo,
+              MAX(IFNULL(potenciaRadiativa, 0)) AS frpMaximo,
+              AVG(temperaturaBrilho) AS tempMedia,
+              MIN(temperaturaBrilho) AS tempMinima,
+              MAX(temperaturaBrilho) AS tempMaxima
+       FROM focos_queimada ${where}`,
+      params
+    );
+
+    return {
+      totalFocos: row.totalFocos,
+      frpMedio: arredondar(row.frpMedio),
+      frpMinimo: arredondar(row.frpMinimo),
+      frpMaximo: arredondar(row.frpMaximo),
+      tempMedia: arredondar(row.tempMedia),
+      tempMinima: arredondar(row.tempMinima),
+      tempMaxima: arredondar(row.tempMaxima)
+    };
+  }
+
+  /**
+   * 🏙️ getTopCidades
+   *
+   * Ranking de municípios por total de focos.
+   * Mesmo formato de `FireStatsService.aggregateAndRankMunicipalityFireStats`.
+   *
+   * @param {Object} params
+   * @param {number} [params.limit=10] - Quantidade de cidades em `cidadesMaisAfetadas`
+   * @param {string} [params.start] - Data inicial (YYYY-MM-DD)
+   * @param {string} [params.end] - Data final (YYYY-MM-DD)
+   * @returns {Promise<Object>} { totalCidades, cidadesMaisAfetadas, todasCidadesOrdenadas }
+   */
+  async getTopCidades({ limit = 10, start, end } = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros({ start, end });
+    const rows = await this.db.all(
+      `SELECT IFNULL(municipio, '${VALOR_PADRAO}') AS cidade, COUNT(*) AS totalFocos
+       FROM focos_queimada ${where}
+       GROUP BY cidade
+       ORDER BY totalFocos DESC, cidade ASC`,
+      params
+    );
+
+    const todasCidadesOrdenadas = rows.map((cidade, index) => ({ ...cidade, posicao: index + 1 }));
+
+    return {
+      totalCidades: todasCidadesOrdenadas.length,
+      cidadesMaisAfetadas: todasCidadesOrdenadas.slice(0, limit),
+      todasCidadesOrdenadas
+    };
+  }
+
+  /**
+   * 📅 getDailyTimeSeries
+   *
+   * Série diária de focos, ordenada por data.
+   * Mesmo formato de `FireStatsService.aggregateWeeklyFireStats`.
+   *
+   * @param {Object} params
+   * @param {string} [params.start] - Data inicial (YYYY-MM-DD)
+   * @param {string} [params.end] - Data final (YYYY-MM-DD)
+   * @returns {Promise<Object>} { dadosDiarios: Array<{ data, focos }> }
+   */
+  async getDailyTimeSeries({ start, end } = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros({ start, end });
+    const dadosDiarios = await this.db.all(
+      `SELECT dataAquisicao AS data, COUNT(*) AS focos
+       FROM focos_queimada ${where}
+       GROUP BY dataAquisicao
+       ORDER BY dataAquisicao ASC`,
+      params
+    );
+    return { dadosDiarios };
+  }
+
+  /**
+   * ⏰ getHourDistribution
+   *
+   * Histograma horário (23:00 → 00:00) e horário de pico.
+   * Mesmo formato de `FireStatsService.analyzeTemporalDistribution`.
+   *
+   * @param {Object} params
+   * @param {string} [params.acq_date] - Dia específico (YYYY-MM-DD)
+   * @param {string} [params.start] - Data inicial (YYYY-MM-DD), quando não há `acq_date`
+   * @param {string} [params.end] - Data final (YYYY-MM-DD), quando não há `acq_date`
+   * @returns {Promise<Object>} { histograma: Array<{ hora, quantidade }>, pico: { hora, quantidade } }
+   */
+  async getHourDistribution({ acq_date, start, end } = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros(
+      acq_date ? { dataAquisicao: acq_date } : { start, end }
+    );
+    const rows = await this.db.all(
+      `SELECT CASE
+                WHEN IFNULL(horaAquisicao, '') = '' THEN '${VALOR_PADRAO}'
+                ELSE printf('%02d', CAST(substr(horaAquisicao, 1, instr(horaAquisicao, ':') - 1) AS INTEGER))
+              END AS hora,
+              COUNT(*) AS quantidade
+       FROM focos_queimada ${where}
+       GROUP BY hora
+       ORDER BY hora DESC`,
+      params
+    );
+
+    const histograma = rows.map(({ hora, quantidade }) => ({ hora: `${hora}:00`, quantidade }));
+    const pico = histograma.reduce(
+      (p, cur) => (cur.quantidade > p.quantidade ? { ...cur } : p),
+      { hora: null, quantidade: 0 }
+    );
 
-  async limparTodos() { /* ... */ }
-  async deleteBy(filters = {}) { /* ... */ }
-  async getBasicStats(filters = {}) { /* ... */ }
-  async getTopCidades({ limit = 10, start, end }) { /* ... */ }
-  async getDailyTimeSeries({ start, end }) { /* ... */ }
-  async getHourDistribution({ acq_date }) { /* ... */ }
-  async getStatsBySensor({ start, end }) { /* ... */ }
+    return { histograma, pico };
+  }
+
+  /**
+   * 🛰️ getStatsBySensor
+   *
+   * Contagem de focos por família de sensor (VIIRS/MODIS) e por produto FIRMS de origem.
+   * `porSensor` segue o formato de `FireStatsService.updateSensorDetectionCount`.
+   *
+   * @param {Object} params
+   * @param {string} [params.start] - Data inicial (YYYY-MM-DD)
+   * @param {string} [params.end] - Data final (YYYY-MM-DD)
+   * @returns {Promise<Object>} { totalFocos, porSensor: { VIIRS, MODIS }, porFonte: { [fonte]: number } }
+   */
+  async getStatsBySensor({ start, end } = {}) {
+    await this.pronto();
+    const { where, params } = this.#montarFiltros({ start, end });
+    const rows = await this.db.all(
+      `SELECT instrumentoSensor, IFNULL(fonte, '${VALOR_PADRAO}') AS fonte, COUNT(*) AS total
+       FROM focos_queimada ${where}
+       GROUP BY instrumentoSensor, fonte`,
+      params
+    );
+
+    return rows.reduce((acc, { instrumentoSensor, fonte, total }) => {
+      acc.totalFocos += total;
+      const sensor = Object.keys(acc.porSensor).find(s => instrumentoSensor?.includes(s));
+      if (sensor) acc.porSensor[sensor] += total;
+      acc.porFonte[fonte] = (acc.porFonte[fonte] ?? 0) + total;
+      return acc;
+    }, { totalFocos: 0, porSensor: { VIIRS: 0, MODIS: 0 }, porFonte: {} });
+  }
+
+  /**
+   * 🧩 #montarFiltros
+   *
+   * Monta a cláusula WHERE a partir de filtros de igualdade (colunas permitidas)
+   * e do intervalo opcional `start`/`end` sobre `dataAquisicao`.
+   *
+   * @private
+   * @param {Object} filters - Filtros informados
+   * @returns {{ where: string, params: Array }} Cláusula WHERE (ou vazia) e parâmetros
+   * @throws {Error} Se algum filtro não for uma coluna permitida
+   */
+  #montarFiltros({ start, end, ...colunas } = {}) {
+    const clauses = [];
+    const params = [];
+
+    for (const [key, value] of Object.entries(colunas)) {
+      if (!COLUNAS_FILTRAVEIS.has(key)) {
+        throw new Error(`Filtro inválido para focos_queimada: ${key}`);
+      }
+      clauses.push(`${key} = ?`);
+      params.push(value);
+    }
+    if (start) {
+      clauses.push('dataAquisicao >= ?');
+      params.push(start);
+    }
+    if (end) {
+      clauses.push('dataAquisicao <= ?');
+      params.push(end);
+    }
+
+    return {
+      where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
 }
 
+export { FireCache }; // Exporta a classe (ex: bancos de teste)
+
 export default new FireCache();
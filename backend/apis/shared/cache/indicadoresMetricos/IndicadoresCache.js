@@ -95,10 +95,50 @@ class IndicadoresCache {
 
 
     // CONSULTA SIMPLES
-    // async getMaisRecente() { }
+    async getMaisRecente() {
+        await this.ready;
+        const row = await this.db.get(
+            `SELECT * FROM indicadores ORDER BY dataColeta DESC LIMIT 1`
+        );
+        return row || null;
+    }
+
     // async getPrimeiro() { }
-    // async getPorDia(dia) { }
-    // async getPorPeriodo(inicio, fim) { }
+
+    /**
+     * Snapshot imediatamente anterior a uma coleta (coleta anterior).
+     * @param {string} dataColeta - Timestamp ISO da coleta de referência
+     * @returns {Promise<Object|null>}
+     */
+    async getAnterior(dataColeta) {
+        await this.ready;
+        const row = await this.db.get(
+            `SELECT * FROM indicadores WHERE dataColeta < ? ORDER BY dataColeta DESC LIMIT 1`,
+            [dataColeta]
+        );
+        return row || null;
+    }
+
+    /**
+     * Snapshots de um dia, do mais antigo ao mais recente.
+     * @param {string} dia - Data (YYYY-MM-DD)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getPorDia(dia) {
+        await this.ready;
+        return await this.db.all(
+            `SELECT * FROM indicadores WHERE dia = ? ORDER BY dataColeta ASC`,
+            [dia]
+        );
+    }
+
+    async getPorPeriodo(inicio, fim) {
+        await this.ready;
+        return await this.db.all(
+            `SELECT * FROM indicadores WHERE dia BETWEEN ? AND ? ORDER BY dataColeta ASC`,
+            [inicio, fim]
+        );
+    }
 
     // MÁXIMOS/MÍNIMOS
     // async getDiaComMaisFocos() { }     
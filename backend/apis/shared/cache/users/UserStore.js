@@ -0,0 +1,197 @@
+// apis/shared/cache/users/UserStore.js
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 👤 UserStore
+ *
+ * Persistência SQLite dos usuários da API e dos refresh tokens emitidos.
+ * Os refresh tokens são guardados apenas como hash SHA-256.
+ */
+class UserStore {
+  constructor(customDbPath = null) {
+    this.dbPath = customDbPath || path.join(
+      process.cwd(),
+      'apis', 'shared', 'cache', 'users', 'users.db'
+    );
+    this.db = null;
+    // Inicialização sob demanda: importar o módulo não cria o banco
+    this.ready = null;
+  }
+
+  /**
+   * ⏳ pronto
+   *
+   * Garante que o banco foi aberto e as tabelas criadas antes de qualquer operação.
+   *
+   * @returns {Promise<void>}
+   */
+  pronto() {
+    if (!this.ready) {
+      this.ready = this.initDb();
+    }
+    return this.ready;
+  }
+
+  async initDb() {
+    if (this.dbPath !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = await open({
+      filename: this.dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id               INTEGER PRIMARY KEY AUTOINCREMENT,
+        email            TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        nome             TEXT NOT NULL,
+        senhaHash        TEXT NOT NULL,
+        papel            TEXT NOT NULL,
+        comandoRegional  TEXT,
+        ativo            INTEGER NOT NULL DEFAULT 1,
+        criadoEm         INTEGER,
+        atualizadoEm     INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        usuarioId   INTEGER NOT NULL,
+        tokenHash   TEXT NOT NULL UNIQUE,
+        expiraEm    INTEGER NOT NULL,
+        revogadoEm  INTEGER
+      );
+    `);
+  }
+
+  // == USUÁRIOS ==
+
+  async listarUsuarios() {
+    await this.pronto();
+    const rows = await this.db.all(`SELECT * FROM usuarios ORDER BY id ASC`);
+    return rows.map(mapearUsuario);
+  }
+
+  async contarUsuarios() {
+    await this.pronto();
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM usuarios`);
+    return total;
+  }
+
+  async getUsuario(id) {
+    await this.pronto();
+    return mapearUsuario(await this.db.get(`SELECT * FROM usuarios WHERE id = ?`, [id]));
+  }
+
+  async getUsuarioPorEmail(email) {
+    await this.pronto();
+    return mapearUsuario(await this.db.get(`SELECT * FROM usuarios WHERE email = ?`, [email]));
+  }
+
+  /**
+   * Cria o usuário (já validado pelo serviço, com a senha em hash) e retorna o registro gravado.
+   * @param {Object} usuario
+   * @returns {Promise<Object>}
+   */
+  async criarUsuario(usuario) {
+    await this.pronto();
+    const agora = Date.now();
+    const { lastID } = await this.db.run(
+      `INSERT INTO usuarios (email, nome, senhaHash, papel, comandoRegional, ativo, criadoEm, atualizadoEm)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        usuario.email,
+        usuario.nome,
+        usuario.senhaHash,
+        usuario.papel,
+        usuario.comandoRegional ?? null,
+        usuario.ativo === false ? 0 : 1,
+        agora,
+        agora
+      ]
+    );
+    return this.getUsuario(lastID);
+  }
+
+  /**
+   * Substitui os campos do usuário. Retorna null se ele não existir.
+   * @param {number} id
+   * @param {Object} usuario
+   * @returns {Promise<Object|null>}
+   */
+  async atualizarUsuario(id, usuario) {
+    await this.pronto();
+    const { changes } = await this.db.run(
+      `UPDATE usuarios
+        SET nome = ?, senhaHash = ?, papel = ?, comandoRegional = ?, ativo = ?, atualizadoEm = ?
+      WHERE id = ?`,
+      [
+        usuario.nome,
+        usuario.senhaHash,
+        usuario.papel,
+        usuario.comandoRegional ?? null,
+        usuario.ativo === false ? 0 : 1,
+        Date.now(),
+        id
+      ]
+    );
+    return changes ? this.getUsuario(id) : null;
+  }
+
+  // == REFRESH TOKENS ==
+
+  async salvarRefreshToken({ usuarioId, tokenHash, expiraEm }) {
+    await this.pronto();
+    await this.db.run(
+      `INSERT INTO refresh_tokens (usuarioId, tokenHash, expiraEm) VALUES (?, ?, ?)`,
+      [usuarioId, tokenHash, expiraEm]
+    );
+  }
+
+  async getRefreshToken(tokenHash) {
+    await this.pronto();
+    return (await this.db.get(`SELECT * FROM refresh_tokens WHERE tokenHash = ?`, [tokenHash])) ?? null;
+  }
+
+  /**
+   * Revoga um refresh token ainda válido.
+   * @param {string} tokenHash
+   * @returns {Promise<boolean>} True se o token estava ativo (evita reuso concorrente na renovação)
+   */
+  async revogarRefreshToken(tokenHash) {
+    await this.pronto();
+    const { changes } = await this.db.run(
+      `UPDATE refresh_tokens SET revogadoEm = ? WHERE tokenHash = ? AND revogadoEm IS NULL`,
+      [Date.now(), tokenHash]
+    );
+    return changes > 0;
+  }
+
+  async revogarTokensDoUsuario(usuarioId) {
+    await this.pronto();
+    await this.db.run(
+      `UPDATE refresh_tokens SET revogadoEm = ? WHERE usuarioId = ? AND revogadoEm IS NULL`,
+      [Date.now(), usuarioId]
+    );
+  }
+
+  async limparTodos() {
+    await this.pronto();
+    await this.db.run('DELETE FROM refresh_tokens');
+    await this.db.run('DELETE FROM usuarios');
+  }
+}
+
+function mapearUsuario(row) {
+  if (!row) return null;
+  return { ...row, ativo: row.ativo === 1 };
+}
+
+export { UserStore }; // Exporta a classe (ex: bancos de teste)
+
+export default new UserStore();
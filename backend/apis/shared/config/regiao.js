@@ -0,0 +1,124 @@
+// FILE_PATH: backend/apis/shared/config/regiao.js
+
+/**
+ * 🗺️ Região monitorada: sensores da FIRMS, área de interesse (AOI), malha municipal e comandos regionais.
+ *
+ * O padrão é Mato Grosso. Outras equipes estaduais apontam `REGIAO_CONFIG_FILE` para um JSON
+ * (ver `regiao.exemplo.json`) e/ou sobrescrevem campos isolados por variável de ambiente:
+ *
+ *   REGIAO_CONFIG_FILE          Caminho do JSON de configuração
+ *   FIRMS_SENSORS               Sensores separados por vírgula (ex: "VIIRS_SNPP_NRT,VIIRS_NOAA20_NRT")
+ *   REGIAO_AOI_GEOJSON          GeoJSON da área de interesse (recorte das buscas na FIRMS)
+ *   REGIAO_MUNICIPIOS_GEOJSON   GeoJSON dos municípios (localização dos focos e recortes por município/comando)
+ *   REGIAO_MAPEAMENTO_COMANDOS  JSON { "MUNICÍPIO": "COMANDO" }, para malhas sem a propriedade de comando regional
+ *
+ * Precedência: variável de ambiente > arquivo JSON > padrão. Caminhos relativos partem do diretório do backend.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const ERRO_CONFIG_REGIAO = 'Configuração de região inválida';
+
+/**
+ * 🛰️ SENSORES_FIRMS
+ *
+ * Fontes aceitas pela API de área da FIRMS.
+ */
+export const SENSORES_FIRMS = [
+  'MODIS_NRT',
+  'MODIS_SP',
+  'VIIRS_SNPP_NRT',
+  'VIIRS_SNPP_SP',
+  'VIIRS_NOAA20_NRT',
+  'VIIRS_NOAA20_SP',
+  'VIIRS_NOAA21_NRT',
+  'LANDSAT_NRT'
+];
+
+const PADRAO = {
+  nome: 'Mato Grosso',
+  sigla: 'MT',
+  sensores: ['MODIS_NRT', 'MODIS_SP', 'VIIRS_SNPP_NRT', 'VIIRS_NOAA20_NRT', 'VIIRS_NOAA21_NRT'],
+  aoi: 'public/assets/geoRef/br_mt.json',
+  municipios: 'public/assets/geoRef/municipios_por_comando_regional_colorido.geojson',
+  campoMunicipio: 'name',
+  campoComandoRegional: 'comandoRegional',
+  mapeamentoComandos: null
+};
+
+/**
+ * 🧩 montarConfigRegiao
+ *
+ * Combina o padrão, o arquivo JSON e as variáveis de ambiente e valida o resultado.
+ * Exportada para os testes; o restante do backend usa `REGIAO_CONFIG`.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {Object} Configuração com as chaves de `REGIAO_CONFIG`
+ * @throws {Error} Se o arquivo não puder ser lido ou algum sensor não existir na FIRMS
+ */
+export function montarConfigRegiao(env = process.env) {
+  const arquivo = env.REGIAO_CONFIG_FILE ? lerJson(env.REGIAO_CONFIG_FILE) : {};
+  const config = { ...PADRAO, ...arquivo };
+
+  if (env.FIRMS_SENSORS) config.sensores = env.FIRMS_SENSORS.split(',').map(s => s.trim()).filter(Boolean);
+  if (env.REGIAO_AOI_GEOJSON) config.aoi = env.REGIAO_AOI_GEOJSON;
+  if (env.REGIAO_MUNICIPIOS_GEOJSON) config.municipios = env.REGIAO_MUNICIPIOS_GEOJSON;
+  if (env.REGIAO_MAPEAMENTO_COMANDOS) config.mapeamentoComandos = env.REGIAO_MAPEAMENTO_COMANDOS;
+
+  validar(config);
+
+  return {
+    NOME: config.nome,
+    SIGLA: config.sigla,
+    SENSORES: [...config.sensores],
+    AOI_GEOJSON: config.aoi,
+    MUNICIPIOS_GEOJSON: config.municipios,
+    CAMPO_MUNICIPIO: config.campoMunicipio,
+    CAMPO_COMANDO_REGIONAL: config.campoComandoRegional,
+    // Caminho de um JSON ou o próprio objeto { município: comando }
+    MAPEAMENTO_COMANDOS: typeof config.mapeamentoComandos === 'string'
+      ? lerJson(config.mapeamentoComandos)
+      : config.mapeamentoComandos
+  };
+}
+
+/**
+ * ⚙️ REGIAO_CONFIG
+ *
+ * - NOME / SIGLA: região monitorada (ex: "Mato Grosso" / "MT")
+ * - SENSORES: sensores buscados na FIRMS, na ordem de busca
+ * - AOI_GEOJSON: caminho do GeoJSON da área de interesse
+ * - MUNICIPIOS_GEOJSON: caminho do GeoJSON dos municípios
+ * - CAMPO_MUNICIPIO / CAMPO_COMANDO_REGIONAL: propriedades das features com o nome do município e o comando regional
+ * - MAPEAMENTO_COMANDOS: { "MUNICÍPIO": "COMANDO" } ou null (comando lido das features)
+ */
+export const REGIAO_CONFIG = montarConfigRegiao();
+
+// == Privados ==
+
+function lerJson(caminho) {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), caminho), 'utf8'));
+  } catch (error) {
+    throw new Error(`${ERRO_CONFIG_REGIAO}: não foi possível ler ${caminho} (${error.message})`);
+  }
+}
+
+function validar({ sensores, aoi, municipios }) {
+  if (!Array.isArray(sensores) || !sensores.length) {
+    throw new Error(`${ERRO_CONFIG_REGIAO}: informe ao menos um sensor`);
+  }
+
+  const desconhecidos = sensores.filter(sensor => !SENSORES_FIRMS.includes(sensor));
+  if (desconhecidos.length) {
+    throw new Error(`${ERRO_CONFIG_REGIAO}: sensores desconhecidos (${desconhecidos.join(', ')}). Aceitos: ${SENSORES_FIRMS.join(', ')}`);
+  }
+
+  if (!aoi || !municipios) {
+    throw new Error(`${ERRO_CONFIG_REGIAO}: informe os GeoJSON da área de interesse e dos municípios`);
+  }
+}
@@ -1,10 +1,123 @@
 // apis/shared/middleware/auth.js
+
+// IMPORTE ASSIM: #shared_middleware/auth.js
+
+import AuthService, { AUTH_CONFIG, ERRO_AUTENTICACAO, PAPEIS } from '#auth_services/AuthService.js';
+import ApiKeyService from '#auth_services/ApiKeyService.js';
+
 /**
- * Middleware de autenticação placeholder.
- * Neste ponto você pode validar JWT, checar headers, etc.
- * Para já fazer o v2 subir sem bloquear nada, ele apenas chama next().
+ * 🔐 authMiddleware
+ *
+ * Exige um access token válido no header `Authorization: Bearer <token>` e disponibiliza
+ * o usuário em `req.usuario`. Com `AUTH_ENABLED=false` requisições sem token passam; um token enviado
+ * ainda é validado, para que o admin acesse as rotas que continuam exigindo esse papel.
+ *
+ * Clientes externos podem enviar uma chave de API no header `X-API-Key`: a chave é validada mesmo
+ * com a autenticação desligada (as cotas dependem dela), fica em `req.chaveApi` e o cliente
+ * recebe o papel de visualizador.
+ *
+ * Conexões Server-Sent Events (`Accept: text/event-stream`) também aceitam o token em `?access_token=`,
+ * já que o EventSource do navegador não envia headers.
+ *
+ * @param {Request} req - Requisição Express
+ * @param {Response} res - Resposta Express
+ * @param {Function} next - Próximo middleware
  */
-export default function authMiddleware(req, res, next) {
-  // TODO: implemente validação real aqui
-  next()
+export default async function authMiddleware(req, res, next) {
+  const chave = req.headers['x-api-key'];
+  if (chave) return autenticarChaveApi(chave, req, res, next);
+
+  const [esquema, token] = extrairToken(req);
+  if (esquema !== 'Bearer' || !token) {
+    if (!AUTH_CONFIG.HABILITADO) return next();
+    return res.status(401).json({ error: 'Token de acesso ausente' });
+  }
+
+  try {
+    req.usuario = AuthService.verificarAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+}
+
+function extrairToken(req) {
+  const tokenNaQuery = req.headers.accept === 'text/event-stream' ? req.query.access_token : null;
+  if (!req.headers.authorization && tokenNaQuery) return ['Bearer', tokenNaQuery];
+
+  return (req.headers.authorization ?? '').split(' ');
+}
+
+async function autenticarChaveApi(chave, req, res, next) {
+  try {
+    req.chaveApi = await ApiKeyService.autenticar(chave);
+  } catch (error) {
+    if (!error.message?.startsWith(ERRO_AUTENTICACAO)) return next(error);
+    return res.status(401).json({ error: error.message });
+  }
+
+  req.usuario = {
+    id: null,
+    email: null,
+    papel: PAPEIS.VISUALIZADOR,
+    comandoRegional: null,
+    chaveApi: { id: req.chaveApi.id, nome: req.chaveApi.nome }
+  };
+  next();
+}
+
+/**
+ * 🎭 exigirPapel
+ *
+ * Restringe a rota aos papéis informados (admin sempre tem acesso). Usar depois de `authMiddleware`.
+ * Sem papéis a rota é só de admin e fica fechada mesmo com a autenticação desligada; nas demais,
+ * com a autenticação desligada só os clientes com chave de API (sempre visualizadores) são verificados.
+ *
+ * @param {...string} papeis - Papéis aceitos (ver PAPEIS)
+ * @returns {Function} Middleware Express
+ * @example
+ * router.post('/rules', exigirPapel(PAPEIS.ANALISTA, PAPEIS.COMANDANTE), AlertController.createRule);
+ */
+export function exigirPapel(...papeis) {
+  return (req, res, next) => {
+    if (!AUTH_CONFIG.HABILITADO && papeis.length && !req.chaveApi) return next();
+
+    const papel = req.usuario?.papel;
+    if (papel === PAPEIS.ADMIN || papeis.includes(papel)) return next();
+
+    res.status(403).json({ error: 'Acesso negado para o papel do usuário', papel: papel ?? null });
+  };
+}
+
+/**
+ * 🗺️ aplicarEscopoRegional
+ *
+ * Para comandantes, acrescenta `escopoCrbm` à query: o FireService passa a recortar todos os focos
+ * pela área do comando regional do usuário, somando-se a qualquer outro recorte pedido.
+ * Pedir explicitamente outro `crbm` resulta em 403. Usar depois de `authMiddleware`.
+ *
+ * @param {Request} req - Requisição Express
+ * @param {Response} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+export function aplicarEscopoRegional(req, res, next) {
+  const { papel, comandoRegional } = req.usuario ?? {};
+  if (papel !== PAPEIS.COMANDANTE) return next();
+
+  if (req.query.crbm && normalizar(req.query.crbm) !== normalizar(comandoRegional)) {
+    return res.status(403).json({ error: 'Acesso restrito ao comando regional do usuário', comandoRegional });
+  }
+
+  // No Express 5 `req.query` é um getter recalculado a cada acesso; fixa a versão com o escopo
+  Object.defineProperty(req, 'query', {
+    value: { ...req.query, escopoCrbm: comandoRegional },
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+  next();
+}
+
+function normalizar(nome) {
+  return String(nome ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
 }
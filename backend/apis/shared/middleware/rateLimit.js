@@ -0,0 +1,149 @@
+// apis/shared/middleware/rateLimit.js
+
+// IMPORTE ASSIM: #shared_middleware/rateLimit.js
+
+import ApiKeyService, { API_KEY_CONFIG } from '#auth_services/ApiKeyService.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+/**
+ * ⏱️ SlidingWindowLimiter
+ *
+ * Limite de requisições por janela deslizante, em memória: guarda os instantes das requisições aceitas
+ * de cada cliente dentro da janela. Diferente do `rateLimiter` do Mapbox, que enfileira e espaça
+ * as chamadas de saída, aqui o excedente é recusado na hora e o chamador informa quando tentar de novo.
+ */
+export class SlidingWindowLimiter {
+  /**
+   * @param {number} janelaMs - Tamanho da janela em milissegundos
+   */
+  constructor(janelaMs) {
+    this.janelaMs = janelaMs;
+    this.requisicoes = new Map();
+  }
+
+  /**
+   * 🎫 consumir
+   *
+   * @param {string|number} cliente - Identificador do cliente (ex: id da chave de API)
+   * @param {number} limite - Máximo de requisições na janela
+   * @param {number} [agora] - Timestamp em ms
+   * @returns {{ permitido: boolean, restantes: number, retryAfterMs: number }}
+   *   `retryAfterMs` é o tempo até a requisição mais antiga sair da janela (0 se a janela estiver vazia)
+   */
+  consumir(cliente, limite, agora = Date.now()) {
+    const inicioJanela = agora - this.janelaMs;
+    const instantes = (this.requisicoes.get(cliente) ?? []).filter(instante => instante > inicioJanela);
+
+    const permitido = instantes.length < limite;
+    if (permitido) instantes.push(agora);
+    this.requisicoes.set(cliente, instantes);
+
+    return {
+      permitido,
+      restantes: Math.max(0, limite - instantes.length),
+      retryAfterMs: instantes.length ? instantes[0] + this.janelaMs - agora : 0
+    };
+  }
+
+  limpar() {
+    this.requisicoes.clear();
+  }
+}
+
+export const limitadorPorMinuto = new SlidingWindowLimiter(API_KEY_CONFIG.JANELA_MS);
+
+/**
+ * 🚦 limitarRequisicoes
+ *
+ * Aplica às requisições com chave de API (`req.chaveApi`, definida pelo `authMiddleware`) o limite
+ * por minuto e a cota diária da chave. Excedentes recebem 429 com `Retry-After` (segundos).
+ * Usuários autenticados do painel não são limitados; requisições anônimas (com `AUTH_ENABLED=false`)
+ * têm o limite por minuto de `API_KEY_CONFIG.LIMITE_ANONIMO_POR_MINUTO` por IP.
+ *
+ * Headers de resposta:
+ *   - X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset: limite por minuto
+ *   - X-Quota-Limit / X-Quota-Remaining: cota diária (reinicia às 00:00 UTC)
+ *
+ * @param {Request} req - Requisição Express
+ * @param {Response} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+export async function limitarRequisicoes(req, res, next) {
+  const chave = req.chaveApi;
+  if (!chave) return req.usuario ? next() : limitarAnonimo(req, res, next);
+
+  try {
+    const janela = limitadorPorMinuto.consumir(chave.id, chave.limitePorMinuto);
+    res.set({
+      'X-RateLimit-Limit': String(chave.limitePorMinuto),
+      'X-RateLimit-Remaining': String(janela.restantes),
+      'X-RateLimit-Reset': String(emSegundos(janela.retryAfterMs))
+    });
+
+    if (!janela.permitido) {
+      return recusar(res, chave, {
+        error: 'Limite de requisições por minuto excedido',
+        limite: chave.limitePorMinuto,
+        retryAfterMs: janela.retryAfterMs
+      });
+    }
+
+    const agora = new Date();
+    const cota = await ApiKeyService.consumirCota(chave, agora);
+    res.set({
+      'X-Quota-Limit': String(chave.cotaDiaria),
+      'X-Quota-Remaining': String(cota.restantes)
+    });
+
+    if (!cota.permitido) {
+      return recusar(res, chave, {
+        error: 'Cota diária de requisições excedida',
+        limite: chave.cotaDiaria,
+        retryAfterMs: cota.reiniciaEm - agora
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function limitarAnonimo(req, res, next) {
+  const limite = API_KEY_CONFIG.LIMITE_ANONIMO_POR_MINUTO;
+  const janela = limitadorPorMinuto.consumir(`ip:${req.ip}`, limite);
+  res.set({
+    'X-RateLimit-Limit': String(limite),
+    'X-RateLimit-Remaining': String(janela.restantes),
+    'X-RateLimit-Reset': String(emSegundos(janela.retryAfterMs))
+  });
+
+  if (janela.permitido) return next();
+  return recusar(res, { id: null, nome: `anônimo ${req.ip}` }, {
+    error: 'Limite de requisições por minuto excedido',
+    limite,
+    retryAfterMs: janela.retryAfterMs
+  });
+}
+
+function recusar(res, chave, { error, limite, retryAfterMs }) {
+  const retryAfter = emSegundos(retryAfterMs);
+
+  debugLog('Requisição recusada por limite', {
+    chaveApi: chave.id,
+    cliente: chave.nome,
+    motivo: error,
+    retryAfter,
+    origem: 'rateLimit.limitarRequisicoes'
+  });
+
+  return res
+    .status(429)
+    .set('Retry-After', String(retryAfter))
+    .json({ error, limite, retryAfter });
+}
+
+function emSegundos(ms) {
+  return Math.max(1, Math.ceil(ms / 1000));
+}
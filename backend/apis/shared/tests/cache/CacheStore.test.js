@@ -0,0 +1,209 @@
+import net from 'net';
+
+import { jest } from '@jest/globals';
+
+const { default: CacheStore, criarBackendCache } = await import('#shared_cache_backends/CacheStore.js');
+const { default: MemoryCacheBackend } = await import('#shared_cache_backends/MemoryCacheBackend.js');
+const { default: SqliteCacheBackend } = await import('#shared_cache_backends/SqliteCacheBackend.js');
+const { default: RedisCacheBackend } = await import('#shared_cache_backends/RedisCacheBackend.js');
+const { codificar, decodificar } = await import('#shared_cache_backends/RespClient.js');
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Servidor RESP mínimo (GET, SET ... PX, DEL, SCAN, PING) no lugar de um Redis real.
+ * Com `mudo`, aceita conexões e nunca responde.
+ */
+const iniciarServidorResp = ({ mudo = false } = {}) => new Promise(resolve => {
+    const dados = new Map();
+    const responder = {
+        simples: texto => `+${texto}\r\n`,
+        inteiro: numero => `:${numero}\r\n`,
+        bulk: texto => (texto === null ? '$-1\r\n' : `$${Buffer.byteLength(texto)}\r\n${texto}\r\n`)
+    };
+    const executar = ([comando, ...args]) => {
+        switch (comando.toUpperCase()) {
+            case 'PING':
+                return responder.simples('PONG');
+            case 'GET': {
+                const entrada = dados.get(args[0]);
+                if (entrada && entrada.expiraEm <= Date.now()) dados.delete(args[0]);
+                return responder.bulk(dados.get(args[0])?.valor ?? null);
+            }
+            case 'SET':
+                dados.set(args[0], { valor: args[1], expiraEm: args[2] === 'PX' ? Date.now() + Number(args[3]) : Infinity });
+                return responder.simples('OK');
+            case 'DEL':
+                return responder.inteiro(args.filter(chave => dados.delete(chave)).length);
+            case 'SCAN': {
+                const regex = new RegExp(`^${args[2].replace(/\\(.)/g, '$1').replace(/[.+^${}()|]/g, '\\$&').replace(/\*$/, '.*')}$`);
+                const chaves = [...dados.keys()].filter(chave => regex.test(chave));
+                return `*2\r\n${responder.bulk('0')}*${chaves.length}\r\n${chaves.map(responder.bulk).join('')}`;
+            }
+            default:
+                return `-ERR unknown command '${comando}'\r\n`;
+        }
+    };
+
+    const servidor = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            if (mudo) return;
+            buffer = Buffer.concat([buffer, chunk]);
+            let lido;
+            while ((lido = decodificar(buffer, 0))) {
+                buffer = buffer.subarray(lido.fim);
+                socket.write(executar(lido.valor));
+            }
+        });
+    });
+    servidor.listen(0, '127.0.0.1', () => resolve({ servidor, dados, url: `redis://127.0.0.1:${servidor.address().port}` }));
+});
+
+describe('CacheStore', () => {
+    describe('stale-while-revalidate (backend memory)', () => {
+        test('serve entradas frescas, depois obsoletas enquanto recarrega, e conta as métricas', async () => {
+            const store = new CacheStore(new MemoryCacheBackend());
+            let versao = 0;
+            const carregar = jest.fn(async () => ++versao);
+            const prazos = { ttlMs: 40, obsoletoMs: 1000 };
+
+            expect(await store.obter('stats', 'q', carregar, prazos)).toBe(1);
+            expect(await store.obter('stats', 'q', carregar, prazos)).toBe(1);
+
+            await esperar(60);
+            // Vencida: devolve o valor anterior e recarrega em segundo plano
+            expect(await store.obter('stats', 'q', carregar, prazos)).toBe(1);
+            await esperar(10);
+            expect(await store.obter('stats', 'q', carregar, prazos)).toBe(2);
+
+            expect(carregar).toHaveBeenCalledTimes(2);
+            expect(store.metricas()).toEqual({
+                backend: 'memory',
+                namespaces: {
+                    stats: { acertos: 2, obsoletos: 1, faltas: 1, revalidacoes: 1, erros: 0, taxaAcerto: 0.75 }
+                }
+            });
+        });
+
+        test('carrega uma vez por chave em consultas simultâneas, não guarda erros e respeita forcar', async () => {
+            const store = new CacheStore(new MemoryCacheBackend());
+            const prazos = { ttlMs: 60000 };
+            const carregar = jest.fn(async () => { await esperar(10); return ['foco']; });
+
+            const [a, b] = await Promise.all([
+                store.obter('sensor', 'k', carregar, prazos),
+                store.obter('sensor', 'k', carregar, prazos)
+            ]);
+            expect(a).toEqual(['foco']);
+            expect(b).toBe(a);
+            expect(carregar).toHaveBeenCalledTimes(1);
+
+            await store.obter('sensor', 'k', carregar, { ...prazos, forcar: true });
+            expect(carregar).toHaveBeenCalledTimes(2);
+
+            const falhar = jest.fn(async () => { throw new Error('FIRMS fora do ar'); });
+            await expect(store.obter('sensor', 'x', falhar, prazos)).rejects.toThrow('FIRMS fora do ar');
+            await expect(store.obter('sensor', 'x', falhar, prazos)).rejects.toThrow('FIRMS fora do ar');
+            expect(falhar).toHaveBeenCalledTimes(2);
+        });
+
+        test('falhas do backend não quebram a consulta', async () => {
+            const quebrado = {
+                nome: 'quebrado',
+                get: async () => { throw new Error('indisponível'); },
+                set: async () => { throw new Error('indisponível'); }
+            };
+            const store = new CacheStore(quebrado);
+
+            expect(await store.obter('stats', 'q', async () => 'valor', { ttlMs: 1000 })).toBe('valor');
+            expect(store.metricas().namespaces.stats).toMatchObject({ faltas: 1, erros: 2 });
+        });
+
+        test('criarBackendCache rejeita backend desconhecido e redis sem URL', () => {
+            expect(criarBackendCache({ backend: 'memory' })).toBeInstanceOf(MemoryCacheBackend);
+            expect(() => criarBackendCache({ backend: 'memcached' })).toThrow('Backend de cache inválido');
+            expect(() => criarBackendCache({ backend: 'redis' })).toThrow('CACHE_REDIS_URL');
+        });
+    });
+
+    describe('backend sqlite', () => {
+        test('guarda como JSON, expira e limpa por prefixo', async () => {
+            const backend = new SqliteCacheBackend(':memory:');
+            const agora = Date.now();
+
+            await backend.set('sensor:a', { valor: [{ lat: '-12.1' }], frescoAte: agora + 1000, expiraEm: agora + 2000 });
+            await backend.set('sensor:velha', { valor: 1, frescoAte: agora - 2000, expiraEm: agora - 1000 });
+            await backend.set('fireStats:a', { valor: { total: 3 }, frescoAte: agora + 1000, expiraEm: agora + 2000 });
+
+            expect(await backend.get('sensor:a')).toEqual({ valor: [{ lat: '-12.1' }], frescoAte: agora + 1000, expiraEm: agora + 2000 });
+            expect(await backend.get('sensor:velha')).toBeNull();
+
+            await backend.limpar('sensor:');
+            expect(await backend.get('sensor:a')).toBeNull();
+            expect((await backend.get('fireStats:a')).valor).toEqual({ total: 3 });
+
+            await backend.fechar();
+        });
+    });
+
+    describe('backend redis (servidor RESP local)', () => {
+        let resp;
+
+        beforeEach(async () => {
+            resp = await iniciarServidorResp();
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => resp.servidor.close(resolve));
+        });
+
+        test('instâncias diferentes compartilham o cache e a expiração fica no servidor', async () => {
+            const instanciaA = new CacheStore(new RedisCacheBackend(resp.url));
+            const instanciaB = new CacheStore(new RedisCacheBackend(resp.url));
+            const carregarA = jest.fn(async () => ({ focos: 12, municipio: 'São Félix do Araguaia' }));
+            const carregarB = jest.fn();
+
+            await instanciaA.obter('fireStats', 'q', carregarA, { ttlMs: 1000, obsoletoMs: 500 });
+            expect(await instanciaB.obter('fireStats', 'q', carregarB, { ttlMs: 1000 }))
+                .toEqual({ focos: 12, municipio: 'São Félix do Araguaia' });
+            expect(carregarB).not.toHaveBeenCalled();
+            expect(instanciaB.metricas().namespaces.fireStats).toMatchObject({ acertos: 1, faltas: 0 });
+
+            const { expiraEm } = resp.dados.get('monitora:cache:fireStats:q');
+            expect(expiraEm).toBeGreaterThan(Date.now() + 1000);
+
+            await instanciaA.fechar();
+            await instanciaB.fechar();
+        });
+
+        test('limpar remove só o namespace pedido', async () => {
+            const store = new CacheStore(new RedisCacheBackend(resp.url));
+            await store.obter('sensor', 'a', async () => 1, { ttlMs: 1000 });
+            await store.obter('sensor', 'b', async () => 2, { ttlMs: 1000 });
+            await store.obter('fireStats', 'a', async () => 3, { ttlMs: 1000 });
+
+            await store.limpar('sensor');
+
+            expect([...resp.dados.keys()]).toEqual(['monitora:cache:fireStats:a']);
+            await store.fechar();
+        });
+
+        test('servidor sem resposta: a consulta segue após o timeout e o erro é contado', async () => {
+            const mudo = await iniciarServidorResp({ mudo: true });
+            const store = new CacheStore(new RedisCacheBackend(mudo.url, { timeoutMs: 50 }));
+
+            expect(await store.obter('sensor', 'a', async () => 'da FIRMS', { ttlMs: 1000 })).toBe('da FIRMS');
+            expect(store.metricas().namespaces.sensor).toMatchObject({ faltas: 1, erros: 2 });
+
+            await store.fechar();
+            await new Promise(resolve => mudo.servidor.close(resolve));
+        });
+
+        test('codificar gera comandos RESP com tamanho em bytes', () => {
+            expect(codificar(['SET', 'Cáceres', 1]).toString()).toBe('*3\r\n$3\r\nSET\r\n$8\r\nCáceres\r\n$1\r\n1\r\n');
+            expect(decodificar(Buffer.from('*2\r\n$1\r\n0\r\n*0\r\n'), 0)).toEqual({ valor: ['0', []], fim: 15 });
+            expect(decodificar(Buffer.from('$5\r\nabc'), 0)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Malha de outro estado: nome em NM_MUN e sem a propriedade de comando regional
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'regiao-'));
+const quadrado = (x, y) => ({
+    type: 'Polygon',
+    coordinates: [[[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1], [x, y]]]
+});
+fs.writeFileSync(path.join(dir, 'municipios.geojson'), JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+        { type: 'Feature', geometry: quadrado(-49, -11), properties: { NM_MUN: 'Palmas' } },
+        { type: 'Feature', geometry: quadrado(-48, -11), properties: { NM_MUN: 'Porto Nacional' } }
+    ]
+}));
+fs.writeFileSync(path.join(dir, 'comandos.json'), JSON.stringify({ PALMAS: '1º CRBM' }));
+fs.writeFileSync(path.join(dir, 'regiao.json'), JSON.stringify({
+    nome: 'Tocantins',
+    sigla: 'TO',
+    sensores: ['VIIRS_SNPP_NRT'],
+    aoi: 'public/assets/geoRef/br_to.json',
+    municipios: path.join(dir, 'municipios.geojson'),
+    campoMunicipio: 'NM_MUN',
+    mapeamentoComandos: path.join(dir, 'comandos.json')
+}));
+
+process.env.REGIAO_CONFIG_FILE = path.join(dir, 'regiao.json');
+
+const { REGIAO_CONFIG, montarConfigRegiao, ERRO_CONFIG_REGIAO } = await import('#shared_config/regiao.js');
+const { default: GeoMunicipalityMatcher } = await import('#geo_utils/GeoMunicipalityMatcher.js');
+
+describe('REGIAO_CONFIG', () => {
+    afterAll(() => {
+        delete process.env.REGIAO_CONFIG_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('padrão é Mato Grosso, com variáveis de ambiente sobrepondo campos isolados', () => {
+        expect(montarConfigRegiao({})).toMatchObject({
+            SIGLA: 'MT',
+            SENSORES: ['MODIS_NRT', 'MODIS_SP', 'VIIRS_SNPP_NRT', 'VIIRS_NOAA20_NRT', 'VIIRS_NOAA21_NRT'],
+            AOI_GEOJSON: 'public/assets/geoRef/br_mt.json',
+            CAMPO_MUNICIPIO: 'name',
+            MAPEAMENTO_COMANDOS: null
+        });
+
+        const config = montarConfigRegiao({
+            REGIAO_CONFIG_FILE: process.env.REGIAO_CONFIG_FILE,
+            FIRMS_SENSORS: 'VIIRS_NOAA20_NRT, VIIRS_NOAA21_NRT'
+        });
+        expect(config).toMatchObject({ SIGLA: 'TO', SENSORES: ['VIIRS_NOAA20_NRT', 'VIIRS_NOAA21_NRT'], CAMPO_MUNICIPIO: 'NM_MUN' });
+        expect(config.MAPEAMENTO_COMANDOS).toEqual({ PALMAS: '1º CRBM' });
+    });
+
+    test('recusa sensores desconhecidos e arquivos ilegíveis', () => {
+        expect(() => montarConfigRegiao({ FIRMS_SENSORS: 'VIIRS_SNPP_NRT,GOES16' })).toThrow(ERRO_CONFIG_REGIAO);
+        expect(() => montarConfigRegiao({ REGIAO_CONFIG_FILE: path.join(dir, 'inexistente.json') })).toThrow(ERRO_CONFIG_REGIAO);
+    });
+
+    test('GeoMunicipalityMatcher usa a malha, os campos e o mapeamento de comandos configurados', () => {
+        expect(REGIAO_CONFIG.SIGLA).toBe('TO');
+
+        expect(GeoMunicipalityMatcher.findMunicipality(-10.5, -48.5)).toEqual({ municipio: 'PALMAS', comandoRegional: '1º CRBM' });
+        expect(GeoMunicipalityMatcher.findMunicipality(-10.5, -47.5)).toEqual({ municipio: 'PORTO NACIONAL', comandoRegional: 'NÃO ASSOCIADO' });
+        expect(GeoMunicipalityMatcher.localizarEmLote([
+            { latitude: -10.5, longitude: -47.5 },
+            { latitude: -10.5, longitude: -48.5 },
+            { latitude: -10.5, longitude: -47.5 },
+            { latitude: -30, longitude: -47.5 }
+        ]).map(local => local?.municipio ?? null)).toEqual(['PORTO NACIONAL', 'PALMAS', 'PORTO NACIONAL', null]);
+        expect(GeoMunicipalityMatcher.findFeatures({ comandoRegional: '1º crbm' })).toHaveLength(1);
+        expect(GeoMunicipalityMatcher.mapearComandosRegionais()).toEqual({ PALMAS: '1º CRBM' });
+    });
+});
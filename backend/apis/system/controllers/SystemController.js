@@ -0,0 +1,85 @@
+//FILE_PATH: backend/apis/system/controllers/SystemController.js
+
+/**
+ * 🚦 Recebe as requisições de /api/system e delega ao JobScheduler e ao CacheCore.
+ */
+
+import JobScheduler from '#system_services/JobScheduler.js';
+import { CacheCore, NAMESPACES } from '#firms_utils/CacheCore.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+/**
+ * 🩺 SystemController
+ *
+ * Situação das tarefas em segundo plano (ex: atualização agendada da FIRMS) e do cache.
+ */
+export default class SystemController {
+
+  static listJobs = (req, res, next) => {
+    try {
+      res.json(JobScheduler.listar());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * 🏃 runJob
+   *
+   * Executa a tarefa imediatamente e responde com o status após a execução.
+   */
+  static runJob = async (req, res, next) => {
+    try {
+      debugLog('POST /system/jobs/:nome/run', {
+        nome: req.params.nome,
+        origem: 'SystemController.runJob'
+      });
+
+      const tarefa = await JobScheduler.executarAgora(req.params.nome);
+      if (!tarefa) {
+        return res.status(404).json({ error: 'Tarefa não encontrada', nome: req.params.nome });
+      }
+
+      res.json(tarefa);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  static getCache = (req, res, next) => {
+    try {
+      res.json(CacheCore.metricas());
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * 🧹 clearCache
+   *
+   * Limpa um namespace (query `namespace`) ou todo o cache.
+   */
+  static clearCache = async (req, res, next) => {
+    try {
+      const { namespace } = req.query;
+      if (namespace && !Object.values(NAMESPACES).includes(namespace)) {
+        return res.status(400).json({
+          error: 'Namespace de cache inválido',
+          namespace,
+          aceitos: Object.values(NAMESPACES)
+        });
+      }
+
+      debugLog('DELETE /system/cache', {
+        namespace: namespace ?? 'todos',
+        origem: 'SystemController.clearCache'
+      });
+
+      await CacheCore.limparNamespace(namespace);
+      res.json({ limpo: namespace ?? 'todos' });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
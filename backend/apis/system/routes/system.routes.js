@@ -0,0 +1,84 @@
+// backend/apis/system/routes/system.routes.js
+import { debugLog } from "#backend_utils/debugLog.js";
+
+import { Router } from 'express';
+
+import SystemController from '#system_controllers/SystemController.js';
+import { exigirPapel } from '#shared_middleware/auth.js';
+
+const ROUTE_PREFIX = '/api/system';
+
+/**
+ * System Routes
+ * -------------
+ * Situação das tarefas em segundo plano e do cache do backend.
+ * Prefixo de rota: /api/system
+ *
+ * Endpoints:
+ *   GET    /jobs             - Status das tarefas agendadas
+ *   POST   /jobs/:nome/run   - Executa uma tarefa agora (admin)
+ *   GET    /cache            - Backend e métricas do cache
+ *   DELETE /cache            - Limpa o cache (admin)
+ *
+ * Exige autenticação.
+ */
+
+const router = Router();
+
+/**
+ * 📋 GET /system/jobs
+ *
+ * Para cada tarefa: agenda, última execução (início, duração, sucesso, erro e detalhes),
+ * próxima execução e contadores de execuções e falhas.
+ * Na tarefa "firms", `ultimaExecucao.detalhes` traz os registros do MT e, por sensor,
+ * { sensor, registros, duracaoMs, erro }, além do resultado da ingestão no arquivo.
+ */
+router.get('/jobs', SystemController.listJobs);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/jobs`,
+  controller: 'listJobs'
+});
+
+/**
+ * 🏃 POST /system/jobs/:nome/run
+ *
+ * Executa a tarefa fora da agenda (ex: "firms") e responde com o status atualizado.
+ */
+router.post('/jobs/:nome/run', exigirPapel(), SystemController.runJob);
+debugLog('Registrando endpoint', {
+  method: 'POST',
+  endpoint: `${ROUTE_PREFIX}/jobs/:nome/run`,
+  controller: 'runJob'
+});
+
+/**
+ * 📊 GET /system/cache
+ *
+ * Backend em uso (memory, sqlite ou redis), prazos e, por namespace (sensor, resultado, fireStats),
+ * acertos, obsoletos, faltas, revalidações, erros do backend e taxa de acerto desde o início do processo.
+ */
+router.get('/cache', SystemController.getCache);
+debugLog('Registrando endpoint', {
+  method: 'GET',
+  endpoint: `${ROUTE_PREFIX}/cache`,
+  controller: 'getCache'
+});
+
+/**
+ * 🧹 DELETE /system/cache
+ *
+ * Limpa o cache (query `namespace` opcional, ex: ?namespace=fireStats). Com o backend redis,
+ * vale para todas as instâncias.
+ */
+router.delete('/cache', exigirPapel(), SystemController.clearCache);
+debugLog('Registrando endpoint', {
+  method: 'DELETE',
+  endpoint: `${ROUTE_PREFIX}/cache`,
+  controller: 'clearCache'
+});
+
+/**
+ * 🚀 Exporta o roteador configurado para ser utilizado pelo app principal.
+ */
+export default router;
@@ -0,0 +1,233 @@
+// FILE_PATH: backend/apis/system/services/JobScheduler.js
+
+/**
+ * ⏰ Agendador das tarefas em segundo plano do backend (ex: atualização da FIRMS).
+ *
+ * Cada tarefa roda em horários fixos (UTC) ou em intervalo fixo, nunca em paralelo com ela mesma,
+ * e guarda o status da última execução para GET /api/system/jobs.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+import { debugLog } from '#backend_utils/debugLog.js';
+
+dayjs.extend(utc);
+
+export const ERRO_TAREFA = 'Tarefa inválida';
+
+const FORMATO_HORARIO = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * ⏰ JobScheduler
+ *
+ * Registro das tarefas e dos timers. Todos os métodos são estáticos, no mesmo padrão dos serviços da API.
+ */
+export default class JobScheduler {
+  static #tarefas = new Map();
+  static #ativo = false;
+
+  // == Funções Públicas ==
+
+  /**
+   * ➕ registrar
+   *
+   * @param {Object} definicao
+   * @param {string} definicao.nome - Identificador da tarefa (ex: "firms")
+   * @param {string} [definicao.descricao]
+   * @param {() => Promise<Object|void>} definicao.executar - Executa a tarefa; o retorno é exibido em `detalhes`
+   * @param {string[]} [definicao.horariosUtc] - Horários diários "HH:mm" (UTC)
+   * @param {number} [definicao.intervaloMs] - Intervalo fixo entre execuções (tem prioridade sobre `horariosUtc`)
+   * @param {boolean} [definicao.executarAoIniciar=true] - Executa uma vez assim que o agendador inicia
+   * @throws {Error} Se o nome já estiver registrado ou a agenda for inválida
+   */
+  static registrar({ nome, descricao = '', executar, horariosUtc = [], intervaloMs = 0, executarAoIniciar = true }) {
+    if (!nome || this.#tarefas.has(nome)) throw new Error(`${ERRO_TAREFA}: nome ausente ou já registrado (${nome})`);
+    if (typeof executar !== 'function') throw new Error(`${ERRO_TAREFA}: executar deve ser uma função`);
+
+    const horarioInvalido = horariosUtc.find(horario => !FORMATO_HORARIO.test(horario));
+    if (horarioInvalido) throw new Error(`${ERRO_TAREFA}: horário "${horarioInvalido}" fora do formato HH:mm`);
+    if (!intervaloMs && !horariosUtc.length) throw new Error(`${ERRO_TAREFA}: informe horariosUtc ou intervaloMs`);
+
+    const tarefa = {
+      nome,
+      descricao,
+      executar,
+      horariosUtc: [...horariosUtc].sort(),
+      intervaloMs,
+      executarAoIniciar,
+      timer: null,
+      emAndamento: null,
+      status: {
+        execucoes: 0,
+        falhas: 0,
+        ultimaExecucao: null,
+        proximaExecucao: null
+      }
+    };
+    this.#tarefas.set(nome, tarefa);
+
+    if (this.#ativo) this.#iniciarTarefa(tarefa);
+  }
+
+  /**
+   * ▶️ iniciar
+   *
+   * Agenda todas as tarefas registradas (e as registradas depois). Os timers não impedem o encerramento do processo.
+   */
+  static iniciar() {
+    if (this.#ativo) return;
+    this.#ativo = true;
+    this.#tarefas.forEach(tarefa => this.#iniciarTarefa(tarefa));
+
+    debugLog('Agendador de tarefas iniciado', {
+      tarefas: [...this.#tarefas.keys()],
+      origem: 'JobScheduler.iniciar'
+    });
+  }
+
+  /**
+   * 🛑 parar
+   *
+   * Cancela os próximos agendamentos (execuções em andamento terminam normalmente).
+   */
+  static parar() {
+    this.#ativo = false;
+    this.#tarefas.forEach(tarefa => {
+      clearTimeout(tarefa.timer);
+      tarefa.timer = null;
+      tarefa.status.proximaExecucao = null;
+    });
+  }
+
+  /**
+   * 🧹 limpar
+   *
+   * Para o agendador e remove todas as tarefas (ex: entre testes).
+   */
+  static limpar() {
+    this.parar();
+    this.#tarefas.clear();
+  }
+
+  /**
+   * 🏃 executarAgora
+   *
+   * Executa a tarefa fora da agenda. Se ela já estiver em execução, aguarda a execução em andamento.
+   *
+   * @param {string} nome
+   * @returns {Promise<Object|null>} Status da tarefa após a execução (null se não existir)
+   */
+  static async executarAgora(nome) {
+    const tarefa = this.#tarefas.get(nome);
+    if (!tarefa) return null;
+
+    await this.#executar(tarefa);
+    return this.#formatar(tarefa);
+  }
+
+  /**
+   * 📋 listar
+   *
+   * @returns {Array<Object>} Status de cada tarefa: agenda, última execução (início, duração, sucesso, erro,
+   *   detalhes devolvidos pela tarefa), próxima execução e contadores de execuções e falhas
+   */
+  static listar() {
+    return [...this.#tarefas.values()].map(tarefa => this.#formatar(tarefa));
+  }
+
+  /**
+   * 🕐 proximoHorario
+   *
+   * Próximo instante, estritamente após `agora`, que cai em um dos horários "HH:mm" (UTC).
+   *
+   * @param {string[]} horariosUtc - Horários ordenados
+   * @param {Date} [agora=new Date()]
+   * @returns {Date}
+   */
+  static proximoHorario(horariosUtc, agora = new Date()) {
+    const referencia = dayjs.utc(agora);
+    for (const dia of [0, 1]) {
+      for (const horario of horariosUtc) {
+        const [hora, minuto] = horario.split(':').map(Number);
+        const candidato = referencia.startOf('day').add(dia, 'day').hour(hora).minute(minuto);
+        if (candidato.isAfter(referencia)) return candidato.toDate();
+      }
+    }
+    return null;
+  }
+
+  // == Privados ==
+
+  static #iniciarTarefa(tarefa) {
+    if (tarefa.executarAoIniciar) this.#executar(tarefa);
+    this.#agendar(tarefa);
+  }
+
+  /**
+   * Agenda a próxima execução da tarefa (um setTimeout por vez, recalculado após cada disparo).
+   * @private
+   */
+  static #agendar(tarefa) {
+    const proxima = tarefa.intervaloMs
+      ? new Date(Date.now() + tarefa.intervaloMs)
+      : this.proximoHorario(tarefa.horariosUtc);
+
+    tarefa.status.proximaExecucao = proxima;
+    tarefa.timer = setTimeout(async () => {
+      await this.#executar(tarefa);
+      if (this.#ativo && this.#tarefas.get(tarefa.nome) === tarefa) this.#agendar(tarefa);
+    }, Math.max(proxima.getTime() - Date.now(), 0));
+    tarefa.timer.unref?.();
+  }
+
+  /**
+   * Executa a tarefa registrando duração, sucesso ou erro; falhas não derrubam o agendamento.
+   * @private
+   */
+  static #executar(tarefa) {
+    if (tarefa.emAndamento) return tarefa.emAndamento;
+
+    tarefa.emAndamento = (async () => {
+      const inicio = new Date();
+      const registrar = resultado => {
+        tarefa.status.ultimaExecucao = { inicio, duracaoMs: Date.now() - inicio.getTime(), ...resultado };
+      };
+
+      try {
+        const detalhes = await tarefa.executar();
+        registrar({ sucesso: true, erro: null, detalhes: detalhes ?? null });
+      } catch (error) {
+        tarefa.status.falhas += 1;
+        registrar({ sucesso: false, erro: error.message, detalhes: null });
+        debugLog('Erro na execução de tarefa agendada', {
+          tarefa: tarefa.nome,
+          mensagem: error.message,
+          origem: 'JobScheduler'
+        });
+      } finally {
+        tarefa.status.execucoes += 1;
+        tarefa.emAndamento = null;
+      }
+    })();
+
+    return tarefa.emAndamento;
+  }
+
+  static #formatar(tarefa) {
+    const { nome, descricao, horariosUtc, intervaloMs, emAndamento, status } = tarefa;
+    return {
+      nome,
+      descricao,
+      agenda: intervaloMs ? { intervaloMin: intervaloMs / 60000 } : { horariosUtc },
+      emExecucao: Boolean(emAndamento),
+      execucoes: status.execucoes,
+      falhas: status.falhas,
+      ultimaExecucao: status.ultimaExecucao && {
+        ...status.ultimaExecucao,
+        inicio: status.ultimaExecucao.inicio.toISOString()
+      },
+      proximaExecucao: status.proximaExecucao?.toISOString() ?? null
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+
+const { default: JobScheduler, ERRO_TAREFA } = await import('#system_services/JobScheduler.js');
+
+describe('JobScheduler', () => {
+    afterEach(() => {
+        JobScheduler.limpar();
+        jest.useRealTimers();
+    });
+
+    test('proximoHorario escolhe o próximo horário UTC, passando para o dia seguinte', () => {
+        const horarios = ['04:00', '16:00'];
+
+        expect(JobScheduler.proximoHorario(horarios, new Date('2025-08-01T10:00:00Z')).toISOString())
+            .toBe('2025-08-01T16:00:00.000Z');
+        expect(JobScheduler.proximoHorario(horarios, new Date('2025-08-01T16:00:00Z')).toISOString())
+            .toBe('2025-08-02T04:00:00.000Z');
+    });
+
+    test('registrar recusa nomes repetidos e agendas inválidas', () => {
+        const executar = async () => {};
+        JobScheduler.registrar({ nome: 'firms', executar, intervaloMs: 1000 });
+
+        expect(() => JobScheduler.registrar({ nome: 'firms', executar, intervaloMs: 1000 })).toThrow(ERRO_TAREFA);
+        expect(() => JobScheduler.registrar({ nome: 'ana', executar })).toThrow(ERRO_TAREFA);
+        expect(() => JobScheduler.registrar({ nome: 'ana', executar, horariosUtc: ['25:00'] })).toThrow(ERRO_TAREFA);
+    });
+
+    test('executarAgora registra duração, detalhes e falhas sem executar em paralelo', async () => {
+        let resolver;
+        const executar = jest.fn()
+            .mockImplementationOnce(() => new Promise(resolve => { resolver = resolve; }))
+            .mockRejectedValueOnce(new Error('FIRMS indisponível'));
+        JobScheduler.registrar({ nome: 'firms', executar, horariosUtc: ['04:00'] });
+
+        const primeira = JobScheduler.executarAgora('firms');
+        const concorrente = JobScheduler.executarAgora('firms');
+        expect(JobScheduler.listar()[0].emExecucao).toBe(true);
+        resolver({ registros: 3 });
+        await Promise.all([primeira, concorrente]);
+
+        expect(executar).toHaveBeenCalledTimes(1);
+        expect(JobScheduler.listar()[0]).toMatchObject({
+            nome: 'firms',
+            agenda: { horariosUtc: ['04:00'] },
+            execucoes: 1,
+            falhas: 0,
+            ultimaExecucao: { sucesso: true, erro: null, detalhes: { registros: 3 } }
+        });
+
+        const falha = await JobScheduler.executarAgora('firms');
+        expect(falha).toMatchObject({ execucoes: 2, falhas: 1, ultimaExecucao: { sucesso: false, erro: 'FIRMS indisponível' } });
+        expect(await JobScheduler.executarAgora('inexistente')).toBeNull();
+    });
+
+    test('iniciar executa a tarefa e reagenda após cada disparo', async () => {
+        jest.useFakeTimers({ now: new Date('2025-08-01T10:00:00Z') });
+        const executar = jest.fn(async () => ({}));
+        JobScheduler.registrar({ nome: 'firms', executar, intervaloMs: 60000 });
+
+        JobScheduler.iniciar();
+        expect(executar).toHaveBeenCalledTimes(1);
+        expect(JobScheduler.listar()[0].proximaExecucao).toBe('2025-08-01T10:01:00.000Z');
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(executar).toHaveBeenCalledTimes(2);
+        expect(JobScheduler.listar()[0].proximaExecucao).toBe('2025-08-01T10:02:00.000Z');
+
+        JobScheduler.parar();
+        await jest.advanceTimersByTimeAsync(120000);
+        expect(executar).toHaveBeenCalledTimes(2);
+    });
+});
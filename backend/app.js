@@ -2,12 +2,25 @@ import express from 'express';
 import cors from 'cors';
 import firmsRoutes from '#firms_routes';
 import anaRoutes from '#ana_routes';
+import alertsRoutes from '#alerts_routes';
+import authRoutes from '#auth_routes';
+import systemRoutes from '#system_routes';
+import authMiddleware, { aplicarEscopoRegional } from '#shared_middleware/auth.js';
+import { limitarRequisicoes } from '#shared_middleware/rateLimit.js';
 
 import { debugLog } from '#backend_utils/debugLog.js';
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // polígonos de POST /api/firms/fires/area podem ser grandes
+
+// Log de montagem do módulo de autenticação
+debugLog('Montando módulo de autenticação na API', {
+  base: '/api/auth',
+  origem: 'app.js'
+});
+
+app.use('/api/auth', authRoutes);
 
 // Log de montagem do módulo FIRMS
 debugLog('Montando módulo FIRMS na API', {
@@ -15,7 +28,8 @@ debugLog('Montando módulo FIRMS na API', {
   origem: 'app.js'
 });
 
-app.use('/api/firms', firmsRoutes);
+// Chaves de API têm limite por minuto e cota diária; comandantes só enxergam os focos do próprio comando regional
+app.use('/api/firms', authMiddleware, limitarRequisicoes, aplicarEscopoRegional, firmsRoutes);
 
 // Log de montagem do módulo ANA
 debugLog('Montando módulo ANA na API', {
@@ -23,6 +37,22 @@ debugLog('Montando módulo ANA na API', {
   origem: 'app.js'
 });
 
-app.use('/api/ana', anaRoutes); // 🔹 novo endpoint
+app.use('/api/ana', authMiddleware, limitarRequisicoes, anaRoutes); // 🔹 novo endpoint
+
+// Log de montagem do módulo de alertas
+debugLog('Montando módulo de alertas na API', {
+  base: '/api/alerts',
+  origem: 'app.js'
+});
+
+app.use('/api/alerts', authMiddleware, limitarRequisicoes, alertsRoutes);
+
+// Log de montagem do módulo de sistema
+debugLog('Montando módulo de sistema na API', {
+  base: '/api/system',
+  origem: 'app.js'
+});
+
+app.use('/api/system', authMiddleware, limitarRequisicoes, systemRoutes);
 
 export default app;
@@ -6,6 +6,15 @@ import app from './app.js';
 
 import { debugLog } from '#backend_utils/debugLog.js';
 
+import FireArchiveService from '#firms_services/FireArchiveService.js';
+import FireStreamService from '#firms_services/FireStreamService.js';
+import FireRefreshJob from '#firms_services/FireRefreshJob.js';
+import FireController from '#firms_controllers/FireController.js';
+import AnaSyncJob from '#ana_services/AnaSyncJob.js';
+import AlertService from '#alerts_services/AlertService.js';
+import AuthService, { AUTH_CONFIG } from '#auth_services/AuthService.js';
+import JobScheduler from '#system_services/JobScheduler.js';
+
 // Carrega as variáveis de ambiente do arquivo .env para o process.env
 dotenv.config();
 
@@ -23,5 +32,38 @@ app.listen(PORT, () => {
     ambiente: process.env.NODE_ENV || 'desenvolvimento',
     origem: 'server.js'
   });
-});
 
+  // Sem AUTH_JWT_SECRET o segredo muda a cada reinício e todas as sessões são invalidadas
+  // eslint-disable-next-line no-undef
+  if (AUTH_CONFIG.HABILITADO && !process.env.AUTH_JWT_SECRET) {
+    debugLog('AUTH_JWT_SECRET não definido: usando segredo temporário', { origem: 'server.js' });
+  }
+
+  // Cria o admin de AUTH_ADMIN_EMAIL / AUTH_ADMIN_SENHA se ainda não houver usuários
+  AuthService.garantirAdminInicial().catch(error => {
+    debugLog('Falha ao criar administrador inicial', { erro: error.message, origem: 'server.js' });
+  });
+
+  // Ingestão do arquivo histórico de focos a cada atualização da FIRMS (desligável com FIRE_ARCHIVE_ENABLED=false)
+  // eslint-disable-next-line no-undef
+  const arquivar = process.env.FIRE_ARCHIVE_ENABLED !== 'false';
+  if (arquivar) {
+    // As regras de alerta contam os focos do arquivo, então são avaliadas a cada nova ingestão (sem arquivo não há o que contar)
+    FireArchiveService.aoConcluirIngestao(() => AlertService.avaliar());
+  }
+
+  // Focos novos e indicadores do dia são enviados aos clientes de /api/firms/fires/stream; sem o arquivo,
+  // a cada atualização da janela ao vivo os clientes recebem os indicadores e o aviso para recarregar os focos
+  FireStreamService.iniciar({ calcularIndicadores: FireController.gerarEstatisticas, arquivar });
+
+  // Atualização da FIRMS em segundo plano, nos horários de FIRMS_REFRESH_HORARIOS_UTC (status em /api/system/jobs)
+  JobScheduler.registrar(FireRefreshJob.definicao({ arquivar }));
+
+  // Sincronização incremental do arquivo de leituras da ANA a cada ANA_SYNC_INTERVAL_MIN (desligável com ANA_SYNC_ENABLED=false)
+  // eslint-disable-next-line no-undef
+  if (process.env.ANA_SYNC_ENABLED !== 'false') {
+    JobScheduler.registrar(AnaSyncJob.definicao());
+  }
+
+  JobScheduler.iniciar();
+});
@@ -1,24 +1,49 @@
 import './App.css'
 import './styles/layout.css'
 
+import { useEffect, useState } from 'react'
+
 import Header from './components/layout/Header'
+import LoginTela from './components/layout/LoginTela'
 import DashboardIndicadores from './components/dashboard/DashboardIndicadores'
 import DashboardGraficos from './components/dashboard/DashboardGraficos'
 import DashboardMapaCidades from './components/dashboard/DashboardMapaCidades'
 import '@fortawesome/fontawesome-free/css/all.min.css';
 import { MapStateProvider } from '@context/MapaContexto';
+import { aoExpirarSessao } from './utils/api'
+import { sair, sessaoAtiva } from './services/authService'
 
 function App() {
   void Header
+  void LoginTela
   void DashboardIndicadores
   void DashboardGraficos
   void DashboardMapaCidades
   void MapStateProvider
-  
+
+  // Login só é pedido quando o backend responde 401 e a sessão não pode ser renovada
+  // (com AUTH_ENABLED=false o painel abre direto)
+  const [precisaLogin, setPrecisaLogin] = useState(false)
+  // Trocar a chave remonta o painel, que busca tudo de novo com o token novo
+  const [sessao, setSessao] = useState(0)
+
+  useEffect(() => aoExpirarSessao(() => setPrecisaLogin(true)), [])
+
+  if (precisaLogin) {
+    return (
+      <LoginTela
+        onEntrar={() => {
+          setPrecisaLogin(false)
+          setSessao(atual => atual + 1)
+        }}
+      />
+    )
+  }
+
   return (
-    <MapStateProvider>
+    <MapStateProvider key={sessao}>
       <div className="app-layout">
-        <Header />
+        <Header onSair={sessaoAtiva() ? () => sair().then(() => setPrecisaLogin(true)) : null} />
         <div className="section"><DashboardIndicadores /></div>
         <div className="section"><DashboardMapaCidades /></div>
         <div className="section last-section"><DashboardGraficos /></div>
@@ -13,7 +13,9 @@ import Loader from '@components/shared/Loader'
 void Loader
 
 // Serviços e imagens
-import { fetchDados } from '@services/metricsService'
+import { fetchDados, aplicarResumo } from '@services/metricsService'
+import { assinarStreamFocos } from '@services/fireStreamService'
+import { buscarTotaisHidro } from '@services/hidroService'
 import fireTotalImg from '@imgs/indicadoresMetricos/fire_3d_brilhante.png'
 import fireFRPMedia from '@imgs/indicadoresMetricos/fire_frp_3d_brilhante.png'
 import fireTempMedia from '@imgs/indicadoresMetricos/fire_temp_3d_brilhante.png'
@@ -24,22 +26,22 @@ import matoGroso from '@imgs/indicadoresMetricos/mato_grosso_borda_preta.png'
 const configCartoes = [
     // Linha 1
     [
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "01" },
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "02" },
+        { tipo: "hidro", titulo: "Estações em Transbordamento", campo: "transbordamento" },
+        { tipo: "hidro", titulo: "Estações em Alerta", campo: "alerta" },
         { tipo: "fogo", titulo: "Total de Focos de Calor", icone: fireTotalImg, campo: "totalFocos" },
         { tipo: "fogo", titulo: "Média Fire Radiative Power ( MW )", icone: fireFRPMedia, campo: "frpMedio" },
     ],
     // Linha 2
     [
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "03" },
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "04" },
+        { tipo: "hidro", titulo: "Estações em Atenção", campo: "atencao" },
+        { tipo: "hidro", titulo: "Estações em Seca ( Vazão Mínima )", campo: "seca" },
         { tipo: "fogo", titulo: "Temperatura Média ( Kelvin )", icone: fireTempMedia, campo: "temperaturaMedia" },
         { tipo: "fogo", titulo: "Horário com Maior Detecção", icone: horaDePicco, campo: "horarioDeteccaoPico" },
     ],
     // Linha 3
     [
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "05" },
-        { tipo: "hidro", titulo: "Indicador Hidro", valor: "06" },
+        { tipo: "hidro", titulo: "Estações em Situação Normal", campo: "normal" },
+        { tipo: "hidro", titulo: "Estações sem Leitura Recente", campo: "semDados" },
         { tipo: "fogo", titulo: "Indicador Fogo", valor: "05" },
         { tipo: "fogo", titulo: "Regional Com Mais Focos", icone: matoGroso, campo: "CRBMComMaisFocos" },
     ],
@@ -49,16 +51,70 @@ const configCartoes = [
 function useIndicadoresAtuais() {
     const [dadosAtuais, setDadosAtuais] = useState(null)
     const [dadosAnteriores, setDadosAnteriores] = useState(null)
+    const [sensoresComFalha, setSensoresComFalha] = useState([])
 
     useEffect(() => {
-        fetchDados(setDadosAtuais, setDadosAnteriores)
-        const interval = setInterval(() => {
-            fetchDados(setDadosAtuais, setDadosAnteriores)
-        }, 30 * 60 * 1000)
-        return () => clearInterval(interval)
+        const atualizar = () => fetchDados(setDadosAtuais, setDadosAnteriores, setSensoresComFalha)
+        atualizar()
+
+        // Indicadores recalculados chegam por push após cada atualização do backend
+        return assinarStreamFocos({
+            indicadores: dados => aplicarResumo(dados, setDadosAtuais, setDadosAnteriores, setSensoresComFalha),
+            recarregar: atualizar,
+        })
     }, [])
 
-    return { dadosAtuais, dadosAnteriores }
+    return { dadosAtuais, dadosAnteriores, sensoresComFalha }
+}
+
+// Intervalo de atualização dos cartões hidro (o backend sincroniza a ANA a cada 15 min)
+const INTERVALO_HIDRO_MS = 5 * 60 * 1000
+
+// Quantidade de estações da ANA em cada situação (GET /api/ana/alerts)
+// { carregando: true } até a primeira resposta; depois { carregando: false, totais } com totais null se a busca falhou
+function useTotaisHidro() {
+    const [totaisHidro, setTotaisHidro] = useState({ carregando: true, totais: null })
+
+    useEffect(() => {
+        let ativo = true
+        const atualizar = () => buscarTotaisHidro().then(totais => { if (ativo) setTotaisHidro({ carregando: false, totais }) })
+        atualizar()
+
+        const timer = setInterval(atualizar, INTERVALO_HIDRO_MS)
+        return () => {
+            ativo = false
+            clearInterval(timer)
+        }
+    }, [])
+
+    return totaisHidro
+}
+
+// === Aviso de dados incompletos ===
+
+function descreverSensor({ sensor, status, obtidoEm }) {
+    if (status !== 'cache' || !obtidoEm) return `${sensor} (sem dados)`
+    const hora = new Date(obtidoEm).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })
+    return `${sensor} (dados de ${hora})`
+}
+
+// Sensores da FIRMS que falharam na última atualização: os indicadores de fogo podem estar subestimados
+function renderAvisoDadosIncompletos(sensoresComFalha) {
+    if (!sensoresComFalha.length) return null
+    return (
+        <div
+            role="alert"
+            style={{
+                padding: '0.2rem 0.6rem',
+                borderRadius: '4px',
+                background: '#fff4e5',
+                color: '#8a4b00',
+                fontSize: '0.8rem',
+            }}
+        >
+            ⚠️ Dados de focos incompletos: a FIRMS não respondeu para {sensoresComFalha.map(descreverSensor).join(', ')}.
+        </div>
+    )
 }
 
 // === Utilitários de formatação ===
@@ -93,14 +149,20 @@ function formatarValor(atual, arredondar) {
     return formatadores[tipo](atual)
 }
 
+// Valor do cartão hidro: carregando, indisponível (falha na busca) ou a quantidade de estações
+function valorHidro({ carregando, totais }, campo) {
+    if (carregando) return <Loader />
+    return totais?.[campo] ?? <span title="Situação das estações da ANA indisponível">—</span>
+}
+
 // Renderização universal do cartão
-function renderHidroCartao({ titulo, valor }, idx) {
+function renderHidroCartao({ titulo, campo }, totaisHidro, idx) {
     return (
         <IndicadorMetric
             key={`hidro-${idx}`}
             cor="blue"
             titulo={titulo}
-            valor={valor}
+            valor={valorHidro(totaisHidro, campo)}
         />
     );
 }
@@ -228,8 +290,8 @@ function renderFogoCartao({ titulo, icone, campo }, dadosAtuais, dadosAnteriores
     );
 }
 
-function renderHidro(props, idx) {
-    return renderHidroCartao(props, idx);
+function renderHidro(props, totaisHidro, idx) {
+    return renderHidroCartao(props, totaisHidro, idx);
 }
 
 function renderFogoPico(props, dadosAtuais, dadosAnteriores, idx) {
@@ -273,22 +335,23 @@ function escolherRenderFogo(props, dadosAtuais, dadosAnteriores, idx) {
 }
 
 const cartaoHandlers = {
-    hidro: (props, _, __, idx) => renderHidro(props, idx),
+    hidro: (props, _, __, idx, totaisHidro) => renderHidro(props, totaisHidro, idx),
     fogo: (props, dadosAtuais, dadosAnteriores, idx) => escolherRenderFogo(props, dadosAtuais, dadosAnteriores, idx)
 };
 
-function renderCartao(props, dadosAtuais, dadosAnteriores, idx) {
+function renderCartao(props, dadosAtuais, dadosAnteriores, idx, totaisHidro) {
     const handler = cartaoHandlers[props.tipo];
-    return handler ? handler(props, dadosAtuais, dadosAnteriores, idx) : null;
+    return handler ? handler(props, dadosAtuais, dadosAnteriores, idx, totaisHidro) : null;
 }
 
 // Renderização do grid flexível
-function renderGridModular(configCartoes, dadosAtuais, dadosAnteriores) {
+function renderGridModular(configCartoes, dadosAtuais, dadosAnteriores, totaisHidro) {
     return (
         <div
             style={{
                 display: 'grid',
-                height: '100%',
+                flex: 1,
+                minHeight: 0,
                 gridTemplateRows: `repeat(${configCartoes.length}, 1fr)`,
                 gridTemplateColumns: `repeat(4, 1fr)`,
                 gap: '0.3rem',
@@ -296,7 +359,7 @@ function renderGridModular(configCartoes, dadosAtuais, dadosAnteriores) {
         >
             {configCartoes.flatMap((linha, i) =>
                 linha.map((cartao, j) =>
-                    renderCartao(cartao, dadosAtuais, dadosAnteriores, `${i}${j}`)
+                    renderCartao(cartao, dadosAtuais, dadosAnteriores, `${i}${j}`, totaisHidro)
                 )
             )}
         </div>
@@ -305,6 +368,12 @@ function renderGridModular(configCartoes, dadosAtuais, dadosAnteriores) {
 
 // Componente principal
 export default function DashboardIndicadores() {
-    const { dadosAtuais, dadosAnteriores } = useIndicadoresAtuais()
-    return renderGridModular(configCartoes, dadosAtuais, dadosAnteriores)
+    const { dadosAtuais, dadosAnteriores, sensoresComFalha } = useIndicadoresAtuais()
+    const totaisHidro = useTotaisHidro()
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', height: '100%', gap: '0.3rem' }}>
+            {renderAvisoDadosIncompletos(sensoresComFalha)}
+            {renderGridModular(configCartoes, dadosAtuais, dadosAnteriores, totaisHidro)}
+        </div>
+    )
 }
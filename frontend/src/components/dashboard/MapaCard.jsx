@@ -36,6 +36,10 @@ void GeoFileLoader // Supressão de warning de uso
 import FocosLayerControlPanel from '@components/layers/FocosLayerControlPanel'
 void FocosLayerControlPanel
 
+// 🌧️ Camadas de chuva acumulada interpolada a partir das estações da ANA
+import ChuvaLayerControl from '@components/layers/ChuvaLayerControl'
+void ChuvaLayerControl
+
 // 🧾 Componente de popup flutuante com detalhes sobre focos selecionados (clicados)
 import FocoDetalhesFlutuante from '@components/mapa/FocoDetalhes/FocoDetalhesFlutuante'
 void FocoDetalhesFlutuante
@@ -238,6 +242,7 @@ export default function MapaCard({ cidadesSelecionadas, onDesmarcarCidade }) {
 
         <GeoFileLoader />
         <FocosLayerControlPanel onMarkerClick={abrirPopupFocos} />
+        <ChuvaLayerControl />
 
         <HandleMapClick />
         {waypoints.length > 0 && rotasModeAtivo && (
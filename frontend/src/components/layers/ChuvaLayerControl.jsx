@@ -0,0 +1,144 @@
+// src/components/layers/ChuvaLayerControl.jsx
+
+// =============================
+// 📦 Importações Principais
+// =============================
+
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+// 🎨 Estilos do painel de camadas (mesmo visual do controle de focos)
+import '@styles/LayersControl.css';
+
+// 📡 Grade de chuva acumulada (ANA)
+import { buscarGradeChuva } from '@services/hidroService';
+
+/**
+ * 🕒 Janelas de acumulado oferecidas no painel (chave = `janela` do endpoint).
+ */
+const JANELAS = [
+    { janela: '24h', titulo: 'Chuva acumulada 24 h' },
+    { janela: '72h', titulo: 'Chuva acumulada 72 h' },
+    { janela: '7d', titulo: 'Chuva acumulada 7 dias' },
+    { janela: '30d', titulo: 'Chuva acumulada 30 dias' },
+];
+
+/**
+ * 🎨 Escala de cores por milímetros acumulados (limite inferior → cor), do maior para o menor.
+ */
+const ESCALA_CHUVA = [
+    { minimo: 100, cor: '#4a1486' },
+    { minimo: 50, cor: '#6a51a3' },
+    { minimo: 25, cor: '#2171b5' },
+    { minimo: 10, cor: '#4292c6' },
+    { minimo: 5, cor: '#6baed6' },
+    { minimo: 1, cor: '#9ecae1' },
+    { minimo: 0.1, cor: '#c6dbef' },
+];
+
+// Atualiza as grades já carregadas a cada 15 minutos (intervalo da sincronização com a ANA)
+const INTERVALO_ATUALIZACAO_MS = 15 * 60 * 1000;
+
+/**
+ * @function ChuvaLayerControl
+ * @description
+ * Camadas de chuva acumulada (24 h, 72 h, 7 dias e 30 dias) interpoladas a partir das estações da ANA,
+ * num controle de camadas próprio ao lado do painel de focos de calor.
+ * A grade de cada janela só é buscada quando a camada é ligada; células sem chuva ficam transparentes.
+ *
+ * @returns {null} Não renderiza nada no React; as camadas vivem no mapa Leaflet.
+ *
+ * @example
+ * <ChuvaLayerControl />
+ */
+export default function ChuvaLayerControl() {
+    const map = useMap();
+
+    useEffect(() => {
+        if (!map) return;
+
+        const camadas = Object.fromEntries(JANELAS.map(({ janela }) => [janela, criarCamada()]));
+        const janelaDaCamada = camada => Object.keys(camadas).find(janela => camadas[janela] === camada);
+
+        const control = L.control.layers(
+            null,
+            Object.fromEntries(JANELAS.map(({ janela, titulo }) => [titulo, camadas[janela]])),
+            { collapsed: true, position: 'topright' }
+        ).addTo(map);
+        control.getContainer().classList.add('chuva-layer-control');
+
+        // 📡 Carrega a grade ao ligar a camada
+        const aoLigar = ({ layer }) => {
+            const janela = janelaDaCamada(layer);
+            if (janela) carregarGrade(janela, layer);
+        };
+        map.on('overlayadd', aoLigar);
+
+        // 🔁 Recarrega só as camadas visíveis
+        const intervalo = setInterval(() => {
+            Object.entries(camadas)
+                .filter(([, camada]) => map.hasLayer(camada))
+                .forEach(([janela, camada]) => carregarGrade(janela, camada));
+        }, INTERVALO_ATUALIZACAO_MS);
+
+        return () => {
+            clearInterval(intervalo);
+            map.off('overlayadd', aoLigar);
+            Object.values(camadas).forEach(camada => map.removeLayer(camada));
+            control.remove();
+        };
+    }, [map]);
+
+    return null;
+}
+
+// =============================
+// 🔧 Funções auxiliares
+// =============================
+
+/**
+ * 🧱 criarCamada
+ * Camada GeoJSON vazia com estilo e tooltip por célula.
+ *
+ * @returns {L.GeoJSON}
+ */
+function criarCamada() {
+    return L.geoJSON(null, {
+        style: feature => estiloCelula(feature.properties?.chuvaMm),
+        onEachFeature: (feature, layer) => {
+            const { chuvaMm, estacoes } = feature.properties ?? {};
+            if (chuvaMm >= ESCALA_CHUVA.at(-1).minimo) {
+                layer.bindTooltip(`${chuvaMm.toLocaleString('pt-BR')} mm (${estacoes} estação(ões))`, { sticky: true });
+            }
+        },
+    });
+}
+
+/**
+ * 📡 carregarGrade
+ * Busca a grade da janela e substitui o conteúdo da camada.
+ *
+ * @param {string} janela - 24h, 72h, 7d ou 30d
+ * @param {L.GeoJSON} camada - Camada a preencher
+ */
+async function carregarGrade(janela, camada) {
+    const grade = await buscarGradeChuva(janela);
+    if (grade?.type !== 'FeatureCollection') return;
+
+    camada.clearLayers();
+    camada.addData(grade);
+}
+
+/**
+ * 🎨 estiloCelula
+ *
+ * @param {number} chuvaMm - Acumulado interpolado da célula
+ * @returns {L.PathOptions}
+ */
+function estiloCelula(chuvaMm) {
+    const faixa = ESCALA_CHUVA.find(({ minimo }) => chuvaMm >= minimo);
+    if (!faixa) return { stroke: false, fillOpacity: 0, interactive: false };
+
+    return { stroke: false, fillColor: faixa.cor, fillOpacity: 0.45 };
+}
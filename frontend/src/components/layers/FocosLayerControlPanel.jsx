@@ -26,6 +26,7 @@ import { atualizarCamadasFocos } from '@components/layers/atualizarCamadasFocos'
 
 // 📡 Funções de API
 import { buscarFocos } from '@utils/api';
+import { assinarStreamFocos } from '@services/fireStreamService';
 
 /**
  * @function FocosLayerControlPanel
@@ -63,7 +64,8 @@ export default function FocosLayerControlPanel() {
 
     /**
      * 📡 useEffect #1 — Carrega focos ao montar o componente.
-     * Faz a requisição dos dados dos focos do dia atual (UTC) assim que o painel é iniciado.
+     * Faz a requisição dos dados dos focos do dia atual (UTC) assim que o painel é iniciado
+     * e depois acrescenta os focos novos recebidos por /fires/stream.
      */
     useEffect(() => {
         // const hoje = new Date(Date.now() - 24 * 60 * 60 * 1000)
@@ -79,10 +81,11 @@ export default function FocosLayerControlPanel() {
 
         atualizarFocos(); // Fetch inicial
 
-        // Atualiza a cada 30 minutos
-        const interval = setInterval(atualizarFocos, 30 * 60 * 1000);
-
-        return () => clearInterval(interval); // Limpa ao desmontar
+        // Focos novos chegam por push após cada atualização do backend; ao reconectar (ou sem arquivo no backend), recarrega o dia
+        return assinarStreamFocos({
+            focos: novos => setFocos(atuais => acrescentarFocosDoDia(atuais, novos, hoje)),
+            recarregar: atualizarFocos,
+        }); // Cancela a inscrição ao desmontar
     }, []);
 
 
@@ -333,6 +336,21 @@ async function fetchFocosDoDia(dataISO, setFocos) {
     }
 }
 
+/**
+ * ➕ acrescentarFocosDoDia
+ * Junta aos focos atuais os focos novos do dia recebidos pelo stream, ignorando detecções já presentes.
+ * @param {Array<Object>} atuais - Focos exibidos
+ * @param {Array<Object>} novos - Focos recebidos
+ * @param {string} dataISO - Dia exibido (YYYY-MM-DD)
+ * @returns {Array<Object>} Nova lista de focos
+ */
+function acrescentarFocosDoDia(atuais, novos, dataISO) {
+    const chave = foco => [foco.latitude, foco.longitude, foco.dataAquisicao, foco.horaAquisicao, foco.nomeSatelite].join('|');
+    const existentes = new Set(atuais.map(chave));
+    const acrescentar = novos.filter(foco => foco.dataAquisicao === dataISO && !existentes.has(chave(foco)));
+    return acrescentar.length ? [...atuais, ...acrescentar] : atuais;
+}
+
 /**
  * 🚨 lidarComErro
  * Handler padrão para falhas ao buscar focos de calor.
@@ -17,13 +17,16 @@ import '@styles/Header.css';
  * Exibe:
  * - O logotipo da organização (à esquerda)
  * - O nome do sistema de monitoramento (à direita)
+ * - O botão "Sair" quando há sessão autenticada (`onSair`)
  *
  * Este cabeçalho estático pode ser reutilizado em todas as páginas
  * como elemento de branding institucional.
  *
+ * @param {Object} props
+ * @param {(() => void)|null} [props.onSair] - Encerra a sessão; sem ele o botão não aparece
  * @returns {JSX.Element} Elemento <header> com logo e título institucional
  */
-export default function Header() {
+export default function Header({ onSair = null }) {
     return (
         <header className="header">
             {/* 🖼️ Logotipo DCE (imagem SVG/PNG) */}
@@ -31,6 +34,13 @@ export default function Header() {
 
             {/* 🏷️ Nome do sistema exibido ao lado do logotipo */}
             <span>Monitoramento Ambiental - MT</span>
+
+            {/* 🚪 Encerrar sessão */}
+            {onSair && (
+                <button type="button" className="header-sair" onClick={onSair}>
+                    Sair
+                </button>
+            )}
         </header>
     );
 }
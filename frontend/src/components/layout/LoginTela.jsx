@@ -0,0 +1,74 @@
+// frontend/src/components/layout/LoginTela.jsx
+
+import { useState } from 'react'
+
+// 🎨 Estilos da tela de login
+import '@styles/Login.css'
+
+// 🔐 Sessão do usuário (POST /api/auth/login)
+import { entrar } from '@services/authService'
+
+/**
+ * 🔐 LoginTela — Tela de acesso ao painel
+ *
+ * Exibida quando o backend exige autenticação e não há sessão válida (nenhum token salvo ou
+ * refresh token recusado). Após o login os tokens ficam no localStorage e `onEntrar` é chamado.
+ *
+ * @param {Object} props
+ * @param {(usuario: Object) => void} props.onEntrar - Chamado com o usuário autenticado
+ * @returns {JSX.Element}
+ */
+export default function LoginTela({ onEntrar }) {
+    const [email, setEmail] = useState('')
+    const [senha, setSenha] = useState('')
+    const [erro, setErro] = useState(null)
+    const [enviando, setEnviando] = useState(false)
+
+    const enviar = async evento => {
+        evento.preventDefault()
+        setErro(null)
+        setEnviando(true)
+        try {
+            onEntrar(await entrar(email.trim(), senha))
+        } catch (error) {
+            setErro(error.message)
+            setEnviando(false)
+        }
+    }
+
+    return (
+        <div className="login-tela">
+            <form className="login-cartao" onSubmit={enviar}>
+                <h1>Monitoramento Ambiental - MT</h1>
+
+                <label>
+                    E-mail
+                    <input
+                        type="email"
+                        autoComplete="username"
+                        value={email}
+                        onChange={e => setEmail(e.target.value)}
+                        required
+                    />
+                </label>
+
+                <label>
+                    Senha
+                    <input
+                        type="password"
+                        autoComplete="current-password"
+                        value={senha}
+                        onChange={e => setSenha(e.target.value)}
+                        required
+                    />
+                </label>
+
+                {erro && <p role="alert" className="login-erro">{erro}</p>}
+
+                <button type="submit" disabled={enviando}>
+                    {enviando ? 'Entrando...' : 'Entrar'}
+                </button>
+            </form>
+        </div>
+    )
+}
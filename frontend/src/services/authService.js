@@ -0,0 +1,62 @@
+// src/services/authService.js
+
+import {
+    montarUrl,
+    salvarSessao,
+    limparSessao,
+    CHAVE_ACCESS_TOKEN,
+    CHAVE_REFRESH_TOKEN,
+} from '../utils/api.js'
+
+/**
+ * Sessão do usuário:
+ *   POST /api/auth/login   { email, senha } → { accessToken, refreshToken, expiraEm, usuario }
+ *   POST /api/auth/logout  { refreshToken } → 204
+ *
+ * A renovação do access token (POST /api/auth/refresh) fica em `buscarJson`, que a faz ao receber 401.
+ */
+const AUTH_LOGIN = '/api/auth/login'
+const AUTH_LOGOUT = '/api/auth/logout'
+
+/**
+ * Autentica e guarda os tokens no localStorage.
+ * @param {string} email
+ * @param {string} senha
+ * @returns {Promise<Object>} Usuário autenticado ({ id, nome, email, papel, comandoRegional })
+ * @throws {Error} Com a mensagem do backend se as credenciais forem recusadas
+ */
+export async function entrar(email, senha) {
+    const res = await fetch(montarUrl(AUTH_LOGIN), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, senha }),
+    })
+    const json = await res.json().catch(() => null)
+
+    if (!res.ok) throw new Error(json?.error ?? `Falha no login (HTTP ${res.status})`)
+
+    salvarSessao(json)
+    return json.usuario
+}
+
+/**
+ * Revoga o refresh token no backend (melhor esforço) e apaga os tokens locais.
+ */
+export async function sair() {
+    const refreshToken = localStorage.getItem(CHAVE_REFRESH_TOKEN)
+    limparSessao()
+    if (!refreshToken) return
+
+    await fetch(montarUrl(AUTH_LOGOUT), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+    }).catch(() => null)
+}
+
+/**
+ * @returns {boolean} Se há um access token salvo
+ */
+export function sessaoAtiva() {
+    return Boolean(localStorage.getItem(CHAVE_ACCESS_TOKEN))
+}
@@ -0,0 +1,101 @@
+// src/services/fireStreamService.js
+
+import { montarUrl, renovarAccessToken, CHAVE_ACCESS_TOKEN, CHAVE_REFRESH_TOKEN } from '../utils/api.js';
+
+/**
+ * Canal push de focos de calor (Server-Sent Events):
+ *   GET /api/firms/fires/stream
+ *
+ * Após cada atualização do backend chegam:
+ *   - event "focos":       { focos: [...] }  apenas os focos recém-detectados
+ *   - event "indicadores": { dt, resumo, sensores }  mesmo "resumo" de /api/firms/fires/stats
+ *                                              e o status de cada sensor da FIRMS
+ *   - event "atualizado":  { dt }  no lugar de "focos" quando o backend roda sem o arquivo histórico
+ *                                  (FIRE_ARCHIVE_ENABLED=false): os focos mudaram e devem ser recarregados
+ *
+ * Uma única conexão é compartilhada por todos os componentes inscritos.
+ * O token só é conferido ao conectar: se o servidor recusar a reconexão (token vencido), a sessão é renovada
+ * e a conexão reaberta com o token novo.
+ */
+
+// Espera antes de reabrir a conexão quando o servidor a recusa e não há sessão para renovar
+const ESPERA_RECONEXAO_MS = 60 * 1000;
+
+const inscritos = new Set();
+let fonte = null;
+let timerReconexao = null;
+let renovando = false;
+let perdeuConexao = false;
+
+/**
+ * Inscreve callbacks nos eventos do stream, abrindo a conexão na primeira inscrição.
+ *
+ * @param {Object} callbacks
+ * @param {(focos: Array<Object>) => void} [callbacks.focos]         Focos novos
+ * @param {(dados: { dt: string, resumo: Object, sensores: Array<Object>|null }) => void} [callbacks.indicadores] Indicadores do dia
+ * @param {() => void} [callbacks.recarregar] Conexão restabelecida (eventos podem ter sido perdidos) ou
+ *   backend sem arquivo histórico avisou que os focos mudaram: recarregue os dados completos
+ * @returns {() => void} Cancela a inscrição (fecha a conexão quando não restar nenhum inscrito)
+ */
+export function assinarStreamFocos(callbacks) {
+  inscritos.add(callbacks);
+  if (!fonte && !timerReconexao && !renovando) abrirConexao();
+
+  return () => {
+    inscritos.delete(callbacks);
+    if (!inscritos.size) fecharConexao();
+  };
+}
+
+function abrirConexao() {
+  timerReconexao = null;
+  const token = localStorage.getItem(CHAVE_ACCESS_TOKEN);
+  // EventSource não envia headers: o token vai na query
+  fonte = new EventSource(montarUrl('/api/firms/fires/stream', { access_token: token }));
+
+  fonte.addEventListener('conectado', () => {
+    if (perdeuConexao) notificar('recarregar');
+    perdeuConexao = false;
+  });
+  fonte.addEventListener('focos', evento => notificar('focos', JSON.parse(evento.data).focos));
+  fonte.addEventListener('indicadores', evento => notificar('indicadores', JSON.parse(evento.data)));
+  fonte.addEventListener('atualizado', () => notificar('recarregar'));
+
+  fonte.onerror = () => {
+    perdeuConexao = true;
+    // CONNECTING: o próprio EventSource reconecta; CLOSED: servidor recusou, tenta de novo mais tarde
+    if (fonte.readyState !== EventSource.CLOSED) return;
+    fonte = null;
+
+    if (!localStorage.getItem(CHAVE_REFRESH_TOKEN)) {
+      timerReconexao = setTimeout(abrirConexao, ESPERA_RECONEXAO_MS);
+      return;
+    }
+
+    renovando = true;
+    renovarAccessToken().then(renovado => {
+      renovando = false;
+      // Todos cancelaram a inscrição durante a renovação
+      if (!inscritos.size) return;
+      timerReconexao = setTimeout(abrirConexao, renovado ? 0 : ESPERA_RECONEXAO_MS);
+    });
+  };
+}
+
+function fecharConexao() {
+  fonte?.close();
+  fonte = null;
+  clearTimeout(timerReconexao);
+  timerReconexao = null;
+  perdeuConexao = false;
+}
+
+function notificar(evento, dados) {
+  inscritos.forEach(callbacks => {
+    try {
+      callbacks[evento]?.(dados);
+    } catch (error) {
+      console.error(`Erro ao tratar evento "${evento}" do stream de focos:`, error);
+    }
+  });
+}
@@ -0,0 +1,53 @@
+// src/services/hidroService.js
+
+import {
+    montarUrl,
+    buscarJson,
+    logErroFetch,
+} from '../utils/api.js'
+
+/**
+ * Situação hidrológica das estações da ANA com limiares cadastrados:
+ *   GET /api/ana/alerts
+ * Retorno esperado:
+ *   {
+ *     "totais": { "transbordamento": n, "alerta": n, "atencao": n, "seca": n, "normal": n, "semDados": n },
+ *     "estacoes": { "<estado>": [ { codigo, nome, rio, municipio, cota, vazao, limiares } ] }
+ *   }
+ */
+const ANA_ALERTS = '/api/ana/alerts'
+
+/**
+ * Busca a quantidade de estações em cada situação (transbordamento, alerta, atenção, seca, normal, sem dados).
+ * @returns {Promise<Object<string, number>|null>} `totais` do endpoint, ou null em caso de erro
+ */
+export async function buscarTotaisHidro() {
+    try {
+        const json = await buscarJson(montarUrl(ANA_ALERTS))
+        return json?.totais ?? null
+    } catch (error) {
+        logErroFetch(error)
+        return null
+    }
+}
+
+/**
+ * Chuva acumulada interpolada (IDW) em grade, recortada pelo estado:
+ *   GET /api/ana/rainfall/grid?janela=24h|72h|7d|30d
+ * Retorno esperado: FeatureCollection de polígonos com properties { chuvaMm, estacoes }
+ */
+const ANA_RAINFALL_GRID = '/api/ana/rainfall/grid'
+
+/**
+ * Busca a grade de chuva acumulada de uma janela.
+ * @param {string} janela - 24h, 72h, 7d ou 30d
+ * @returns {Promise<Object|null>} FeatureCollection, ou null em caso de erro
+ */
+export async function buscarGradeChuva(janela) {
+    try {
+        return await buscarJson(montarUrl(ANA_RAINFALL_GRID, { janela }))
+    } catch (error) {
+        logErroFetch(error)
+        return null
+    }
+}
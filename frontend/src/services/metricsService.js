@@ -77,13 +77,42 @@ export function extrairResumo(jsonResposta) {
   return mapearResumo(resumo);
 }
 
+/**
+ * Sensores da FIRMS que não foram baixados na última atualização (status "falha" ou "cache"),
+ * indicando que os indicadores estão incompletos ou defasados.
+ * Lê `metadados.sensores` de /fires/stats ou `sensores` do evento "indicadores" de /fires/stream.
+ *
+ * @param {any} json
+ * @returns {Array<{ sensor: string, status: 'falha'|'cache', obtidoEm: string|null }>}
+ */
+export function extrairSensoresComFalha(json) {
+  const sensores = json?.metadados?.sensores ?? json?.sensores ?? [];
+  return sensores.filter(({ status }) => status !== 'ok');
+}
+
+/**
+ * Aplica um JSON com “resumo” (ex: evento "indicadores" de /fires/stream) aos callbacks.
+ *
+ * @param {any} json  Objeto com { resumo: { atual, anterior } }
+ * @param { (valor: Object|null) => void } setDadosAtuais
+ * @param { (valor: Object|null) => void } setDadosAnteriores
+ * @param { (sensores: Array<Object>) => void } [setSensoresComFalha]  Ver extrairSensoresComFalha
+ */
+export function aplicarResumo(json, setDadosAtuais, setDadosAnteriores, setSensoresComFalha) {
+  const { atual, anterior } = extrairResumo(json);
+  setDadosAtuais(atual);
+  setDadosAnteriores(anterior);
+  setSensoresComFalha?.(extrairSensoresComFalha(json));
+}
+
 /**
  * Busca os indicadores métricos (atual vs. anterior) e dispara callbacks para atualizá-los.
  * 
  * @param { (valor: number|null) => void } setDadosAtuais     Callback para valor “atual”
  * @param { (valor: number|null) => void } setDadosAnteriores  Callback para valor “anterior”
+ * @param { (sensores: Array<Object>) => void } [setSensoresComFalha]  Sensores da FIRMS sem dados atualizados
  */
-export async function fetchDados(setDadosAtuais, setDadosAnteriores) {
+export async function fetchDados(setDadosAtuais, setDadosAnteriores, setSensoresComFalha) {
   try {
     const url = montarUrl('/api/firms/fires/stats', {
       dt: obterDataDeHoje(),
@@ -91,10 +120,7 @@ export async function fetchDados(setDadosAtuais, setDadosAnteriores) {
     });
 
     const json = await buscarJson(url);
-    const { atual, anterior } = extrairResumo(json);
-
-    setDadosAtuais(atual);
-    setDadosAnteriores(anterior);
+    aplicarResumo(json, setDadosAtuais, setDadosAnteriores, setSensoresComFalha);
   } catch (error) {
     logErroFetch(error);
     setDadosAtuais(null);
@@ -42,14 +42,93 @@ export function montarUrl(endpoint, params = {}) {
   return url.toString();
 }
 
+// Chaves do localStorage com os tokens obtidos em POST /api/auth/login (renovados em POST /api/auth/refresh)
+export const CHAVE_ACCESS_TOKEN = 'AUTH_ACCESS_TOKEN';
+export const CHAVE_REFRESH_TOKEN = 'AUTH_REFRESH_TOKEN';
+
+const ouvintesSessaoExpirada = new Set();
+let renovacaoEmAndamento = null;
+
+/**
+ * Guarda os tokens devolvidos pelo login ou pela renovação.
+ * @param {{ accessToken: string, refreshToken: string }} tokens
+ */
+export function salvarSessao({ accessToken, refreshToken }) {
+  localStorage.setItem(CHAVE_ACCESS_TOKEN, accessToken);
+  localStorage.setItem(CHAVE_REFRESH_TOKEN, refreshToken);
+}
+
+export function limparSessao() {
+  localStorage.removeItem(CHAVE_ACCESS_TOKEN);
+  localStorage.removeItem(CHAVE_REFRESH_TOKEN);
+}
+
+/**
+ * Registra um callback chamado quando o backend exige login e não há como renovar a sessão.
+ * @param {() => void} callback
+ * @returns {() => void} Cancela o registro
+ */
+export function aoExpirarSessao(callback) {
+  ouvintesSessaoExpirada.add(callback);
+  return () => ouvintesSessaoExpirada.delete(callback);
+}
+
+/**
+ * Troca o refresh token salvo por um novo par de tokens. Chamadas simultâneas compartilham a mesma renovação.
+ * Sem refresh token, ou com ele recusado, limpa a sessão e avisa os inscritos em `aoExpirarSessao`.
+ * @returns {Promise<boolean>} true se a sessão foi renovada
+ */
+export function renovarAccessToken() {
+  renovacaoEmAndamento ??= renovarSessao().finally(() => { renovacaoEmAndamento = null; });
+  return renovacaoEmAndamento;
+}
+
+async function renovarSessao() {
+  const refreshToken = localStorage.getItem(CHAVE_REFRESH_TOKEN);
+  if (refreshToken) {
+    const res = await fetch(montarUrl('/api/auth/refresh'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    }).catch(() => null);
+
+    // Falha de rede: mantém a sessão para tentar de novo depois
+    if (!res) return false;
+    if (res.ok) {
+      salvarSessao(await res.json());
+      return true;
+    }
+  }
+
+  limparSessao();
+  ouvintesSessaoExpirada.forEach(callback => callback());
+  return false;
+}
+
+function buscarComToken(url) {
+  const token = localStorage.getItem(CHAVE_ACCESS_TOKEN);
+  return fetch(url, token ? { headers: { Authorization: `Bearer ${token}` } } : undefined);
+}
+
 /**
  * Faz fetch de uma URL e parseia a resposta como JSON.
+ * Envia o access token salvo (se houver) no header Authorization; num 401 renova a sessão e tenta de novo uma vez.
  * @param {string} url 
  * @returns {Promise<any>}
+ * @throws {Error} se o status não for 2xx (mensagem com o status e o `error` do corpo, quando houver)
  * @throws {SyntaxError} se o response não for JSON válido
  */
 export async function buscarJson(url) {
-  const res = await fetch(url);
+  let res = await buscarComToken(url);
+  if (res.status === 401 && await renovarAccessToken()) res = await buscarComToken(url);
+
+  if (!res.ok) {
+    const corpo = await res.json().catch(() => null);
+    const erro = new Error(`HTTP ${res.status} em ${url}${corpo?.error ? `: ${corpo.error}` : ''}`);
+    erro.status = res.status;
+    throw erro;
+  }
+
   return await res.json();
 }
 